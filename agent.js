@@ -11,11 +11,17 @@ const fs = require('fs');
 const path = require('path');
 const FormData = require('form-data');
 const inquirer = require('inquirer');
+const getClient = require('./utils/client');
+const { settlePayment } = require('./utils/payments');
+const { signIn } = require('./utils/auth');
+const { createTopicListener, createFileCheckpointStore } = require('./utils/topicListener');
 
 // Load environment variables
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 // Use 127.0.0.1 (IPv4) instead of localhost to avoid IPv6 issues
 const SERVER_URL = process.env.SERVER_URL || 'http://127.0.0.1:3000';
+// Where topic listener progress is saved between restarts
+const CHECKPOINT_FILE = process.env.LISTENER_CHECKPOINT_FILE || path.resolve('.listener-checkpoints.json');
 
 if (!OPENAI_API_KEY) {
   console.error('Please set OPENAI_API_KEY in your .env file');
@@ -35,10 +41,24 @@ const apiClient = axios.create({
 });
 
 /**
- * Upload a paper file and metadata to the MCP server
+ * Sign in to the server as the operator account and send the session token with every request
+ */
+async function authenticate() {
+  if (apiClient.defaults.headers.common.Authorization) return;
+  
+  const client = await getClient();
+  const session = await signIn(apiClient, client);
+  apiClient.defaults.headers.common.Authorization = `Bearer ${session.token}`;
+  console.log(`Signed in as ${session.accountId}`);
+}
+
+/**
+ * Upload a paper file and metadata to the MCP server, published under the signed-in account
  */
 async function uploadPaper() {
   try {
+    await authenticate();
+    
     const answers = await inquirer.prompt([
       {
         type: 'input',
@@ -51,7 +71,6 @@ async function uploadPaper() {
       { type: 'input', name: 'authors', message: 'Authors (comma-separated):' },
       { type: 'input', name: 'abstract', message: 'Abstract:' },
       { type: 'input', name: 'keywords', message: 'Keywords (comma-separated):' },
-      { type: 'input', name: 'publisherId', message: 'Publisher ID:' },
       { type: 'number', name: 'fee', message: 'Access fee (numeric):', default: 10 },
     ]);
 
@@ -81,7 +100,6 @@ async function uploadPaper() {
     const keywords = answers.keywords.split(',').map(keyword => keyword.trim());
     keywords.forEach(keyword => form.append('keywords[]', keyword));
     
-    form.append('publisherId', answers.publisherId);
     form.append('fee', answers.fee);
 
     console.log(`Sending request to ${SERVER_URL}/api/papers/upload`);
@@ -93,6 +111,7 @@ async function uploadPaper() {
       { 
         headers: {
           ...form.getHeaders(),
+          'Authorization': apiClient.defaults.headers.common.Authorization,
           'Connection': 'keep-alive'
         },
         timeout: 60000, // 60 seconds for large files
@@ -120,6 +139,78 @@ async function uploadPaper() {
   }
 }
 
+/**
+ * Import a BibTeX, RIS or CSL-JSON library, optionally with a ZIP of the papers' files.
+ * A dry run only reports which entries would be imported.
+ */
+async function importReferences({ libraryPath, archivePath, fee, dryRun }) {
+  try {
+    await authenticate();
+    
+    const form = new FormData();
+    form.append('references', fs.createReadStream(path.resolve(libraryPath)), {
+      filename: path.basename(libraryPath)
+    });
+    if (archivePath) {
+      form.append('files', fs.createReadStream(path.resolve(archivePath)), {
+        filename: path.basename(archivePath),
+        contentType: 'application/zip'
+      });
+    }
+    if (fee != null) form.append('fee', String(fee));
+    form.append('dryRun', dryRun ? 'true' : 'false');
+    
+    console.log(`${dryRun ? 'Checking' : 'Importing'} ${libraryPath}${archivePath ? ` with files from ${archivePath}` : ''}...`);
+    
+    const { data: report } = await axios.post(`${SERVER_URL}/api/papers/import`, form, {
+      headers: {
+        ...form.getHeaders(),
+        'Authorization': apiClient.defaults.headers.common.Authorization
+      },
+      // Every paper gets its own content topic, so large libraries take a while
+      timeout: 10 * 60 * 1000,
+      maxContentLength: 200 * 1024 * 1024,
+      maxBodyLength: 200 * 1024 * 1024
+    });
+    
+    report.entries.forEach(entry => {
+      const file = entry.file ? ` [${entry.file}]` : '';
+      const detail = entry.status === 'error' ? ` - ${entry.errors.join('; ')}` : '';
+      console.log(`${String(entry.index + 1).padStart(4)}. ${entry.status.padEnd(7)} ${entry.paperId}${file}${detail}`);
+    });
+    console.log(`\n${report.format}: ${report.total} entries, ${report.valid} valid, ${report.created} created, ${report.failed} failed${report.dryRun ? ' (dry run)' : ''}`);
+  } catch (err) {
+    console.error('Import failed:', err.message);
+    if (err.response) {
+      console.error('Server response:', err.response.data);
+    }
+  }
+}
+
+/**
+ * Ask for the files of an import
+ */
+async function promptImport() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'libraryPath',
+      message: 'Path to the BibTeX, RIS or CSL-JSON file:',
+      validate: input => fs.existsSync(input) || 'File not found',
+    },
+    {
+      type: 'input',
+      name: 'archivePath',
+      message: 'ZIP of paper files (leave empty for metadata only):',
+      validate: input => !input || fs.existsSync(input) || 'File not found',
+    },
+    { type: 'number', name: 'fee', message: 'Access fee for each paper:', default: 10 },
+    { type: 'confirm', name: 'dryRun', message: 'Dry run (only validate)?', default: true },
+  ]);
+  
+  await importReferences({ ...answers, archivePath: answers.archivePath || null });
+}
+
 /**
  * Get content type based on file extension
  */
@@ -138,6 +229,50 @@ function getContentType(filePath) {
   return contentTypes[ext] || 'application/octet-stream';
 }
 
+/**
+ * Buy access to a chat session's papers: fetch a signed quote, pay it on-chain and submit the purchase
+ */
+async function buyPapers(sessionId) {
+  const { data } = await apiClient.post(`/api/chat/${sessionId}/quote`);
+  const { quote } = data;
+  
+  console.log('\nQuote for accessing research papers:');
+  quote.papers.forEach((paper, i) => {
+    console.log(`${i + 1}. "${paper.title}" - ${paper.fee} tokens`);
+  });
+  console.log(`Platform fee: ${quote.platformFee} tokens`);
+  console.log(`Total cost: ${quote.totalCost} tokens (valid until ${quote.expiresAt})`);
+  
+  const { confirm } = await inquirer.prompt([
+    { type: 'confirm', name: 'confirm', message: 'Pay this quote?', default: true }
+  ]);
+  if (!confirm) return;
+  
+  const client = await getClient();
+  const payment = await settlePayment(client, {
+    tokenId: quote.tokenId,
+    treasuryId: quote.treasuryId,
+    papers: quote.papers,
+    platformFee: quote.platformFee,
+    decimals: quote.decimals
+  });
+  
+  if (!payment.success) {
+    console.error(`Payment failed with status ${payment.status}${payment.error ? `: ${payment.error}` : ''}`);
+    return;
+  }
+  
+  const res = await apiClient.post(`/api/chat/${sessionId}/purchase`, {
+    quote,
+    transactionId: payment.transactionId
+  });
+  
+  console.log(`Purchase confirmed in transaction ${res.data.transactionId}. You now have access to:`);
+  res.data.papers.forEach(paper => {
+    console.log(`- "${paper.title}" (content topic ${paper.contentTopicId})`);
+  });
+}
+
 /**
  * Chat with the MCP server via the chat endpoint
  */
@@ -147,6 +282,12 @@ async function chatWithServer() {
     await apiClient.get('/health');
     console.log('Connected to server. Starting chat session...');
     
+    // Sessions belong to the signed-in operator account so they can be listed later
+    await authenticate();
+    const { data } = await apiClient.post('/api/chat/sessions', { title: 'Agent CLI chat' });
+    const { sessionId } = data.session;
+    console.log(`Session ${sessionId} started. Type /buy to purchase the papers behind the last answer.`);
+    
     while (true) {
       const { message } = await inquirer.prompt([
         { type: 'input', name: 'message', message: 'You:' }
@@ -158,8 +299,18 @@ async function chatWithServer() {
       }
       
       try {
-        const res = await apiClient.post('/api/chat', { message });
+        if (message.toLowerCase() === '/buy') {
+          await buyPapers(sessionId);
+          continue;
+        }
+        
+        const res = await apiClient.post(`/api/chat/${sessionId}/message`, { message });
         console.log('Server:', res.data.reply || res.data);
+        
+        const { quote } = res.data;
+        if (quote && quote.totalCost > 0) {
+          console.log(`Access quote: ${quote.papersCost} for ${quote.papers.length} papers + ${quote.platformFee} platform fee = ${quote.totalCost}`);
+        }
       } catch (err) {
         console.error('Chat error:', err.message);
         
@@ -196,6 +347,34 @@ async function planWithLLM(prompt) {
   return response.choices[0].message.content;
 }
 
+/**
+ * Listen on a Hedera topic and answer each message through the server's chat endpoint
+ */
+async function listenToTopic(topicId) {
+  console.log(`DeSci Platform Agent - answering messages on topic ${topicId}`);
+  console.log('----------------------------------------');
+  
+  const client = await getClient();
+  
+  const listener = createTopicListener({
+    client,
+    topicId,
+    checkpointStore: createFileCheckpointStore(CHECKPOINT_FILE),
+    onMessage: async ({ text }) => {
+      const res = await apiClient.post('/api/chat', { message: text });
+      return res.data.reply;
+    }
+  });
+  
+  await listener.start();
+  
+  process.on('SIGINT', async () => {
+    console.log('Stopping topic listener...');
+    await listener.stop();
+    process.exit(0);
+  });
+}
+
 async function main() {
   console.log(`DeSci Platform Agent - connecting to ${SERVER_URL}`);
   console.log('----------------------------------------');
@@ -215,12 +394,14 @@ async function main() {
       type: 'list',
       name: 'action',
       message: 'What would you like to do?',
-      choices: ['Upload a Paper', 'Chat with Server', 'Exit'],
+      choices: ['Upload a Paper', 'Import References', 'Chat with Server', 'Exit'],
     }
   ]);
 
   if (action === 'Upload a Paper') {
     await uploadPaper();
+  } else if (action === 'Import References') {
+    await promptImport();
   } else if (action === 'Chat with Server') {
     await chatWithServer();
   } else {
@@ -232,7 +413,30 @@ async function main() {
   await main();
 }
 
-main().catch(err => {
+// `node agent.js import <library> [files.zip] [--fee=N] [--dry-run]` imports a reference library,
+// `node agent.js <TOPIC_ID>` answers topic messages, otherwise run the interactive menu
+const runFromArgs = () => {
+  const [command, ...rest] = process.argv.slice(2);
+  
+  if (command === 'import') {
+    const paths = rest.filter(arg => !arg.startsWith('--'));
+    const feeArg = rest.find(arg => arg.startsWith('--fee='));
+    if (paths.length === 0) {
+      console.error('Usage: node agent.js import <library.bib|.ris|.json> [files.zip] [--fee=N] [--dry-run]');
+      process.exit(1);
+    }
+    return importReferences({
+      libraryPath: paths[0],
+      archivePath: paths[1] || null,
+      fee: feeArg ? parseFloat(feeArg.split('=')[1]) : null,
+      dryRun: rest.includes('--dry-run')
+    }).then(() => process.exit(0));
+  }
+  
+  return command ? listenToTopic(command) : main();
+};
+
+runFromArgs().catch(err => {
   console.error('Unexpected error:', err);
   process.exit(1);
 });
\ No newline at end of file
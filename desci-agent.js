@@ -7,14 +7,31 @@ const mongoose = require('mongoose');
 const fs = require('fs');
 const path = require('path');
 const {
-  Client,
-  AccountId,
-  PrivateKey,
   TopicMessageQuery,
   TopicMessageSubmitTransaction,
   TransferTransaction
 } = require('@hashgraph/sdk');
 const readline = require('readline');
+const PaperDocument = require('./models/PaperDocument');
+const Chat = require('./models/Chat');
+const Entitlement = require('./models/Entitlement');
+const RoyaltyPayment = require('./models/RoyaltyPayment');
+const { getClient } = require('./utils/network');
+const { settlePayment, royaltyShares } = require('./utils/payments');
+const { paperPayees } = require('./utils/royalties');
+const { provisionAgent, deleteAgentRegistration } = require('./utils/hcs10');
+const { createConnectionManager } = require('./utils/hcs10Connections');
+const { createFileCheckpointStore } = require('./utils/topicListener');
+const { readPaperFile } = require('./utils/paperFiles');
+const { ingestPaper, retrievePassages } = require('./utils/passages');
+const { hybridSearch, startEmbeddingBackfill } = require('./utils/search');
+const { generateCitedAnswer } = require('./utils/citations');
+const { describeReviewSummary } = require('./utils/reviews');
+const { authorNames } = require('./utils/paperMetadata');
+const { getBoughtTogether, describeBoughtTogether } = require('./utils/citationGraph');
+
+// Where progress on the HCS-10 inbound topic is saved between restarts
+const HCS10_CHECKPOINT_FILE = process.env.HCS10_CHECKPOINT_FILE || path.resolve('.hcs10-checkpoints.json');
 
 // Initialize OpenAI
 const openai = new OpenAI({
@@ -27,145 +44,70 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
-// Temporary cache for papers that have been paid for
-const paidPapersCache = new Map();
-
-// Paper document schema (should match the server's PaperDocument schema)
-const PaperDocumentSchema = new mongoose.Schema({
-  paperId: { type: String, required: true, unique: true, index: true },
-  title: { type: String, required: true },
-  authors: [{ type: String, required: true }],
-  abstract: { type: String, required: true },
-  keywords: [{ type: String }],
-  contentTopicId: { type: String, required: true },
-  fileId: mongoose.Schema.Types.ObjectId,
-  filename: String,
-  originalname: String,
-  mimetype: String,
-  size: Number,
-  publisherId: { type: String, required: true },
-  fee: { type: Number, required: true, default: 10 },
-  publishDate: { type: Date, default: Date.now },
-  accessCount: { type: Number, default: 0 },
-  lastAccessedAt: { type: Date }
-});
-
-// Create text index for search
-PaperDocumentSchema.index({
-  title: 'text',
-  abstract: 'text',
-  keywords: 'text'
-});
-
-// Static method to find papers by query
-PaperDocumentSchema.statics.searchPapers = async function(query, limit = 5) {
-  if (!query || query.trim() === '') {
-    return this.find({}).limit(limit);
-  }
-  
-  return this.find(
-    { $text: { $search: query } },
-    { score: { $meta: "textScore" } }
-  )
-  .sort({ score: { $meta: "textScore" } })
-  .limit(limit);
-};
-
-const PaperDocument = mongoose.model('PaperDocument', PaperDocumentSchema);
-
-// Chat session schema - Simple version for the agent
-const ChatSchema = new mongoose.Schema({
-  sessionId: { type: String, required: true, unique: true },
-  messages: [{
-    role: String,
-    content: String,
-    timestamp: { type: Date, default: Date.now }
-  }],
-  relatedPapers: [{
-    paperId: String,
-    title: String,
-    fee: Number,
-    contentTopicId: String
-  }],
-  paymentStatus: { type: String, default: 'pending' }, // pending, paid, failed
-  quote: {
-    papersCost: Number,
-    platformFee: Number,
-    totalCost: Number,
-    papers: Array
-  }
-});
-
-// Chat methods
-ChatSchema.methods.addMessage = function(role, content) {
-  this.messages.push({
-    role,
-    content,
-    timestamp: new Date()
+/**
+ * Provision HCS-10 topics for the research agent and register it so other agents can discover it
+ */
+const registerResearchAgent = async (client) => {
+  const agent = await provisionAgent(client, {
+    registryTopicId: process.env.HCS10_REGISTRY_TOPIC_ID,
+    inboundTopicId: process.env.AGENT_INBOUND_TOPIC_ID,
+    outboundTopicId: process.env.AGENT_OUTBOUND_TOPIC_ID,
+    registrationUid: process.env.HCS10_REGISTRATION_UID,
+    memo: "DeSci Research Agent - paper search, quotes and research insights"
   });
-  return this.save();
-};
-
-ChatSchema.methods.setRelatedPapers = function(papers) {
-  this.relatedPapers = papers.map(paper => ({
-    paperId: paper.paperId,
-    title: paper.title,
-    fee: paper.fee,
-    contentTopicId: paper.contentTopicId
-  }));
-  return this.save();
-};
-
-ChatSchema.methods.calculateQuote = function(platformFeePercent = 5) {
-  const papersCost = this.relatedPapers.reduce((total, paper) => total + paper.fee, 0);
-  const platformFee = (papersCost * platformFeePercent) / 100;
   
-  this.quote = {
-    papersCost,
-    platformFee,
-    totalCost: papersCost + platformFee,
-    papers: this.relatedPapers.map(paper => ({
-      paperId: paper.paperId,
-      title: paper.title,
-      fee: paper.fee
-    }))
-  };
+  console.log(`HCS-10 registry topic: ${agent.registryTopicId}`);
+  console.log(`Agent inbound topic: ${agent.inboundTopicId}`);
+  console.log(`Agent outbound topic: ${agent.outboundTopicId}`);
+  console.log(`Registration uid: ${agent.registrationUid}`);
   
-  return this.save();
-};
-
-ChatSchema.methods.setPaid = function() {
-  this.paymentStatus = 'paid';
-  return this.save();
+  // Newly provisioned values must be saved to .env, otherwise every start registers again
+  if (!process.env.HCS10_REGISTRATION_UID) {
+    console.log("Save HCS10_REGISTRY_TOPIC_ID, AGENT_INBOUND_TOPIC_ID, AGENT_OUTBOUND_TOPIC_ID and HCS10_REGISTRATION_UID in .env to reuse this registration.");
+  }
+  
+  return agent;
 };
 
-const Chat = mongoose.model('Chat', ChatSchema);
-
 /**
- * Initialize Hedera client
+ * Answer a message from a connected HCS-10 agent, keeping one chat session per connection
  */
-const initializeClient = async () => {
-  let client;
-
-  // Use AccountId and PrivateKey if provided
-  if (process.env.OPERATOR_ID && process.env.OPERATOR_KEY) {
-    client = Client.forTestnet().setOperator(
-      process.env.OPERATOR_ID,
-      process.env.OPERATOR_KEY
-    );
-  } 
-  // Use EVM address if Account ID not available
-  else if (process.env.OPERATOR_ADDRESS && process.env.OPERATOR_KEY) {
-    client = Client.forTestnet();
-    const accountId = await AccountId.fromEvmAddress(0, 0, process.env.OPERATOR_ADDRESS)
-      .populateAccountNum(client);
-    const privateKey = PrivateKey.fromStringECDSA(process.env.OPERATOR_KEY);
-    client.setOperator(accountId, privateKey);
+const handleAgentMessage = async (connection, data) => {
+  let session = await Chat.findOne({ sessionId: connection.sessionId });
+  if (!session) {
+    session = await new Chat({
+      sessionId: connection.sessionId,
+      userId: connection.requesterAccountId,
+      messages: []
+    }).save();
+  }
+  
+  await session.addMessage('user', data);
+  
+  const papers = await searchRelevantPapers(data);
+  await session.setRelatedPapers(papers);
+  await session.calculateReaderQuote(connection.requesterAccountId);
+  
+  let reply;
+  if (papers.length === 0) {
+    reply = "I couldn't find any papers related to your question. Please try a different topic.";
   } else {
-    throw new Error("Missing Hedera credentials in .env file");
+    reply = `I found ${papers.length} papers that could help answer your question:\n`;
+    papers.forEach((paper, i) => {
+      reply += `${i+1}. "${paper.title}" by ${authorNames(paper.authors).join(', ') || 'Unknown'} (${paper.fee} tokens)\n`;
+    });
+    reply += `Access to these papers costs ${session.quote.totalCost} tokens including the platform fee.`;
+    
+    const owned = await Entitlement.distinct('paperId', { readerAccountId: String(connection.requesterAccountId) });
+    const suggestion = describeBoughtTogether(await getBoughtTogether(
+      papers.map(paper => paper.paperId),
+      { excludePaperIds: owned, limit: 3 }
+    ));
+    if (suggestion) reply += `\n${suggestion}`;
   }
-
-  return client;
+  
+  await session.addMessage('assistant', reply);
+  return reply;
 };
 
 /**
@@ -178,6 +120,9 @@ const connectToMongoDB = async () => {
       useUnifiedTopology: true
     });
     console.log("Connected to MongoDB");
+    // Papers stored before authors were structured list plain names
+    await PaperDocument.migrateLegacyAuthors();
+    startEmbeddingBackfill();
   } catch (error) {
     console.error("MongoDB connection error:", error);
     throw error;
@@ -188,103 +133,152 @@ const connectToMongoDB = async () => {
  * Search for relevant papers based on a query
  */
 const searchRelevantPapers = async (query, limit = 5) => {
-  return await PaperDocument.searchPapers(query, limit);
+  return await hybridSearch(query, { limit });
 };
 
 /**
- * Get paper content from GridFS
+ * Make sure a reader has purchased access to a paper
  */
-const getPaperContent = async (fileId) => {
-  return new Promise((resolve, reject) => {
-    const gfs = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
-      bucketName: 'papers'
-    });
-    
-    const chunks = [];
-    const downloadStream = gfs.openDownloadStream(fileId);
-    
-    downloadStream.on('data', (chunk) => {
-      chunks.push(chunk);
-    });
-    
-    downloadStream.on('error', (error) => {
-      reject(error);
-    });
-    
-    downloadStream.on('end', () => {
-      const content = Buffer.concat(chunks);
-      resolve(content);
-    });
-  });
+const assertPaperAccess = async (paper, readerAccountId) => {
+  if (!await Entitlement.hasAccess(readerAccountId, paper.paperId)) {
+    throw new Error(`${readerAccountId} has not purchased access to paper ${paper.paperId}`);
+  }
 };
 
 /**
- * Process payment for papers
+ * Get paper content from GridFS for a reader who has purchased access
+ */
+const getPaperContent = async (paper, readerAccountId) => {
+  await assertPaperAccess(paper, readerAccountId);
+  return readPaperFile(paper.fileId);
+};
+
+/**
+ * Process payment for the papers the operator account does not own yet
  */
 const processPayment = async (client, chatSession, tokenId) => {
+  const readerAccountId = client.operatorAccountId.toString();
+  
   try {
+    // Readers are never charged twice for the same paper
+    await chatSession.calculateReaderQuote(readerAccountId);
+    if (chatSession.quote.papers.length === 0) {
+      console.log("You already have access to all of these papers.");
+      return true;
+    }
+    
     console.log("Processing payment...");
     
-    // In a real implementation, you'd transfer tokens to all paper publishers
-    // For this demo, we'll just simulate payment success
+    if (!tokenId) {
+      throw new Error("PLATFORM_TOKEN_ID is not set");
+    }
     
-    // Update chat session to paid
-    await chatSession.setPaid();
+    // Resolve each quoted paper's payees from the catalog
+    const papers = await Promise.all(
+      chatSession.quote.papers.map(async (quoted) => {
+        const paperDoc = await PaperDocument.findOne({ paperId: quoted.paperId });
+        if (!paperDoc) {
+          throw new Error(`Paper ${quoted.paperId} no longer exists`);
+        }
+        if (paperDoc.isRetracted()) {
+          throw new Error(`Paper ${quoted.paperId} has been retracted`);
+        }
+        return {
+          paperId: paperDoc.paperId,
+          publisherId: paperDoc.publisherId,
+          fee: quoted.fee,
+          splits: paperPayees(paperDoc)
+        };
+      })
+    );
     
-    // Add papers to paid cache
-    chatSession.relatedPapers.forEach(paper => {
-      paidPapersCache.set(paper.paperId, true);
+    const decimals = parseInt(process.env.PLATFORM_TOKEN_DECIMALS || '2', 10);
+    const result = await settlePayment(client, {
+      tokenId,
+      treasuryId: process.env.PLATFORM_TREASURY_ID,
+      papers,
+      platformFee: chatSession.quote.platformFee,
+      decimals
     });
     
+    if (!result.success) {
+      console.error(`Payment failed with status ${result.status}${result.error ? `: ${result.error}` : ''}`);
+      await chatSession.setPaymentFailed(result.transactionId);
+      return false;
+    }
+    
+    console.log(`Payment settled in transaction ${result.transactionId}`);
+    
+    // Record the reader's access to each paid paper
+    await Entitlement.grant({
+      readerAccountId,
+      paperIds: chatSession.quote.papers.map(paper => paper.paperId),
+      transactionId: result.transactionId
+    });
+    await RoyaltyPayment.recordShares({
+      transactionId: result.transactionId,
+      shares: royaltyShares(papers, decimals),
+      tokenId,
+      decimals,
+      readerAccountId
+    });
+    await chatSession.setPaid(result.transactionId);
+    
     return true;
   } catch (error) {
     console.error("Payment processing error:", error);
+    await chatSession.setPaymentFailed(chatSession.transactionId).catch(() => {});
     return false;
   }
 };
 
 /**
- * Extract text from paper content
+ * Index a purchased paper's passages for retrieval, parsing the file only once
  */
-const extractTextFromPaper = (content, mimeType) => {
-  // In a production environment, you'd use proper libraries to parse PDFs, DOCXs, etc.
-  // For this demo, we'll just convert to string
-  return content.toString('utf8');
+const ingestPurchasedPaper = async (paper, readerAccountId) => {
+  await assertPaperAccess(paper, readerAccountId);
+  return ingestPaper(paper, () => getPaperContent(paper, readerAccountId));
 };
 
 /**
- * Generate research response using AI
+ * Generate a research response using AI, as claims citing the retrieved passages
  */
-const generateResearchResponse = async (query, papers, contents) => {
+const generateResearchResponse = async (query, papers, passages, readerAccountId) => {
   try {
-    // Prepare context from papers
-    const context = papers.map((paper, index) => {
-      const content = contents[index] || "Content not available";
-      return `--- Paper: "${paper.title}" by ${paper.authors?.join(', ') || 'Unknown'} ---\n${content.slice(0, 2000)}...\n`;
-    }).join('\n\n');
-    
-    // Generate response with OpenAI
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // Use appropriate model
-      messages: [
-        {
-          role: "system",
-          content: `You are a research assistant analyzing scientific papers. 
-          Use information from the provided papers to answer the user's query. 
-          When citing information, specify which paper it's from. 
-          Here are excerpts from relevant papers:\n\n${context}`
-        },
-        {
-          role: "user",
-          content: query
-        }
-      ],
+    return await generateCitedAnswer(openai, {
+      question: query,
+      papers,
+      passages,
+      readerAccountId
     });
-    
-    return response.choices[0].message.content;
   } catch (error) {
     console.error("Error generating research response:", error);
-    return "I'm sorry, I couldn't generate a research response due to an error.";
+    return {
+      answer: "I'm sorry, I couldn't generate a research response due to an error.",
+      citations: [],
+      rejectedClaims: []
+    };
+  }
+};
+
+/**
+ * Print the sources behind a research response so each claim can be checked against the paper
+ */
+const printCitations = ({ citations, rejectedClaims }) => {
+  if (citations.length > 0) {
+    console.log("\n--- Sources ---");
+    citations.forEach(citation => {
+      const section = citation.section ? `, ${citation.section}` : '';
+      const anchor = citation.sequenceNumber != null
+        ? ` - sha256 ${citation.passageHash} on topic ${citation.contentTopicId} #${citation.sequenceNumber}`
+        : ` - sha256 ${citation.passageHash} (not anchored yet)`;
+      console.log(`[${citation.marker}] "${citation.title}"${section}, chars ${citation.start}-${citation.end}${anchor}`);
+    });
+  }
+  
+  if (rejectedClaims.length > 0) {
+    console.log("\n--- Rejected claims ---");
+    rejectedClaims.forEach(claim => console.log(`- ${claim.text} (${claim.reason})`));
   }
 };
 
@@ -295,7 +289,23 @@ const runAgent = async () => {
   try {
     // Connect to services
     await connectToMongoDB();
-    const client = await initializeClient();
+    const client = await getClient();
+    
+    // Make the agent discoverable by other HCS-10 agents
+    let hcs10Agent = null;
+    let connectionManager = null;
+    if (process.env.HCS10_ENABLED === 'true') {
+      hcs10Agent = await registerResearchAgent(client);
+      
+      // Accept connection requests and converse with each agent on its own topic
+      connectionManager = createConnectionManager({
+        client,
+        agent: hcs10Agent,
+        onMessage: handleAgentMessage,
+        checkpointStore: createFileCheckpointStore(HCS10_CHECKPOINT_FILE)
+      });
+      await connectionManager.start();
+    }
     
     console.log("DeSci Research Agent initialized");
     console.log("---------------------------------");
@@ -305,6 +315,10 @@ const runAgent = async () => {
     console.log("  /search [query] - Search for papers on a topic");
     console.log("  /quote - Get a quote for accessing the papers needed to answer your last query");
     console.log("  /pay - Pay for access to the papers");
+    if (hcs10Agent) {
+      console.log("  /disconnect [connectionTopicId] - Close an HCS-10 connection");
+      console.log("  /unregister - Remove this agent from the HCS-10 registry");
+    }
     console.log("  /exit - Exit the agent");
     console.log("---------------------------------");
     
@@ -312,6 +326,7 @@ const runAgent = async () => {
     const sessionId = `session-${Date.now()}`;
     let chatSession = new Chat({
       sessionId: sessionId,
+      userId: client.operatorAccountId.toString(),
       messages: []
     });
     await chatSession.save();
@@ -322,13 +337,35 @@ const runAgent = async () => {
         try {
           if (input.toLowerCase() === '/exit') {
             console.log("Thank you for using the DeSci Research Agent. Goodbye!");
+            if (connectionManager) connectionManager.stop();
             rl.close();
             setTimeout(() => process.exit(0), 500);
             return;
           }
           
           // Process commands
-          if (input.toLowerCase().startsWith('/search')) {
+          if (input.toLowerCase().startsWith('/disconnect')) {
+            const connectionTopicId = input.replace(/\/disconnect/i, '').trim();
+            if (!connectionManager || !connectionTopicId) {
+              console.log("Usage: /disconnect [connectionTopicId] (requires HCS10_ENABLED=true)");
+              return askQuestion();
+            }
+            
+            await connectionManager.closeConnection(connectionTopicId);
+            
+          } else if (input.toLowerCase() === '/unregister') {
+            if (!hcs10Agent) {
+              console.log("This agent is not registered with HCS-10. Set HCS10_ENABLED=true to register.");
+              return askQuestion();
+            }
+            
+            await deleteAgentRegistration(client, hcs10Agent.registryTopicId, hcs10Agent.registrationUid);
+            console.log(`Removed registration ${hcs10Agent.registrationUid} from registry ${hcs10Agent.registryTopicId}`);
+            connectionManager.stop();
+            connectionManager = null;
+            hcs10Agent = null;
+            
+          } else if (input.toLowerCase().startsWith('/search')) {
             const query = input.replace('/search', '').trim();
             if (!query) {
               console.log("Please provide a search query.");
@@ -340,8 +377,10 @@ const runAgent = async () => {
             
             console.log("\nRelevant papers:");
             papers.forEach((paper, i) => {
-              console.log(`${i+1}. "${paper.title}" by ${paper.authors?.join(', ') || 'Unknown'}`);
+              console.log(`${i+1}. "${paper.title}" by ${authorNames(paper.authors).join(', ') || 'Unknown'}`);
               console.log(`   Fee: ${paper.fee} tokens`);
+              const review = describeReviewSummary(paper);
+              if (review) console.log(`   ${review}`);
               console.log(`   Abstract: ${paper.abstract?.substring(0, 100)}...`);
               console.log();
             });
@@ -358,7 +397,7 @@ const runAgent = async () => {
             }
             
             // Generate quote
-            await chatSession.calculateQuote();
+            await chatSession.calculateReaderQuote(client.operatorAccountId.toString());
             const quote = chatSession.quote;
             
             console.log("\nQuote for accessing research papers:");
@@ -379,59 +418,48 @@ const runAgent = async () => {
               return askQuestion();
             }
             
-            if (chatSession.paymentStatus === 'paid') {
-              console.log("You've already paid for these papers.");
-            } else {
-              // Process payment
-              const success = await processPayment(client, chatSession, process.env.PLATFORM_TOKEN_ID);
+            // Process payment
+            const success = await processPayment(client, chatSession, process.env.PLATFORM_TOKEN_ID);
+            
+            if (success) {
+              console.log("Access confirmed!");
+              console.log("Analyzing research papers...");
+              
+              const readerAccountId = client.operatorAccountId.toString();
+              const papers = (await Promise.all(
+                chatSession.relatedPapers.map(paper => PaperDocument.findOne({ paperId: paper.paperId }))
+              )).filter(Boolean);
+              
+              // Index the full text of each paper so the answer can draw on every section
+              await Promise.all(papers.filter(paper => paper.fileId).map(async (paper) => {
+                try {
+                  await ingestPurchasedPaper(paper, readerAccountId);
+                } catch (error) {
+                  console.error(`Error indexing content for paper ${paper.paperId}:`, error);
+                }
+              }));
+              
+              // Find most recent question
+              const recentQuestions = chatSession.messages
+                .filter(msg => msg.role === 'user')
+                .map(msg => msg.content);
               
-              if (success) {
-                console.log("Payment processed successfully!");
-                console.log("Analyzing research papers...");
-                
-                // Get content for all papers
-                const paperContents = await Promise.all(
-                  chatSession.relatedPapers.map(async (paper) => {
-                    try {
-                      const paperDoc = await PaperDocument.findOne({ paperId: paper.paperId });
-                      if (!paperDoc || !paperDoc.fileId) {
-                        return "Content not available";
-                      }
-                      
-                      const content = await getPaperContent(paperDoc.fileId);
-                      return extractTextFromPaper(content, paperDoc.mimetype);
-                    } catch (error) {
-                      console.error(`Error retrieving content for paper ${paper.paperId}:`, error);
-                      return "Error retrieving content";
-                    }
-                  })
-                );
-                
-                // Find most recent question
-                const recentQuestions = chatSession.messages
-                  .filter(msg => msg.role === 'user')
-                  .map(msg => msg.content);
-                
-                const lastQuestion = recentQuestions[recentQuestions.length - 1] || "Summarize the papers";
-                
-                // Generate research response
-                const papers = await Promise.all(
-                  chatSession.relatedPapers.map(paper => 
-                    PaperDocument.findOne({ paperId: paper.paperId })
-                  )
-                );
-                
-                console.log("\nGenerating research response...");
-                const researchResponse = await generateResearchResponse(lastQuestion, papers, paperContents);
-                
-                console.log("\n=== RESEARCH FINDINGS ===");
-                console.log(researchResponse);
-                console.log("=========================\n");
-                
-                await chatSession.addMessage('assistant', researchResponse);
-              } else {
-                console.log("Payment failed. Please try again.");
-              }
+              const lastQuestion = recentQuestions[recentQuestions.length - 1] || "Summarize the papers";
+              
+              // Select the passages that best answer it across the purchased papers
+              const passages = await retrievePassages(lastQuestion, papers.map(paper => paper.paperId));
+              
+              console.log("\nGenerating research response...");
+              const researchResponse = await generateResearchResponse(lastQuestion, papers, passages, readerAccountId);
+              
+              console.log("\n=== RESEARCH FINDINGS ===");
+              console.log(researchResponse.answer);
+              printCitations(researchResponse);
+              console.log("=========================\n");
+              
+              await chatSession.addMessage('assistant', researchResponse.answer, researchResponse.citations);
+            } else {
+              console.log("Payment failed. Please try again.");
             }
           } else {
             // Treat as a research question
@@ -440,13 +468,13 @@ const runAgent = async () => {
             console.log("Searching for relevant papers to answer your question...");
             const papers = await searchRelevantPapers(input);
             await chatSession.setRelatedPapers(papers);
-            await chatSession.calculateQuote();
+            await chatSession.calculateReaderQuote(client.operatorAccountId.toString());
             
             console.log(`I found ${papers.length} papers that could help answer your question.`);
             console.log("Here are the most relevant papers:");
             
             papers.slice(0, 3).forEach((paper, i) => {
-              console.log(`${i+1}. "${paper.title}" by ${paper.authors?.join(', ') || 'Unknown'}`);
+              console.log(`${i+1}. "${paper.title}" by ${authorNames(paper.authors).join(', ') || 'Unknown'}`);
             });
             
             console.log(`\nTo access these papers, you'll need to pay ${chatSession.quote.totalCost} tokens.`);
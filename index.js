@@ -1,42 +1,69 @@
 const dotenv = require('dotenv')
 const getClient = require('./utils/client')
-const { TopicCreateTransaction, CustomFixedFee, Client, TopicMessageSubmitTransaction } = require('@hashgraph/sdk')
+const { TopicCreateTransaction, CustomFixedFee, TopicMessageSubmitTransaction } = require('@hashgraph/sdk')
+const { execute, clientForAccount } = require('./utils/network')
 const { createMockUSDC, transferTokens } = require('./utils/token')
 const createAccount = require('./utils/account')
 const { getUserInput, closeReadline } = require('./utils/message')
 dotenv.config()
 
-const main = async () => {
-  console.log('Initializing Hedera client...')
-  const client = await getClient()
+// Fee charged by the topic for each message, in the smallest unit of the mock USDC token
+const MESSAGE_FEE = 5
 
-  console.log('Creating new account for fee payer...')
-  const newAccount = await createAccount(client)
-  console.log(`Created new fee payer account with ID: ${newAccount.accountId}`)
-
-  console.log('Creating mock USDC token...')
-  const mockUSDC = await createMockUSDC(client)
-  console.log(`Mock USDC token created with ID: ${mockUSDC}`)
+/**
+ * Create a fee payer account holding mock USDC and a topic that charges it MESSAGE_FEE per message,
+ * collected by the operator
+ * @param {Object} client - Operator client
+ * @returns {Promise<{feePayer: {accountId: AccountId, privateKey: PrivateKey}, tokenId: TokenId, topicId: TopicId}>}
+ */
+const setupFeeTopic = async (client) => {
+  const feePayer = await createAccount(client)
+  const tokenId = await createMockUSDC(client)
 
   // Transfer some tokens to the fee payer account
-  console.log('Transferring tokens to fee payer account...')
-  await transferTokens(client, mockUSDC, client.operatorAccountId, newAccount.accountId, 100)
-  console.log('Transferred 100 tokens to fee payer account')
+  await transferTokens(client, tokenId, client.operatorAccountId, feePayer.accountId, 100)
 
-  console.log('Setting up custom fee configuration...')
   const customFee = new CustomFixedFee()
-    .setDenominatingTokenId(mockUSDC)
-    .setAmount(5)
+    .setDenominatingTokenId(tokenId)
+    .setAmount(MESSAGE_FEE)
     .setFeeCollectorAccountId(client.operatorAccountId)
-  console.log(`Custom fee configured: 5 ${mockUSDC} tokens per message`)
 
-  console.log('Creating new topic with custom fee...')
   const topicCreateTx = new TopicCreateTransaction()
     .setCustomFees([customFee])
 
-  const executeTopicCreateTx = await topicCreateTx.execute(client)
+  const executeTopicCreateTx = await execute(client, topicCreateTx)
   const topicCreateReceipt = await executeTopicCreateTx.getReceipt(client)
-  const topicId = topicCreateReceipt.topicId
+
+  return { feePayer, tokenId, topicId: topicCreateReceipt.topicId }
+}
+
+/**
+ * Submit a message to the topic as the fee payer, who pays the topic's custom fee
+ * @param {Object} client - Operator client
+ * @param {{accountId: AccountId, privateKey: PrivateKey}} feePayer - Account submitting the message
+ * @param {TopicId} topicId - Topic with the custom fee
+ * @param {string} message - Message text
+ * @returns {Promise<TransactionReceipt>}
+ */
+const submitMessage = async (client, feePayer, topicId, message) => {
+  const submitMessageTx = new TopicMessageSubmitTransaction()
+    .setTopicId(topicId)
+    .setMessage(message)
+  const newClient = await clientForAccount(client, feePayer.accountId, feePayer.privateKey)
+  const executeSubmitMessageTx = await execute(newClient, submitMessageTx)
+  return executeSubmitMessageTx.getReceipt(newClient)
+}
+
+const main = async () => {
+  console.log('Initializing Hedera client...')
+  const client = await getClient()
+
+  console.log('Creating fee payer account, mock USDC token and topic with custom fee...')
+  const { feePayer, tokenId, topicId } = await setupFeeTopic(client)
+  console.log(`Created new fee payer account with ID: ${feePayer.accountId}`)
+  console.log(`Mock USDC token created with ID: ${tokenId}`)
+  console.log('Transferred 100 tokens to fee payer account')
+  console.log(`Custom fee configured: ${MESSAGE_FEE} ${tokenId} tokens per message`)
   console.log(`Topic created successfully with ID: ${topicId}`)
 
   console.log('\nMessage submission loop started. Type "exit" to quit.')
@@ -56,12 +83,7 @@ const main = async () => {
     }
 
     try {
-      const submitMessageTx = new TopicMessageSubmitTransaction()
-        .setTopicId(topicId)
-        .setMessage(message)
-      const newClient = Client.forTestnet().setOperator(newAccount.accountId, newAccount.privateKey)
-      const executeSubmitMessageTx = await submitMessageTx.execute(newClient)
-      const submitMessageReceipt = await executeSubmitMessageTx.getReceipt(newClient)
+      const submitMessageReceipt = await submitMessage(client, feePayer, topicId, message)
       console.log(`Message "${message}" submitted successfully to topic`)
       console.log(`Transaction status: ${submitMessageReceipt.status}`)
     } catch (error) {
@@ -73,11 +95,16 @@ const main = async () => {
   closeReadline()
 }
 
-main()
-  .then(() => process.exit(0))
-  .catch(err => {
-    console.error(err)
-    process.exit(1)
-  })
+module.exports = { MESSAGE_FEE, setupFeeTopic, submitMessage }
+
+// Run the interactive loop only when started directly, not when required by tests
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch(err => {
+      console.error(err)
+      process.exit(1)
+    })
+}
 
   // Test
\ No newline at end of file
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// HCS-10 connection between one of our agents and a remote agent
+const AgentConnectionSchema = new mongoose.Schema({
+  // Unset while the request is claimed but its topic is still being created
+  connectionTopicId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // Our side of the connection
+  agentAccountId: {
+    type: String,
+    required: true
+  },
+  inboundTopicId: {
+    type: String,
+    required: true
+  },
+  // Remote agent that sent the connection_request
+  requesterAccountId: {
+    type: String,
+    required: true
+  },
+  requesterOperatorId: String,
+  // Sequence number of the connection_request on our inbound topic
+  connectionRequestId: {
+    type: Number,
+    required: true
+  },
+  // Chat session holding this connection's conversation
+  sessionId: String,
+  status: {
+    type: String,
+    enum: ['pending', 'open', 'closed'],
+    default: 'open'
+  },
+  // Last processed message on the connection topic, where the subscription resumes
+  lastSequenceNumber: {
+    type: Number,
+    default: 0
+  },
+  lastConsensusTimestamp: String,
+  closedAt: Date,
+  closeReason: String
+}, {
+  timestamps: true
+});
+
+// A connection request is only ever accepted once
+AgentConnectionSchema.index({ inboundTopicId: 1, connectionRequestId: 1 }, { unique: true });
+
+// Claims a connection request before its topic is created, null when it was already claimed.
+// The unique index settles requests handled by several agent processes at once.
+AgentConnectionSchema.statics.claimRequest = async function(connection) {
+  try {
+    return await this.create({ ...connection, status: 'pending' });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Marks the connection as closed
+AgentConnectionSchema.methods.markClosed = function(reason) {
+  this.status = 'closed';
+  this.closedAt = new Date();
+  this.closeReason = reason;
+  return this.save();
+};
+
+const AgentConnection = mongoose.model('AgentConnection', AgentConnectionSchema);
+
+module.exports = AgentConnection;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A one-time login challenge an account must sign with its key
+const AuthChallengeSchema = new mongoose.Schema({
+  accountId: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Exact text the account signs
+  message: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes challenges once they expire
+AuthChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Take a challenge so it cannot be used twice, null if it is unknown or expired
+AuthChallengeSchema.statics.consume = function(accountId, nonce) {
+  return this.findOneAndDelete({ accountId, nonce, expiresAt: { $gt: new Date() } });
+};
+
+const AuthChallenge = mongoose.model('AuthChallenge', AuthChallengeSchema);
+
+module.exports = AuthChallenge;
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// An API session issued after an account signed a login challenge
+const AuthSessionSchema = new mongoose.Schema({
+  // Verified Hedera account
+  accountId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // SHA-256 of the bearer token, the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// MongoDB removes sessions once they expire
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Start a session and return the bearer token for it
+AuthSessionSchema.statics.issue = async function(accountId, ttlHours) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const session = await this.create({
+    accountId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+  });
+  return { token, accountId: session.accountId, expiresAt: session.expiresAt };
+};
+
+// The unexpired session for a bearer token, or null
+AuthSessionSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+};
+
+// End the session for a bearer token
+AuthSessionSchema.statics.revoke = function(token) {
+  return this.deleteOne({ tokenHash: hashToken(token) });
+};
+
+const AuthSession = mongoose.model('AuthSession', AuthSessionSchema);
+
+module.exports = AuthSession;
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Entitlement = require('./Entitlement');
+
+// Chat session schema shared by the API and the research agent
+const ChatSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Reader owning the session (account or client-chosen user ID)
+  userId: {
+    type: String,
+    index: true
+  },
+  title: String,
+  messages: [{
+    role: String,
+    content: String,
+    // Passages cited by an assistant reply, see utils/citations.js
+    citations: Array,
+    timestamp: { type: Date, default: Date.now }
+  }],
+  relatedPapers: [{
+    paperId: String,
+    title: String,
+    fee: Number,
+    contentTopicId: String,
+    publisherId: String
+  }],
+  paymentStatus: { type: String, default: 'pending' }, // pending, paid, failed
+  transactionId: String, // Hedera transaction ID of the last payment attempt
+  quote: {
+    papersCost: Number,
+    platformFee: Number,
+    totalCost: Number,
+    papers: Array
+  }
+}, {
+  timestamps: true
+});
+
+// Chat methods
+ChatSchema.methods.addMessage = function(role, content, citations = []) {
+  this.messages.push({
+    role,
+    content,
+    citations,
+    timestamp: new Date()
+  });
+  return this.save();
+};
+
+ChatSchema.methods.setRelatedPapers = function(papers) {
+  this.relatedPapers = papers.map(paper => ({
+    paperId: paper.paperId,
+    title: paper.title,
+    fee: paper.fee,
+    contentTopicId: paper.contentTopicId,
+    publisherId: paper.publisherId
+  }));
+  return this.save();
+};
+
+// Quote papers at the given fees plus the platform's percentage, without saving
+ChatSchema.methods.setQuote = function(papers, platformFeePercent = 5) {
+  const papersCost = papers.reduce((total, paper) => total + paper.fee, 0);
+  const platformFee = (papersCost * platformFeePercent) / 100;
+
+  this.quote = {
+    papersCost,
+    platformFee,
+    totalCost: papersCost + platformFee,
+    papers: papers.map(paper => ({
+      paperId: paper.paperId,
+      title: paper.title,
+      fee: paper.fee
+    }))
+  };
+  return this.quote;
+};
+
+// Papers the reader already owns are left out of the quote
+ChatSchema.methods.calculateQuote = function(platformFeePercent = 5, ownedPaperIds = []) {
+  this.setQuote(this.relatedPapers.filter(paper => !ownedPaperIds.includes(paper.paperId)), platformFeePercent);
+  return this.save();
+};
+
+// Quote the related papers the reader does not already have access to
+ChatSchema.methods.calculateReaderQuote = async function(readerAccountId, platformFeePercent = 5) {
+  const ownedPaperIds = await Entitlement.findOwnedPaperIds(
+    readerAccountId,
+    this.relatedPapers.map(paper => paper.paperId)
+  );
+  return this.calculateQuote(platformFeePercent, ownedPaperIds);
+};
+
+ChatSchema.methods.setPaid = function(transactionId) {
+  this.paymentStatus = 'paid';
+  this.transactionId = transactionId;
+  return this.save();
+};
+
+ChatSchema.methods.setPaymentFailed = function(transactionId) {
+  this.paymentStatus = 'failed';
+  this.transactionId = transactionId;
+  return this.save();
+};
+
+// Register the model
+const Chat = mongoose.model('Chat', ChatSchema);
+
+module.exports = Chat;
@@ -0,0 +1,153 @@
+const mongoose = require('mongoose');
+
+// Fewest distinct readers behind a bought-together suggestion, so no single reader's purchases can be read off it
+const MIN_CO_READERS = 3;
+// Readers of the given papers sampled, and purchases read per reader, when counting co-purchases
+const CO_PURCHASE_READERS = 500;
+const CO_PURCHASE_PAPERS_PER_READER = 100;
+
+// A reader's paid access to one paper, or to one version of it
+const EntitlementSchema = new mongoose.Schema({
+  readerAccountId: {
+    type: String,
+    required: true
+  },
+  paperId: {
+    type: String,
+    required: true
+  },
+  // Hedera transaction that paid for the access
+  transactionId: {
+    type: String,
+    required: true
+  },
+  // Paper version covered, every version (including later corrections) when unset
+  version: Number,
+  // Access never expires when unset
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+EntitlementSchema.index({ readerAccountId: 1, paperId: 1 });
+// Readers of a paper, for holder checks and co-purchase counts
+EntitlementSchema.index({ paperId: 1 });
+// A payment grants each paper at most once
+EntitlementSchema.index({ transactionId: 1, paperId: 1 }, { unique: true });
+
+// Query for entitlements that are currently valid
+const activeFilter = (readerAccountId, now = new Date()) => ({
+  readerAccountId: readerAccountId.toString(),
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+});
+
+// Entitlements covering a given version: grants for every version and grants for that one
+const versionFilter = (version) => ({ $or: [{ version: null }, { version }] });
+
+// Current version of each paper, for checking version-specific entitlements
+const currentVersions = async (paperIds) => {
+  const papers = await mongoose.model('PaperDocument').find(
+    { paperId: { $in: paperIds } },
+    { paperId: 1, currentVersion: 1 }
+  );
+  return new Map(papers.map(paper => [paper.paperId, paper.currentVersion || 1]));
+};
+
+// Expiry for new entitlements, from ENTITLEMENT_DAYS (unset means no expiry)
+const defaultExpiry = () => {
+  const days = parseFloat(process.env.ENTITLEMENT_DAYS);
+  return days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined;
+};
+
+// Whether a reader currently has access to a version of a paper (the current version when omitted)
+EntitlementSchema.statics.hasAccess = async function(readerAccountId, paperId, version) {
+  if (!readerAccountId) return false;
+  const covered = version != null ? version : (await currentVersions([paperId])).get(paperId) || 1;
+  const entitlement = await this.exists({
+    ...activeFilter(readerAccountId),
+    paperId,
+    $and: [versionFilter(covered)]
+  });
+  return Boolean(entitlement);
+};
+
+// Which of the given papers a reader currently owns in their current version
+EntitlementSchema.statics.findOwnedPaperIds = async function(readerAccountId, paperIds) {
+  if (!readerAccountId || paperIds.length === 0) return [];
+  const entitlements = await this.find(
+    { ...activeFilter(readerAccountId), paperId: { $in: paperIds } },
+    { paperId: 1, version: 1 }
+  );
+
+  const pinned = entitlements.filter(entitlement => entitlement.version != null);
+  const versions = pinned.length > 0 ? await currentVersions(pinned.map(entitlement => entitlement.paperId)) : new Map();
+
+  const owned = entitlements
+    .filter(entitlement => entitlement.version == null || entitlement.version === versions.get(entitlement.paperId))
+    .map(entitlement => entitlement.paperId);
+  return [...new Set(owned)];
+};
+
+// Whether any reader currently holds access to some version of a paper
+EntitlementSchema.statics.hasHolders = async function(paperId, now = new Date()) {
+  const entitlement = await this.exists({
+    paperId,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  });
+  return Boolean(entitlement);
+};
+
+// Other papers bought by the readers of the given papers, with how many of those readers bought each one.
+// Only current entitlements count, and papers bought by fewer than MIN_CO_READERS readers are left out.
+EntitlementSchema.statics.boughtTogether = function(paperIds, { excludePaperIds = [], limit = 5, now = new Date() } = {}) {
+  if (paperIds.length === 0) return Promise.resolve([]);
+  const active = { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] };
+  return this.aggregate([
+    { $match: { paperId: { $in: paperIds }, ...active } },
+    { $group: { _id: '$readerAccountId', lastBought: { $max: '$createdAt' } } },
+    { $sort: { lastBought: -1 } },
+    { $limit: CO_PURCHASE_READERS },
+    {
+      $lookup: {
+        from: this.collection.name,
+        let: { reader: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$readerAccountId', '$$reader'] }, ...active } },
+          { $sort: { createdAt: -1 } },
+          { $limit: CO_PURCHASE_PAPERS_PER_READER },
+          { $project: { _id: 0, paperId: 1 } }
+        ],
+        as: 'bought'
+      }
+    },
+    { $unwind: '$bought' },
+    { $match: { 'bought.paperId': { $nin: [...paperIds, ...excludePaperIds] } } },
+    { $group: { _id: '$bought.paperId', readers: { $addToSet: '$_id' } } },
+    { $project: { _id: 0, paperId: '$_id', readers: { $size: '$readers' } } },
+    { $match: { readers: { $gte: MIN_CO_READERS } } },
+    { $sort: { readers: -1, paperId: 1 } },
+    { $limit: limit }
+  ]);
+};
+
+// Grant a reader access to papers paid for in one transaction.
+// versions maps a paperId to the single version bought; papers left out cover every version.
+EntitlementSchema.statics.grant = function({ readerAccountId, paperIds, transactionId, versions = {}, expiresAt = defaultExpiry() }) {
+  return Promise.all(paperIds.map(paperId => this.findOneAndUpdate(
+    { transactionId, paperId },
+    {
+      $setOnInsert: {
+        readerAccountId: readerAccountId.toString(),
+        paperId,
+        transactionId,
+        version: versions[paperId],
+        expiresAt
+      }
+    },
+    { upsert: true, new: true }
+  )));
+};
+
+const Entitlement = mongoose.model('Entitlement', EntitlementSchema);
+
+module.exports = Entitlement;
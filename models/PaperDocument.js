@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 
+// An author of a paper, with an optional ORCID iD (bare, e.g. 0000-0002-1825-0097)
+const AuthorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  orcid: String,
+  affiliation: String,
+  // Organisation or other name that is cited whole, never split into family and given names
+  literal: Boolean
+}, {
+  _id: false
+});
+
 // Document schema for papers
 const PaperDocumentSchema = new mongoose.Schema({
   // Original MCP fields
@@ -10,6 +24,11 @@ const PaperDocumentSchema = new mongoose.Schema({
   size: Number,
   uploadDate: Date,
   topicId: String,
+  // Version the file fields above belong to, older versions live in PaperVersion
+  currentVersion: {
+    type: Number,
+    default: 1
+  },
   
   // DeSci specific fields
   paperId: {
@@ -22,10 +41,7 @@ const PaperDocumentSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  authors: [{
-    type: String,
-    required: true
-  }],
+  authors: [AuthorSchema],
   abstract: {
     type: String,
     required: true
@@ -33,6 +49,14 @@ const PaperDocumentSchema = new mongoose.Schema({
   keywords: [{
     type: String
   }],
+  // Bare DOI, e.g. 10.1000/xyz123
+  doi: String,
+  // License the paper is published under, e.g. an SPDX identifier such as CC-BY-4.0
+  license: String,
+  // paperIds of the papers this paper cites
+  references: [{
+    type: String
+  }],
   contentTopicId: {
     type: String,
     required: true
@@ -46,6 +70,23 @@ const PaperDocumentSchema = new mongoose.Schema({
     required: true,
     default: 10
   },
+  // Account collecting the HIP-991 topic fee, defaults to the publisher
+  feeCollectorId: {
+    type: String
+  },
+  // Token the topic fee is denominated in, HBAR when empty
+  feeTokenId: {
+    type: String
+  },
+  // How the fee is shared between accounts in basis points (summing to 10000), all to the publisher when empty
+  royaltySplits: [{
+    accountId: String,
+    role: {
+      type: String,
+      enum: ['publisher', 'author', 'reviewer', 'other']
+    },
+    basisPoints: Number
+  }],
   publishDate: {
     type: Date,
     default: Date.now
@@ -56,6 +97,42 @@ const PaperDocumentSchema = new mongoose.Schema({
   },
   lastAccessedAt: {
     type: Date
+  },
+  // Signed manifest of the stored file published on the content topic, and its registry entry
+  provenance: {
+    sha256: String,
+    size: Number,
+    signerPublicKey: String,
+    manifestTopicId: String,
+    manifestSequenceNumber: Number,
+    manifestConsensusTimestamp: String,
+    registryTopicId: String,
+    registrySequenceNumber: Number
+  },
+  // Topic holding the paper's review invitations and signed reviews, created with the first invitation
+  reviewTopicId: String,
+  // Maintained by Review.refreshSummary
+  reviewSummary: {
+    status: {
+      type: String,
+      enum: ['not_reviewed', 'in_review', 'reviewed'],
+      default: 'not_reviewed'
+    },
+    invited: Number,
+    submitted: Number,
+    averageScores: Object,
+    recommendations: Object
+  },
+  // Set when the publisher withdraws the paper. Retracted papers drop out of search and quotes,
+  // but readers who already paid keep their access unless the files were purged.
+  retraction: {
+    retractedAt: Date,
+    reason: String,
+    retractedBy: String,
+    // Files and extracted text were deleted because no reader held access
+    purged: Boolean,
+    registryTopicId: String,
+    registrySequenceNumber: Number
   }
 }, {
   timestamps: true
@@ -75,16 +152,58 @@ PaperDocumentSchema.methods.recordAccess = async function() {
   return this.save();
 };
 
-// Static method to find papers by search query
-PaperDocumentSchema.statics.searchPapers = async function(query) {
+// Catalog filters and sorts, with _id breaking ties for cursor pagination
+PaperDocumentSchema.index({ publishDate: -1, _id: -1 });
+PaperDocumentSchema.index({ accessCount: -1, _id: -1 });
+PaperDocumentSchema.index({ fee: 1, _id: 1 });
+PaperDocumentSchema.index({ 'authors.name': 1 });
+PaperDocumentSchema.index({ 'authors.orcid': 1 }, { sparse: true });
+PaperDocumentSchema.index({ doi: 1 }, { sparse: true });
+PaperDocumentSchema.index({ references: 1 });
+PaperDocumentSchema.index({ keywords: 1 });
+
+// Papers saved before authors were structured store plain name strings, convert them in place
+PaperDocumentSchema.statics.migrateLegacyAuthors = function() {
+  return this.updateMany(
+    { authors: { $type: 'string' } },
+    [{
+      $set: {
+        authors: {
+          $map: {
+            input: '$authors',
+            as: 'author',
+            in: { $cond: [{ $eq: [{ $type: '$$author' }, 'string'] }, { name: '$$author' }, '$$author'] }
+          }
+        }
+      }
+    }]
+  );
+};
+
+// Whether the publisher has withdrawn the paper
+PaperDocumentSchema.methods.isRetracted = function() {
+  return Boolean(this.retraction && this.retraction.retractedAt);
+};
+
+// Query matching papers that are still listed, i.e. not retracted
+PaperDocumentSchema.statics.listedFilter = function() {
+  return { 'retraction.retractedAt': null };
+};
+
+// Static method to find papers by search query, optionally limited to the top results
+PaperDocumentSchema.statics.searchPapers = async function(query, limit) {
+  let results;
+  
   if (!query || query.trim() === '') {
-    return this.find({}, { content: 0 }); // Exclude content for listing
+    results = this.find(this.listedFilter(), { content: 0 }); // Exclude content for listing
+  } else {
+    results = this.find(
+      { $text: { $search: query }, ...this.listedFilter() },
+      { score: { $meta: "textScore" } } // Include text match score
+    ).sort({ score: { $meta: "textScore" } });
   }
   
-  return this.find(
-    { $text: { $search: query } },
-    { score: { $meta: "textScore" } } // Include text match score
-  ).sort({ score: { $meta: "textScore" } });
+  return limit ? results.limit(limit) : results;
 };
 
 // Register the model
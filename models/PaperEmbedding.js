@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Vector embedding of a paper's title, abstract and keywords
+const PaperEmbeddingSchema = new mongoose.Schema({
+  paperId: {
+    type: String,
+    required: true
+  },
+  // Provider and size that produced the vector (e.g. "hash/256")
+  provider: {
+    type: String,
+    required: true
+  },
+  vector: {
+    type: [Number],
+    required: true
+  },
+  // SHA-256 of the embedded text, the vector is recomputed when it changes
+  textHash: String
+}, {
+  timestamps: true
+});
+
+PaperEmbeddingSchema.index({ provider: 1, paperId: 1 }, { unique: true });
+
+const PaperEmbedding = mongoose.model('PaperEmbedding', PaperEmbeddingSchema);
+
+module.exports = PaperEmbedding;
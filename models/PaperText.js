@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Text extracted from a paper's GridFS file, cached so each file is parsed once
+const PaperTextSchema = new mongoose.Schema({
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  paperId: String,
+  mimetype: String,
+  // Extractor that produced the text (pdf, docx, latex, markdown, csv, xlsx, zip, text)
+  format: String,
+  // Extraction version, cached text from older versions is rebuilt
+  version: Number,
+  sections: [{
+    _id: false,
+    title: String,
+    level: Number,
+    text: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Full text with section headings, rebuilt from the sections so it is not stored twice
+PaperTextSchema.virtual('text').get(function() {
+  return this.sections
+    .map(section => [section.title, section.text].filter(Boolean).join('\n'))
+    .join('\n\n');
+});
+
+const PaperText = mongoose.model('PaperText', PaperTextSchema);
+
+module.exports = PaperText;
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One published revision of a paper's file; the PaperDocument mirrors the current one
+const PaperVersionSchema = new mongoose.Schema({
+  paperId: {
+    type: String,
+    required: true
+  },
+  // Revision number, starting at 1 for the original upload
+  version: {
+    type: Number,
+    required: true
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  filename: String,
+  originalname: String,
+  mimetype: String,
+  size: Number,
+  // What changed since the previous version
+  changelog: String,
+  // Account that published the revision
+  publishedBy: String,
+  // Signed manifest announcing the revision on the paper's content topic
+  provenance: {
+    sha256: String,
+    size: Number,
+    signerPublicKey: String,
+    manifestTopicId: String,
+    manifestSequenceNumber: Number,
+    manifestConsensusTimestamp: String,
+    registryTopicId: String,
+    registrySequenceNumber: Number
+  }
+}, {
+  timestamps: true
+});
+
+PaperVersionSchema.index({ paperId: 1, version: 1 }, { unique: true });
+
+// A paper's versions, newest first
+PaperVersionSchema.statics.listVersions = function(paperId) {
+  return this.find({ paperId }).sort({ version: -1 });
+};
+
+const PaperVersion = mongoose.model('PaperVersion', PaperVersionSchema);
+
+module.exports = PaperVersion;
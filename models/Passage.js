@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// A retrievable chunk of a paper's extracted text
+const PassageSchema = new mongoose.Schema({
+  paperId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  fileId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Position of the passage in the paper
+  passageIndex: {
+    type: Number,
+    required: true
+  },
+  sectionTitle: String,
+  sectionIndex: Number,
+  // Character offsets of the passage in the paper's extracted text
+  start: Number,
+  end: Number,
+  text: {
+    type: String,
+    required: true
+  },
+  // Estimated LLM tokens, used to fill the retrieval budget
+  tokens: Number,
+  // SHA-256 of the text, published on the paper's content topic
+  hash: String,
+  // Content topic message that carries the hash
+  anchorTopicId: String,
+  anchorSequenceNumber: Number,
+  anchorConsensusTimestamp: String,
+  // Set while one indexing run is publishing the hash, so no other run publishes it too
+  anchorClaimId: String,
+  anchorClaimedAt: Date,
+  // Chunking version, passages from older versions are rebuilt
+  version: Number
+}, {
+  timestamps: true
+});
+
+PassageSchema.index({ fileId: 1, passageIndex: 1 }, { unique: true });
+PassageSchema.index({ anchorClaimId: 1 }, { sparse: true });
+
+// Section titles count double when ranking passages
+PassageSchema.index(
+  { text: 'text', sectionTitle: 'text' },
+  { weights: { text: 1, sectionTitle: 2 } }
+);
+
+const Passage = mongoose.model('Passage', PassageSchema);
+
+module.exports = Passage;
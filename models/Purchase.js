@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A verified on-chain payment and the quote it bought. Each transaction can pay for one purchase only.
+const PurchaseSchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  quoteId: {
+    type: String,
+    required: true
+  },
+  sessionId: String,
+  readerAccountId: {
+    type: String,
+    required: true
+  },
+  paperIds: [{
+    type: String
+  }],
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+// Claim a transaction for a purchase. Resolves to null when the transaction was already claimed.
+PurchaseSchema.statics.claim = async function(purchase) {
+  try {
+    return await this.create(purchase);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const Purchase = mongoose.model('Purchase', PurchaseSchema);
+
+module.exports = Purchase;
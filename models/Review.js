@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+// A reviewer's invitation to review a paper, and the signed review once submitted
+const ReviewSchema = new mongoose.Schema({
+  paperId: {
+    type: String,
+    required: true
+  },
+  reviewerAccountId: {
+    type: String,
+    required: true
+  },
+  invitedBy: {
+    type: String,
+    required: true
+  },
+  // 'submitting' while a review or decline is being published on the review topic
+  status: {
+    type: String,
+    enum: ['invited', 'submitting', 'declined', 'submitted'],
+    default: 'invited'
+  },
+  // Paper version the review covers
+  paperVersion: Number,
+  // Scores from 1 to 5 per criterion
+  scores: {
+    soundness: Number,
+    novelty: Number,
+    clarity: Number,
+    overall: Number
+  },
+  recommendation: {
+    type: String,
+    enum: ['accept', 'minor_revision', 'major_revision', 'reject']
+  },
+  comments: String,
+  // Reviewer's signature over the review statement, hex
+  signature: String,
+  submittedAt: Date,
+  // Where the invitation and the review were recorded on the paper's review topic
+  reviewTopicId: String,
+  invitationSequenceNumber: Number,
+  sequenceNumber: Number,
+  consensusTimestamp: String
+}, {
+  timestamps: true
+});
+
+// A reviewer is invited to each paper once
+ReviewSchema.index({ paperId: 1, reviewerAccountId: 1 }, { unique: true });
+ReviewSchema.index({ reviewerAccountId: 1, status: 1 });
+
+// Whether an account has an open invitation to review a paper. Access ends once the review is submitted or declined.
+ReviewSchema.statics.isReviewer = async function(accountId, paperId) {
+  if (!accountId) return false;
+  const review = await this.exists({ paperId, reviewerAccountId: accountId, status: { $in: ['invited', 'submitting'] } });
+  return Boolean(review);
+};
+
+// Review status of a paper with its average scores and recommendations, stored on the paper for listings
+ReviewSchema.statics.refreshSummary = async function(paperId) {
+  const reviews = await this.find({ paperId, status: { $ne: 'declined' } });
+  const submitted = reviews.filter(review => review.status === 'submitted');
+
+  const averageScores = {};
+  if (submitted.length > 0) {
+    ['soundness', 'novelty', 'clarity', 'overall'].forEach(criterion => {
+      const total = submitted.reduce((sum, review) => sum + review.scores[criterion], 0);
+      averageScores[criterion] = Math.round(total / submitted.length * 10) / 10;
+    });
+  }
+
+  const recommendations = {};
+  submitted.forEach(review => {
+    recommendations[review.recommendation] = (recommendations[review.recommendation] || 0) + 1;
+  });
+
+  let status = 'not_reviewed';
+  if (submitted.length > 0) status = 'reviewed';
+  else if (reviews.length > 0) status = 'in_review';
+
+  const summary = {
+    status,
+    invited: reviews.length,
+    submitted: submitted.length,
+    averageScores,
+    recommendations
+  };
+  await mongoose.model('PaperDocument').updateOne({ paperId }, { $set: { reviewSummary: summary } });
+  return summary;
+};
+
+const Review = mongoose.model('Review', ReviewSchema);
+
+module.exports = Review;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// One payee's share of a paper fee, paid in a reader's purchase transaction
+const RoyaltyPaymentSchema = new mongoose.Schema({
+  accountId: {
+    type: String,
+    required: true
+  },
+  paperId: {
+    type: String,
+    required: true
+  },
+  role: String,
+  basisPoints: Number,
+  // Hedera transaction that paid the share
+  transactionId: {
+    type: String,
+    required: true
+  },
+  readerAccountId: String,
+  tokenId: String,
+  // Amount in the token's smallest unit
+  units: {
+    type: Number,
+    required: true
+  },
+  decimals: Number,
+  paidAt: Date
+}, {
+  timestamps: true
+});
+
+RoyaltyPaymentSchema.index({ accountId: 1, paperId: 1 });
+// A transaction pays each payee of a paper once
+RoyaltyPaymentSchema.index({ transactionId: 1, paperId: 1, accountId: 1 }, { unique: true });
+
+// Record the shares paid in a purchase transaction, ignoring shares already recorded
+RoyaltyPaymentSchema.statics.recordShares = async function({ transactionId, shares, tokenId, decimals, readerAccountId, paidAt = new Date() }) {
+  try {
+    await this.insertMany(shares.map(share => ({
+      ...share,
+      transactionId,
+      readerAccountId: readerAccountId.toString(),
+      tokenId: tokenId.toString(),
+      decimals,
+      paidAt
+    })), { ordered: false });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Earnings of an account per paper and token, largest first
+RoyaltyPaymentSchema.statics.statementFor = function(accountId) {
+  return this.aggregate([
+    { $match: { accountId } },
+    {
+      $group: {
+        _id: { paperId: '$paperId', tokenId: '$tokenId' },
+        roles: { $addToSet: '$role' },
+        units: { $sum: '$units' },
+        decimals: { $first: '$decimals' },
+        payments: { $sum: 1 },
+        lastPaidAt: { $max: '$paidAt' }
+      }
+    },
+    { $sort: { units: -1 } }
+  ]);
+};
+
+const RoyaltyPayment = mongoose.model('RoyaltyPayment', RoyaltyPaymentSchema);
+
+module.exports = RoyaltyPayment;
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+
+const AuthSession = require('../models/AuthSession');
+const { AUTH_ERROR_STATUS, createChallenge, verifyChallenge, bearerToken, requireAuth } = require('../utils/auth');
+
+// Start a sign-in: the account signs the returned message with its key
+router.post('/challenge', async (req, res) => {
+  try {
+    const { accountId } = req.body;
+    if (!accountId) {
+      return res.status(400).json({ error: true, message: 'accountId is required' });
+    }
+    
+    res.status(201).json(await createChallenge(accountId));
+  } catch (error) {
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return res.status(AUTH_ERROR_STATUS[error.code]).json({ error: true, message: error.message });
+    }
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Finish a sign-in with the signed challenge and receive a session token
+router.post('/verify', async (req, res) => {
+  try {
+    const { accountId, nonce, signature } = req.body;
+    if (!accountId || !nonce || !signature) {
+      return res.status(400).json({ error: true, message: 'accountId, nonce and signature are required' });
+    }
+    
+    const client = req.app.locals.hederaClient;
+    if (!client) {
+      return res.status(503).json({ error: true, message: 'Hedera client is not ready' });
+    }
+    
+    const session = await verifyChallenge(client, { accountId, nonce, signature });
+    if (!session) {
+      return res.status(401).json({ error: true, message: 'Challenge expired or signature does not match the account key' });
+    }
+    
+    res.json(session);
+  } catch (error) {
+    // Malformed IDs and signatures, and accounts that cannot sign in with one key
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return res.status(AUTH_ERROR_STATUS[error.code]).json({ error: true, message: error.message });
+    }
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// The account behind the current session token
+router.get('/me', requireAuth, (req, res) => {
+  res.json({ accountId: req.accountId });
+});
+
+// End the current session
+router.post('/logout', requireAuth, async (req, res) => {
+  try {
+    await AuthSession.revoke(bearerToken(req));
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const OpenAI = require('openai');
-const mongoose = require('mongoose');
+const crypto = require('crypto');
 
-// Import PaperDocument model
+// Import models
 const PaperDocument = require('../models/PaperDocument');
+const Chat = require('../models/Chat');
+const Entitlement = require('../models/Entitlement');
+const RoyaltyPayment = require('../models/RoyaltyPayment');
+const Purchase = require('../models/Purchase');
+const { createSignedQuote, verifyQuoteSignature, isQuoteExpired } = require('../utils/quotes');
+const { verifyPayment, royaltyShares } = require('../utils/payments');
+const { paperPayees } = require('../utils/royalties');
+const { ingestPaper, retrievePassages } = require('../utils/passages');
+const { readPaperFile } = require('../utils/paperFiles');
+const { hybridSearch } = require('../utils/search');
+const { generateCitedAnswer } = require('../utils/citations');
+const { describeReviewSummary } = require('../utils/reviews');
+const { authorNames } = require('../utils/paperMetadata');
+const { getBoughtTogether, describeBoughtTogether } = require('../utils/citationGraph');
+const { requireAuth } = require('../utils/auth');
 
 // Initialize OpenAI client if API key is available
 let openai;
@@ -19,6 +34,134 @@ router.get('/health', (req, res) => {
   res.json({ status: 'ok', message: 'Chat routes are working' });
 });
 
+// Find the papers most relevant to a message
+const findRelevantPapers = async (message, limit = 3) => {
+  try {
+    return await hybridSearch(message, { limit });
+  } catch (err) {
+    console.log('Paper search error (non-critical):', err.message);
+    return [];
+  }
+};
+
+// Papers often bought together with the ones found for a message, leaving out papers the reader already owns
+const findBoughtTogether = async (relevantPapers, readerAccountId = null, limit = 3) => {
+  try {
+    const owned = readerAccountId ? await Entitlement.distinct('paperId', { readerAccountId }) : [];
+    return await getBoughtTogether(relevantPapers.map(paper => paper.paperId), { excludePaperIds: owned, limit });
+  } catch (err) {
+    console.log('Bought-together lookup error (non-critical):', err.message);
+    return [];
+  }
+};
+
+// Add the bought-together suggestion to a reply
+const withSuggestions = (reply, suggestions) => {
+  const suggestion = describeBoughtTogether(suggestions);
+  return suggestion ? `${reply}\n\n${suggestion}` : reply;
+};
+
+// Passages from the papers the reader owns that best match a message.
+// Passage hashes are published when a file is indexed on upload, never from here.
+const findOwnedPassages = async (message, readerAccountId, relevantPapers) => {
+  const ownedIds = await Entitlement.findOwnedPaperIds(readerAccountId, relevantPapers.map(paper => paper.paperId));
+  const owned = relevantPapers.filter(paper => ownedIds.includes(paper.paperId) && paper.fileId);
+  
+  await Promise.all(owned.map(async (paper) => {
+    try {
+      await ingestPaper(paper, () => readPaperFile(paper.fileId));
+    } catch (error) {
+      console.error(`Error indexing paper ${paper.paperId}:`, error.message);
+    }
+  }));
+  
+  return retrievePassages(message, owned.map(paper => paper.paperId));
+};
+
+// Generate a reply to a message, using earlier turns of the conversation and full-text passages when given.
+// Replies drawn from passages carry citations checked against the reader's entitlements.
+const generateReply = async (message, relevantPapers, history = [], passages = [], readerAccountId = null) => {
+  if (openai && passages.length > 0) {
+    const { answer, citations, rejectedClaims } = await generateCitedAnswer(openai, {
+      question: message,
+      papers: relevantPapers,
+      passages,
+      readerAccountId,
+      history
+    });
+    return { reply: answer, citations, rejectedClaims };
+  }
+  
+  if (openai) {
+    // Use OpenAI for response if available: abstracts only, there is nothing purchased to cite
+    const paperInfo = relevantPapers.map(paper => {
+      const excerpts = passages
+        .filter(passage => passage.paperId === paper.paperId)
+        .map(passage => passage.sectionTitle ? `[${passage.sectionTitle}] ${passage.text}` : passage.text);
+      
+      const review = describeReviewSummary(paper);
+      const header = `Paper: "${paper.title}" by ${authorNames(paper.authors).join(', ')}.${review ? ` ${review}.` : ''}`;
+      
+      return excerpts.length > 0
+        ? `${header} Excerpts:\n${excerpts.join('\n\n')}`
+        : `${header} Abstract: ${paper.abstract}`;
+    }).join('\n\n');
+    
+    const completion = await openai.chat.completions.create({
+      model: "gpt-4o-mini",
+      messages: [
+        {
+          role: "system",
+          content: `You are a helpful research assistant for the DeSci (Decentralized Science) platform. 
+          ${relevantPapers.length > 0 ? 'Here are some relevant papers that might help answer the query:\n\n' + paperInfo : 'No specific papers were found on this topic.'}`
+        },
+        ...history
+          .filter(entry => entry.role === 'user' || entry.role === 'assistant')
+          .map(entry => ({ role: entry.role, content: entry.content })),
+        { role: "user", content: message }
+      ]
+    });
+    
+    return { reply: completion.choices[0].message.content, citations: [], rejectedClaims: [] };
+  }
+  
+  // Simple fallback response if OpenAI is not available
+  let reply = `I received your message: "${message}". `;
+  
+  if (relevantPapers.length > 0) {
+    reply += `I found ${relevantPapers.length} papers that might be relevant to your query:\n\n`;
+    relevantPapers.forEach((paper, index) => {
+      reply += `${index + 1}. "${paper.title}" by ${authorNames(paper.authors).join(', ')}\n`;
+      const review = describeReviewSummary(paper);
+      if (review) reply += `   ${review}\n`;
+      reply += `   Abstract: ${paper.abstract.substring(0, 150)}...\n\n`;
+    });
+    
+    reply += `You can access these papers by paying the access fee with the /pay command.`;
+  } else {
+    reply += `I couldn't find any specific papers related to your query. Please try a different search term.`;
+  }
+  
+  return { reply, citations: [], rejectedClaims: [] };
+};
+
+// Summary of a paper returned to clients
+const toPaperSummary = paper => ({
+  paperId: paper.paperId,
+  title: paper.title,
+  authors: paper.authors,
+  fee: paper.fee
+});
+
+// Summary of a bought-together suggestion returned to clients
+const toSuggestionSummary = paper => ({
+  paperId: paper.paperId,
+  title: paper.title,
+  authors: paper.authors,
+  fee: paper.fee,
+  readers: paper.readers
+});
+
 // Main chat endpoint - this is what your agent is trying to access
 router.post('/', async (req, res) => {
   try {
@@ -29,84 +172,358 @@ router.post('/', async (req, res) => {
     }
     
     // Search for relevant papers based on the message
-    let relevantPapers = [];
-    try {
-      relevantPapers = await PaperDocument.find(
-        { $text: { $search: message } },
-        { score: { $meta: "textScore" } }
-      )
-      .sort({ score: { $meta: "textScore" } })
-      .limit(3);
-    } catch (err) {
-      console.log('Paper search error (non-critical):', err.message);
-    }
-    
-    // Generate a response
-    let reply;
-    if (openai) {
-      // Use OpenAI for response if available
-      const paperInfo = relevantPapers.map(paper => 
-        `Paper: "${paper.title}" by ${paper.authors.join(', ')}. Abstract: ${paper.abstract.substring(0, 100)}...`
-      ).join('\n\n');
-      
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4o-mini",
-        messages: [
-          {
-            role: "system",
-            content: `You are a helpful research assistant for the DeSci (Decentralized Science) platform. 
-            ${relevantPapers.length > 0 ? 'Here are some relevant papers that might help answer the query:\n\n' + paperInfo : 'No specific papers were found on this topic.'}`
-          },
-          { role: "user", content: message }
-        ]
-      });
-      
-      reply = completion.choices[0].message.content;
-    } else {
-      // Simple fallback response if OpenAI is not available
-      reply = `I received your message: "${message}". `;
-      
-      if (relevantPapers.length > 0) {
-        reply += `I found ${relevantPapers.length} papers that might be relevant to your query:\n\n`;
-        relevantPapers.forEach((paper, index) => {
-          reply += `${index + 1}. "${paper.title}" by ${paper.authors.join(', ')}\n`;
-          reply += `   Abstract: ${paper.abstract.substring(0, 150)}...\n\n`;
-        });
-        
-        reply += `You can access these papers by paying the access fee with the /pay command.`;
-      } else {
-        reply += `I couldn't find any specific papers related to your query. Please try a different search term.`;
+    const relevantPapers = await findRelevantPapers(message);
+    
+    // Generate a response, suggesting papers other readers bought with the ones found
+    const [{ reply }, suggestions] = await Promise.all([
+      generateReply(message, relevantPapers),
+      findBoughtTogether(relevantPapers)
+    ]);
+    
+    res.json({
+      reply: withSuggestions(reply, suggestions),
+      papers: relevantPapers.map(toPaperSummary),
+      boughtTogether: suggestions.map(toSuggestionSummary)
+    });
+  } catch (error) {
+    console.error('Error in chat endpoint:', error);
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Create new chat session endpoint, owned by the signed-in account
+router.post('/sessions', requireAuth, async (req, res) => {
+  try {
+    const { title } = req.body;
+    
+    const session = new Chat({
+      sessionId: `session-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+      userId: req.accountId,
+      title,
+      messages: []
+    });
+    await session.save();
+    
+    res.status(201).json({
+      success: true,
+      session: {
+        sessionId: session.sessionId,
+        userId: session.userId,
+        title: session.title,
+        createdAt: session.createdAt
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Get user's chat sessions, newest first
+router.get('/sessions/:userId', requireAuth, async (req, res) => {
+  try {
+    if (req.params.userId !== req.accountId) {
+      return res.status(403).json({ error: true, message: 'You can only list your own sessions' });
+    }
+    
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = { userId: req.params.userId };
+    
+    const [sessions, total] = await Promise.all([
+      Chat.find(filter, { messages: { $slice: -1 } })
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Chat.countDocuments(filter)
+    ]);
+    
+    res.json({
+      sessions: sessions.map(session => ({
+        sessionId: session.sessionId,
+        title: session.title,
+        paymentStatus: session.paymentStatus,
+        lastMessage: session.messages[0] || null,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
       }
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Send message to specific chat
+router.post('/:chatId/message', requireAuth, async (req, res) => {
+  try {
+    const message = req.body.message || req.body.content;
+    
+    if (!message) {
+      return res.status(400).json({ error: true, message: 'No message provided' });
     }
     
+    const session = await Chat.findOne({ sessionId: req.params.chatId, userId: req.accountId });
+    if (!session) {
+      return res.status(404).json({ error: true, message: 'Chat session not found' });
+    }
+    
+    const history = session.messages.slice();
+    await session.addMessage('user', message);
+    
+    // Search papers and quote access to them for this turn
+    const relevantPapers = await findRelevantPapers(message);
+    await session.setRelatedPapers(relevantPapers);
+    await session.calculateReaderQuote(session.userId);
+    
+    const passages = await findOwnedPassages(message, session.userId, relevantPapers);
+    const [generated, suggestions] = await Promise.all([
+      generateReply(message, relevantPapers, history, passages, session.userId),
+      findBoughtTogether(relevantPapers, session.userId)
+    ]);
+    const { citations, rejectedClaims } = generated;
+    const reply = withSuggestions(generated.reply, suggestions);
+    await session.addMessage('assistant', reply, citations);
+    
     res.json({
+      sessionId: session.sessionId,
       reply,
-      papers: relevantPapers.map(paper => ({
-        paperId: paper.paperId,
-        title: paper.title,
-        authors: paper.authors,
-        fee: paper.fee
-      }))
+      citations,
+      rejectedClaims,
+      papers: relevantPapers.map(toPaperSummary),
+      boughtTogether: suggestions.map(toSuggestionSummary),
+      quote: session.quote
     });
   } catch (error) {
-    console.error('Error in chat endpoint:', error);
+    console.error('Error in chat session endpoint:', error);
+    // The model answered, but not in a form the citations can be checked against
+    if (error.code === 'INVALID_MODEL_REPLY') {
+      return res.status(502).json({ error: true, message: error.message });
+    }
     res.status(500).json({ error: true, message: error.message });
   }
 });
 
-// Create new chat session endpoint
-router.post('/sessions', (req, res) => {
-  res.json({ message: 'Create chat session endpoint' });
+// Get the transcript of a chat session
+router.get('/:chatId/messages', requireAuth, async (req, res) => {
+  try {
+    const session = await Chat.findOne({ sessionId: req.params.chatId, userId: req.accountId });
+    if (!session) {
+      return res.status(404).json({ error: true, message: 'Chat session not found' });
+    }
+    
+    res.json({
+      sessionId: session.sessionId,
+      userId: session.userId,
+      title: session.title,
+      messages: session.messages,
+      relatedPapers: session.relatedPapers,
+      quote: session.quote,
+      paymentStatus: session.paymentStatus
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
 });
 
-// Get user's chat sessions
-router.get('/sessions/:userId', (req, res) => {
-  res.json({ message: `Get sessions for user: ${req.params.userId}` });
+// Token, decimals and treasury that quotes are paid in
+const getPaymentSettings = (req) => {
+  const client = req.app.locals.hederaClient;
+  return {
+    tokenId: req.app.locals.platformTokenId || process.env.PLATFORM_TOKEN_ID,
+    decimals: parseInt(process.env.PLATFORM_TOKEN_DECIMALS || '2', 10),
+    treasuryId: process.env.PLATFORM_TREASURY_ID || (client && client.operatorAccountId.toString())
+  };
+};
+
+// Get a signed, time-limited quote for a session's related papers
+router.post('/:chatId/quote', requireAuth, async (req, res) => {
+  try {
+    const { tokenId, decimals, treasuryId } = getPaymentSettings(req);
+    if (!tokenId || !treasuryId) {
+      return res.status(503).json({ error: true, message: 'Payments are not configured on this server' });
+    }
+    
+    const session = await Chat.findOne({ sessionId: req.params.chatId, userId: req.accountId });
+    if (!session) {
+      return res.status(404).json({ error: true, message: 'Chat session not found' });
+    }
+    
+    if (session.relatedPapers.length === 0) {
+      return res.status(400).json({ error: true, message: 'No papers to quote yet, send a message first' });
+    }
+    
+    // versionScope "current" buys only the current version of each paper instead of every version
+    const versionScope = req.body.versionScope || 'all';
+    if (!['all', 'current'].includes(versionScope)) {
+      return res.status(400).json({ error: true, message: 'versionScope must be "all" or "current"' });
+    }
+    
+    // Papers the reader already owns are not quoted again
+    const readerAccountId = session.userId;
+    await session.calculateReaderQuote(readerAccountId);
+    
+    if (session.quote.papers.length === 0) {
+      return res.status(409).json({ error: true, message: 'You already have access to all of these papers' });
+    }
+    
+    // Resolve fees, publishers and royalty splits from the same catalog row, so the quote pays
+    // whoever is owed now at the price they set
+    const papers = [];
+    for (const quoted of session.quote.papers) {
+      const paper = await PaperDocument.findOne({ paperId: quoted.paperId });
+      if (!paper) {
+        return res.status(409).json({ error: true, message: `Paper ${quoted.paperId} no longer exists` });
+      }
+      if (paper.isRetracted()) {
+        return res.status(409).json({ error: true, message: `Paper ${quoted.paperId} has been retracted and can no longer be purchased` });
+      }
+      papers.push({
+        paperId: paper.paperId,
+        title: paper.title,
+        fee: paper.fee,
+        publisherId: paper.publisherId,
+        version: versionScope === 'current' ? paper.currentVersion || 1 : undefined,
+        splits: paperPayees(paper)
+      });
+    }
+    
+    // Totals follow the catalog fees, which may have changed since the session's search
+    session.setQuote(papers);
+    await session.addMessage('system', `Quote generated: ${session.quote.totalCost} tokens total.`);
+    
+    res.json({
+      quote: createSignedQuote({
+        sessionId: session.sessionId,
+        readerAccountId,
+        quote: session.quote,
+        papers,
+        tokenId,
+        decimals,
+        treasuryId
+      })
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
 });
 
-// Send message to specific chat
-router.post('/:chatId/message', (req, res) => {
-  res.json({ message: `Send message to chat: ${req.params.chatId}` });
+// Purchase a quote by pointing at the on-chain transfer that paid it
+router.post('/:chatId/purchase', requireAuth, async (req, res) => {
+  try {
+    const { quote, transactionId } = req.body;
+    
+    if (!quote || !transactionId) {
+      return res.status(400).json({ error: true, message: 'quote and transactionId are required' });
+    }
+    
+    if (!verifyQuoteSignature(quote) || quote.sessionId !== req.params.chatId) {
+      return res.status(400).json({ error: true, message: 'Invalid quote' });
+    }
+    
+    // Quotes are issued to one reader, who has to be the one paying
+    if (quote.readerAccountId !== req.accountId) {
+      return res.status(403).json({ error: true, message: 'This quote was issued to another account' });
+    }
+    
+    const client = req.app.locals.hederaClient;
+    if (!client) {
+      return res.status(503).json({ error: true, message: 'Hedera client is not ready' });
+    }
+    
+    const session = await Chat.findOne({ sessionId: req.params.chatId, userId: req.accountId });
+    if (!session) {
+      return res.status(404).json({ error: true, message: 'Chat session not found' });
+    }
+    
+    // The transaction has to be paid and signed for by the signed-in reader
+    const payment = await verifyPayment(client, transactionId, {
+      tokenId: quote.tokenId,
+      payerId: req.accountId,
+      treasuryId: quote.treasuryId,
+      papers: quote.papers,
+      platformFee: quote.platformFee,
+      decimals: quote.decimals
+    });
+    
+    if (!payment.success) {
+      return res.status(402).json({ error: true, status: payment.status, message: payment.error });
+    }
+    
+    if (isQuoteExpired(quote, payment.consensusTimestamp)) {
+      return res.status(402).json({ error: true, status: 'QUOTE_EXPIRED', message: 'Payment was not made while the quote was valid' });
+    }
+    
+    const paperIds = quote.papers.map(paper => paper.paperId);
+    const readerAccountId = req.accountId;
+    
+    // Papers retracted or purged since the quote was issued are no longer sold. The transaction
+    // is left unclaimed so the payment can still be traced and refunded.
+    const listed = await PaperDocument.find({ paperId: { $in: paperIds } });
+    for (const paperId of paperIds) {
+      const paper = listed.find(candidate => candidate.paperId === paperId);
+      if (!paper || paper.isRetracted()) {
+        return res.status(409).json({
+          error: true,
+          status: 'PAPER_RETRACTED',
+          message: `Paper ${paperId} was retracted after this quote was issued and can no longer be purchased`
+        });
+      }
+    }
+    
+    // A transaction can only pay for one purchase; the unique claim settles concurrent submissions
+    const purchase = await Purchase.claim({
+      transactionId,
+      quoteId: quote.quoteId,
+      sessionId: session.sessionId,
+      readerAccountId,
+      paperIds,
+      paidAt: payment.consensusTimestamp
+    });
+    if (!purchase) {
+      return res.status(409).json({ error: true, message: `Transaction ${transactionId} has already been used` });
+    }
+    
+    const versions = Object.fromEntries(quote.papers
+      .filter(paper => paper.version != null)
+      .map(paper => [paper.paperId, paper.version]));
+    
+    await Entitlement.grant({ readerAccountId, paperIds, transactionId, versions });
+    await RoyaltyPayment.recordShares({
+      transactionId,
+      shares: royaltyShares(quote.papers, quote.decimals),
+      tokenId: quote.tokenId,
+      decimals: quote.decimals,
+      readerAccountId,
+      paidAt: payment.consensusTimestamp
+    });
+    await session.setPaid(transactionId);
+    await session.addMessage('system', `Payment verified in transaction ${transactionId}.`);
+    
+    const papers = await PaperDocument.find(
+      { paperId: { $in: paperIds } },
+      { paperId: 1, title: 1, contentTopicId: 1 }
+    );
+    
+    res.json({
+      success: true,
+      transactionId,
+      payerId: payment.payerId,
+      readerAccountId,
+      papers: papers.map(paper => ({
+        paperId: paper.paperId,
+        title: paper.title,
+        contentTopicId: paper.contentTopicId
+      }))
+    });
+  } catch (error) {
+    console.error('Error in purchase endpoint:', error);
+    res.status(500).json({ error: true, message: error.message });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+
+const PaperDocument = require('../models/PaperDocument');
+const { requireAuth } = require('../utils/auth');
+const { normalizeOrcid, isValidOrcid } = require('../utils/paperMetadata');
+const {
+  MAX_NETWORK_DEPTH,
+  MAX_NETWORK_AUTHORS,
+  getReferences,
+  getCitedBy,
+  getCoauthorNetwork,
+  recommendPapers,
+  getBoughtTogether
+} = require('../utils/citationGraph');
+
+// Largest number of recommendations or suggestions a client can ask for
+const MAX_RECOMMENDATIONS = 50;
+
+// Parse ?limit= against a default and a maximum, answering 400 itself when it is out of range
+const readLimit = (req, res, fallback, max) => {
+  const limit = req.query.limit != null ? parseInt(req.query.limit, 10) : fallback;
+  if (!(limit >= 1 && limit <= max)) {
+    res.status(400).json({ error: true, message: `limit must be between 1 and ${max}` });
+    return null;
+  }
+  return limit;
+};
+
+// Load the paper a graph request is about, answering 404 itself when it does not exist
+const findPaper = async (req, res) => {
+  const paper = await PaperDocument.findOne({ paperId: req.params.paperId });
+  if (!paper) {
+    res.status(404).json({ error: true, message: 'Paper not found' });
+    return null;
+  }
+  return paper;
+};
+
+// Co-author network of an author, found by ?orcid= or ?name= (depth 1 for direct co-authors, 2 to add theirs)
+router.get('/coauthors', async (req, res) => {
+  try {
+    const orcid = req.query.orcid ? normalizeOrcid(req.query.orcid) : null;
+    const name = typeof req.query.name === 'string' ? req.query.name.trim() : '';
+    if (!orcid && !name) {
+      return res.status(400).json({ error: true, message: 'Pass the author as ?orcid= or ?name=' });
+    }
+    if (orcid && !isValidOrcid(orcid)) {
+      return res.status(400).json({ error: true, message: `${orcid} is not a valid ORCID iD` });
+    }
+    
+    const depth = req.query.depth != null ? parseInt(req.query.depth, 10) : 1;
+    if (!(depth >= 1 && depth <= MAX_NETWORK_DEPTH)) {
+      return res.status(400).json({ error: true, message: `depth must be between 1 and ${MAX_NETWORK_DEPTH}` });
+    }
+    
+    const limit = readLimit(req, res, 50, MAX_NETWORK_AUTHORS);
+    if (!limit) return;
+    
+    // An ORCID iD identifies the author on its own, their name is read from their papers
+    res.json(await getCoauthorNetwork(orcid ? { orcid } : { name }, { depth, limit }));
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Papers a paper cites
+router.get('/:paperId/references', async (req, res) => {
+  try {
+    const paper = await findPaper(req, res);
+    if (!paper) return;
+    
+    const { papers, missing } = await getReferences(paper);
+    res.json({ paperId: paper.paperId, references: papers, missing });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Listed papers that cite a paper
+router.get('/:paperId/cited-by', async (req, res) => {
+  try {
+    const paper = await findPaper(req, res);
+    if (!paper) return;
+    
+    res.json({ paperId: paper.paperId, citedBy: await getCitedBy(paper.paperId) });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Related papers, ranked by citation and co-author proximity plus keyword overlap
+router.get('/:paperId/recommendations', async (req, res) => {
+  try {
+    const limit = readLimit(req, res, 10, MAX_RECOMMENDATIONS);
+    if (!limit) return;
+    
+    const paper = await findPaper(req, res);
+    if (!paper) return;
+    
+    res.json({ paperId: paper.paperId, recommendations: await recommendPapers(paper, { limit }) });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Papers most often bought by readers who bought this one, for signed-in readers
+router.get('/:paperId/bought-together', requireAuth, async (req, res) => {
+  try {
+    const limit = readLimit(req, res, 5, MAX_RECOMMENDATIONS);
+    if (!limit) return;
+    
+    const paper = await findPaper(req, res);
+    if (!paper) return;
+    
+    res.json({ paperId: paper.paperId, papers: await getBoughtTogether([paper.paperId], { limit }) });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+module.exports = router;
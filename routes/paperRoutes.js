@@ -1,30 +1,63 @@
 const express = require('express');
-const { TopicCreateTransaction } = require('@hashgraph/sdk');
 const router = express.Router();
+const multer = require('multer');
+const { AccountId } = require('@hashgraph/sdk');
+const { createPaperContentTopic, updatePaperTopicFee, getTopicFees } = require('../utils/topicFees');
+const { ingestPaper, anchorPassages, anchoredHash, hashPassage } = require('../utils/passages');
+const { readPaperFile, deletePaperFile } = require('../utils/paperFiles');
+const { indexPaperEmbedding, indexPaperEmbeddings } = require('../utils/search');
+const {
+  publishPaperManifest,
+  publishPaperUpdate,
+  publishPaperRetraction,
+  fetchTopicMessage,
+  verifyPaperProvenance
+} = require('../utils/provenance');
+const { requireAuth } = require('../utils/auth');
+const { validateSplits, parseSplits, paperPayees } = require('../utils/royalties');
+const { parseCatalogQuery, queryCatalog } = require('../utils/catalog');
+const { importPapers } = require('../utils/paperImport');
+const { parseAuthors, validateAuthors, normalizeDoi, validateCitationFields } = require('../utils/paperMetadata');
+const { CITE_FORMATS, formatCitation } = require('../utils/citeFormats');
 
-// Import the PaperDocument model
+// Import the PaperDocument and Entitlement models
 const PaperDocument = require('../models/PaperDocument');
+const Entitlement = require('../models/Entitlement');
+const Passage = require('../models/Passage');
+const PaperVersion = require('../models/PaperVersion');
+const PaperText = require('../models/PaperText');
+const PaperEmbedding = require('../models/PaperEmbedding');
+const Review = require('../models/Review');
+
+// Metadata fields a publisher can edit with PATCH /:id
+const EDITABLE_FIELDS = ['title', 'authors', 'abstract', 'keywords', 'doi', 'license', 'references', 'fee', 'feeCollectorId'];
+
+// Access fee in whole tokens for new papers that do not set one
+const DEFAULT_FEE = 10;
+
+// Read a fee from a request body as a finite, non-negative number of whole tokens, or null when it is not one.
+// A missing fee gets the fallback; an explicit 0 makes the paper free.
+const parseFee = (value, fallback = null) => {
+  if (value == null || value === '') return fallback;
+  const fee = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isFinite(fee) && fee >= 0 ? fee : null;
+};
 
 // Simple health check endpoint for testing
 router.get('/health', (req, res) => {
   res.json({ status: 'ok', message: 'Paper routes are working' });
 });
 
-// Get all papers endpoint
+// List papers one page at a time, with filters, sorting and facet counts (retracted papers are left out).
+// Pass nextCursor from a response as ?cursor= to get the following page.
 router.get('/', async (req, res) => {
   try {
-    const papers = await PaperDocument.find({}, { 
-      paperId: 1, 
-      title: 1,
-      authors: 1,
-      abstract: 1,
-      keywords: 1,
-      publisherId: 1,
-      fee: 1,
-      publishDate: 1,
-      accessCount: 1
-    });
-    res.json(papers);
+    const query = parseCatalogQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: true, message: query.error });
+    }
+    
+    res.json(await queryCatalog(query));
   } catch (error) {
     res.status(500).json({ error: true, message: error.message });
   }
@@ -43,8 +76,573 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Parse a single "bytes=start-end" Range header against the file size
+// Returns null to serve the whole file and { unsatisfiable: true } when the range is outside it
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  
+  let start;
+  let end;
+  if (!match[1]) {
+    // Suffix range: the last N bytes
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+  
+  if (start > end || start >= size) return { unsatisfiable: true };
+  return { start, end };
+};
+
+// Content-Disposition header with an ASCII fallback and the UTF-8 filename
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+// A version of a paper's file: the current one from the paper itself, older ones from PaperVersion
+const findRevision = async (paper, version) => {
+  const current = paper.currentVersion || 1;
+  if (version == null || version === current) {
+    return {
+      version: current,
+      fileId: paper.fileId,
+      filename: paper.filename,
+      originalname: paper.originalname,
+      mimetype: paper.mimetype,
+      size: paper.size,
+      provenance: paper.provenance
+    };
+  }
+  return PaperVersion.findOne({ paperId: paper.paperId, version });
+};
+
+// Whether an account can read a version of a paper: its publisher, an invited reviewer or a reader who paid
+const canReadPaper = async (accountId, paper, version) => {
+  if (accountId === paper.publisherId) return true;
+  if (await Review.isReviewer(accountId, paper.paperId)) return true;
+  return Entitlement.hasAccess(accountId, paper.paperId, version);
+};
+
+// Stream a version of a paper's file from GridFS to a signed-in reader with a paid entitlement
+// (publishers and invited reviewers can always download)
+const servePaperFile = async (req, res, version) => {
+  try {
+    const readerAccountId = req.accountId;
+    const paper = await PaperDocument.findOne({ paperId: req.params.id });
+    const revision = paper && paper.fileId ? await findRevision(paper, version) : null;
+    if (!revision) {
+      return res.status(404).json({ error: true, message: 'Paper file not found' });
+    }
+    
+    if (!await canReadPaper(readerAccountId, paper, revision.version)) {
+      return res.status(403).json({ error: true, message: `Purchase access to version ${revision.version} of this paper to download it` });
+    }
+    
+    const gfs = req.app.locals.gfs;
+    if (!gfs) {
+      return res.status(503).json({ error: true, message: 'File storage not available. Server may still be initializing.' });
+    }
+    
+    const [file] = await gfs.find({ _id: revision.fileId }).toArray();
+    if (!file) {
+      return res.status(404).json({ error: true, message: 'Paper file not found' });
+    }
+    
+    const size = file.length;
+    const range = parseRange(req.get('Range'), size);
+    
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Content-Type': revision.mimetype || (file.metadata && file.metadata.contentType) || 'application/octet-stream',
+      'Content-Disposition': contentDisposition(
+        req.query.download ? 'attachment' : 'inline',
+        revision.originalname || file.filename
+      ),
+      'X-Paper-Version': String(revision.version),
+      'Last-Modified': file.uploadDate.toUTCString()
+    });
+    
+    if (range && range.unsatisfiable) {
+      res.set('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+    
+    res.status(range ? 206 : 200).set('Content-Length', String(size === 0 ? 0 : end - start + 1));
+    if (range) {
+      res.set('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    
+    // Viewers fetch a PDF in many ranges, so only count requests that start at the beginning
+    if (start === 0 && req.method === 'GET') {
+      await paper.recordAccess();
+    }
+    
+    if (req.method === 'HEAD' || size === 0) {
+      return res.end();
+    }
+    
+    gfs.openDownloadStream(revision.fileId, { start, end: end + 1 })
+      .on('error', (error) => {
+        console.error(`Error streaming paper ${paper.paperId}:`, error);
+        res.destroy(error);
+      })
+      .pipe(res);
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+};
+
+router.get('/:id/file', requireAuth, (req, res) => servePaperFile(req, res));
+
+router.get('/:id/versions/:version/file', requireAuth, (req, res) => {
+  const version = parseInt(req.params.version, 10);
+  if (!(version >= 1)) {
+    return res.status(400).json({ error: true, message: 'version must be a positive integer' });
+  }
+  return servePaperFile(req, res, version);
+});
+
+// List a paper's versions with their changelogs and hashes, newest first
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const paper = await PaperDocument.findOne({ paperId: req.params.id });
+    if (!paper) {
+      return res.status(404).json({ error: true, message: 'Paper not found' });
+    }
+    
+    const versions = await PaperVersion.listVersions(paper.paperId);
+    res.json({
+      paperId: paper.paperId,
+      currentVersion: paper.currentVersion || 1,
+      versions: versions.map(revision => ({
+        version: revision.version,
+        changelog: revision.changelog,
+        originalname: revision.originalname,
+        mimetype: revision.mimetype,
+        size: revision.size,
+        publishedBy: revision.publishedBy,
+        createdAt: revision.createdAt,
+        provenance: revision.provenance
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Audit a cited passage: its text, position in the paper, hash and the content topic message that anchors it
+router.get('/:id/passages/:index', requireAuth, async (req, res) => {
+  try {
+    const readerAccountId = req.accountId;
+    const paper = await PaperDocument.findOne({ paperId: req.params.id });
+    if (!paper || !paper.fileId) {
+      return res.status(404).json({ error: true, message: 'Paper file not found' });
+    }
+    
+    if (!await canReadPaper(readerAccountId, paper)) {
+      return res.status(403).json({ error: true, message: 'Purchase access to this paper to read its passages' });
+    }
+    
+    const passage = await Passage.findOne({ fileId: paper.fileId, passageIndex: parseInt(req.params.index, 10) });
+    if (!passage) {
+      return res.status(404).json({ error: true, message: 'Passage not found' });
+    }
+    
+    // Compare the text with the hash on the consensus record, null when that cannot be read
+    let hashMatches = null;
+    const client = req.app.locals.hederaClient;
+    if (client && passage.anchorTopicId && passage.anchorConsensusTimestamp) {
+      try {
+        const message = await fetchTopicMessage(client, passage.anchorTopicId, passage.anchorConsensusTimestamp);
+        const published = anchoredHash(message, passage);
+        hashMatches = published !== null && published === hashPassage(passage.text);
+      } catch (error) {
+        console.error(`Error reading passage anchor for ${paper.paperId}:`, error.message);
+      }
+    }
+    
+    res.json({
+      paperId: paper.paperId,
+      passageIndex: passage.passageIndex,
+      section: passage.sectionTitle || null,
+      start: passage.start,
+      end: passage.end,
+      text: passage.text,
+      passageHash: passage.hash,
+      hashMatches,
+      contentTopicId: passage.anchorTopicId || null,
+      sequenceNumber: passage.anchorSequenceNumber ?? null
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Re-hash a paper's stored file (the current version unless ?version= is given)
+// and compare it with the signed manifest on the consensus record
+router.get('/:id/verify', async (req, res) => {
+  try {
+    const version = req.query.version ? parseInt(req.query.version, 10) : null;
+    const paper = await PaperDocument.findOne({ paperId: req.params.id });
+    const revision = paper && paper.fileId ? await findRevision(paper, version) : null;
+    if (!revision) {
+      return res.status(404).json({ error: true, message: 'Paper file not found' });
+    }
+    
+    if (!revision.provenance || !revision.provenance.manifestConsensusTimestamp) {
+      return res.status(409).json({ error: true, message: `No manifest has been published for version ${revision.version} of this paper` });
+    }
+    
+    const client = req.app.locals.hederaClient;
+    if (!client) {
+      return res.status(503).json({ error: true, message: 'Hedera client not available. Server may still be initializing.' });
+    }
+    
+    const result = await verifyPaperProvenance(client, paper, revision);
+    res.json({ paperId: paper.paperId, ...result });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Publish the manifest of a version whose manifest failed to publish (publisher only),
+// the current version unless ?version= is given
+router.post('/:id/manifest', requireAuth, async (req, res) => {
+  try {
+    const paper = await findOwnPaper(req, res, 'publish its manifest');
+    if (!paper) return;
+    
+    const registry = getRegistry(req, res);
+    if (!registry) return;
+    
+    const version = req.query.version ? parseInt(req.query.version, 10) : paper.currentVersion || 1;
+    const revision = paper.fileId ? await PaperVersion.findOne({ paperId: paper.paperId, version }) : null;
+    if (!revision) {
+      return res.status(404).json({ error: true, message: 'Paper file not found' });
+    }
+    if (revision.provenance && revision.provenance.manifestConsensusTimestamp) {
+      return res.status(409).json({ error: true, message: `The manifest for version ${revision.version} is already published` });
+    }
+    
+    const provenance = await publishPaperManifest(registry.client, paper, revision, registry.mainTopicId);
+    res.status(201).json({ success: true, paperId: paper.paperId, version: revision.version, provenance });
+  } catch (error) {
+    console.error('Error publishing manifest:', error);
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Cite a paper as bibtex, ris, csl-json, apa or mla (?format=), or in every format at once when no format is given
+router.get('/:id/cite', async (req, res) => {
+  try {
+    const format = req.query.format ? String(req.query.format).toLowerCase() : null;
+    if (format && !CITE_FORMATS[format]) {
+      return res.status(400).json({ error: true, message: `format must be one of ${Object.keys(CITE_FORMATS).join(', ')}` });
+    }
+    
+    const paper = await PaperDocument.findOne({ paperId: req.params.id });
+    if (!paper) {
+      return res.status(404).json({ error: true, message: 'Paper not found' });
+    }
+    
+    // Citations link to the paper's record on this server
+    const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/${encodeURIComponent(paper.paperId)}`;
+    
+    if (format) {
+      const citation = formatCitation(paper, format, url);
+      res.type(CITE_FORMATS[format]);
+      // CSL-JSON is exchanged as a list of items
+      return res.send(format === 'csl-json' ? JSON.stringify([citation], null, 2) : citation);
+    }
+    
+    res.json({
+      paperId: paper.paperId,
+      retracted: paper.isRetracted(),
+      citations: Object.fromEntries(Object.keys(CITE_FORMATS).map(name => [name, formatCitation(paper, name, url)]))
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Token and decimals used to denominate paper fees
+const getFeeToken = (req) => ({
+  tokenId: req.app.locals.platformTokenId || process.env.PLATFORM_TOKEN_ID,
+  decimals: parseInt(process.env.PLATFORM_TOKEN_DECIMALS || '2', 10)
+});
+
+// Load the paper a request changes, answering the request itself when the signed-in account
+// is not its publisher or the paper has been retracted
+const findOwnPaper = async (req, res, action) => {
+  const paper = await PaperDocument.findOne({ paperId: req.params.id });
+  if (!paper) {
+    res.status(404).json({ error: true, message: 'Paper not found' });
+    return null;
+  }
+  
+  if (req.accountId !== paper.publisherId) {
+    res.status(403).json({ error: true, message: `Only the publisher can ${action}` });
+    return null;
+  }
+  
+  if (paper.isRetracted()) {
+    res.status(409).json({ error: true, message: 'Paper has been retracted' });
+    return null;
+  }
+  
+  return paper;
+};
+
+// Hedera client and registry topic, answering 500 when the server is not initialized
+const getRegistry = (req, res) => {
+  const client = req.app.locals.hederaClient;
+  const mainTopicId = req.app.locals.mainTopicId;
+  if (!client || !mainTopicId) {
+    res.status(500).json({ 
+      error: true, 
+      message: 'Server not properly initialized with Hedera client' 
+    });
+    return null;
+  }
+  return { client, mainTopicId };
+};
+
+// What is wrong with a feeCollectorId from a request body, null when it is a valid account ID or not sent.
+// Fees can only be collected by a shard.realm.num account, and the SDK reads some malformed IDs
+// (e.g. 0.0.abc) as 0.0.0, so the parsed ID has to read back as what was sent.
+const invalidFeeCollector = (feeCollectorId) => {
+  if (feeCollectorId == null || feeCollectorId === '') return null;
+  if (typeof feeCollectorId === 'string') {
+    try {
+      const accountId = AccountId.fromString(feeCollectorId);
+      if (!accountId.evmAddress && !accountId.aliasKey && accountId.toString() === feeCollectorId) return null;
+    } catch (error) {
+      // Reported below
+    }
+  }
+  return `feeCollectorId ${feeCollectorId} is not a valid account ID`;
+};
+
+// Apply a new fee to a paper and its content topic (the paper still needs saving)
+const applyFee = async (req, client, paper, fee, feeCollectorId) => {
+  // Metadata-only papers share the main registry topic and carry no topic fee
+  if (paper.contentTopicId !== req.app.locals.mainTopicId) {
+    const { tokenId, decimals } = getFeeToken(req);
+    await updatePaperTopicFee(client, {
+      topicId: paper.contentTopicId,
+      fee,
+      publisherId: paper.publisherId,
+      collectorAccountId: feeCollectorId || paper.feeCollectorId,
+      tokenId: paper.feeTokenId || tokenId,
+      decimals
+    });
+    paper.feeTokenId = paper.feeTokenId || tokenId;
+  }
+  
+  paper.fee = fee;
+  if (feeCollectorId) paper.feeCollectorId = feeCollectorId;
+};
+
+// Get a paper's access fee and the custom fees configured on its content topic
+router.get('/:id/fee', async (req, res) => {
+  try {
+    const paper = await PaperDocument.findOne({ paperId: req.params.id });
+    if (!paper) {
+      return res.status(404).json({ error: true, message: 'Paper not found' });
+    }
+    
+    const client = req.app.locals.hederaClient;
+    const topicFees = client ? await getTopicFees(client, paper.contentTopicId) : [];
+    
+    res.json({
+      paperId: paper.paperId,
+      fee: paper.fee,
+      feeTokenId: paper.feeTokenId || null,
+      feeCollectorId: paper.feeCollectorId || paper.publisherId,
+      contentTopicId: paper.contentTopicId,
+      topicFees
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Update a paper's access fee on its content topic (publisher only)
+router.put('/:id/fee', requireAuth, async (req, res) => {
+  try {
+    const { feeCollectorId } = req.body;
+    const fee = parseFee(req.body.fee);
+    
+    if (fee === null) {
+      return res.status(400).json({ error: true, message: 'Fee must be a non-negative number' });
+    }
+    const invalidCollector = invalidFeeCollector(feeCollectorId);
+    if (invalidCollector) {
+      return res.status(400).json({ error: true, message: invalidCollector });
+    }
+    
+    const paper = await findOwnPaper(req, res, 'change the fee');
+    if (!paper) return;
+    
+    const registry = getRegistry(req, res);
+    if (!registry) return;
+    
+    await applyFee(req, registry.client, paper, fee, feeCollectorId);
+    await publishPaperUpdate(registry.client, registry.mainTopicId, paper,
+      feeCollectorId ? ['fee', 'feeCollectorId'] : ['fee'], req.accountId);
+    await paper.save();
+    
+    res.json({
+      success: true,
+      message: 'Paper fee updated successfully',
+      paper: {
+        paperId: paper.paperId,
+        fee: paper.fee,
+        feeCollectorId: paper.feeCollectorId || paper.publisherId,
+        contentTopicId: paper.contentTopicId
+      }
+    });
+  } catch (error) {
+    console.error('Error updating paper fee:', error);
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// File fields of a version, from a multer GridFS upload
+const revisionFromUpload = (file) => ({
+  fileId: file.id,
+  filename: file.filename,
+  originalname: file.originalname,
+  mimetype: file.mimetype,
+  size: file.size
+});
+
+// Extract and index the current file's passages in the background,
+// then publish the passage hashes on the content topic so citations can be audited
+const indexPaperContent = (client, paper) => {
+  ingestPaper(paper, () => readPaperFile(paper.fileId))
+    .then(() => anchorPassages(client, paper))
+    .catch(error => {
+      console.error(`Error indexing paper ${paper.paperId}:`, error.message);
+    });
+};
+
+// Get how a paper's fee is shared between its payees
+router.get('/:id/royalties', async (req, res) => {
+  try {
+    const paper = await PaperDocument.findOne({ paperId: req.params.id });
+    if (!paper) {
+      return res.status(404).json({ error: true, message: 'Paper not found' });
+    }
+    
+    res.json({
+      paperId: paper.paperId,
+      fee: paper.fee,
+      royaltySplits: paperPayees(paper)
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Replace a paper's royalty splits, applies to quotes issued from now on
+router.put('/:id/royalties', requireAuth, async (req, res) => {
+  try {
+    const paper = await findOwnPaper(req, res, 'change royalty splits');
+    if (!paper) return;
+    
+    const royaltySplits = parseSplits(req.body.royaltySplits);
+    const invalid = validateSplits(royaltySplits);
+    if (invalid) {
+      return res.status(400).json({ error: true, message: invalid });
+    }
+    
+    const registry = getRegistry(req, res);
+    if (!registry) return;
+    
+    paper.royaltySplits = royaltySplits;
+    await publishPaperUpdate(registry.client, registry.mainTopicId, paper, ['royaltySplits'], req.accountId);
+    await paper.save();
+    
+    res.json({
+      success: true,
+      paperId: paper.paperId,
+      royaltySplits: paperPayees(paper)
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// A list field from a JSON body, which may also be sent as a single string
+const toList = (value) => (Array.isArray(value) ? value : [value])
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+// Authors, DOI, license and references sent with a paper, normalised and checked. Only fields present
+// in the body are returned; multipart uploads may send authors and references as JSON strings.
+const readCitationMetadata = async (body, paperId) => {
+  const metadata = {};
+  
+  const authors = 'authors' in body ? body.authors : body['authors[]'];
+  if (authors !== undefined) {
+    try {
+      metadata.authors = parseAuthors(authors);
+    } catch (error) {
+      return { error: 'authors must be names, author objects or valid JSON' };
+    }
+    const invalid = validateAuthors(metadata.authors);
+    if (invalid) return { error: invalid };
+  }
+  
+  if ('doi' in body) metadata.doi = body.doi ? normalizeDoi(body.doi) : undefined;
+  if ('license' in body) metadata.license = body.license ? String(body.license).trim() : undefined;
+  if ('references' in body) {
+    try {
+      metadata.references = body.references == null
+        ? []
+        : [...new Set(typeof body.references === 'string' && body.references.trim().startsWith('[')
+          ? JSON.parse(body.references)
+          : toList(body.references))];
+    } catch (error) {
+      return { error: 'references must be a list of paperIds or valid JSON' };
+    }
+  }
+  
+  const invalid = validateCitationFields({ ...metadata, paperId });
+  if (invalid) return { error: invalid };
+  
+  if (metadata.references && metadata.references.length > 0) {
+    const known = await PaperDocument.find({ paperId: { $in: metadata.references } }, { paperId: 1 });
+    const missing = metadata.references.filter(reference => !known.some(paper => paper.paperId === reference));
+    if (missing.length > 0) {
+      return { error: `Unknown references: ${missing.join(', ')}` };
+    }
+  }
+  
+  return { metadata };
+};
+
+// Delete a request's uploaded file once the request is rejected. Uploads are stored in GridFS while the
+// multipart body is parsed, before the request is checked; set res.locals.uploadKept once a paper or version uses the file.
+const discardRejectedUpload = (req, res) => {
+  res.on('finish', () => {
+    if (res.statusCode < 400 || !req.file || res.locals.uploadKept) return;
+    deletePaperFile(req.file.id).catch(error => {
+      console.error(`Error deleting rejected upload ${req.file.id}:`, error.message);
+    });
+  });
+};
+
 // Upload paper endpoint
-router.post('/upload', (req, res) => {
+router.post('/upload', requireAuth, (req, res) => {
   // Access the upload middleware
   const upload = req.app.locals.upload;
   
@@ -61,6 +659,7 @@ router.post('/upload', (req, res) => {
       console.error('File upload error:', err);
       return res.status(400).json({ error: true, message: err.message });
     }
+    discardRejectedUpload(req, res);
     
     try {
       if (!req.file) {
@@ -78,61 +677,128 @@ router.post('/upload', (req, res) => {
         });
       }
       
-      // Process authors and keywords arrays
-      let authors = [];
-      let keywords = [];
+      // Revisions of an existing paper go through POST /:id/versions
+      if (await PaperDocument.exists({ paperId: req.body.paperId })) {
+        return res.status(409).json({
+          error: true,
+          message: `Paper ${req.body.paperId} already exists, upload a new version with POST /api/papers/${req.body.paperId}/versions`
+        });
+      }
       
-      if (req.body.authors) {
-        authors = Array.isArray(req.body.authors) 
-          ? req.body.authors 
-          : (req.body['authors[]'] ? (Array.isArray(req.body['authors[]']) ? req.body['authors[]'] : [req.body['authors[]']]) : []);
+      // Authors may be plain names or objects with an ORCID and affiliation
+      const citation = await readCitationMetadata(req.body, req.body.paperId);
+      if (citation.error) {
+        return res.status(400).json({ error: true, message: citation.error });
       }
       
+      // Process keywords array
+      let keywords = [];
+      
       if (req.body.keywords) {
         keywords = Array.isArray(req.body.keywords) 
           ? req.body.keywords 
           : (req.body['keywords[]'] ? (Array.isArray(req.body['keywords[]']) ? req.body['keywords[]'] : [req.body['keywords[]']]) : []);
       }
       
-      // Create a new content topic for the paper
-      const topicTx = await new TopicCreateTransaction()
-        .setAdminKey(client.operatorPublicKey)
-        .setSubmitKey(client.operatorPublicKey)
-        .setTopicMemo(`DeSci Paper Content: ${req.body.title}`)
-        .execute(client);
+      const fee = parseFee(req.body.fee, DEFAULT_FEE);
+      if (fee === null) {
+        return res.status(400).json({ error: true, message: 'Fee must be a non-negative number' });
+      }
+      // Papers are always published under the signed-in account
+      const publisherId = req.accountId;
+      const invalidCollector = invalidFeeCollector(req.body.feeCollectorId);
+      if (invalidCollector) {
+        return res.status(400).json({ error: true, message: invalidCollector });
+      }
+      const feeCollectorId = req.body.feeCollectorId || publisherId;
+      
+      // Optional royalty splits, sent as a JSON string in the multipart form
+      let royaltySplits = [];
+      if (req.body.royaltySplits) {
+        try {
+          royaltySplits = parseSplits(req.body.royaltySplits);
+        } catch (error) {
+          return res.status(400).json({ error: true, message: 'royaltySplits must be valid JSON' });
+        }
+        const invalid = validateSplits(royaltySplits);
+        if (invalid) {
+          return res.status(400).json({ error: true, message: invalid });
+        }
+      }
+      const { tokenId, decimals } = getFeeToken(req);
       
-      const receipt = await topicTx.getReceipt(client);
-      const contentTopicId = receipt.topicId.toString();
+      // Create a new content topic for the paper that charges its fee through HIP-991
+      const contentTopicId = await createPaperContentTopic(client, {
+        title: req.body.title,
+        fee,
+        publisherId,
+        collectorAccountId: feeCollectorId,
+        tokenId,
+        decimals
+      });
       
       // Create a new paper document with file information
       const newPaper = new PaperDocument({
         paperId: req.body.paperId,
         title: req.body.title,
-        authors: authors,
+        ...citation.metadata,
         abstract: req.body.abstract,
         keywords: keywords,
-        publisherId: req.body.publisherId,
-        fee: parseFloat(req.body.fee) || 10,
+        publisherId,
+        fee: fee,
+        feeCollectorId: feeCollectorId,
+        feeTokenId: tokenId,
+        royaltySplits,
         contentTopicId: contentTopicId,
         fileId: req.file.id,
         filename: req.file.filename,
         originalname: req.file.originalname,
         mimetype: req.file.mimetype,
         size: req.file.size,
-        uploadDate: new Date()
+        uploadDate: new Date(),
+        currentVersion: 1
       });
       
       await newPaper.save();
+      res.locals.uploadKept = true;
+      
+      const revision = await PaperVersion.create({
+        ...revisionFromUpload(req.file),
+        paperId: newPaper.paperId,
+        version: 1,
+        changelog: req.body.changelog || 'Initial version',
+        publishedBy: newPaper.publisherId
+      });
+      
+      // Publish the file's signed SHA-256 manifest before anything else goes to the content topic.
+      // The paper is kept if this fails; the response reports it and POST /:id/manifest retries it.
+      let manifestError = null;
+      try {
+        await publishPaperManifest(client, newPaper, revision, mainTopicId);
+      } catch (error) {
+        console.error(`Error publishing manifest for paper ${newPaper.paperId}:`, error.message);
+        manifestError = error.message;
+      }
+      
+      indexPaperContent(client, newPaper);
+      indexPaperEmbedding(newPaper).catch(error => {
+        console.error(`Error embedding paper ${newPaper.paperId}:`, error.message);
+      });
       
       // Return success response with paper details
       res.status(201).json({
         success: true,
-        message: 'Paper uploaded successfully',
+        message: manifestError
+          ? `Paper uploaded, but its manifest could not be published. Retry with POST /api/papers/${newPaper.paperId}/manifest`
+          : 'Paper uploaded successfully',
         paper: {
           paperId: newPaper.paperId,
           title: newPaper.title,
-          contentTopicId: newPaper.contentTopicId
-        }
+          fee: newPaper.fee,
+          contentTopicId: newPaper.contentTopicId,
+          provenance: newPaper.provenance && newPaper.provenance.sha256 ? newPaper.provenance : null
+        },
+        manifestError
       });
     } catch (error) {
       console.error('Error processing paper upload:', error);
@@ -141,8 +807,210 @@ router.post('/upload', (req, res) => {
   });
 });
 
+// Publish a new version of a paper's file, e.g. a correction or an updated preprint
+router.post('/:id/versions', requireAuth, async (req, res) => {
+  const upload = req.app.locals.upload;
+  
+  if (!upload) {
+    return res.status(500).json({ 
+      error: true, 
+      message: 'File upload not available. Server may still be initializing.' 
+    });
+  }
+  
+  const client = req.app.locals.hederaClient;
+  const mainTopicId = req.app.locals.mainTopicId;
+  
+  if (!client || !mainTopicId) {
+    return res.status(500).json({ 
+      error: true, 
+      message: 'Server not properly initialized with Hedera client' 
+    });
+  }
+  
+  // Only the publisher's files are stored, so the paper is checked before the upload is read
+  let paper;
+  try {
+    paper = await findOwnPaper(req, res, 'publish new versions');
+  } catch (error) {
+    return res.status(500).json({ error: true, message: error.message });
+  }
+  if (!paper) return;
+  
+  upload.single('file')(req, res, async function(err) {
+    if (err) {
+      console.error('File upload error:', err);
+      return res.status(400).json({ error: true, message: err.message });
+    }
+    discardRejectedUpload(req, res);
+    
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: true, message: 'No file uploaded' });
+      }
+      
+      if (!req.body.changelog) {
+        return res.status(400).json({ error: true, message: 'changelog is required' });
+      }
+      
+      // Papers uploaded before versioning get their original file recorded as version 1
+      const current = paper.currentVersion || 1;
+      if (paper.fileId && !await PaperVersion.exists({ paperId: paper.paperId, version: current })) {
+        await PaperVersion.create({
+          paperId: paper.paperId,
+          version: current,
+          fileId: paper.fileId,
+          filename: paper.filename,
+          originalname: paper.originalname,
+          mimetype: paper.mimetype,
+          size: paper.size,
+          changelog: 'Initial version',
+          publishedBy: paper.publisherId,
+          provenance: paper.provenance
+        });
+      }
+      
+      let revision;
+      try {
+        revision = await PaperVersion.create({
+          ...revisionFromUpload(req.file),
+          paperId: paper.paperId,
+          version: current + 1,
+          changelog: req.body.changelog,
+          publishedBy: req.accountId
+        });
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.status(409).json({ error: true, message: 'Another version was published at the same time, try again' });
+        }
+        throw error;
+      }
+      res.locals.uploadKept = true;
+      
+      // The paper's file fields always describe the current version
+      Object.assign(paper, revisionFromUpload(req.file), {
+        currentVersion: revision.version,
+        uploadDate: new Date(),
+        // Replaced once the new version's manifest is published
+        provenance: undefined
+      });
+      await paper.save();
+      
+      // Announce the version on the paper's content topic
+      let manifestError = null;
+      try {
+        await publishPaperManifest(client, paper, revision, mainTopicId);
+      } catch (error) {
+        console.error(`Error publishing manifest for paper ${paper.paperId} v${revision.version}:`, error.message);
+        manifestError = error.message;
+      }
+      
+      indexPaperContent(client, paper);
+      
+      res.status(201).json({
+        success: true,
+        message: manifestError
+          ? `Version ${revision.version} published, but its manifest could not be. Retry with POST /api/papers/${paper.paperId}/manifest`
+          : `Version ${revision.version} published`,
+        paper: {
+          paperId: paper.paperId,
+          version: revision.version,
+          changelog: revision.changelog,
+          contentTopicId: paper.contentTopicId,
+          provenance: revision.provenance && revision.provenance.sha256 ? revision.provenance : null
+        },
+        manifestError
+      });
+    } catch (error) {
+      console.error('Error publishing paper version:', error);
+      res.status(500).json({ error: true, message: error.message });
+    }
+  });
+});
+
+// Reference libraries and attachment archives are parsed in memory, not stored in GridFS
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 }
+}).fields([
+  { name: 'references', maxCount: 1 },
+  { name: 'files', maxCount: 1 }
+]);
+
+// Import a BibTeX, RIS or CSL-JSON library as papers published under the signed-in account.
+// Multipart fields: references (file or text), files (optional ZIP of attachments), format, fee, dryRun.
+router.post('/import', requireAuth, (req, res) => {
+  importUpload(req, res, async function(err) {
+    if (err) {
+      return res.status(400).json({ error: true, message: err.message });
+    }
+    
+    try {
+      const library = req.files && req.files.references ? req.files.references[0] : null;
+      const text = library ? library.buffer.toString('utf8') : req.body.references;
+      if (!text) {
+        return res.status(400).json({ error: true, message: 'Send the library as a references file or field' });
+      }
+      
+      const archive = req.files && req.files.files ? req.files.files[0] : null;
+      if (archive && !/\.zip$/i.test(archive.originalname)) {
+        return res.status(400).json({ error: true, message: 'files must be a ZIP archive' });
+      }
+      
+      const fee = parseFee(req.body.fee, DEFAULT_FEE);
+      if (fee === null) {
+        return res.status(400).json({ error: true, message: 'Fee must be a non-negative number' });
+      }
+      
+      const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+      const client = req.app.locals.hederaClient;
+      const mainTopicId = req.app.locals.mainTopicId;
+      if (!dryRun && (!client || !mainTopicId)) {
+        return res.status(500).json({ 
+          error: true, 
+          message: 'Server not properly initialized with Hedera client' 
+        });
+      }
+      
+      const { tokenId, decimals } = getFeeToken(req);
+      let result;
+      try {
+        result = await importPapers(client, {
+          text,
+          format: req.body.format,
+          filename: library ? library.originalname : null,
+          archive: archive ? archive.buffer : null,
+          publisherId: req.accountId,
+          fee,
+          tokenId,
+          decimals,
+          mainTopicId,
+          dryRun
+        });
+      } catch (error) {
+        // The library as a whole could not be read
+        return res.status(400).json({ error: true, message: error.message });
+      }
+      
+      result.papers.forEach(paper => {
+        if (paper.fileId) indexPaperContent(client, paper);
+      });
+      if (result.papers.length > 0) {
+        indexPaperEmbeddings(result.papers).catch(error => {
+          console.error('Error embedding imported papers:', error.message);
+        });
+      }
+      
+      res.status(result.report.created > 0 ? 201 : 200).json(result.report);
+    } catch (error) {
+      console.error('Error importing papers:', error);
+      res.status(500).json({ error: true, message: error.message });
+    }
+  });
+});
+
 // Simple paper creation endpoint (without file upload)
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, async (req, res) => {
   try {
     const {
       paperId,
@@ -150,31 +1018,45 @@ router.post('/', async (req, res) => {
       authors,
       abstract,
       keywords,
-      publisherId,
       fee
     } = req.body;
+    const publisherId = req.accountId;
     
-    if (!paperId || !title || !authors || !abstract || !publisherId) {
+    if (!paperId || !title || !authors || !abstract) {
       return res.status(400).json({ 
         error: true, 
         message: 'Missing required fields' 
       });
     }
     
+    const paperFee = parseFee(fee, DEFAULT_FEE);
+    if (paperFee === null) {
+      return res.status(400).json({ error: true, message: 'Fee must be a non-negative number' });
+    }
+    
+    const citation = await readCitationMetadata(req.body, paperId);
+    if (citation.error) {
+      return res.status(400).json({ error: true, message: citation.error });
+    }
+    
     // Create a new paper document without file
     const newPaper = new PaperDocument({
       paperId,
       title,
-      authors: Array.isArray(authors) ? authors : [authors],
+      ...citation.metadata,
       abstract,
       keywords: Array.isArray(keywords) ? keywords : (keywords ? [keywords] : []),
       publisherId,
-      fee: parseFloat(fee) || 10,
+      fee: paperFee,
       contentTopicId: req.app.locals.mainTopicId // Use main topic for metadata-only papers
     });
     
     await newPaper.save();
     
+    indexPaperEmbedding(newPaper).catch(error => {
+      console.error(`Error embedding paper ${newPaper.paperId}:`, error.message);
+    });
+    
     res.status(201).json({
       success: true,
       message: 'Paper metadata created successfully',
@@ -188,4 +1070,184 @@ router.post('/', async (req, res) => {
   }
 });
 
+// Edit a paper's metadata and fee (publisher only), mirrored as an update on the registry topic
+router.patch('/:id', requireAuth, async (req, res) => {
+  try {
+    const fields = Object.keys(req.body || {});
+    const readOnly = fields.filter(field => !EDITABLE_FIELDS.includes(field));
+    if (readOnly.length > 0) {
+      return res.status(400).json({ error: true, message: `These fields cannot be changed: ${readOnly.join(', ')}` });
+    }
+    if (fields.length === 0) {
+      return res.status(400).json({ error: true, message: `Send at least one of ${EDITABLE_FIELDS.join(', ')}` });
+    }
+    
+    const changes = {};
+    for (const field of ['title', 'abstract']) {
+      if (field in req.body) {
+        changes[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : '';
+        if (!changes[field]) {
+          return res.status(400).json({ error: true, message: `${field} must be a non-empty string` });
+        }
+      }
+    }
+    if ('keywords' in req.body) {
+      changes.keywords = req.body.keywords == null ? [] : toList(req.body.keywords);
+    }
+    
+    const citation = await readCitationMetadata(req.body, req.params.id);
+    if (citation.error) {
+      return res.status(400).json({ error: true, message: citation.error });
+    }
+    Object.assign(changes, citation.metadata);
+    
+    const fee = 'fee' in req.body ? parseFee(req.body.fee) : null;
+    if ('fee' in req.body && fee === null) {
+      return res.status(400).json({ error: true, message: 'Fee must be a non-negative number' });
+    }
+    const invalidCollector = invalidFeeCollector(req.body.feeCollectorId);
+    if (invalidCollector) {
+      return res.status(400).json({ error: true, message: invalidCollector });
+    }
+    
+    const paper = await findOwnPaper(req, res, 'edit this paper');
+    if (!paper) return;
+    
+    const registry = getRegistry(req, res);
+    if (!registry) return;
+    
+    if (fee !== null || req.body.feeCollectorId) {
+      await applyFee(req, registry.client, paper, fee !== null ? fee : paper.fee, req.body.feeCollectorId);
+    }
+    Object.assign(paper, changes);
+    
+    const announced = await publishPaperUpdate(registry.client, registry.mainTopicId, paper, fields, req.accountId);
+    await paper.save();
+    
+    // Search vectors are only recomputed when the embedded text changed
+    indexPaperEmbedding(paper).catch(error => {
+      console.error(`Error embedding paper ${paper.paperId}:`, error.message);
+    });
+    
+    res.json({
+      success: true,
+      message: 'Paper updated successfully',
+      paper: {
+        paperId: paper.paperId,
+        title: paper.title,
+        authors: paper.authors,
+        abstract: paper.abstract,
+        keywords: paper.keywords,
+        doi: paper.doi,
+        license: paper.license,
+        references: paper.references,
+        fee: paper.fee,
+        feeCollectorId: paper.feeCollectorId || paper.publisherId
+      },
+      registry: {
+        topicId: registry.mainTopicId,
+        sequenceNumber: announced.sequenceNumber
+      }
+    });
+  } catch (error) {
+    console.error('Error updating paper:', error);
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Delete a retracted paper's stored files and everything derived from them
+const purgePaperContent = async (paper) => {
+  const versions = await PaperVersion.find({ paperId: paper.paperId }, { fileId: 1 });
+  const fileIds = [paper.fileId, ...versions.map(revision => revision.fileId)]
+    .filter(Boolean)
+    .filter((fileId, index, all) => all.findIndex(other => other.equals(fileId)) === index);
+  
+  await Promise.all(fileIds.map(deletePaperFile));
+  await Promise.all([
+    Passage.deleteMany({ paperId: paper.paperId }),
+    PaperText.deleteMany({ fileId: { $in: fileIds } })
+  ]);
+  
+  // Version history and provenance hashes stay as the record of what was published
+  paper.fileId = undefined;
+  paper.filename = undefined;
+  paper.originalname = undefined;
+  paper.mimetype = undefined;
+  paper.size = undefined;
+};
+
+// Retract a paper (publisher only). The retraction is announced on the registry topic as the paper's tombstone
+// and the paper leaves search and quotes. Readers who paid keep access; without any, the files are deleted.
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const paper = await findOwnPaper(req, res, 'retract this paper');
+    if (!paper) return;
+    
+    const registry = getRegistry(req, res);
+    if (!registry) return;
+    
+    const reason = req.body && typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    
+    // Mark the paper retracted before looking for readers: purchases of retracted papers are refused,
+    // so no reader can gain access between the check and the purge
+    const retraction = { retractedAt: new Date(), reason: reason || undefined, retractedBy: req.accountId };
+    paper.retraction = retraction;
+    await paper.save();
+    
+    let purged;
+    let announced;
+    try {
+      purged = !await Entitlement.hasHolders(paper.paperId);
+      
+      // Stop charging for the content topic and only let the platform submit to it
+      if (paper.contentTopicId !== registry.mainTopicId) {
+        await updatePaperTopicFee(registry.client, {
+          topicId: paper.contentTopicId,
+          fee: 0,
+          publisherId: paper.publisherId
+        });
+      }
+      
+      announced = await publishPaperRetraction(registry.client, registry.mainTopicId, paper, {
+        reason,
+        retractedBy: req.accountId,
+        purged
+      });
+    } catch (error) {
+      // Without a tombstone on the registry the paper stays listed, so the publisher can try again
+      paper.retraction = undefined;
+      await paper.save();
+      throw error;
+    }
+    
+    paper.retraction = {
+      ...retraction,
+      purged,
+      registryTopicId: registry.mainTopicId,
+      registrySequenceNumber: announced.sequenceNumber
+    };
+    await paper.save();
+    
+    await PaperEmbedding.deleteMany({ paperId: paper.paperId });
+    if (purged) {
+      await purgePaperContent(paper);
+      await paper.save();
+    }
+    
+    res.json({
+      success: true,
+      message: purged
+        ? 'Paper retracted and its files deleted'
+        : 'Paper retracted, readers who purchased it keep access',
+      paper: {
+        paperId: paper.paperId,
+        retraction: paper.retraction
+      }
+    });
+  } catch (error) {
+    console.error('Error retracting paper:', error);
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
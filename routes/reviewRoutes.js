@@ -0,0 +1,356 @@
+const express = require('express');
+const router = express.Router();
+const { AccountId } = require('@hashgraph/sdk');
+
+const PaperDocument = require('../models/PaperDocument');
+const Review = require('../models/Review');
+const { AUTH_ERROR_STATUS, requireAuth, verifyAccountSignature } = require('../utils/auth');
+const {
+  validateReview,
+  reviewStatement,
+  ensureReviewTopic,
+  publishInvitation,
+  publishDecline,
+  publishReview
+} = require('../utils/reviews');
+
+// How long a review or decline can stay unpublished before its invitation can be claimed again
+const CLAIM_TTL_MS = 10 * 60 * 1000;
+
+// Public fields of a submitted review
+const toReviewSummary = review => ({
+  reviewerAccountId: review.reviewerAccountId,
+  paperVersion: review.paperVersion,
+  scores: review.scores,
+  recommendation: review.recommendation,
+  comments: review.comments,
+  signature: review.signature,
+  submittedAt: review.submittedAt,
+  reviewTopicId: review.reviewTopicId,
+  sequenceNumber: review.sequenceNumber,
+  consensusTimestamp: review.consensusTimestamp
+});
+
+// Load the paper and the signed-in reviewer's invitation, answering the request itself when either is missing
+const findInvitation = async (req, res) => {
+  const paper = await PaperDocument.findOne({ paperId: req.params.paperId });
+  if (!paper) {
+    res.status(404).json({ error: true, message: 'Paper not found' });
+    return null;
+  }
+  
+  const review = await Review.findOne({ paperId: paper.paperId, reviewerAccountId: req.accountId });
+  if (!review) {
+    res.status(403).json({ error: true, message: 'You have not been invited to review this paper' });
+    return null;
+  }
+  
+  // Claims older than CLAIM_TTL_MS were left behind by a crash and can be taken over
+  if (review.status === 'submitting' && review.updatedAt >= new Date(Date.now() - CLAIM_TTL_MS)) {
+    res.status(409).json({ error: true, message: 'Your answer to this invitation is already being published' });
+    return null;
+  }
+  
+  if (review.status !== 'invited' && review.status !== 'submitting') {
+    res.status(409).json({ error: true, message: `You have already ${review.status} this review` });
+    return null;
+  }
+  
+  return { paper, review };
+};
+
+// Mark an open invitation as being answered, so only one review or decline is published for it.
+// Claims left behind by a crash expire after CLAIM_TTL_MS. Resolves to null when another request holds the invitation.
+const claimInvitation = (review) => Review.findOneAndUpdate(
+  {
+    _id: review._id,
+    $or: [
+      { status: 'invited' },
+      { status: 'submitting', updatedAt: { $lt: new Date(Date.now() - CLAIM_TTL_MS) } }
+    ]
+  },
+  { $set: { status: 'submitting' } },
+  { new: true }
+);
+
+// Reopen a claimed invitation after its answer could not be published
+const releaseInvitation = (review) => Review.updateOne(
+  { _id: review._id, status: 'submitting' },
+  { $set: { status: 'invited' } }
+);
+
+// Review fields of a request body
+const reviewFields = body => ({
+  scores: body.scores,
+  recommendation: body.recommendation,
+  comments: body.comments
+});
+
+// Review invitations of the signed-in account, open ones first
+router.get('/invitations', requireAuth, async (req, res) => {
+  try {
+    const reviews = await Review.find({ reviewerAccountId: req.accountId }).sort({ status: -1, createdAt: -1 });
+    const papers = await PaperDocument.find(
+      { paperId: { $in: reviews.map(review => review.paperId) } },
+      { paperId: 1, title: 1, currentVersion: 1 }
+    );
+    const byId = new Map(papers.map(paper => [paper.paperId, paper]));
+    
+    res.json({
+      reviewerAccountId: req.accountId,
+      invitations: reviews.map(review => ({
+        paperId: review.paperId,
+        title: byId.has(review.paperId) ? byId.get(review.paperId).title : null,
+        currentVersion: byId.has(review.paperId) ? byId.get(review.paperId).currentVersion || 1 : null,
+        status: review.status,
+        invitedBy: review.invitedBy,
+        invitedAt: review.createdAt,
+        submittedAt: review.submittedAt
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// A paper's review status and its submitted reviews
+router.get('/:paperId', async (req, res) => {
+  try {
+    const paper = await PaperDocument.findOne({ paperId: req.params.paperId });
+    if (!paper) {
+      return res.status(404).json({ error: true, message: 'Paper not found' });
+    }
+    
+    const reviews = await Review.find({ paperId: paper.paperId, status: 'submitted' }).sort({ submittedAt: 1 });
+    res.json({
+      paperId: paper.paperId,
+      reviewTopicId: paper.reviewTopicId || null,
+      summary: paper.reviewSummary,
+      reviews: reviews.map(toReviewSummary)
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Invite reviewers to a paper (publisher only). Each invitation is recorded on the paper's review topic.
+router.post('/:paperId/invitations', requireAuth, async (req, res) => {
+  try {
+    const requested = req.body.reviewerAccountIds || (req.body.reviewerAccountId ? [req.body.reviewerAccountId] : []);
+    if (!Array.isArray(requested) || requested.length === 0) {
+      return res.status(400).json({ error: true, message: 'reviewerAccountIds must list at least one account' });
+    }
+    
+    let reviewerAccountIds;
+    try {
+      reviewerAccountIds = [...new Set(requested.map(accountId => AccountId.fromString(String(accountId)).toString()))];
+    } catch (error) {
+      return res.status(400).json({ error: true, message: 'reviewerAccountIds must be Hedera account IDs (0.0.x)' });
+    }
+    
+    const paper = await PaperDocument.findOne({ paperId: req.params.paperId });
+    if (!paper) {
+      return res.status(404).json({ error: true, message: 'Paper not found' });
+    }
+    
+    if (req.accountId !== paper.publisherId) {
+      return res.status(403).json({ error: true, message: 'Only the publisher can invite reviewers' });
+    }
+    
+    if (paper.isRetracted()) {
+      return res.status(409).json({ error: true, message: 'Paper has been retracted' });
+    }
+    
+    if (reviewerAccountIds.includes(paper.publisherId)) {
+      return res.status(400).json({ error: true, message: 'Publishers cannot review their own papers' });
+    }
+    
+    const client = req.app.locals.hederaClient;
+    if (!client) {
+      return res.status(500).json({
+        error: true,
+        message: 'Server not properly initialized with Hedera client'
+      });
+    }
+    
+    const reviewTopicId = await ensureReviewTopic(client, paper);
+    
+    const invited = [];
+    const skipped = [];
+    for (const reviewerAccountId of reviewerAccountIds) {
+      let review;
+      try {
+        review = await Review.create({
+          paperId: paper.paperId,
+          reviewerAccountId,
+          invitedBy: req.accountId,
+          reviewTopicId
+        });
+      } catch (error) {
+        // Reviewers already invited keep their existing invitation
+        if (error.code === 11000) {
+          skipped.push(reviewerAccountId);
+          continue;
+        }
+        throw error;
+      }
+      
+      const recorded = await publishInvitation(client, paper, review);
+      review.invitationSequenceNumber = recorded.sequenceNumber;
+      await review.save();
+      invited.push(reviewerAccountId);
+    }
+    
+    const summary = await Review.refreshSummary(paper.paperId);
+    
+    res.status(201).json({
+      success: true,
+      paperId: paper.paperId,
+      reviewTopicId,
+      invited,
+      skipped,
+      summary
+    });
+  } catch (error) {
+    console.error('Error inviting reviewers:', error);
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// The exact text an invited reviewer signs for a review, so wallets can sign it before submitting
+router.post('/:paperId/statement', requireAuth, async (req, res) => {
+  try {
+    const found = await findInvitation(req, res);
+    if (!found) return;
+    
+    const fields = reviewFields(req.body);
+    const invalid = validateReview(fields);
+    if (invalid) {
+      return res.status(400).json({ error: true, message: invalid });
+    }
+    
+    res.json({
+      paperId: found.paper.paperId,
+      paperVersion: found.paper.currentVersion || 1,
+      message: reviewStatement(found.paper, req.accountId, fields)
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Submit a signed review (invited reviewers only). The statement and signature are published on the review topic.
+router.post('/:paperId', requireAuth, async (req, res) => {
+  try {
+    const found = await findInvitation(req, res);
+    if (!found) return;
+    const { paper, review } = found;
+    
+    const fields = reviewFields(req.body);
+    const invalid = validateReview(fields);
+    if (invalid) {
+      return res.status(400).json({ error: true, message: invalid });
+    }
+    
+    if (typeof req.body.signature !== 'string' || !req.body.signature) {
+      return res.status(400).json({ error: true, message: 'signature is required' });
+    }
+    
+    const client = req.app.locals.hederaClient;
+    if (!client) {
+      return res.status(500).json({
+        error: true,
+        message: 'Server not properly initialized with Hedera client'
+      });
+    }
+    
+    const statement = reviewStatement(paper, req.accountId, fields);
+    if (!await verifyAccountSignature(client, req.accountId, statement, req.body.signature)) {
+      return res.status(400).json({
+        error: true,
+        message: `Signature does not match the review statement for version ${paper.currentVersion || 1}`
+      });
+    }
+    
+    const claimed = await claimInvitation(review);
+    if (!claimed) {
+      return res.status(409).json({ error: true, message: 'Your answer to this invitation is already being published' });
+    }
+    
+    let recorded;
+    try {
+      recorded = await publishReview(client, paper, statement, req.body.signature);
+    } catch (error) {
+      await releaseInvitation(claimed);
+      throw error;
+    }
+    
+    Object.assign(claimed, fields, {
+      status: 'submitted',
+      paperVersion: paper.currentVersion || 1,
+      signature: req.body.signature,
+      submittedAt: new Date(),
+      reviewTopicId: paper.reviewTopicId,
+      sequenceNumber: recorded.sequenceNumber,
+      consensusTimestamp: recorded.consensusTimestamp
+    });
+    await claimed.save();
+    
+    const summary = await Review.refreshSummary(paper.paperId);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted',
+      review: toReviewSummary(claimed),
+      summary
+    });
+  } catch (error) {
+    // A badly encoded signature, or a reviewer account whose key cannot be checked against one signature
+    if (AUTH_ERROR_STATUS[error.code]) {
+      return res.status(AUTH_ERROR_STATUS[error.code]).json({ error: true, message: error.message });
+    }
+    console.error('Error submitting review:', error);
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+// Decline an invitation to review
+router.post('/:paperId/decline', requireAuth, async (req, res) => {
+  try {
+    const found = await findInvitation(req, res);
+    if (!found) return;
+    const { paper, review } = found;
+    
+    const client = req.app.locals.hederaClient;
+    if (!client) {
+      return res.status(500).json({
+        error: true,
+        message: 'Server not properly initialized with Hedera client'
+      });
+    }
+    
+    const claimed = await claimInvitation(review);
+    if (!claimed) {
+      return res.status(409).json({ error: true, message: 'Your answer to this invitation is already being published' });
+    }
+    
+    try {
+      await publishDecline(client, paper, claimed);
+    } catch (error) {
+      await releaseInvitation(claimed);
+      throw error;
+    }
+    claimed.status = 'declined';
+    await claimed.save();
+    
+    res.json({
+      success: true,
+      paperId: paper.paperId,
+      summary: await Review.refreshSummary(paper.paperId)
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+module.exports = router;
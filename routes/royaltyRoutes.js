@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+
+const PaperDocument = require('../models/PaperDocument');
+const RoyaltyPayment = require('../models/RoyaltyPayment');
+const { requireAuth } = require('../utils/auth');
+
+// Earnings of the signed-in account per paper, from every purchase that paid it a royalty share
+router.get('/statement', requireAuth, async (req, res) => {
+  try {
+    const rows = await RoyaltyPayment.statementFor(req.accountId);
+    
+    const papers = await PaperDocument.find(
+      { paperId: { $in: rows.map(row => row._id.paperId) } },
+      { paperId: 1, title: 1 }
+    );
+    const titles = new Map(papers.map(paper => [paper.paperId, paper.title]));
+    
+    const entries = rows.map(row => ({
+      paperId: row._id.paperId,
+      title: titles.get(row._id.paperId) || null,
+      roles: row.roles,
+      tokenId: row._id.tokenId,
+      payments: row.payments,
+      units: row.units,
+      amount: row.units / Math.pow(10, row.decimals || 0),
+      lastPaidAt: row.lastPaidAt
+    }));
+    
+    // Totals per token, papers can be paid in different tokens over time
+    const totals = {};
+    entries.forEach(entry => {
+      totals[entry.tokenId] = (totals[entry.tokenId] || 0) + entry.amount;
+    });
+    
+    res.json({
+      accountId: req.accountId,
+      papers: entries,
+      totals
+    });
+  } catch (error) {
+    res.status(500).json({ error: true, message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const dotenv = require('dotenv')
 const getClient = require('./utils/client')
-const { TopicMessageSubmitTransaction, Client } = require('@hashgraph/sdk')
+const { TopicMessageSubmitTransaction } = require('@hashgraph/sdk')
+const { execute } = require('./utils/network')
 const { getUserInput, closeReadline } = require('./utils/message')
 dotenv.config()
 
@@ -29,7 +30,7 @@ const sendMessageToTopic = async (topicId) => {
         .setTopicId(topicId)
         .setMessage(message)
       
-      const executeSubmitMessageTx = await submitMessageTx.execute(client)
+      const executeSubmitMessageTx = await execute(client, submitMessageTx)
       const submitMessageReceipt = await executeSubmitMessageTx.getReceipt(client)
       console.log(`Message "${message}" submitted successfully to topic`)
       console.log(`Transaction status: ${submitMessageReceipt.status}`)
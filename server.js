@@ -13,14 +13,13 @@ const multer = require('multer');
 const path = require('path');
 const { GridFsStorage } = require('multer-gridfs-storage');
 const {
-  Client,
   TopicCreateTransaction,
   TopicMessageSubmitTransaction,
-  TopicInfoQuery,
-  PrivateKey,
-  AccountId
+  TopicInfoQuery
 } = require('@hashgraph/sdk');
 const { initializePlatformToken } = require('./utils/token');
+const { getClient, execute } = require('./utils/network');
+const { startEmbeddingBackfill } = require('./utils/search');
 
 // Import models - Make sure to create this file as described
 require('./models/PaperDocument');
@@ -92,30 +91,17 @@ conn.once('open', () => {
   
   // Make upload middleware available to routes
   app.locals.upload = upload;
-});
-
-// Hedera client setup
-const getClient = async () => {
-  if (!process.env.OPERATOR_ADDRESS || !process.env.OPERATOR_KEY) {
-    throw new Error("Set EVM Address and Private Key in .env");
-  }
-  
-  const client = Client.forTestnet();
   
-  if (process.env.OPERATOR_ID && process.env.OPERATOR_KEY) {
-    // Use account ID if available
-    client.setOperator(process.env.OPERATOR_ID, process.env.OPERATOR_KEY);
-  } else {
-    // Use EVM address if account ID not available
-    const accountId = await AccountId.fromEvmAddress(0, 0, process.env.OPERATOR_ADDRESS)
-      .populateAccountNum(client);
-    const privateKey = PrivateKey.fromStringECDSA(process.env.OPERATOR_KEY);
-    client.setOperator(accountId, privateKey);
-  }
+  // Papers stored before authors had ORCID iDs and affiliations list plain names
+  mongoose.model('PaperDocument').migrateLegacyAuthors().then(result => {
+    if (result.modifiedCount > 0) console.log(`Converted the authors of ${result.modifiedCount} papers`);
+  }).catch(error => {
+    console.error('Error converting paper authors:', error.message);
+  });
   
-  console.log(`Initialized Hedera client with operator: ${client.operatorAccountId}`);
-  return client;
-};
+  // Embed papers that have no vector yet, off the search path
+  startEmbeddingBackfill();
+});
 
 // Initialize or get the main registry topic
 const getOrCreateMainTopic = async (client) => {
@@ -123,9 +109,8 @@ const getOrCreateMainTopic = async (client) => {
     // Try to get existing topic if specified in env
     if (process.env.MAIN_TOPIC_ID) {
       try {
-        const topicInfo = await new TopicInfoQuery()
-          .setTopicId(process.env.MAIN_TOPIC_ID)
-          .execute(client);
+        const topicInfo = await execute(client, new TopicInfoQuery()
+          .setTopicId(process.env.MAIN_TOPIC_ID));
         
         console.log(`Using existing main registry topic: ${process.env.MAIN_TOPIC_ID}`);
         return process.env.MAIN_TOPIC_ID;
@@ -136,11 +121,10 @@ const getOrCreateMainTopic = async (client) => {
     
     // Create new topic if not found
     console.log('Creating new main registry topic...');
-    const tx = await new TopicCreateTransaction()
+    const tx = await execute(client, new TopicCreateTransaction()
       .setAdminKey(client.operatorPublicKey)
       .setSubmitKey(client.operatorPublicKey)
-      .setTopicMemo("DeSci Paper Registry")
-      .execute(client);
+      .setTopicMemo("DeSci Paper Registry"));
     
     const receipt = await tx.getReceipt(client);
     const topicId = receipt.topicId.toString();
@@ -156,10 +140,18 @@ const getOrCreateMainTopic = async (client) => {
 // Import routes - After GridFS is initialized
 const paperRoutes = require('./routes/paperRoutes');
 const chatRoutes = require('./routes/chatRoutes');
+const authRoutes = require('./routes/authRoutes');
+const royaltyRoutes = require('./routes/royaltyRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const graphRoutes = require('./routes/graphRoutes');
 
 // Set up routes
+app.use('/api/auth', authRoutes);
 app.use('/api/papers', paperRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/royalties', royaltyRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/graph', graphRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -0,0 +1,202 @@
+process.env.HEDERA_NETWORK = 'fake';
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { AccountCreateTransaction, KeyList, PrivateKey } = require('@hashgraph/sdk');
+const AuthChallenge = require('../models/AuthChallenge');
+const AuthSession = require('../models/AuthSession');
+const { createClient, execute, signWithOperator } = require('../utils/network');
+const { createChallenge, verifyChallenge, verifyAccountSignature } = require('../utils/auth');
+const authRoutes = require('../routes/authRoutes');
+
+// Hex signature of a message by a client's operator key
+const sign = (client, message) => Buffer.from(signWithOperator(client, Buffer.from(message, 'utf8'))).toString('hex');
+
+describe('sign-in challenge', () => {
+  let platform;
+  let reader;
+  let challenges;
+  let sessions;
+
+  let multisigAccountId;
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    platform = await createClient();
+    reader = await createClient();
+
+    // Account controlled by one of two keys, which a single signature cannot be checked against
+    const keys = [PrivateKey.generateED25519(), PrivateKey.generateED25519()];
+    const created = await execute(platform, new AccountCreateTransaction()
+      .setKeyWithoutAlias(new KeyList(keys.map(key => key.publicKey), 1)));
+    multisigAccountId = (await created.getReceipt(platform)).accountId.toString();
+
+    const app = express();
+    app.use(express.json());
+    app.locals.hederaClient = platform;
+    app.use('/api/auth', authRoutes);
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://localhost:${server.address().port}/api/auth`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    challenges = [];
+    sessions = [];
+
+    AuthChallenge.create = async (challenge) => {
+      challenges.push(challenge);
+      return challenge;
+    };
+    AuthChallenge.findOneAndDelete = async ({ accountId, nonce, expiresAt }) => {
+      const index = challenges.findIndex(challenge =>
+        challenge.accountId === accountId && challenge.nonce === nonce && challenge.expiresAt > expiresAt.$gt);
+      return index === -1 ? null : challenges.splice(index, 1)[0];
+    };
+    AuthSession.create = async (session) => {
+      sessions.push(session);
+      return session;
+    };
+  });
+
+  it('issues a challenge naming the account, nonce and expiry', async () => {
+    const accountId = reader.operatorAccountId.toString();
+    const challenge = await createChallenge(accountId);
+
+    assert.equal(challenge.accountId, accountId);
+    assert.match(challenge.nonce, /^[0-9a-f]{32}$/);
+    assert.ok(challenge.message.includes(`Account: ${accountId}`));
+    assert.ok(challenge.message.includes(`Nonce: ${challenge.nonce}`));
+    assert.ok(challenge.expiresAt > new Date());
+    assert.equal(challenges.length, 1);
+  });
+
+  it('rejects account IDs that do not parse', async () => {
+    await assert.rejects(() => createChallenge('not-an-account'));
+  });
+
+  it('exchanges a correctly signed challenge for a session', async () => {
+    const accountId = reader.operatorAccountId.toString();
+    const challenge = await createChallenge(accountId);
+
+    const session = await verifyChallenge(platform, { accountId, nonce: challenge.nonce, signature: sign(reader, challenge.message) });
+    assert.ok(session);
+    assert.equal(session.accountId, accountId);
+    assert.match(session.token, /^[0-9a-f]{64}$/);
+    assert.equal(sessions.length, 1);
+    // Only the hash of the token is stored
+    assert.notEqual(sessions[0].tokenHash, session.token);
+  });
+
+  it('accepts signatures over the wallet-prefixed message', async () => {
+    const accountId = reader.operatorAccountId.toString();
+    const challenge = await createChallenge(accountId);
+    const bytes = Buffer.from(challenge.message, 'utf8');
+    const prefixed = Buffer.concat([Buffer.from(`\x19Hedera Signed Message:\n${bytes.length}`, 'utf8'), bytes]);
+    const signature = Buffer.from(signWithOperator(reader, prefixed)).toString('base64');
+
+    assert.ok(await verifyChallenge(platform, { accountId, nonce: challenge.nonce, signature }));
+  });
+
+  it('rejects a signature made with another key', async () => {
+    const accountId = reader.operatorAccountId.toString();
+    const challenge = await createChallenge(accountId);
+    const signature = Buffer.from(PrivateKey.generateECDSA().sign(Buffer.from(challenge.message, 'utf8'))).toString('hex');
+
+    assert.equal(await verifyChallenge(platform, { accountId, nonce: challenge.nonce, signature }), null);
+    assert.equal(sessions.length, 0);
+  });
+
+  it('lets each challenge be used once', async () => {
+    const accountId = reader.operatorAccountId.toString();
+    const challenge = await createChallenge(accountId);
+    const signature = sign(reader, challenge.message);
+
+    assert.ok(await verifyChallenge(platform, { accountId, nonce: challenge.nonce, signature }));
+    assert.equal(await verifyChallenge(platform, { accountId, nonce: challenge.nonce, signature }), null);
+  });
+
+  it('rejects a challenge issued to another account', async () => {
+    const challenge = await createChallenge(reader.operatorAccountId.toString());
+    const signature = sign(platform, challenge.message);
+
+    assert.equal(await verifyChallenge(platform, {
+      accountId: platform.operatorAccountId.toString(),
+      nonce: challenge.nonce,
+      signature
+    }), null);
+  });
+
+  it('rejects an expired challenge', async () => {
+    const accountId = reader.operatorAccountId.toString();
+    const challenge = await createChallenge(accountId);
+    challenges[0].expiresAt = new Date(Date.now() - 1000);
+
+    assert.equal(await verifyChallenge(platform, { accountId, nonce: challenge.nonce, signature: sign(reader, challenge.message) }), null);
+  });
+
+  it('refuses account IDs that only parse in part or are EVM addresses', async () => {
+    for (const accountId of ['0.0.abc', '0xd3CdA913deB6f67967B99D67aCDFa1712C293601', 5001]) {
+      await assert.rejects(() => createChallenge(accountId), error => error.code === 'INVALID_ACCOUNT_ID', String(accountId));
+    }
+  });
+
+  it('refuses malformed requests without using up the challenge', async () => {
+    const accountId = reader.operatorAccountId.toString();
+    const challenge = await createChallenge(accountId);
+    const signature = sign(reader, challenge.message);
+    const invalid = (code) => error => error.code === code;
+
+    await assert.rejects(() => verifyChallenge(platform, { accountId: 'reader', nonce: challenge.nonce, signature }), invalid('INVALID_ACCOUNT_ID'));
+    await assert.rejects(() => verifyChallenge(platform, { accountId, nonce: { $ne: null }, signature }), invalid('INVALID_CHALLENGE'));
+    for (const bad of ['not a signature!', 'abcd', signature.slice(2), 12345]) {
+      await assert.rejects(() => verifyChallenge(platform, { accountId, nonce: challenge.nonce, signature: bad }), invalid('INVALID_SIGNATURE'));
+    }
+
+    assert.ok(await verifyChallenge(platform, { accountId, nonce: challenge.nonce, signature }));
+  });
+
+  it('refuses accounts with key lists or threshold keys and accounts that do not exist', async () => {
+    const signature = sign(reader, 'statement');
+
+    await assert.rejects(
+      () => verifyAccountSignature(platform, multisigAccountId, 'statement', signature),
+      error => error.code === 'UNSUPPORTED_ACCOUNT_KEY'
+    );
+    await assert.rejects(
+      () => verifyAccountSignature(platform, '0.0.999999', 'statement', signature),
+      error => error.code === 'UNKNOWN_ACCOUNT'
+    );
+  });
+
+  it('answers malformed sign-ins with 400 and accounts that cannot sign in with 401', async () => {
+    const post = async (path, body) => {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return response.status;
+    };
+    const accountId = reader.operatorAccountId.toString();
+    const challenge = await createChallenge(accountId);
+    const signature = sign(reader, challenge.message);
+
+    assert.equal(await post('/challenge', { accountId: '0.0.abc' }), 400);
+    assert.equal(await post('/verify', { accountId: '0.0.abc', nonce: challenge.nonce, signature }), 400);
+    assert.equal(await post('/verify', { accountId, nonce: challenge.nonce, signature: 'not base64!' }), 400);
+
+    const multisig = await createChallenge(multisigAccountId);
+    assert.equal(await post('/verify', { accountId: multisigAccountId, nonce: multisig.nonce, signature }), 401);
+
+    const other = await createChallenge('0.0.999999');
+    assert.equal(await post('/verify', { accountId: '0.0.999999', nonce: other.nonce, signature }), 401);
+
+    assert.equal(await post('/verify', { accountId, nonce: challenge.nonce, signature }), 200);
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { latexToText, parseBibtex, parseRis, parseCslJson, detectFormat, parseReferences } = require('../utils/bibliography');
+
+describe('latexToText', () => {
+  it('turns accents, escapes and grouping braces into plain text', () => {
+    assert.equal(latexToText('{\\"O}zt{\\"u}rk'), 'Öztürk');
+    assert.equal(latexToText("Andr\\'{e} \\c{c}a"), 'André ça');
+    assert.equal(latexToText('Stra\\ss e'), 'Straße');
+    assert.equal(latexToText('50\\% of {DNA} \\& RNA'), '50% of DNA & RNA');
+    assert.equal(latexToText('pages 1--10'), 'pages 1–10');
+  });
+});
+
+describe('parseBibtex', () => {
+  it('reads braced, quoted, numeric and macro values joined with #', () => {
+    const [entry] = parseBibtex(`
+      @string{venue = "Journal of Tests"}
+      @article{smith2020,
+        title = {A {Study} of Things},
+        author = "Smith, John and Jane Doe",
+        year = 2020,
+        note = venue # ", " # jan,
+        keywords = {genomics; proteomics, methods}
+      }`);
+
+    assert.equal(entry.key, 'smith2020');
+    assert.equal(entry.type, 'article');
+    assert.equal(entry.title, 'A Study of Things');
+    assert.deepEqual(entry.authors, [{ name: 'John Smith' }, { name: 'Jane Doe' }]);
+    assert.equal(entry.year, '2020');
+    assert.deepEqual(entry.keywords, ['genomics', 'proteomics', 'methods']);
+  });
+
+  it('keeps organisation names braced as a whole literal', () => {
+    const [entry] = parseBibtex('@misc{who, author = {{World Health Organization} and {\\"O}zt{\\"u}rk, Ali and {Barnes and Noble}}}');
+
+    assert.deepEqual(entry.authors, [
+      { name: 'World Health Organization', literal: true },
+      { name: 'Ali Öztürk' },
+      { name: 'Barnes and Noble', literal: true }
+    ]);
+  });
+
+  it('reads Family, Jr., Given names', () => {
+    const [entry] = parseBibtex('@misc{k, author = {King, Jr., Martin Luther}}');
+    assert.deepEqual(entry.authors, [{ name: 'Martin Luther King, Jr.' }]);
+  });
+
+  it('reads parenthesised entries and skips comments and preambles', () => {
+    const entries = parseBibtex('@comment{ignored} @preamble{"x"} @book(key1, title = {One}) @misc{key2, title = {Two}}');
+    assert.deepEqual(entries.map(entry => [entry.key, entry.title]), [['key1', 'One'], ['key2', 'Two']]);
+  });
+
+  it('reads attachments from JabRef and Zotero file fields', () => {
+    const [entry] = parseBibtex('@misc{k, file = {:papers/one.pdf:PDF;Full text:C\\:/two.pdf:application/pdf}}');
+    assert.deepEqual(entry.files, ['papers/one.pdf', 'C:/two.pdf']);
+  });
+
+  it('reports unreadable entries without failing the others', () => {
+    const entries = parseBibtex('@misc{bad, title = {One} junk}\n@misc{good, title = {Two}}\n@misc{open, title = {Three}');
+
+    assert.equal(entries.length, 3);
+    assert.match(entries[0].error, /Cannot read field/);
+    assert.equal(entries[1].title, 'Two');
+    assert.match(entries[2].error, /closing brace/);
+  });
+});
+
+describe('parseRis', () => {
+  it('reads records with repeated and continued tags', () => {
+    const [entry] = parseRis([
+      'TY  - JOUR',
+      'ID  - doe2019',
+      'TI  - Deep Sea',
+      'AU  - Doe, Jane',
+      'A1  - Roe, Richard',
+      'AB  - First line',
+      'of the abstract',
+      'KW  - ocean; biology',
+      'PY  - 2019/05/01',
+      'DO  - 10.1000/xyz',
+      'L1  - file:///papers/doe.pdf',
+      'ER  - '
+    ].join('\r\n'));
+
+    assert.equal(entry.key, 'doe2019');
+    assert.equal(entry.type, 'jour');
+    assert.deepEqual(entry.authors, [{ name: 'Jane Doe' }, { name: 'Richard Roe' }]);
+    assert.equal(entry.abstract, 'First line of the abstract');
+    assert.deepEqual(entry.keywords, ['ocean', 'biology']);
+    assert.equal(entry.year, '2019');
+    assert.equal(entry.doi, '10.1000/xyz');
+    assert.deepEqual(entry.files, ['/papers/doe.pdf']);
+  });
+
+  it('flags a record without its ER line', () => {
+    const [entry] = parseRis('TY  - GEN\nTI  - Unfinished');
+    assert.match(entry.error, /ER line/);
+  });
+});
+
+describe('parseCslJson', () => {
+  it('reads items with personal and literal authors', () => {
+    const [entry] = parseCslJson(JSON.stringify([{
+      id: 'cern2012',
+      type: 'article',
+      title: 'Observation',
+      author: [{ literal: 'CERN' }, { given: 'Peter', family: 'Higgs' }],
+      issued: { 'date-parts': [[2012, 7, 4]] },
+      keyword: 'physics, bosons',
+      DOI: '10.1000/higgs'
+    }]));
+
+    assert.equal(entry.key, 'cern2012');
+    assert.deepEqual(entry.authors, [{ name: 'CERN', literal: true }, { name: 'Peter Higgs' }]);
+    assert.equal(entry.year, '2012');
+    assert.deepEqual(entry.keywords, ['physics', 'bosons']);
+  });
+
+  it('accepts a single item and rejects invalid JSON', () => {
+    assert.equal(parseCslJson('{"id": "one", "title": "Solo"}')[0].title, 'Solo');
+    assert.throws(() => parseCslJson('[{'), /Invalid CSL-JSON/);
+  });
+});
+
+describe('detectFormat', () => {
+  it('uses the file extension first, then the content', () => {
+    assert.equal(detectFormat('library.bib', ''), 'bibtex');
+    assert.equal(detectFormat('export.ris', ''), 'ris');
+    assert.equal(detectFormat('items.json', ''), 'csl-json');
+    assert.equal(detectFormat('', '[{"id": "a"}]'), 'csl-json');
+    assert.equal(detectFormat('', 'TY  - GEN\nER  - '), 'ris');
+    assert.equal(detectFormat('notes.txt', '@article{a, title={T}}'), 'bibtex');
+    assert.equal(detectFormat('notes.txt', 'plain text'), null);
+  });
+});
+
+describe('parseReferences', () => {
+  it('derives paperIds from citation keys, DOIs or titles and checks required fields', () => {
+    const references = parseReferences(JSON.stringify([
+      { id: 'smith 2020/a', title: 'T', author: [{ literal: 'A' }], abstract: 'x' },
+      { DOI: '10.1000/ABC', title: 'T' },
+      { title: 'Only a title' }
+    ]), 'csl-json');
+
+    assert.equal(references[0].paperId, 'smith-2020-a');
+    assert.deepEqual(references[0].errors, []);
+    assert.equal(references[1].paperId, 'doi-10.1000-abc');
+    assert.deepEqual(references[1].errors, ['author is missing', 'abstract is missing']);
+    assert.match(references[2].paperId, /^ref-[0-9a-f]{12}$/);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => parseReferences('', 'endnote'), /format must be one of/);
+  });
+});
@@ -0,0 +1,215 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const PaperDocument = require('../models/PaperDocument');
+const {
+  MAX_PAGE_SIZE,
+  exactMatch,
+  parseCatalogQuery,
+  encodeCursor,
+  decodeCursor,
+  queryCatalog
+} = require('../utils/catalog');
+
+// Comparable form of a stored value
+const comparable = value => (value instanceof Date ? value.getTime() : value instanceof mongoose.Types.ObjectId ? value.toString() : value);
+
+// Values at a dotted path, flattening arrays of subdocuments (authors.name)
+const valuesAt = (doc, path) => path.split('.').reduce(
+  (values, key) => values.flatMap(value => (Array.isArray(value) ? value : [value])).map(value => (value == null ? undefined : value[key])),
+  [doc]
+).flatMap(value => (Array.isArray(value) ? value : [value]));
+
+// Enough of MongoDB's query language for the filters the catalog builds
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') return condition.some(branch => matches(doc, branch));
+  const values = valuesAt(doc, path).map(comparable);
+  if (condition === null) return values.every(value => value == null);
+  if (typeof condition !== 'object' || condition instanceof Date || condition instanceof mongoose.Types.ObjectId) {
+    return values.includes(comparable(condition));
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    const target = comparable(operand);
+    switch (operator) {
+      case '$in': return operand.some(item => values.some(value => (item instanceof RegExp ? item.test(value) : value === item)));
+      case '$gt': return values.some(value => value > target);
+      case '$gte': return values.some(value => value >= target);
+      case '$lt': return values.some(value => value < target);
+      case '$lte': return values.some(value => value <= target);
+      default: throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+});
+
+// Most frequent values of an array path, as facetPipeline counts them
+const countValues = (docs, path) => {
+  const counts = new Map();
+  docs.flatMap(doc => valuesAt(doc, path)).filter(value => value != null)
+    .forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return Array.from(counts, ([value, count]) => ({ value, count })).sort((a, b) => b.count - a.count);
+};
+
+describe('catalog query parsing', () => {
+  it('sorts by relevance when searching and by publish date otherwise', () => {
+    const listing = parseCatalogQuery({});
+    assert.equal(listing.sort, 'publishDate');
+    assert.equal(listing.order, -1);
+    assert.equal(listing.limit, 20);
+    assert.equal(listing.facets, true);
+    assert.deepEqual(listing.filter, PaperDocument.listedFilter());
+
+    const search = parseCatalogQuery({ q: ' soil ', facets: 'false' });
+    assert.equal(search.sort, 'relevance');
+    assert.deepEqual(search.filter.$text, { $search: 'soil' });
+    assert.equal(search.facets, false);
+  });
+
+  it('explains each invalid parameter', () => {
+    const errors = [
+      [{ sort: 'title' }, /sort must be one of/],
+      [{ sort: 'relevance' }, /needs a search query/],
+      [{ order: 'up' }, /order must be asc or desc/],
+      [{ limit: '0' }, /limit must be between 1/],
+      [{ limit: String(MAX_PAGE_SIZE + 1) }, /limit must be between 1/],
+      [{ minFee: 'free' }, /minFee must be a number/],
+      [{ to: 'yesterday' }, /to must be a date/],
+      [{ cursor: 'not-a-cursor' }, /cursor is invalid/],
+      [{ sort: 'fee', cursor: encodeCursor('publishDate', new Date(), new mongoose.Types.ObjectId()) }, /different sort/]
+    ];
+    errors.forEach(([query, message]) => assert.match(parseCatalogQuery(query).error, message, JSON.stringify(query)));
+  });
+
+  it('matches any value of a repeated filter and every filter given', () => {
+    const { filter } = parseCatalogQuery({
+      author: ['Doe, Jane', 'A. Smith'],
+      keyword: 'c++',
+      publisher: '0.0.7',
+      minFee: '1',
+      maxFee: '5',
+      from: '2024-01-01'
+    });
+
+    assert.deepEqual(filter['authors.name'].$in.map(String), ['/^Doe, Jane$/i', '/^A\\. Smith$/i']);
+    assert.ok(filter.keywords.$in[0].test('C++'));
+    assert.deepEqual(filter.publisherId, { $in: ['0.0.7'] });
+    assert.deepEqual(filter.fee, { $gte: 1, $lte: 5 });
+    assert.deepEqual(filter.publishDate, { $gte: new Date('2024-01-01') });
+    assert.equal(exactMatch('soil').test('topsoil'), false);
+  });
+
+  it('round-trips cursors, reviving publish dates', () => {
+    const id = new mongoose.Types.ObjectId();
+    const date = new Date('2024-03-01T00:00:00Z');
+
+    assert.deepEqual(decodeCursor(encodeCursor('publishDate', date, id), 'publishDate'), { value: date, id });
+    assert.deepEqual(decodeCursor(encodeCursor('fee', 0, id), 'fee'), { value: 0, id });
+    assert.equal(decodeCursor(encodeCursor('fee', 0, id), 'accessCount'), null);
+  });
+});
+
+describe('catalog queries', () => {
+  let papers;
+  let pipelines;
+
+  beforeEach(() => {
+    // Ten papers at three fees, so pages break inside runs of equal sort values
+    papers = Array.from({ length: 10 }, (_, i) => ({
+      _id: new mongoose.Types.ObjectId(),
+      paperId: `paper-${i}`,
+      title: `Paper ${i}`,
+      fee: [0, 5, 10][i % 3],
+      publishDate: new Date(Date.UTC(2024, 0, i + 1)),
+      keywords: i % 2 ? ['soil', 'yield'] : ['soil'],
+      authors: [{ name: i < 4 ? 'Jane Doe' : 'A. Smith' }]
+    }));
+    papers.push({ ...papers[0], _id: new mongoose.Types.ObjectId(), paperId: 'retracted', retraction: { retractedAt: new Date() } });
+    pipelines = [];
+
+    PaperDocument.aggregate = async (pipeline) => {
+      pipelines.push(pipeline);
+      let rows = papers;
+      for (const stage of pipeline) {
+        if (stage.$match) rows = rows.filter(row => matches(row, stage.$match));
+        if (stage.$sort) {
+          const keys = Object.entries(stage.$sort);
+          rows = [...rows].sort((a, b) => {
+            for (const [key, order] of keys) {
+              const [x, y] = [comparable(a[key]), comparable(b[key])];
+              if (x !== y) return x < y ? -order : order;
+            }
+            return 0;
+          });
+        }
+        if (stage.$limit) rows = rows.slice(0, stage.$limit);
+        if (stage.$facet) {
+          return [{ total: [{ count: rows.length }], keywords: countValues(rows, 'keywords'), authors: countValues(rows, 'authors.name') }];
+        }
+      }
+      return rows;
+    };
+    PaperDocument.countDocuments = async (filter) => papers.filter(paper => matches(paper, filter)).length;
+  });
+
+  // Every page of a query, following nextCursor to the end
+  const allPages = async (query) => {
+    const pages = [];
+    let cursor;
+    do {
+      const parsed = parseCatalogQuery({ ...query, ...(cursor ? { cursor } : {}) });
+      assert.equal(parsed.error, undefined);
+      const page = await queryCatalog(parsed);
+      pages.push(page);
+      cursor = page.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  it('pages through ties in the sort field without skipping or repeating papers', async () => {
+    const pages = await allPages({ sort: 'fee', order: 'asc', limit: '3' });
+    const listed = pages.flatMap(page => page.papers);
+
+    assert.deepEqual(pages.map(page => page.papers.length), [3, 3, 3, 1]);
+    assert.equal(new Set(listed.map(paper => paper.paperId)).size, 10);
+    assert.deepEqual(listed.map(paper => paper.fee), [0, 0, 0, 0, 5, 5, 5, 10, 10, 10]);
+    assert.equal(pages[pages.length - 1].nextCursor, null);
+    assert.ok(pages.every(page => page.total === 10));
+  });
+
+  it('lists the newest papers first by default', async () => {
+    const [page] = await allPages({});
+    assert.deepEqual(page.papers.slice(0, 2).map(paper => paper.paperId), ['paper-9', 'paper-8']);
+    assert.equal(page.nextCursor, null);
+  });
+
+  it('counts facets over every matching paper, not just the page', async () => {
+    const { papers: page, total, facets } = await queryCatalog(parseCatalogQuery({ author: 'jane doe', limit: '1' }));
+
+    assert.equal(page.length, 1);
+    assert.equal(total, 4);
+    assert.deepEqual(facets.keywords, [{ value: 'soil', count: 4 }, { value: 'yield', count: 2 }]);
+    assert.deepEqual(facets.authors, [{ value: 'Jane Doe', count: 4 }]);
+  });
+
+  it('counts matches without facets when they are turned off', async () => {
+    const result = await queryCatalog(parseCatalogQuery({ minFee: '5', facets: 'false' }));
+
+    assert.equal(result.total, 6);
+    assert.equal(result.facets, null);
+    assert.equal(pipelines.length, 1);
+  });
+
+  it('adds the text score before applying a relevance cursor', async () => {
+    const parsed = parseCatalogQuery({ q: 'soil', cursor: encodeCursor('relevance', 1.5, papers[0]._id) });
+    PaperDocument.aggregate = async (pipeline) => {
+      pipelines.push(pipeline);
+      return pipeline.some(stage => stage.$facet) ? [{ total: [], keywords: [], authors: [] }] : [];
+    };
+    await queryCatalog(parsed);
+
+    const [stages] = pipelines;
+    assert.deepEqual(Object.keys(stages[0].$match).sort(), ['$text', 'retraction.retractedAt']);
+    assert.deepEqual(stages[1], { $addFields: { score: { $meta: 'textScore' } } });
+    assert.deepEqual(stages[2].$match.$or[0], { score: { $lt: 1.5 } });
+    assert.equal(stages[stages.length - 1].$project.score, 1);
+  });
+});
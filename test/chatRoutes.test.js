@@ -0,0 +1,137 @@
+process.env.HEDERA_NETWORK = 'fake';
+process.env.QUOTE_SIGNING_SECRET = 'chat-routes-test';
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createClient } = require('../utils/network');
+const { createMockUSDC, transferTokens } = require('../utils/token');
+const { settlePayment } = require('../utils/payments');
+const AuthSession = require('../models/AuthSession');
+const Chat = require('../models/Chat');
+const Entitlement = require('../models/Entitlement');
+const PaperDocument = require('../models/PaperDocument');
+const Purchase = require('../models/Purchase');
+const RoyaltyPayment = require('../models/RoyaltyPayment');
+const chatRoutes = require('../routes/chatRoutes');
+
+describe('chat quotes and purchases', () => {
+  let platform;
+  let reader;
+  let publisher;
+  let coauthor;
+  let tokenId;
+  let server;
+  let baseUrl;
+  let session;
+  let catalog;
+  let claims;
+  let grants;
+
+  before(async () => {
+    platform = await createClient();
+    reader = await createClient();
+    publisher = await createClient();
+    coauthor = await createClient();
+    tokenId = (await createMockUSDC(platform, { decimals: 2, initialSupply: 1000000 })).toString();
+    await transferTokens(platform, tokenId, platform.operatorAccountId.toString(), reader.operatorAccountId.toString(), 10000);
+
+    const app = express();
+    app.use(express.json());
+    app.locals.hederaClient = platform;
+    app.locals.platformTokenId = tokenId;
+    app.use('/api/chat', chatRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://localhost:${server.address().port}/api/chat`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    const publisherId = publisher.operatorAccountId.toString();
+    claims = [];
+    grants = [];
+
+    // The session's search snapshot still has the fee the paper had when it was found
+    session = new Chat({
+      sessionId: 'session-1',
+      userId: reader.operatorAccountId.toString(),
+      relatedPapers: [{ paperId: 'paper-1', title: 'Snapshot title', fee: 10, publisherId }]
+    });
+    session.save = async () => session;
+
+    // The catalog row has since raised the fee and added a coauthor
+    catalog = new Map([['paper-1', new PaperDocument({
+      paperId: 'paper-1',
+      title: 'Catalog title',
+      fee: 12,
+      publisherId,
+      royaltySplits: [
+        { accountId: publisherId, role: 'publisher', basisPoints: 7500 },
+        { accountId: coauthor.operatorAccountId.toString(), role: 'author', basisPoints: 2500 }
+      ]
+    })]]);
+
+    AuthSession.findByToken = async (token) => ({ accountId: token });
+    Chat.findOne = async ({ sessionId, userId }) => (sessionId === session.sessionId && userId === session.userId ? session : null);
+    Entitlement.findOwnedPaperIds = async () => [];
+    Entitlement.grant = async (grant) => grants.push(grant);
+    PaperDocument.findOne = async ({ paperId }) => catalog.get(paperId) || null;
+    PaperDocument.find = async ({ paperId }) => paperId.$in.map(id => catalog.get(id)).filter(Boolean);
+    Purchase.claim = async (fields) => {
+      claims.push(fields);
+      return fields;
+    };
+    RoyaltyPayment.recordShares = async () => [];
+  });
+
+  const post = (path, body) => fetch(`${baseUrl}/session-1/${path}`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${reader.operatorAccountId}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const paidQuote = async () => {
+    const { quote } = await (await post('quote', {})).json();
+    const payment = await settlePayment(reader, quote);
+    assert.equal(payment.success, true, payment.error);
+    return { quote, transactionId: payment.transactionId };
+  };
+
+  it('quotes the catalog fee together with the catalog splits', async () => {
+    const response = await post('quote', {});
+    const { quote } = await response.json();
+    assert.equal(response.status, 200);
+
+    assert.equal(quote.papers[0].fee, 12);
+    assert.deepEqual(quote.papers[0].splits.map(split => split.basisPoints), [7500, 2500]);
+    assert.equal(quote.papersCost, 12);
+    assert.equal(quote.platformFee, 0.6);
+    assert.equal(quote.totalCost, 12.6);
+    assert.equal(session.quote.totalCost, 12.6);
+  });
+
+  it('grants access once the quote is paid', async () => {
+    const { quote, transactionId } = await paidQuote();
+
+    const response = await post('purchase', { quote, transactionId });
+    const body = await response.json();
+    assert.equal(response.status, 200, body.message);
+    assert.deepEqual(grants.map(grant => grant.paperIds), [['paper-1']]);
+  });
+
+  it('refuses papers retracted after the quote was issued without using up the transaction', async () => {
+    const { quote, transactionId } = await paidQuote();
+    catalog.get('paper-1').retraction = { retractedAt: new Date(), purged: true };
+
+    const response = await post('purchase', { quote, transactionId });
+    const body = await response.json();
+    assert.equal(response.status, 409);
+    assert.equal(body.status, 'PAPER_RETRACTED');
+    assert.deepEqual(claims, []);
+    assert.deepEqual(grants, []);
+  });
+});
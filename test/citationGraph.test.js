@@ -0,0 +1,167 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Entitlement = require('../models/Entitlement');
+const PaperDocument = require('../models/PaperDocument');
+const {
+  getReferences,
+  getCitedBy,
+  getCoauthorNetwork,
+  recommendPapers,
+  getBoughtTogether,
+  describeBoughtTogether
+} = require('../utils/citationGraph');
+
+// Values at a dotted path, flattening arrays on the way (references, authors.name)
+const valuesAt = (doc, path) => path.split('.').reduce(
+  (values, key) => values.flatMap(value => (value == null ? [undefined] : [].concat(value[key]))),
+  [doc]
+);
+
+const equals = (value, condition) => (condition instanceof RegExp ? typeof value === 'string' && condition.test(value) : value === condition);
+
+// The query operators the graph uses
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') return condition.some(branch => matches(doc, branch));
+  const values = valuesAt(doc, path);
+  if (condition === null) return values.every(value => value == null);
+  if (condition instanceof RegExp || typeof condition !== 'object') return values.some(value => equals(value, condition));
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (operator === '$in') return values.some(value => operand.some(item => equals(value, item)));
+    if (operator === '$ne') return values.every(value => value !== operand);
+    throw new Error(`Unsupported operator ${operator}`);
+  });
+});
+
+// Query stand-in for find(), awaitable directly or after sort() and limit()
+const query = (rows) => ({
+  sort: (order) => {
+    const [[key, direction]] = Object.entries(order);
+    return query([...rows].sort((a, b) => (a[key] - b[key]) * direction));
+  },
+  limit: (count) => query(rows.slice(0, count)),
+  then: (resolve, reject) => Promise.resolve(rows).then(resolve, reject)
+});
+
+const paper = (paperId, fields = {}) => ({
+  paperId,
+  title: `Title ${paperId}`,
+  authors: [],
+  keywords: [],
+  references: [],
+  publishDate: new Date(0),
+  ...fields
+});
+
+const retracted = { retraction: { retractedAt: new Date() } };
+
+describe('citation graph', () => {
+  let papers;
+
+  beforeEach(() => {
+    papers = [];
+    PaperDocument.find = (filter) => query(papers.filter(candidate => matches(candidate, filter)));
+  });
+
+  it('lists references in citation order, flagging retracted ones and listing unknown ones', async () => {
+    papers = [paper('b', retracted), paper('a')];
+
+    const { papers: references, missing } = await getReferences(paper('citing', { references: ['a', 'b', 'unknown'] }));
+    assert.deepEqual(references.map(reference => [reference.paperId, reference.retracted]), [['a', false], ['b', true]]);
+    assert.deepEqual(missing, ['unknown']);
+  });
+
+  it('lists listed papers citing a paper, newest first', async () => {
+    papers = [
+      paper('old', { references: ['target'], publishDate: new Date('2023-01-01') }),
+      paper('new', { references: ['target', 'other'], publishDate: new Date('2024-01-01') }),
+      paper('withdrawn', { references: ['target'], ...retracted }),
+      paper('unrelated', { references: ['other'] })
+    ];
+
+    assert.deepEqual((await getCitedBy('target')).map(citing => citing.paperId), ['new', 'old']);
+  });
+
+  it('walks co-authors by ORCID iD and then by name, one level at a time', async () => {
+    const orcid = '0000-0002-1825-0097';
+    papers = [
+      paper('p1', { authors: [{ name: 'Ada Lovelace', orcid }, { name: 'Bob Byte' }] }),
+      paper('p2', { authors: [{ name: 'bob byte' }, { name: 'Cy Cipher' }] }),
+      // Same name, no ORCID iD: not the author looked up by ORCID iD
+      paper('p3', { authors: [{ name: 'Ada Lovelace' }, { name: 'Dee Data' }] })
+    ];
+
+    const direct = await getCoauthorNetwork({ orcid });
+    assert.equal(direct.author.name, 'Ada Lovelace');
+    assert.deepEqual(direct.nodes.map(node => [node.key, node.depth, node.paperCount]), [
+      [`orcid:${orcid}`, 0, 1],
+      ['name:bob byte', 1, 1]
+    ]);
+    assert.deepEqual(direct.edges, [{ source: 'name:bob byte', target: `orcid:${orcid}`, paperIds: ['p1'], weight: 1 }]);
+
+    const extended = await getCoauthorNetwork({ orcid }, { depth: 2 });
+    assert.deepEqual(extended.nodes.map(node => [node.key, node.depth]), [
+      [`orcid:${orcid}`, 0],
+      ['name:bob byte', 1],
+      ['name:cy cipher', 2]
+    ]);
+    assert.deepEqual(extended.edges.map(edge => `${edge.source}|${edge.target}`), [
+      `name:bob byte|orcid:${orcid}`,
+      'name:bob byte|name:cy cipher'
+    ]);
+    assert.equal(extended.truncated, false);
+
+    const capped = await getCoauthorNetwork({ orcid }, { depth: 2, limit: 2 });
+    assert.equal(capped.nodes.length, 2);
+    assert.equal(capped.truncated, true);
+  });
+
+  it('recommends papers by citations, shared authors and keyword overlap', async () => {
+    const orcid = '0000-0002-1825-0097';
+    const target = paper('target', {
+      references: ['r1', 'r2'],
+      authors: [{ name: 'Ada Lovelace', orcid }],
+      keywords: ['graphs', 'citations']
+    });
+    papers = [
+      target,
+      paper('r1', { keywords: ['graphs'] }),
+      paper('r2', retracted),
+      paper('citer', { references: ['target', 'cocited'] }),
+      paper('cocited'),
+      paper('coupled', { references: ['r1', 'r2'] }),
+      paper('colleague', { authors: [{ name: 'A. Lovelace', orcid }, { name: 'Bob Byte' }], keywords: ['Citations'] }),
+      paper('similar', { keywords: ['graphs', 'citations'] }),
+      paper('withdrawn', { references: ['target'], keywords: ['graphs', 'citations'], ...retracted })
+    ];
+
+    const recommendations = await recommendPapers(target);
+    assert.deepEqual(recommendations.map(({ paperId, score }) => [paperId, score]), [
+      ['r1', 5],
+      ['colleague', 4],
+      ['similar', 4],
+      ['citer', 3],
+      ['coupled', 2],
+      ['cocited', 1]
+    ]);
+    assert.deepEqual(recommendations[0].reasons, ['cited by this paper', 'shared keyword(s): graphs']);
+    assert.deepEqual(recommendations[1].reasons, ['shared author(s): A. Lovelace', 'shared keyword(s): citations']);
+
+    assert.equal((await recommendPapers(target, { limit: 2 })).length, 2);
+  });
+
+  it('suggests listed papers bought by the same readers', async () => {
+    let asked;
+    Entitlement.boughtTogether = async (paperIds, options) => {
+      asked = { paperIds, options };
+      return [{ paperId: 'gone', readers: 4 }, { paperId: 'b', readers: 3 }, { paperId: 'c', readers: 1 }, { paperId: 'd', readers: 1 }];
+    };
+    papers = [paper('gone', retracted), paper('b'), paper('c'), paper('d')];
+
+    const suggestions = await getBoughtTogether(['a'], { excludePaperIds: ['owned'], limit: 2 });
+    assert.deepEqual(asked, { paperIds: ['a'], options: { excludePaperIds: ['owned'], limit: 4 } });
+    assert.deepEqual(suggestions.map(({ paperId, readers }) => [paperId, readers]), [['b', 3], ['c', 1]]);
+
+    assert.equal(describeBoughtTogether(suggestions), 'Papers often bought together with these: "Title b" (3 readers), "Title c" (1 reader)');
+    assert.equal(describeBoughtTogether([]), null);
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Entitlement = require('../models/Entitlement');
+const { buildCitationContext, verifyClaims, composeAnswer, parseClaims, generateCitedAnswer } = require('../utils/citations');
+
+const papers = [
+  { paperId: 'owned', title: 'Owned paper', authors: [{ name: 'Ada Lovelace' }], abstract: 'Owned abstract' },
+  { paperId: 'unowned', title: 'Unowned paper', authors: [{ name: 'Alan Turing' }], abstract: 'Unowned abstract' },
+  { paperId: 'background', title: 'Background paper', authors: [], abstract: 'Only the abstract' }
+];
+
+const passages = [
+  { paperId: 'owned', passageIndex: 0, sectionTitle: 'Results', text: 'Yield rose.', start: 0, end: 11, hash: 'h0', anchorTopicId: '0.0.7', anchorSequenceNumber: 4 },
+  { paperId: 'owned', passageIndex: 1, text: 'Costs fell.', start: 12, end: 23, hash: 'h1' },
+  { paperId: 'unowned', passageIndex: 0, text: 'Secret result.', start: 0, end: 14, hash: 'h2' }
+];
+
+// OpenAI client stand-in answering every completion with the given message
+const fakeOpenai = (message) => ({
+  chat: { completions: { create: async () => ({ choices: [{ message: { refusal: null, ...message } }] }) } }
+});
+
+describe('cited answers', () => {
+  beforeEach(() => {
+    Entitlement.findOwnedPaperIds = async (readerAccountId, paperIds) => (readerAccountId ? paperIds.filter(paperId => paperId === 'owned') : []);
+  });
+
+  it('marks passages as citable and abstracts as background', () => {
+    const { context, sources } = buildCitationContext(papers, passages);
+
+    assert.deepEqual([...sources.keys()], ['P1', 'P2', 'P3']);
+    assert.match(context, /\[P1\] \(Results\) Yield rose\./);
+    assert.match(context, /Abstract \(background only, not citable\): Only the abstract/);
+  });
+
+  it('accepts claims citing owned passages and rejects unknown or unpurchased sources', async () => {
+    const { sources } = buildCitationContext(papers, passages);
+    const { accepted, rejected } = await verifyClaims([
+      { text: 'Yield rose.', citations: ['P1', 'P1'] },
+      { text: 'General knowledge.', citations: [] },
+      { text: 'Made up.', citations: ['P9'] },
+      { text: 'Leaked.', citations: ['P3'] }
+    ], sources, '0.0.5001');
+
+    assert.deepEqual(accepted, [
+      { text: 'Yield rose.', markers: ['P1'] },
+      { text: 'General knowledge.', markers: [] }
+    ]);
+    assert.deepEqual(rejected, [
+      { text: 'Made up.', reason: 'Cites unknown source P9' },
+      { text: 'Leaked.', reason: 'Cites a paper the reader has not purchased: Unowned paper' }
+    ]);
+  });
+
+  it('rejects every cited claim when there is no reader', async () => {
+    const { sources } = buildCitationContext(papers, passages);
+    const { accepted, rejected } = await verifyClaims([{ text: 'Yield rose.', citations: ['P1'] }], sources, null);
+
+    assert.deepEqual(accepted, []);
+    assert.equal(rejected.length, 1);
+  });
+
+  it('numbers citations in order of first use', () => {
+    const { sources } = buildCitationContext(papers, passages);
+    const { answer, claims, citations } = composeAnswer([
+      { text: 'Costs fell. ', markers: ['P2'] },
+      { text: 'Yield rose too.', markers: ['P1', 'P2'] }
+    ], sources);
+
+    assert.equal(answer, 'Costs fell. [1] Yield rose too. [2] [1]');
+    assert.deepEqual(claims.map(claim => claim.citations), [[1], [2, 1]]);
+    assert.deepEqual(citations.map(citation => [citation.marker, citation.passageHash, citation.sequenceNumber]), [
+      [1, 'h1', null],
+      [2, 'h0', 4]
+    ]);
+    assert.equal(citations[1].contentTopicId, '0.0.7');
+  });
+
+  it('reads claims only from the requested JSON shape', () => {
+    assert.deepEqual(parseClaims('{"claims":[{"text":"a","citations":["P1"]}]}'), [{ text: 'a', citations: ['P1'] }]);
+    for (const content of [null, '', 'not json', '{"claims":"a"}', '{"claims":[{"citations":[]}]}']) {
+      assert.throws(() => parseClaims(content), error => error.code === 'INVALID_MODEL_REPLY', String(content));
+    }
+  });
+
+  it('answers with verified claims and their citations', async () => {
+    const openai = fakeOpenai({ content: JSON.stringify({ claims: [{ text: 'Yield rose.', citations: ['P1'] }, { text: 'Leak.', citations: ['P3'] }] }) });
+    const result = await generateCitedAnswer(openai, { question: 'What rose?', papers, passages, readerAccountId: '0.0.5001' });
+
+    assert.equal(result.answer, 'Yield rose. [1]');
+    assert.equal(result.citations.length, 1);
+    assert.equal(result.rejectedClaims.length, 1);
+  });
+
+  it('returns a refusal as an uncited answer', async () => {
+    const openai = fakeOpenai({ content: null, refusal: 'I cannot help with that.' });
+    const result = await generateCitedAnswer(openai, { question: 'Anything', papers, passages, readerAccountId: '0.0.5001' });
+
+    assert.deepEqual(result, { answer: 'I cannot help with that.', claims: [], citations: [], rejectedClaims: [] });
+  });
+
+  it('fails with INVALID_MODEL_REPLY when the reply is not JSON', async () => {
+    const openai = fakeOpenai({ content: '{"claims": [' });
+    await assert.rejects(
+      () => generateCitedAnswer(openai, { question: 'Anything', papers, passages, readerAccountId: '0.0.5001' }),
+      error => error.code === 'INVALID_MODEL_REPLY'
+    );
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { formatCitation } = require('../utils/citeFormats');
+
+const paper = {
+  paperId: 'who2020',
+  title: 'Global Report',
+  authors: [{ name: 'World Health Organization', literal: true }, { name: 'Jean-Paul Marie Sartre' }],
+  publishDate: new Date('2020-03-05T00:00:00Z'),
+  doi: '10.1000/who',
+  contentTopicId: '0.0.1234'
+};
+const url = 'https://desci.example/papers/who2020';
+
+describe('formatCitation', () => {
+  it('never splits organisation authors', () => {
+    assert.equal(
+      formatCitation(paper, 'apa', url),
+      'World Health Organization, & Sartre, J.-P. M. (2020, March 5). Global Report. DeSci Platform. https://doi.org/10.1000/who'
+    );
+    assert.match(formatCitation(paper, 'bibtex', url), /author = \{\{World Health Organization\} and Sartre, Jean-Paul Marie\}/);
+    assert.deepEqual(formatCitation(paper, 'csl-json', url).author, [
+      { literal: 'World Health Organization' },
+      { family: 'Sartre', given: 'Jean-Paul Marie' }
+    ]);
+    assert.match(formatCitation(paper, 'ris', url), /AU {2}- World Health Organization\r\nAU {2}- Sartre, Jean-Paul Marie\r\n/);
+  });
+
+  it('writes MLA with the first author inverted', () => {
+    assert.equal(
+      formatCitation({ ...paper, authors: [{ name: 'Ada Lovelace' }] }, 'mla', url),
+      'Lovelace, Ada. "Global Report." DeSci Platform, 5 Mar. 2020, https://doi.org/10.1000/who.'
+    );
+  });
+
+  it('escapes LaTeX in BibTeX fields', () => {
+    const bibtex = formatCitation({ ...paper, title: '50% of R&D_costs' }, 'bibtex', url);
+    assert.match(bibtex, /title = \{50\\% of R\\&D\\_costs\}/);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => formatCitation(paper, 'harvard', url), /format must be one of/);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const PaperDocument = require('../models/PaperDocument');
+const Entitlement = require('../models/Entitlement');
+
+// Evaluate the subset of MongoDB filters the entitlement checks use against plain objects
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') return condition.some(clause => matches(doc, clause));
+  if (field === '$and') return condition.every(clause => matches(doc, clause));
+
+  const value = doc[field];
+  if (condition === null) return value == null;
+  if (condition instanceof Date || typeof condition !== 'object') return value === condition;
+  if ('$in' in condition) return condition.$in.includes(value);
+  if ('$gt' in condition) return value != null && value > condition.$gt;
+  throw new Error(`Unsupported condition on ${field}`);
+});
+
+describe('Entitlement access checks', () => {
+  let entitlements;
+  let papers;
+  const reader = '0.0.5001';
+
+  beforeEach(() => {
+    papers = [
+      { paperId: 'paper-1', currentVersion: 2 },
+      { paperId: 'paper-2', currentVersion: 1 },
+      { paperId: 'paper-3', currentVersion: 3 }
+    ];
+    entitlements = [];
+
+    PaperDocument.find = async (filter) => papers.filter(paper => matches(paper, filter));
+    Entitlement.exists = async (filter) => (entitlements.some(entitlement => matches(entitlement, filter)) ? { _id: 1 } : null);
+    Entitlement.find = async (filter) => entitlements.filter(entitlement => matches(entitlement, filter));
+  });
+
+  const grant = (paperId, fields = {}) => entitlements.push({
+    readerAccountId: reader,
+    paperId,
+    transactionId: `${reader}@1700000000.${entitlements.length}`,
+    version: null,
+    expiresAt: null,
+    ...fields
+  });
+
+  it('gives access to a paper the reader has an entitlement for', async () => {
+    grant('paper-1');
+
+    assert.equal(await Entitlement.hasAccess(reader, 'paper-1'), true);
+    assert.equal(await Entitlement.hasAccess(reader, 'paper-3'), false);
+  });
+
+  it('gives access to every version when the entitlement is not pinned', async () => {
+    grant('paper-1');
+
+    assert.equal(await Entitlement.hasAccess(reader, 'paper-1'), true);
+    assert.equal(await Entitlement.hasAccess(reader, 'paper-1', 1), true);
+    assert.equal(await Entitlement.hasAccess(reader, 'paper-1', 5), true);
+  });
+
+  it('limits a pinned entitlement to the version bought', async () => {
+    grant('paper-1', { version: 1 });
+
+    assert.equal(await Entitlement.hasAccess(reader, 'paper-1', 1), true);
+    assert.equal(await Entitlement.hasAccess(reader, 'paper-1', 2), false);
+    // Without a version the current one (2) is checked
+    assert.equal(await Entitlement.hasAccess(reader, 'paper-1'), false);
+  });
+
+  it('ignores expired entitlements', async () => {
+    grant('paper-2', { expiresAt: new Date(Date.now() - 1000) });
+    assert.equal(await Entitlement.hasAccess(reader, 'paper-2'), false);
+
+    grant('paper-2', { expiresAt: new Date(Date.now() + 60000) });
+    assert.equal(await Entitlement.hasAccess(reader, 'paper-2'), true);
+  });
+
+  it('gives no access without a reader or to other readers', async () => {
+    grant('paper-2');
+
+    assert.equal(await Entitlement.hasAccess(null, 'paper-2'), false);
+    assert.equal(await Entitlement.hasAccess('0.0.5002', 'paper-2'), false);
+  });
+
+  it('lists the requested papers the reader owns', async () => {
+    grant('paper-1');
+    grant('paper-2', { expiresAt: new Date(Date.now() - 1000) });
+
+    assert.deepEqual(await Entitlement.findOwnedPaperIds(reader, ['paper-1', 'paper-2', 'paper-3']), ['paper-1']);
+  });
+
+  it('lists owned papers only when they are owned in their current version', async () => {
+    grant('paper-1', { version: 1 });
+    grant('paper-2');
+    grant('paper-3', { version: 3 });
+    grant('paper-3', { version: 2 });
+
+    const owned = await Entitlement.findOwnedPaperIds(reader, ['paper-1', 'paper-2', 'paper-3']);
+    assert.deepEqual(owned.sort(), ['paper-2', 'paper-3']);
+  });
+
+  it('lists nothing for an empty request', async () => {
+    grant('paper-2');
+    assert.deepEqual(await Entitlement.findOwnedPaperIds(reader, []), []);
+  });
+});
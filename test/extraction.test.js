@@ -0,0 +1,193 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const PaperText = require('../models/PaperText');
+const { registerExtractor, getExtractor, readZipEntry, extractText, extractPaperText } = require('../utils/extraction');
+
+// ZIP archive of the given files, stored uncompressed when store lists their names
+const zipOf = (files, { store = [] } = {}) => {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, content]) => {
+    zip.addFile(name, Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8'));
+    if (store.includes(name)) zip.getEntry(name).header.method = 0;
+  });
+  return zip.toBuffer();
+};
+
+// Minimal XLSX workbook: one sheet of shared, inline, numeric and boolean cells plus an empty sheet
+const workbook = () => zipOf({
+  'xl/workbook.xml': '<workbook xmlns:r="r"><sheets><sheet name="Results &amp; notes" sheetId="1" r:id="rId1"/>'
+    + '<sheet name="Empty" sheetId="2" r:id="rId2"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Target="/xl/worksheets/sheet2.xml"/></Relationships>',
+  'xl/sharedStrings.xml': '<sst><si><t>Sample</t></si><si><r><t>Yield, </t></r><r><t>%</t></r></si></sst>',
+  'xl/worksheets/sheet1.xml': '<worksheet><sheetData>'
+    + '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>'
+    + '<row r="2"/>'
+    + '<row r="3"><c r="A3" t="inlineStr"><is><t>a &lt;b&gt;</t></is></c><c r="C3"><v>3.5</v></c></row>'
+    + '<row r="4"><c r="B4" t="b"><v>1</v></c></row>'
+    + '</sheetData></worksheet>',
+  'xl/worksheets/sheet2.xml': '<worksheet><sheetData/></worksheet>'
+});
+
+describe('extractor registry', () => {
+  it('picks extractors by mimetype before extension', () => {
+    assert.equal(getExtractor('application/pdf', 'paper.docx').format, 'pdf');
+    assert.equal(getExtractor('text/markdown; charset=utf-8').format, 'markdown');
+    assert.equal(getExtractor('application/octet-stream', 'Paper.TEX').format, 'latex');
+    assert.equal(getExtractor(null, 'data.xlsx').format, 'xlsx');
+    assert.equal(getExtractor(null, 'image.png'), null);
+  });
+
+  it('lets later registrations take over a format', async () => {
+    registerExtractor({ format: 'custom', extensions: ['.markdown'], extract: async () => [{ title: null, level: 1, text: 'custom' }] });
+
+    assert.equal(getExtractor(null, 'notes.markdown').format, 'custom');
+    assert.equal((await extractText(Buffer.from('# Notes'), { filename: 'notes.markdown' })).text, 'custom');
+    // Other extensions and mimetype matches still go to the built-in extractor
+    assert.equal(getExtractor(null, 'notes.md').format, 'markdown');
+    assert.equal(getExtractor('text/markdown', 'notes.markdown').format, 'markdown');
+  });
+
+  it('refuses files no extractor handles', async () => {
+    await assert.rejects(() => extractText(Buffer.from(''), { mimetype: 'image/png' }), /No text extractor for image\/png/);
+  });
+});
+
+describe('readZipEntry', () => {
+  const entry = (buffer, name) => new AdmZip(buffer).getEntry(name);
+
+  it('returns the decompressed content of stored and deflated entries', () => {
+    const text = 'methods '.repeat(1000);
+    const buffer = zipOf({ 'stored.txt': text, 'deflated.txt': text }, { store: ['stored.txt'] });
+
+    assert.equal(entry(buffer, 'stored.txt').header.method, 0);
+    assert.equal(entry(buffer, 'deflated.txt').header.method, 8);
+    assert.equal(readZipEntry(entry(buffer, 'stored.txt'), 8000).toString(), text);
+    assert.equal(readZipEntry(entry(buffer, 'deflated.txt'), 8000).toString(), text);
+  });
+
+  it('stops when an entry expands past the limit, whatever its header says', () => {
+    const buffer = zipOf({ 'zeros.bin': Buffer.alloc(2 * 1024 * 1024), 'stored.txt': 'x'.repeat(2000) }, { store: ['stored.txt'] });
+    const zeros = entry(buffer, 'zeros.bin');
+    zeros.header.size = 10;
+
+    assert.throws(() => readZipEntry(zeros, 1024 * 1024), error => error.code === 'ZIP_ENTRY_TOO_LARGE');
+    assert.throws(() => readZipEntry(entry(buffer, 'stored.txt'), 1000), error => error.code === 'ZIP_ENTRY_TOO_LARGE');
+  });
+});
+
+describe('ZIP bundles', () => {
+  it('nests the sections of each supported file below a section named after it', async () => {
+    const inner = zipOf({ 'notes.md': '# Notes\nInner text' });
+    const buffer = zipOf({
+      'paper.md': '# Introduction\nHello\n## Scope\nWorld',
+      'data.csv': 'a,b\n1,2',
+      'image.png': Buffer.alloc(10),
+      '__MACOSX/paper.md': 'resource fork',
+      'nested.zip': inner
+    });
+
+    const { format, sections } = await extractText(buffer, { filename: 'bundle.zip' });
+    assert.equal(format, 'zip');
+    assert.deepEqual(sections, [
+      { title: 'data.csv', level: 1, text: '' },
+      { title: 'data.csv', level: 2, text: 'a,b\n1,2' },
+      { title: 'nested.zip', level: 1, text: '' },
+      { title: 'notes.md', level: 2, text: '' },
+      { title: 'Notes', level: 3, text: 'Inner text' },
+      { title: 'paper.md', level: 1, text: '' },
+      { title: 'Introduction', level: 2, text: 'Hello' },
+      { title: 'Scope', level: 3, text: 'World' }
+    ]);
+  });
+
+  it('skips bundles nested too deeply', async () => {
+    const buffer = zipOf({ 'a.zip': zipOf({ 'b.zip': zipOf({ 'deep.txt': 'too deep' }) }) });
+
+    const { sections } = await extractText(buffer, { filename: 'bundle.zip' });
+    assert.deepEqual(sections.map(section => section.title), ['a.zip']);
+  });
+
+  it('fails the whole bundle when it expands past its budget, nested bundles included', async () => {
+    const extractor = getExtractor(null, 'bundle.zip');
+    const buffer = zipOf({ 'a.txt': 'x'.repeat(600), 'b.zip': zipOf({ 'c.txt': 'y'.repeat(600) }) });
+
+    const sections = await extractor.extract(buffer, { depth: 0, budget: { remaining: 2000 } });
+    assert.deepEqual(sections.map(section => section.title), ['a.txt', null, 'b.zip', 'c.txt', null]);
+    await assert.rejects(
+      () => extractor.extract(buffer, { depth: 0, budget: { remaining: 1000 } }),
+      error => error.code === 'ZIP_ENTRY_TOO_LARGE'
+    );
+  });
+});
+
+describe('XLSX workbooks', () => {
+  it('turns each sheet with content into a CSV section', async () => {
+    const { format, sections } = await extractText(workbook(), { filename: 'results.xlsx' });
+
+    assert.equal(format, 'xlsx');
+    assert.deepEqual(sections, [
+      { title: 'Results & notes', level: 1, text: 'Sample,"Yield, %"\na <b>,,3.5\n,TRUE' }
+    ]);
+  });
+
+  it('reads workbook parts against the size budget', async () => {
+    const extractor = getExtractor(null, 'results.xlsx');
+    await assert.rejects(
+      () => extractor.extract(workbook(), { depth: 0, budget: { remaining: 100 } }),
+      error => error.code === 'ZIP_ENTRY_TOO_LARGE'
+    );
+  });
+
+  it('rejects archives that are not workbooks', async () => {
+    await assert.rejects(() => extractText(zipOf({ 'a.txt': 'a' }), { filename: 'fake.xlsx' }), /xl\/workbook.xml is missing/);
+  });
+});
+
+describe('extractPaperText', () => {
+  let stored;
+  let loads;
+  const paper = { paperId: 'paper-1', fileId: 'file-1', mimetype: 'text/markdown', originalname: 'paper.md' };
+
+  beforeEach(() => {
+    stored = new Map();
+    loads = 0;
+
+    PaperText.findOne = async ({ fileId, version }) => {
+      const cached = stored.get(fileId);
+      return cached && cached.version === version ? cached : null;
+    };
+    PaperText.findOneAndUpdate = async ({ fileId }, update) => {
+      stored.set(fileId, { ...update, text: update.sections.map(section => section.text).join('\n\n') });
+    };
+  });
+
+  const loadContent = async () => {
+    loads++;
+    return Buffer.from('# Abstract\nShort');
+  };
+
+  it('parses the file once for concurrent readers and caches the sections', async () => {
+    const [first, second] = await Promise.all([extractPaperText(paper, loadContent), extractPaperText(paper, loadContent)]);
+
+    assert.equal(loads, 1);
+    assert.deepEqual(first, second);
+    assert.deepEqual(stored.get('file-1').sections, [{ title: 'Abstract', level: 1, text: 'Short' }]);
+  });
+
+  it('serves cached text without loading the file', async () => {
+    await extractPaperText(paper, loadContent);
+    const cached = await extractPaperText(paper, loadContent);
+
+    assert.equal(loads, 1);
+    assert.equal(cached.format, 'markdown');
+  });
+
+  it('keeps the cache per file', async () => {
+    await extractPaperText(paper, loadContent);
+    await extractPaperText({ ...paper, fileId: 'file-2' }, loadContent);
+
+    assert.equal(loads, 2);
+  });
+});
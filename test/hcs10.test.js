@@ -0,0 +1,113 @@
+process.env.HEDERA_NETWORK = 'fake';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { Status, TopicInfoQuery, TopicMessageQuery } = require('@hashgraph/sdk');
+const { createClient, execute, subscribe } = require('../utils/network');
+const {
+  TopicType,
+  buildRegistryMemo,
+  buildInboundMemo,
+  buildOutboundMemo,
+  buildConnectionMemo,
+  parseMemo,
+  formatOperatorId,
+  parseOperatorId,
+  parseMessage,
+  submitMessage,
+  provisionAgent
+} = require('../utils/hcs10');
+
+// Every message on a topic so far, decoded as HCS-10 payloads (the fake ledger replays them in one setImmediate)
+const readTopic = (client, topicId) => new Promise((resolve, reject) => {
+  const payloads = [];
+  const handle = subscribe(client, new TopicMessageQuery().setTopicId(topicId), (message, error) => reject(error), (message) => {
+    payloads.push(parseMessage(message.contents));
+  });
+  setImmediate(() => {
+    handle.unsubscribe();
+    resolve(payloads);
+  });
+});
+
+const topicMemo = async (client, topicId) => (await execute(client, new TopicInfoQuery().setTopicId(topicId))).topicMemo;
+
+describe('HCS-10 memos and operations', () => {
+  let agentClient;
+  let other;
+
+  before(async () => {
+    agentClient = await createClient();
+    other = await createClient();
+  });
+
+  it('builds topic memos that parse back to their type', () => {
+    assert.equal(buildRegistryMemo(), 'hcs-10:0:60:3');
+    assert.equal(buildRegistryMemo(30, '0.0.9'), 'hcs-10:0:30:3:0.0.9');
+    assert.equal(buildInboundMemo('0.0.1234'), 'hcs-10:0:60:0:0.0.1234');
+    assert.equal(buildOutboundMemo(), 'hcs-10:0:60:1');
+
+    assert.deepEqual(parseMemo(buildConnectionMemo('0.0.55', 7)), {
+      indexed: false,
+      ttl: 60,
+      type: TopicType.CONNECTION,
+      extra: ['0.0.55', '7']
+    });
+    assert.equal(parseMemo(buildInboundMemo('0.0.1234')).type, TopicType.INBOUND);
+    assert.equal(parseMemo('DeSci Paper Content: Title'), null);
+    assert.equal(parseMemo(undefined), null);
+  });
+
+  it('formats and splits operator IDs', () => {
+    assert.equal(formatOperatorId('0.0.10', '0.0.20'), '0.0.10@0.0.20');
+    assert.deepEqual(parseOperatorId('0.0.10@0.0.20'), { inboundTopicId: '0.0.10', accountId: '0.0.20' });
+    assert.equal(parseOperatorId('0.0.20'), null);
+    assert.equal(parseOperatorId(undefined), null);
+  });
+
+  it('only decodes JSON messages of the HCS-10 protocol', () => {
+    assert.deepEqual(parseMessage(Buffer.from('{"p":"hcs-10","op":"message","data":"hi"}')), { p: 'hcs-10', op: 'message', data: 'hi' });
+    assert.equal(parseMessage('{"p":"hcs-2","op":"register"}'), null);
+    assert.equal(parseMessage('plain text'), null);
+  });
+
+  it('provisions agent topics and registers the agent once', async () => {
+    const agent = await provisionAgent(agentClient, { memo: 'Research agent' });
+    const accountId = agentClient.operatorAccountId.toString();
+
+    assert.equal(agent.accountId, accountId);
+    assert.equal(agent.registrationUid, '1');
+    assert.equal(parseMemo(await topicMemo(agentClient, agent.registryTopicId)).type, TopicType.REGISTRY);
+    assert.equal(await topicMemo(agentClient, agent.inboundTopicId), buildInboundMemo(accountId));
+    assert.equal(await topicMemo(agentClient, agent.outboundTopicId), buildOutboundMemo());
+    assert.deepEqual(await readTopic(agentClient, agent.registryTopicId), [{
+      p: 'hcs-10',
+      op: 'register',
+      account_id: accountId,
+      inbound_topic_id: agent.inboundTopicId,
+      m: 'Research agent'
+    }]);
+
+    // A saved registration is reused as is
+    const again = await provisionAgent(agentClient, agent);
+    assert.deepEqual(again, agent);
+    assert.equal((await readTopic(agentClient, agent.registryTopicId)).length, 1);
+  });
+
+  it('lets anyone write to the inbound topic but only the agent to the outbound topic', async () => {
+    const agent = await provisionAgent(agentClient);
+
+    const request = await submitMessage(other, agent.inboundTopicId, { op: 'connection_request', m: 'Hello' });
+    assert.equal(request.sequenceNumber, 1);
+    await assert.rejects(
+      () => submitMessage(other, agent.outboundTopicId, { op: 'connection_created', m: 'Forged' }),
+      error => error.status === Status.InvalidSignature
+    );
+  });
+
+  it('replaces a registry topic that cannot be found', async () => {
+    const agent = await provisionAgent(agentClient, { registryTopicId: '0.0.999999' });
+    assert.notEqual(agent.registryTopicId, '0.0.999999');
+    assert.equal(parseMemo(await topicMemo(agentClient, agent.registryTopicId)).type, TopicType.REGISTRY);
+  });
+});
@@ -0,0 +1,162 @@
+process.env.HEDERA_NETWORK = 'fake';
+
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createClient } = require('../utils/network');
+const { createAgentTopics, formatOperatorId, submitMessage } = require('../utils/hcs10');
+const { createConnectionManager } = require('../utils/hcs10Connections');
+const AgentConnection = require('../models/AgentConnection');
+
+// Wait until a condition holds, failing after a few seconds
+const waitFor = async (condition, message) => {
+  const deadline = Date.now() + 5000;
+  while (!await condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+// Checkpoint store kept in memory, like createFileCheckpointStore without the file
+const memoryCheckpointStore = () => {
+  const checkpoints = new Map();
+  return {
+    checkpoints,
+    load: async (topicId) => checkpoints.get(topicId) || null,
+    save: async (topicId, checkpoint) => checkpoints.set(topicId, checkpoint)
+  };
+};
+
+describe('HCS-10 connection manager', () => {
+  let agentClient;
+  let requester;
+  let impostor;
+  let agent;
+  let requesterTopics;
+  let connections;
+  let managers;
+
+  before(async () => {
+    agentClient = await createClient();
+    requester = await createClient();
+    impostor = await createClient();
+    requesterTopics = await createAgentTopics(requester);
+  });
+
+  beforeEach(async () => {
+    // Fresh agent topics, so no test sees requests sent by another
+    agent = await createAgentTopics(agentClient);
+    connections = [];
+    managers = [];
+
+    // Connections kept in memory; create enforces the unique request index like MongoDB would
+    const matches = (query) => connection => Object.entries(query).every(([key, value]) => connection[key] === value);
+    AgentConnection.create = async (fields) => {
+      if (connections.some(matches({ inboundTopicId: fields.inboundTopicId, connectionRequestId: fields.connectionRequestId }))) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const connection = new AgentConnection(fields);
+      connections.push(connection);
+      return connection;
+    };
+    AgentConnection.findOne = async (query) => connections.find(matches(query)) || null;
+    AgentConnection.find = async (query) => connections.filter(matches(query));
+    AgentConnection.prototype.save = async function() {
+      return this;
+    };
+    AgentConnection.prototype.deleteOne = async function() {
+      connections = connections.filter(connection => connection !== this);
+    };
+  });
+
+  afterEach(() => managers.forEach(manager => manager.stop()));
+
+  const startManager = async (options = {}) => {
+    const manager = createConnectionManager({ client: agentClient, agent, ...options });
+    managers.push(manager);
+    await manager.start();
+    return manager;
+  };
+
+  // Connection request naming the requester, submitted and paid for by the given client
+  const requestConnection = (payer = requester) => submitMessage(payer, agent.inboundTopicId, {
+    op: 'connection_request',
+    operator_id: formatOperatorId(requesterTopics.inboundTopicId, requester.operatorAccountId.toString()),
+    outbound_topic_id: requesterTopics.outboundTopicId,
+    m: 'Hello'
+  });
+
+  const openConnection = async (options) => {
+    await startManager(options);
+    const { sequenceNumber } = await requestConnection();
+    await waitFor(() => connections.some(connection => connection.connectionRequestId === sequenceNumber && connection.status === 'open'), 'the connection');
+    return connections.find(connection => connection.connectionRequestId === sequenceNumber);
+  };
+
+  it('opens a connection topic for requests paid for by the account in operator_id', async () => {
+    const connection = await openConnection();
+
+    assert.ok(connection.connectionTopicId);
+    assert.equal(connection.requesterAccountId, requester.operatorAccountId.toString());
+    assert.equal(connection.sessionId, `hcs10-${connection.connectionTopicId}`);
+  });
+
+  it('ignores requests that name an account which did not pay for them', async () => {
+    const checkpointStore = memoryCheckpointStore();
+    await startManager({ checkpointStore });
+
+    const { sequenceNumber } = await requestConnection(impostor);
+    await waitFor(() => (checkpointStore.checkpoints.get(agent.inboundTopicId) || {}).sequenceNumber >= sequenceNumber, 'the checkpoint');
+
+    assert.equal(connections.some(connection => connection.connectionRequestId === sequenceNumber), false);
+  });
+
+  it('accepts a request once when several agent processes handle it', async () => {
+    const stores = [memoryCheckpointStore(), memoryCheckpointStore()];
+    await Promise.all(stores.map(checkpointStore => startManager({ checkpointStore })));
+
+    const { sequenceNumber } = await requestConnection();
+    await waitFor(() => stores.every(store => (store.checkpoints.get(agent.inboundTopicId) || {}).sequenceNumber >= sequenceNumber), 'both checkpoints');
+
+    assert.equal(connections.filter(connection => connection.connectionRequestId === sequenceNumber).length, 1);
+  });
+
+  it('resumes the inbound topic after its checkpoint', async () => {
+    const checkpointStore = memoryCheckpointStore();
+    const first = await openConnection({ checkpointStore });
+    managers.forEach(manager => manager.stop());
+
+    let claims = 0;
+    const create = AgentConnection.create;
+    AgentConnection.create = (fields) => {
+      claims++;
+      return create(fields);
+    };
+
+    const second = await openConnection({ checkpointStore });
+    assert.notEqual(second.connectionRequestId, first.connectionRequestId);
+    assert.equal(claims, 1);
+  });
+
+  it('retries a failed message before moving past it', async () => {
+    const seen = [];
+    const connection = await openConnection({
+      onMessage: async (current, data) => {
+        seen.push({ data, lastSequenceNumber: current.lastSequenceNumber });
+        if (seen.length === 1) throw new Error('Model unavailable');
+        return null;
+      }
+    });
+
+    const { sequenceNumber } = await submitMessage(requester, connection.connectionTopicId, {
+      op: 'message',
+      operator_id: formatOperatorId(requesterTopics.inboundTopicId, requester.operatorAccountId.toString()),
+      data: 'What is new?'
+    });
+    await waitFor(() => connection.lastSequenceNumber === sequenceNumber, 'the retried message');
+
+    assert.deepEqual(seen, [
+      { data: 'What is new?', lastSequenceNumber: 0 },
+      { data: 'What is new?', lastSequenceNumber: 0 }
+    ]);
+  });
+});
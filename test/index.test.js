@@ -0,0 +1,54 @@
+process.env.HEDERA_NETWORK = 'fake';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { Status } = require('@hashgraph/sdk');
+const { createClient } = require('../utils/network');
+const { getTokenBalance } = require('../utils/token');
+const { getTopicFees } = require('../utils/topicFees');
+const createAccount = require('../utils/account');
+const { MESSAGE_FEE, setupFeeTopic, submitMessage } = require('../index');
+
+describe('custom-fee topic', () => {
+  let operator;
+  let feePayer;
+  let tokenId;
+  let topicId;
+
+  before(async () => {
+    operator = await createClient();
+    ({ feePayer, tokenId, topicId } = await setupFeeTopic(operator));
+  });
+
+  it('creates a topic charging the fee in mock USDC to the operator', async () => {
+    assert.deepEqual(await getTopicFees(operator, topicId.toString()), [{
+      amount: String(MESSAGE_FEE),
+      tokenId: tokenId.toString(),
+      collectorAccountId: operator.operatorAccountId.toString()
+    }]);
+    assert.equal(await getTokenBalance(operator, feePayer.accountId.toString(), tokenId.toString()), 100);
+  });
+
+  it('charges the fee payer for each message it submits', async () => {
+    const operatorBalance = await getTokenBalance(operator, operator.operatorAccountId.toString(), tokenId.toString());
+
+    const receipt = await submitMessage(operator, feePayer, topicId, 'first');
+    assert.equal(receipt.status, Status.Success);
+    await submitMessage(operator, feePayer, topicId, 'second');
+
+    assert.equal(await getTokenBalance(operator, feePayer.accountId.toString(), tokenId.toString()), 100 - 2 * MESSAGE_FEE);
+    assert.equal(
+      await getTokenBalance(operator, operator.operatorAccountId.toString(), tokenId.toString()),
+      operatorBalance + 2 * MESSAGE_FEE
+    );
+  });
+
+  it('refuses messages from accounts that cannot pay the fee', async () => {
+    const broke = await createAccount(operator);
+
+    await assert.rejects(
+      () => submitMessage(operator, broke, topicId, 'unpaid'),
+      error => error.status === Status.InsufficientPayerBalanceForCustomFee
+    );
+  });
+});
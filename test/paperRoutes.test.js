@@ -0,0 +1,400 @@
+process.env.HEDERA_NETWORK = 'fake';
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { Status, TopicCreateTransaction, TopicMessageSubmitTransaction } = require('@hashgraph/sdk');
+const { createClient, execute } = require('../utils/network');
+const { createMockUSDC, transferTokens, getTokenBalance } = require('../utils/token');
+const { getTopicFees } = require('../utils/topicFees');
+
+// GridFS stand-in: uploaded files by ID. The routes and provenance read files through utils/paperFiles,
+// so it is replaced before they are loaded.
+const files = new Map();
+// File IDs hashed so far, and the error hashing fails with while it is set
+const hashed = [];
+let hashFailure = null;
+const paperFiles = require('../utils/paperFiles');
+paperFiles.readPaperFile = async (fileId) => files.get(String(fileId));
+paperFiles.hashPaperFile = async (fileId) => {
+  hashed.push(String(fileId));
+  if (hashFailure) throw hashFailure;
+  const content = files.get(String(fileId));
+  return { sha256: crypto.createHash('sha256').update(content).digest('hex'), size: content.length };
+};
+paperFiles.deletePaperFile = async (fileId) => files.delete(String(fileId));
+
+// Passage indexing and embeddings run in the background against MongoDB, which these tests do not have
+const passages = require('../utils/passages');
+passages.ingestPaper = async () => [];
+passages.anchorPassages = async () => 0;
+const search = require('../utils/search');
+search.indexPaperEmbedding = async () => {};
+
+const AuthSession = require('../models/AuthSession');
+const Entitlement = require('../models/Entitlement');
+const Passage = require('../models/Passage');
+const PaperDocument = require('../models/PaperDocument');
+const PaperEmbedding = require('../models/PaperEmbedding');
+const PaperText = require('../models/PaperText');
+const PaperVersion = require('../models/PaperVersion');
+const Review = require('../models/Review');
+const paperRoutes = require('../routes/paperRoutes');
+
+// Multer storage engine keeping uploads in the files map, with the fields multer-gridfs-storage sets
+const memoryStorage = {
+  _handleFile: (req, file, cb) => {
+    const chunks = [];
+    file.stream.on('data', chunk => chunks.push(chunk));
+    file.stream.on('error', cb);
+    file.stream.on('end', () => {
+      const id = new mongoose.Types.ObjectId();
+      const content = Buffer.concat(chunks);
+      files.set(String(id), content);
+      cb(null, { id, filename: `${Date.now()}-${file.originalname}`, size: content.length });
+    });
+  },
+  _removeFile: (req, file, cb) => {
+    files.delete(String(file.id));
+    cb(null);
+  }
+};
+
+// GridFS bucket stand-in serving the files map, as the download routes use it
+const memoryBucket = {
+  find: ({ _id }) => ({
+    toArray: async () => (files.has(String(_id))
+      ? [{ _id, length: files.get(String(_id)).length, filename: 'paper.md', uploadDate: new Date(0) }]
+      : [])
+  }),
+  openDownloadStream: (fileId, { start = 0, end } = {}) => Readable.from([files.get(String(fileId)).subarray(start, end)])
+};
+
+describe('paper upload', () => {
+  let platform;
+  let publisher;
+  let reader;
+  let tokenId;
+  let server;
+  let baseUrl;
+  let papers;
+  let revisions;
+
+  before(async () => {
+    platform = await createClient();
+    publisher = await createClient();
+    reader = await createClient();
+    tokenId = (await createMockUSDC(platform, { decimals: 2, initialSupply: 1000000 })).toString();
+    await transferTokens(platform, tokenId, platform.operatorAccountId.toString(), reader.operatorAccountId.toString(), 5000);
+
+    const registry = await execute(platform, new TopicCreateTransaction().setSubmitKey(platform.operatorPublicKey));
+
+    const app = express();
+    app.use(express.json());
+    app.locals.hederaClient = platform;
+    app.locals.mainTopicId = (await registry.getReceipt(platform)).topicId.toString();
+    app.locals.platformTokenId = tokenId;
+    app.locals.upload = multer({ storage: memoryStorage });
+    app.locals.gfs = memoryBucket;
+    app.use('/api/papers', paperRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://localhost:${server.address().port}/api/papers`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    papers = new Map();
+    revisions = [];
+
+    // Bearer tokens are the account IDs they sign in
+    AuthSession.findByToken = async (token) => ({ accountId: token });
+    PaperDocument.exists = async ({ paperId }) => (papers.has(paperId) ? { _id: paperId } : null);
+    PaperDocument.findOne = async ({ paperId }) => papers.get(paperId) || null;
+    PaperDocument.prototype.save = async function() {
+      papers.set(this.paperId, this);
+      return this;
+    };
+    PaperVersion.create = async (fields) => {
+      const revision = new PaperVersion(fields);
+      revision.save = async () => revision;
+      revisions.push(revision);
+      return revision;
+    };
+    PaperVersion.findOne = async ({ paperId, version }) => revisions.find(revision => revision.paperId === paperId && revision.version === version) || null;
+  });
+
+  const send = (method, paperId, body, account = publisher) => fetch(`${baseUrl}/${paperId}${method === 'PUT' ? '/fee' : ''}`, {
+    method,
+    headers: { Authorization: `Bearer ${account.operatorAccountId}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  const upload = (fields, account = publisher) => {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    form.append('file', new Blob(['# Abstract\nFindings'], { type: 'text/markdown' }), 'paper.md');
+
+    return fetch(`${baseUrl}/upload`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${account.operatorAccountId}` },
+      body: form
+    });
+  };
+
+  it('creates a content topic charging the paper fee to the publisher', async () => {
+    const response = await upload({ paperId: 'upload-1', title: 'Ledger paper', fee: '12.5' });
+    const body = await response.json();
+    assert.equal(response.status, 201, body.message);
+
+    const { contentTopicId } = body.paper;
+    assert.ok(contentTopicId);
+    assert.equal(papers.get('upload-1').contentTopicId, contentTopicId);
+    assert.deepEqual(await getTopicFees(platform, contentTopicId), [{
+      amount: '1250',
+      tokenId,
+      collectorAccountId: publisher.operatorAccountId.toString()
+    }]);
+  });
+
+  it('announces the file manifest on the new content topic', async () => {
+    const response = await upload({ paperId: 'upload-2', title: 'Manifest paper' });
+    const body = await response.json();
+    assert.equal(response.status, 201, body.message);
+
+    const { provenance, contentTopicId } = body.paper;
+    assert.equal(provenance.manifestTopicId, contentTopicId);
+    assert.equal(provenance.manifestSequenceNumber, 1);
+    assert.equal(provenance.sha256, crypto.createHash('sha256').update('# Abstract\nFindings').digest('hex'));
+  });
+
+  it('reports a manifest that failed to publish and publishes it on retry', async () => {
+    hashFailure = new Error('GridFS unavailable');
+    const response = await upload({ paperId: 'manifest-retry', title: 'Retried manifest' });
+    hashFailure = null;
+    const body = await response.json();
+
+    assert.equal(response.status, 201);
+    assert.equal(body.manifestError, 'GridFS unavailable');
+    assert.equal(body.paper.provenance, null);
+    assert.match(body.message, /POST \/api\/papers\/manifest-retry\/manifest/);
+
+    const retried = await send('POST', 'manifest-retry/manifest', {});
+    const { provenance } = await retried.json();
+    assert.equal(retried.status, 201);
+    assert.equal(provenance.manifestSequenceNumber, 1);
+    assert.equal(papers.get('manifest-retry').provenance.sha256, provenance.sha256);
+    assert.equal((await send('POST', 'manifest-retry/manifest', {})).status, 409);
+  });
+
+  it('verifies a file against its manifest and reuses the hash for repeated checks', async () => {
+    await upload({ paperId: 'verify-1', title: 'Verified' });
+    const { fileId } = papers.get('verify-1');
+    const hashes = () => hashed.filter(id => id === String(fileId)).length;
+    const before = hashes();
+
+    for (let i = 0; i < 2; i++) {
+      const response = await fetch(`${baseUrl}/verify-1/verify`);
+      const body = await response.json();
+      assert.equal(response.status, 200, body.message);
+      assert.equal(body.verified, true);
+    }
+    assert.equal(hashes(), before + 1);
+  });
+
+  it('charges readers who post to the topic and lets the publisher post free', async () => {
+    const response = await upload({ paperId: 'upload-3', title: 'Paid topic', fee: '3' });
+    const { contentTopicId } = (await response.json()).paper;
+    const balance = (client) => getTokenBalance(platform, client.operatorAccountId.toString(), tokenId);
+    const post = (client) => execute(client, new TopicMessageSubmitTransaction().setTopicId(contentTopicId).setMessage('hello'))
+      .then(submitted => submitted.getReceipt(client));
+
+    const [readerBefore, publisherBefore] = [await balance(reader), await balance(publisher)];
+    assert.equal((await post(reader)).status, Status.Success);
+    assert.equal(await balance(reader), readerBefore - 300);
+    assert.equal(await balance(publisher), publisherBefore + 300);
+
+    assert.equal((await post(publisher)).status, Status.Success);
+    assert.equal(await balance(publisher), publisherBefore + 300);
+  });
+
+  it('publishes free papers for an explicit zero fee and refuses negative or non-numeric fees', async () => {
+    const response = await upload({ paperId: 'free-1', title: 'Free paper', fee: '0' });
+    const body = await response.json();
+    assert.equal(response.status, 201, body.message);
+    assert.equal(papers.get('free-1').fee, 0);
+    assert.deepEqual(await getTopicFees(platform, body.paper.contentTopicId), []);
+
+    for (const fee of ['-1', 'ten']) {
+      const rejected = await upload({ paperId: `bad-fee-${fee}`, title: 'Bad fee', fee });
+      assert.equal(rejected.status, 400, fee);
+      assert.equal(papers.has(`bad-fee-${fee}`), false);
+    }
+  });
+
+  it('applies the same fee rules to metadata-only papers', async () => {
+    const create = (paperId, fee) => send('POST', '', { paperId, title: 'Metadata', authors: ['Ada Lovelace'], abstract: 'Text', fee });
+
+    assert.equal((await create('meta-1', 0)).status, 201);
+    assert.equal(papers.get('meta-1').fee, 0);
+    assert.equal((await create('meta-2')).status, 201);
+    assert.equal(papers.get('meta-2').fee, 10);
+    assert.equal((await create('meta-3', -5)).status, 400);
+  });
+
+  it('refuses uploads without a session or for an existing paper', async () => {
+    const unsigned = await fetch(`${baseUrl}/upload`, { method: 'POST', body: new FormData() });
+    assert.equal(unsigned.status, 401);
+
+    await upload({ paperId: 'upload-4', title: 'First' });
+    const duplicate = await upload({ paperId: 'upload-4', title: 'Again' });
+    assert.equal(duplicate.status, 409);
+  });
+
+  it('lets reviewers download the paper only while their invitation is open', async () => {
+    const reviewer = await createClient();
+    const invitation = { paperId: 'review-1', reviewerAccountId: reviewer.operatorAccountId.toString(), status: 'invited' };
+    Review.exists = async ({ paperId, reviewerAccountId, status }) => (
+      invitation.paperId === paperId && invitation.reviewerAccountId === reviewerAccountId && status.$in.includes(invitation.status)
+        ? { _id: 'review' }
+        : null
+    );
+    Entitlement.hasAccess = async () => false;
+    PaperDocument.prototype.recordAccess = async function() {
+      return this;
+    };
+    await upload({ paperId: 'review-1', title: 'Under review' });
+
+    const download = () => fetch(`${baseUrl}/review-1/file`, { headers: { Authorization: `Bearer ${reviewer.operatorAccountId}` } });
+    const open = await download();
+    assert.equal(open.status, 200);
+    assert.equal(await open.text(), '# Abstract\nFindings');
+
+    for (const status of ['submitted', 'declined']) {
+      invitation.status = status;
+      assert.equal((await download()).status, 403, status);
+    }
+  });
+
+  it('streams byte ranges of the file and counts only reads from the start', async () => {
+    let reads = 0;
+    PaperDocument.prototype.recordAccess = async function() {
+      reads++;
+      return this;
+    };
+    await upload({ paperId: 'range-1', title: 'Ranges' });
+    const content = '# Abstract\nFindings';
+
+    const download = (headers = {}, query = '') => fetch(`${baseUrl}/range-1/file${query}`, {
+      headers: { Authorization: `Bearer ${publisher.operatorAccountId}`, ...headers }
+    });
+
+    const whole = await download({}, '?download=1');
+    assert.equal(whole.status, 200);
+    assert.equal(whole.headers.get('accept-ranges'), 'bytes');
+    assert.equal(whole.headers.get('content-length'), String(content.length));
+    assert.equal(whole.headers.get('content-disposition'), `attachment; filename="paper.md"; filename*=UTF-8''paper.md`);
+    assert.equal(whole.headers.get('x-paper-version'), '1');
+    assert.equal(await whole.text(), content);
+
+    const middle = await download({ Range: 'bytes=2-9' });
+    assert.equal(middle.status, 206);
+    assert.equal(middle.headers.get('content-range'), `bytes 2-9/${content.length}`);
+    assert.equal(await middle.text(), content.slice(2, 10));
+
+    const suffix = await download({ Range: 'bytes=-8' });
+    assert.equal(suffix.status, 206);
+    assert.equal(await suffix.text(), 'Findings');
+
+    const outside = await download({ Range: `bytes=${content.length}-` });
+    assert.equal(outside.status, 416);
+    assert.equal(outside.headers.get('content-range'), `bytes */${content.length}`);
+
+    assert.equal(reads, 1);
+  });
+
+  it('refuses downloads to readers without access and for missing papers or versions', async () => {
+    Review.exists = async () => null;
+    Entitlement.hasAccess = async () => false;
+    await upload({ paperId: 'locked-1', title: 'Locked' });
+
+    const download = (path) => fetch(`${baseUrl}/${path}`, { headers: { Authorization: `Bearer ${reader.operatorAccountId}` } });
+
+    const locked = await download('locked-1/file');
+    assert.equal(locked.status, 403);
+    assert.match((await locked.json()).message, /version 1/);
+    assert.equal((await download('missing-1/file')).status, 404);
+    assert.equal((await download('locked-1/versions/2/file')).status, 404);
+    assert.equal((await download('locked-1/versions/0/file')).status, 400);
+    assert.equal((await fetch(`${baseUrl}/locked-1/file`)).status, 401);
+  });
+
+  it('refuses fee collectors that are not account IDs', async () => {
+    await upload({ paperId: 'collector-1', title: 'Collector' });
+    const { feeCollectorId } = papers.get('collector-1');
+
+    for (const [method, body] of [['PUT', { fee: 5, feeCollectorId: '0.0.abc' }], ['PATCH', { feeCollectorId: 'treasury' }]]) {
+      const response = await send(method, 'collector-1', body);
+      const { message } = await response.json();
+      assert.equal(response.status, 400, method);
+      assert.match(message, /is not a valid account ID/);
+    }
+    assert.equal(papers.get('collector-1').feeCollectorId, feeCollectorId);
+  });
+
+  describe('retraction', () => {
+    let retractedWhenChecked;
+    let holders;
+
+    beforeEach(() => {
+      retractedWhenChecked = null;
+      holders = false;
+
+      // The purchase route refuses retracted papers, so the holder check has to see the retraction
+      Entitlement.hasHolders = async (paperId) => {
+        retractedWhenChecked = papers.get(paperId).isRetracted();
+        return holders;
+      };
+      PaperEmbedding.deleteMany = async () => ({});
+      Passage.deleteMany = async () => ({});
+      PaperText.deleteMany = async () => ({});
+      PaperVersion.find = async () => [];
+    });
+
+    it('marks the paper retracted before checking for readers and deletes unpurchased files', async () => {
+      await upload({ paperId: 'retract-1', title: 'Withdrawn' });
+      const { fileId } = papers.get('retract-1');
+
+      const response = await send('DELETE', 'retract-1', { reason: 'Flawed data' });
+      const body = await response.json();
+      assert.equal(response.status, 200, body.message);
+
+      assert.equal(retractedWhenChecked, true);
+      assert.equal(body.paper.retraction.purged, true);
+      assert.equal(body.paper.retraction.reason, 'Flawed data');
+      assert.equal(files.has(String(fileId)), false);
+      assert.equal(papers.get('retract-1').fileId, undefined);
+    });
+
+    it('keeps the files of papers readers have paid for', async () => {
+      await upload({ paperId: 'retract-2', title: 'Owned' });
+      const { fileId } = papers.get('retract-2');
+      holders = true;
+
+      const response = await send('DELETE', 'retract-2', {});
+      const body = await response.json();
+      assert.equal(response.status, 200, body.message);
+
+      assert.equal(body.paper.retraction.purged, false);
+      assert.equal(files.has(String(fileId)), true);
+      assert.equal((await send('DELETE', 'retract-2', {})).status, 409);
+    });
+  });
+});
@@ -0,0 +1,244 @@
+process.env.HEDERA_NETWORK = 'fake';
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { TopicCreateTransaction, TopicMessageQuery } = require('@hashgraph/sdk');
+const { createClient, execute, subscribe } = require('../utils/network');
+const Passage = require('../models/Passage');
+const PaperText = require('../models/PaperText');
+const { extractText } = require('../utils/extraction');
+const {
+  PASSAGE_VERSION,
+  estimateTokens,
+  hashPassage,
+  splitPassages,
+  ingestPaper,
+  anchorPassages,
+  anchoredHash,
+  retrievePassages
+} = require('../utils/passages');
+
+// Query result stand-in for find().sort().limit().lean()
+const query = (rows) => ({
+  sort: () => query(rows),
+  limit: (count) => query(rows.slice(0, count)),
+  lean: async () => rows
+});
+
+describe('passage chunking', () => {
+  it('estimates about four characters per token', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens('abcd'), 1);
+    assert.equal(estimateTokens('abcde'), 2);
+  });
+
+  it('keeps passages as exact slices of the extracted text', async () => {
+    const { text, sections } = await extractText(Buffer.from(
+      '# Abstract\nShort summary.\n\n# Methods\nWe sampled soil.\n\nThen we sequenced it.\n\n# Results\nYields rose.'
+    ), { mimetype: 'text/markdown' });
+
+    const passages = splitPassages(sections);
+    assert.deepEqual(passages.map(passage => passage.sectionTitle), ['Abstract', 'Methods', 'Results']);
+    passages.forEach(passage => {
+      assert.equal(text.slice(passage.start, passage.end), passage.text);
+      assert.equal(passage.hash, hashPassage(passage.text));
+    });
+    assert.equal(passages[1].text, 'We sampled soil.\n\nThen we sequenced it.');
+  });
+
+  it('packs paragraphs up to the token target and splits long ones at sentences', () => {
+    const paragraph = 'word '.repeat(30).trim();
+    const sentences = 'First sentence is here. Second sentence is here. Third sentence is here.';
+    const passages = splitPassages([
+      { title: 'Packed', text: [paragraph, paragraph, paragraph].join('\n\n') },
+      { title: 'Long', text: sentences }
+    ], 80);
+
+    assert.deepEqual(passages.filter(passage => passage.sectionIndex === 0).map(passage => passage.text), [
+      `${paragraph}\n\n${paragraph}`,
+      paragraph
+    ]);
+    assert.deepEqual(splitPassages([{ title: 'Long', text: sentences }], 12).map(passage => passage.text), [
+      'First sentence is here.',
+      'Second sentence is here. Third sentence is here.'
+    ]);
+    passages.forEach(passage => assert.ok(passage.tokens <= 80));
+  });
+});
+
+describe('passage ingestion', () => {
+  let paper;
+  let stored;
+  let loads;
+
+  beforeEach(() => {
+    paper = { paperId: 'paper-1', fileId: new mongoose.Types.ObjectId(), mimetype: 'text/markdown' };
+    stored = [];
+    loads = 0;
+
+    PaperText.findOne = async () => null;
+    PaperText.findOneAndUpdate = async () => null;
+    Passage.countDocuments = async ({ fileId, version }) => stored.filter(passage => passage.fileId === fileId && passage.version === version).length;
+    Passage.deleteMany = async () => ({ deletedCount: 0 });
+    Passage.insertMany = async (passages) => {
+      stored.push(...passages);
+      return passages;
+    };
+  });
+
+  const loadContent = async () => {
+    loads++;
+    return Buffer.from('# Abstract\nSoil yields.\n\n# Methods\nWe sampled soil.');
+  };
+
+  it('indexes a file once and numbers its passages', async () => {
+    assert.equal(await ingestPaper(paper, loadContent), 2);
+    assert.deepEqual(stored.map(passage => [passage.paperId, passage.passageIndex, passage.version]), [
+      ['paper-1', 0, PASSAGE_VERSION],
+      ['paper-1', 1, PASSAGE_VERSION]
+    ]);
+
+    assert.equal(await ingestPaper(paper, loadContent), 2);
+    assert.equal(loads, 1);
+    assert.equal(stored.length, 2);
+  });
+
+  it('tolerates another ingestion inserting the same passages first', async () => {
+    Passage.insertMany = async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    };
+    assert.equal(await ingestPaper({ ...paper, fileId: new mongoose.Types.ObjectId() }, loadContent), 2);
+  });
+});
+
+describe('passage retrieval', () => {
+  const passage = (paperId, passageIndex, tokens, text = '') => ({ paperId, passageIndex, tokens, text });
+  let matches;
+  let openings;
+
+  beforeEach(() => {
+    matches = [];
+    openings = [];
+    Passage.find = (filter) => query(filter.$text ? matches : openings);
+  });
+
+  it('fills the budget in relevance order, skipping passages that no longer fit, and returns passages in reading order', async () => {
+    matches = [passage('b', 3, 50, 'results'), passage('a', 2, 40, 'methods'), passage('a', 0, 30, 'abstract'), passage('b', 1, 5, 'intro')];
+
+    const selected = await retrievePassages('soil yields', ['a', 'b'], { tokenBudget: 80 });
+    assert.deepEqual(selected.map(({ paperId, passageIndex }) => `${paperId}${passageIndex}`), ['a0', 'b3']);
+  });
+
+  it('takes each paper\'s opening passages in turn when nothing matches', async () => {
+    openings = [passage('a', 0, 10), passage('a', 1, 10), passage('a', 2, 10), passage('b', 0, 10)];
+
+    const selected = await retrievePassages('summarize these papers', ['a', 'b'], { tokenBudget: 30 });
+    assert.deepEqual(selected.map(({ paperId, passageIndex }) => `${paperId}${passageIndex}`), ['a0', 'a1', 'b0']);
+    assert.ok(selected.every(selectedPassage => selectedPassage.score === 0));
+  });
+
+  it('returns nothing without papers', async () => {
+    assert.deepEqual(await retrievePassages('soil', []), []);
+  });
+});
+
+describe('passage anchoring', () => {
+  let platform;
+  let paper;
+  let stored;
+
+  before(async () => {
+    platform = await createClient();
+  });
+
+  beforeEach(async () => {
+    const created = await execute(platform, new TopicCreateTransaction().setSubmitKey(platform.operatorPublicKey));
+    paper = {
+      paperId: 'paper-1',
+      fileId: new mongoose.Types.ObjectId(),
+      contentTopicId: (await created.getReceipt(platform)).topicId.toString()
+    };
+    stored = Array.from({ length: 10 }, (_, passageIndex) => ({
+      _id: new mongoose.Types.ObjectId(),
+      paperId: paper.paperId,
+      fileId: paper.fileId,
+      passageIndex,
+      version: PASSAGE_VERSION,
+      start: passageIndex * 10,
+      end: passageIndex * 10 + 9,
+      hash: hashPassage(`passage ${passageIndex}`),
+      anchorSequenceNumber: null,
+      anchorClaimId: null,
+      anchorClaimedAt: null
+    }));
+
+    // The three updates anchorPassages makes: claiming unanchored passages, recording an anchor and releasing claims
+    Passage.updateMany = async (filter, update) => {
+      const selected = stored.filter(passage => {
+        if (filter._id) return filter._id.$in.some(id => id.equals(passage._id));
+        if (filter.anchorClaimId) return passage.anchorClaimId === filter.anchorClaimId && passage.anchorSequenceNumber == null;
+        return passage.anchorSequenceNumber == null &&
+          (passage.anchorClaimedAt == null || passage.anchorClaimedAt < filter.$or[1].anchorClaimedAt.$lt);
+      });
+      selected.forEach(passage => {
+        Object.assign(passage, update.$set);
+        Object.keys(update.$unset || {}).forEach(field => {
+          passage[field] = null;
+        });
+      });
+      return { modifiedCount: selected.length };
+    };
+    Passage.find = ({ anchorClaimId }) => ({
+      sort: async () => stored.filter(passage => passage.anchorClaimId === anchorClaimId)
+    });
+  });
+
+  // Messages on the paper's content topic so far. The fake ledger replays them in one setImmediate,
+  // so they have all arrived by the next one.
+  const readTopic = () => new Promise((resolve, reject) => {
+    const messages = [];
+    const handle = subscribe(platform, new TopicMessageQuery().setTopicId(paper.contentTopicId), (message, error) => reject(error), (message) => {
+      messages.push(message);
+    });
+    setImmediate(() => {
+      handle.unsubscribe();
+      resolve(messages);
+    });
+  });
+
+  it('publishes each passage hash once in batches, even when indexing runs twice at once', async () => {
+    const counts = await Promise.all([anchorPassages(platform, paper), anchorPassages(platform, paper)]);
+    assert.deepEqual(counts.sort(), [0, 10]);
+
+    const messages = await readTopic();
+    assert.equal(messages.length, 2);
+    assert.deepEqual(stored.map(passage => passage.anchorSequenceNumber), [1, 1, 1, 1, 1, 1, 1, 1, 2, 2]);
+    stored.forEach(passage => {
+      assert.equal(passage.anchorTopicId, paper.contentTopicId);
+      assert.equal(passage.anchorClaimId, null);
+      assert.equal(anchoredHash(messages[passage.anchorSequenceNumber - 1], passage), passage.hash);
+    });
+
+    assert.equal(await anchorPassages(platform, paper), 0);
+  });
+
+  it('reads no hash from messages about other passages or files', async () => {
+    await anchorPassages(platform, paper);
+    const [message] = await readTopic();
+
+    assert.equal(anchoredHash(message, { ...stored[0], passageIndex: 9 }), null);
+    assert.equal(anchoredHash(message, { ...stored[0], fileId: new mongoose.Types.ObjectId() }), null);
+    assert.equal(anchoredHash({ contents: Buffer.from('not json') }, stored[0]), null);
+  });
+
+  it('releases its claims when publishing fails so the next run can anchor the passages', async () => {
+    const contentTopicId = paper.contentTopicId;
+    paper.contentTopicId = '0.0.999999';
+    await assert.rejects(() => anchorPassages(platform, paper));
+    assert.ok(stored.every(passage => passage.anchorClaimId === null && passage.anchorSequenceNumber == null));
+
+    paper.contentTopicId = contentTopicId;
+    assert.equal(await anchorPassages(platform, paper), 10);
+  });
+});
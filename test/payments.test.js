@@ -0,0 +1,127 @@
+process.env.HEDERA_NETWORK = 'fake';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { createClient } = require('../utils/network');
+const { createMockUSDC, transferTokens, getTokenBalance } = require('../utils/token');
+const { buildPaymentTransaction, settlePayment, verifyPayment, toTokenUnits } = require('../utils/payments');
+
+describe('payments', () => {
+  let platform;
+  let reader;
+  let otherReader;
+  let publisher;
+  let coauthor;
+  let treasuryId;
+  let tokenId;
+  let papers;
+
+  before(async () => {
+    platform = await createClient();
+    reader = await createClient();
+    otherReader = await createClient();
+    publisher = await createClient();
+    coauthor = await createClient();
+    treasuryId = (await createClient()).operatorAccountId.toString();
+
+    tokenId = await createMockUSDC(platform, { decimals: 2, initialSupply: 1000000 });
+    await transferTokens(platform, tokenId, platform.operatorAccountId.toString(), reader.operatorAccountId.toString(), 10000);
+    await transferTokens(platform, tokenId, platform.operatorAccountId.toString(), otherReader.operatorAccountId.toString(), 10000);
+
+    papers = [
+      { paperId: 'paper-1', publisherId: publisher.operatorAccountId.toString(), fee: 10 },
+      {
+        paperId: 'paper-2',
+        publisherId: publisher.operatorAccountId.toString(),
+        fee: 5,
+        splits: [
+          { accountId: publisher.operatorAccountId.toString(), role: 'publisher', basisPoints: 6000 },
+          { accountId: coauthor.operatorAccountId.toString(), role: 'author', basisPoints: 4000 }
+        ]
+      }
+    ];
+  });
+
+  const quote = (overrides = {}) => ({ tokenId, treasuryId, papers, platformFee: 1, decimals: 2, ...overrides });
+
+  it('converts whole tokens to the smallest unit', () => {
+    assert.equal(toTokenUnits(10, 2), 1000);
+    assert.equal(toTokenUnits(0.1, 2), 10);
+    assert.equal(toTokenUnits('2.5', 0), 3);
+  });
+
+  it('refuses to build a payment without a treasury or to the payer itself', () => {
+    const payerId = reader.operatorAccountId.toString();
+    assert.throws(() => buildPaymentTransaction({ ...quote(), payerId, treasuryId: undefined }), /PLATFORM_TREASURY_ID/);
+    assert.throws(() => buildPaymentTransaction({ ...quote(), payerId, treasuryId: payerId }), /cannot be the account paying/);
+  });
+
+  it('debits the reader for exactly what the payees and the treasury receive', () => {
+    const { totalUnits } = buildPaymentTransaction({ ...quote(), payerId: reader.operatorAccountId.toString() });
+    assert.equal(totalUnits, 1000 + 500 + 100);
+  });
+
+  it('settles a payment and verifies it for the paying reader', async () => {
+    const payment = await settlePayment(reader, quote());
+    assert.equal(payment.success, true, payment.error);
+
+    const result = await verifyPayment(platform, payment.transactionId, {
+      ...quote(),
+      payerId: reader.operatorAccountId.toString()
+    });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.payerId, reader.operatorAccountId.toString());
+    assert.ok(result.consensusTimestamp instanceof Date);
+
+    assert.equal(await getTokenBalance(platform, coauthor.operatorAccountId.toString(), tokenId), 200);
+    assert.equal(await getTokenBalance(platform, treasuryId, tokenId), 100);
+  });
+
+  it('rejects a payment claimed by an account that did not pay it', async () => {
+    const payment = await settlePayment(reader, quote());
+
+    const result = await verifyPayment(platform, payment.transactionId, {
+      ...quote(),
+      payerId: otherReader.operatorAccountId.toString()
+    });
+    assert.equal(result.success, false);
+    assert.equal(result.status, 'PAYER_MISMATCH');
+  });
+
+  it('rejects a payment that paid less than the quote', async () => {
+    const payment = await settlePayment(reader, quote());
+
+    const result = await verifyPayment(platform, payment.transactionId, {
+      ...quote({ platformFee: 2 }),
+      payerId: reader.operatorAccountId.toString()
+    });
+    assert.equal(result.success, false);
+    assert.equal(result.status, 'INSUFFICIENT_PAYMENT');
+  });
+
+  it('rejects a quote whose treasury is missing or is the payer', async () => {
+    const payment = await settlePayment(reader, quote());
+    const payerId = reader.operatorAccountId.toString();
+
+    const missing = await verifyPayment(platform, payment.transactionId, { ...quote({ treasuryId: undefined }), payerId });
+    assert.equal(missing.status, 'INVALID_TREASURY');
+
+    const self = await verifyPayment(platform, payment.transactionId, { ...quote({ treasuryId: payerId }), payerId });
+    assert.equal(self.status, 'INVALID_TREASURY');
+  });
+
+  it('rejects malformed and unknown transaction IDs', async () => {
+    const malformed = await verifyPayment(platform, 'not-a-transaction', quote());
+    assert.equal(malformed.status, 'INVALID_TRANSACTION_ID');
+
+    const unknown = await verifyPayment(platform, `${reader.operatorAccountId}@1700000000.000000000`, quote());
+    assert.equal(unknown.success, false);
+    assert.equal(unknown.status, 'RECORD_NOT_FOUND');
+  });
+
+  it('reports a failed settlement when the reader cannot cover the quote', async () => {
+    const payment = await settlePayment(reader, quote({ papers: [{ ...papers[0], fee: 1000 }] }));
+    assert.equal(payment.success, false);
+    assert.notEqual(payment.status, 'SUCCESS');
+  });
+});
@@ -0,0 +1,158 @@
+process.env.HEDERA_NETWORK = 'fake';
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const { TopicCreateTransaction, TopicMessageQuery } = require('@hashgraph/sdk');
+const { createClient, execute, signWithOperator, subscribe } = require('../utils/network');
+const { reviewStatement } = require('../utils/reviews');
+const AuthSession = require('../models/AuthSession');
+const PaperDocument = require('../models/PaperDocument');
+const Review = require('../models/Review');
+const reviewRoutes = require('../routes/reviewRoutes');
+
+// Hex signature of a message by a client's operator key
+const sign = (client, message) => Buffer.from(signWithOperator(client, Buffer.from(message, 'utf8'))).toString('hex');
+
+// Number of messages on a topic so far, counted once the fake ledger has replayed them
+const countMessages = (client, topicId) => new Promise((resolve, reject) => {
+  let count = 0;
+  const handle = subscribe(client, new TopicMessageQuery().setTopicId(topicId), (message, error) => reject(error), () => {
+    count++;
+  });
+  setImmediate(() => {
+    handle.unsubscribe();
+    resolve(count);
+  });
+});
+
+describe('review invitation claims', () => {
+  let platform;
+  let reviewer;
+  let server;
+  let baseUrl;
+  let paper;
+  let invitation;
+
+  const fields = {
+    scores: { soundness: 4, novelty: 3, clarity: 5, overall: 4 },
+    recommendation: 'minor_revision',
+    comments: 'Clear methods, the sample is small.'
+  };
+
+  before(async () => {
+    platform = await createClient();
+    reviewer = await createClient();
+
+    const app = express();
+    app.use(express.json());
+    app.locals.hederaClient = platform;
+    app.use('/api/reviews', reviewRoutes);
+
+    await new Promise(resolve => {
+      server = app.listen(0, resolve);
+    });
+    baseUrl = `http://localhost:${server.address().port}/api/reviews`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(async () => {
+    const created = await execute(platform, new TopicCreateTransaction().setSubmitKey(platform.operatorPublicKey));
+    paper = new PaperDocument({
+      paperId: 'paper-1',
+      title: 'Soil yields',
+      reviewTopicId: (await created.getReceipt(platform)).topicId.toString()
+    });
+
+    // The invitation as stored; every lookup gets its own document, like separate queries would
+    invitation = {
+      _id: new mongoose.Types.ObjectId(),
+      paperId: 'paper-1',
+      reviewerAccountId: reviewer.operatorAccountId.toString(),
+      status: 'invited',
+      updatedAt: new Date()
+    };
+    const load = () => {
+      const review = new Review(invitation);
+      review.save = async () => {
+        Object.assign(invitation, review.toObject(), { updatedAt: new Date() });
+        return review;
+      };
+      return review;
+    };
+
+    AuthSession.findByToken = async (token) => ({ accountId: token });
+    PaperDocument.findOne = async ({ paperId }) => (paperId === paper.paperId ? paper : null);
+    Review.findOne = async ({ paperId, reviewerAccountId }) => (
+      paperId === invitation.paperId && reviewerAccountId === invitation.reviewerAccountId ? load() : null
+    );
+    // Matches the claim filter: an open invitation or a claim older than its cutoff
+    Review.findOneAndUpdate = async (filter, update) => {
+      const claimable = filter.$or.some(({ status, updatedAt }) => status === invitation.status &&
+        (!updatedAt || invitation.updatedAt < updatedAt.$lt));
+      if (!claimable) return null;
+      Object.assign(invitation, update.$set, { updatedAt: new Date() });
+      return load();
+    };
+    Review.updateOne = async (filter, update) => {
+      if (invitation.status === filter.status) Object.assign(invitation, update.$set);
+    };
+    Review.refreshSummary = async () => ({ status: invitation.status === 'submitted' ? 'reviewed' : 'in_review' });
+  });
+
+  const submit = () => fetch(`${baseUrl}/paper-1`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${reviewer.operatorAccountId}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...fields, signature: sign(reviewer, reviewStatement(paper, reviewer.operatorAccountId.toString(), fields)) })
+  });
+
+  const decline = () => fetch(`${baseUrl}/paper-1/decline`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${reviewer.operatorAccountId}` }
+  });
+
+  it('publishes one answer when a review and a decline race', async () => {
+    const responses = await Promise.all([submit(), decline()]);
+    const statuses = responses.map(response => response.status);
+
+    assert.equal(statuses.filter(status => status === 409).length, 1);
+    assert.ok(['declined', 'submitted'].includes(invitation.status));
+    assert.equal(await countMessages(platform, paper.reviewTopicId), 1);
+  });
+
+  it('publishes one review when the same review is submitted twice at once', async () => {
+    const statuses = (await Promise.all([submit(), submit()])).map(response => response.status).sort();
+
+    assert.deepEqual(statuses, [201, 409]);
+    assert.equal(invitation.status, 'submitted');
+    assert.equal(await countMessages(platform, paper.reviewTopicId), 1);
+  });
+
+  it('reopens the invitation when the review cannot be published', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const reviewTopicId = paper.reviewTopicId;
+    paper.reviewTopicId = '0.0.999999';
+
+    assert.equal((await submit()).status, 500);
+    assert.equal(invitation.status, 'invited');
+
+    paper.reviewTopicId = reviewTopicId;
+    assert.equal((await submit()).status, 201);
+    assert.equal(invitation.status, 'submitted');
+  });
+
+  it('refuses answers while a claim is held and takes over claims left behind', async () => {
+    invitation.status = 'submitting';
+
+    const held = await decline();
+    assert.equal(held.status, 409);
+    assert.match((await held.json()).message, /already being published/);
+
+    invitation.updatedAt = new Date(Date.now() - 11 * 60 * 1000);
+    assert.equal((await decline()).status, 200);
+    assert.equal(invitation.status, 'declined');
+    assert.equal((await submit()).status, 409);
+  });
+});
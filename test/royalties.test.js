@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { TOTAL_BASIS_POINTS, splitUnits } = require('../utils/royalties');
+
+describe('splitUnits', () => {
+  it('divides a fee exactly when the basis points allow it', () => {
+    const shares = splitUnits(1000, [
+      { accountId: '0.0.1', basisPoints: 7000 },
+      { accountId: '0.0.2', basisPoints: 3000 }
+    ]);
+
+    assert.deepEqual(shares, [
+      { accountId: '0.0.1', units: 700 },
+      { accountId: '0.0.2', units: 300 }
+    ]);
+  });
+
+  it('gives rounding leftovers to the largest remainders so shares add up to the fee', () => {
+    const shares = splitUnits(100, [
+      { accountId: '0.0.1', basisPoints: 3333 },
+      { accountId: '0.0.2', basisPoints: 3333 },
+      { accountId: '0.0.3', basisPoints: 3334 }
+    ]);
+
+    assert.equal(shares.reduce((total, share) => total + share.units, 0), 100);
+    assert.deepEqual(shares.map(share => share.units), [33, 33, 34]);
+  });
+
+  it('breaks ties between equal remainders in split order', () => {
+    const shares = splitUnits(1, [
+      { accountId: '0.0.1', basisPoints: 5000 },
+      { accountId: '0.0.2', basisPoints: 5000 }
+    ]);
+
+    assert.deepEqual(shares.map(share => share.units), [1, 0]);
+  });
+
+  it('gives everything to a single payee', () => {
+    assert.deepEqual(splitUnits(12345, [{ accountId: '0.0.1', basisPoints: TOTAL_BASIS_POINTS }]), [
+      { accountId: '0.0.1', units: 12345 }
+    ]);
+  });
+
+  it('gives nothing when the fee is zero', () => {
+    const shares = splitUnits(0, [
+      { accountId: '0.0.1', basisPoints: 5000 },
+      { accountId: '0.0.2', basisPoints: 5000 }
+    ]);
+
+    assert.deepEqual(shares.map(share => share.units), [0, 0]);
+  });
+});
@@ -0,0 +1,99 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const PaperDocument = require('../models/PaperDocument');
+const PaperEmbedding = require('../models/PaperEmbedding');
+const { cosineSimilarity, createHashEmbedder, setEmbeddingProvider, providerKey, hashText } = require('../utils/embeddings');
+const { indexPaperEmbeddings, hybridSearch } = require('../utils/search');
+
+describe('hash embedder', () => {
+  const embedder = createHashEmbedder({ dimensions: 64 });
+
+  it('returns the same unit vector for the same text', async () => {
+    const [first, second] = await embedder.embed(['Soil microbiome sequencing', 'Soil microbiome sequencing']);
+    assert.equal(first.length, 64);
+    assert.deepEqual(first, second);
+    assert.ok(Math.abs(cosineSimilarity(first, first) - 1) < 1e-9);
+  });
+
+  it('scores shared vocabulary and word forms above unrelated text', async () => {
+    const [query, related, unrelated] = await embedder.embed([
+      'sequencing soil microbes',
+      'Sequenced microbial communities in soil',
+      'Quarterly tax revenue forecasts'
+    ]);
+    assert.ok(cosineSimilarity(query, related) > cosineSimilarity(query, unrelated));
+  });
+
+  it('treats empty vectors as unrelated', () => {
+    assert.equal(cosineSimilarity([0, 0], [1, 0]), 0);
+  });
+});
+
+describe('hybrid search', () => {
+  // Vectors by text, so each similarity to the query is known: cardio 0.8, mi 0.9, noise below the threshold
+  const vectors = {
+    'heart attack': [1, 0],
+    cardio: [0.8, 0.6],
+    mi: [0.9, Math.sqrt(1 - 0.81)],
+    noise: [0.1, 1]
+  };
+  const provider = { name: 'test', dimensions: 2, embed: async (texts) => texts.map(text => vectors[text] || [0, 0]) };
+  let catalog;
+  let embeddings;
+  let written;
+
+  // Text index results are PaperDocuments carrying their textScore
+  const textMatch = (paperId, score) => {
+    const paper = new PaperDocument({ paperId, title: paperId });
+    paper.set('score', score, { strict: false });
+    return paper;
+  };
+
+  beforeEach(() => {
+    setEmbeddingProvider(provider);
+    written = [];
+    catalog = new Map(['cardio', 'mi', 'noise'].map(paperId => [paperId, new PaperDocument({ paperId, title: paperId })]));
+    embeddings = ['cardio', 'mi', 'noise'].map(paperId => ({ paperId, vector: vectors[paperId] }));
+
+    PaperDocument.searchPapers = async (query) => (query === 'heart attack' ? [textMatch('attack', 4), textMatch('cardio', 2)] : []);
+    PaperDocument.find = async ({ paperId }) => paperId.$in
+      .map(id => catalog.get(id))
+      .filter(paper => paper && !paper.isRetracted());
+    PaperEmbedding.find = () => ({ lean: async () => embeddings });
+    PaperEmbedding.bulkWrite = async (operations) => written.push(...operations);
+  });
+
+  after(() => setEmbeddingProvider(null));
+
+  const ranking = async (options) => (await hybridSearch('heart attack', options)).map(paper => [paper.paperId, Number(paper.hybridScore.toFixed(2))]);
+
+  it('combines scaled text scores with vector similarity', async () => {
+    assert.deepEqual(await ranking({ textWeight: 0.5 }), [['cardio', 0.65], ['attack', 0.5], ['mi', 0.45]]);
+    assert.deepEqual(await ranking({ textWeight: 0.5, limit: 1 }), [['cardio', 0.65]]);
+  });
+
+  it('ranks by one signal alone at the ends of the weight range', async () => {
+    assert.deepEqual(await ranking({ textWeight: 1 }), [['attack', 1], ['cardio', 0.5]]);
+    assert.deepEqual(await ranking({ textWeight: 0 }), [['mi', 0.9], ['cardio', 0.8]]);
+  });
+
+  it('skips vector matches retracted since they were embedded', async () => {
+    catalog.get('mi').retraction = { retractedAt: new Date() };
+    assert.deepEqual((await ranking({ textWeight: 0.5 })).map(([paperId]) => paperId), ['cardio', 'attack']);
+  });
+
+  it('falls back to the text ranking when the embedding provider fails', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    setEmbeddingProvider({ ...provider, embed: async () => { throw new Error('Provider unavailable'); } });
+    assert.deepEqual(await ranking({ textWeight: 0.5 }), [['attack', 0.5], ['cardio', 0.25]]);
+  });
+
+  it('embeds only papers whose text changed since their vector was stored', async () => {
+    const papers = [new PaperDocument({ paperId: 'fresh', title: 'Fresh' }), new PaperDocument({ paperId: 'stale', title: 'Renamed' })];
+    PaperEmbedding.find = async () => [{ paperId: 'fresh', textHash: hashText('Fresh') }, { paperId: 'stale', textHash: hashText('Old title') }];
+
+    assert.equal(await indexPaperEmbeddings(papers), 1);
+    assert.deepEqual(written.map(({ updateOne }) => updateOne.filter), [{ provider: providerKey(provider), paperId: 'stale' }]);
+    assert.equal(written[0].updateOne.update.$set.textHash, hashText('Renamed'));
+  });
+});
@@ -0,0 +1,77 @@
+process.env.HEDERA_NETWORK = 'fake';
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { Hbar, Status, TopicInfoQuery, TopicMessageSubmitTransaction } = require('@hashgraph/sdk');
+const { createClient, execute } = require('../utils/network');
+const { createMockUSDC } = require('../utils/token');
+const {
+  buildPaperFee,
+  getFeeExemptKeys,
+  createPaperContentTopic,
+  updatePaperTopicFee,
+  getTopicFees
+} = require('../utils/topicFees');
+
+describe('paper topic fees', () => {
+  let platform;
+  let publisher;
+  let reader;
+  let tokenId;
+
+  before(async () => {
+    platform = await createClient();
+    publisher = await createClient();
+    reader = await createClient();
+    tokenId = (await createMockUSDC(platform, { decimals: 2, initialSupply: 1000000 })).toString();
+  });
+
+  const post = (client, topicId) => execute(client, new TopicMessageSubmitTransaction().setTopicId(topicId).setMessage('comment'))
+    .then(submitted => submitted.getReceipt(client));
+
+  it('charges fees in token units, or in HBAR without a token', () => {
+    const collectorAccountId = publisher.operatorAccountId.toString();
+
+    const tokenFee = buildPaperFee({ fee: 2.5, collectorAccountId, tokenId, decimals: 2 });
+    assert.equal(tokenFee.amount.toString(), '250');
+    assert.equal(tokenFee.denominatingTokenId.toString(), tokenId);
+
+    const hbarFee = buildPaperFee({ fee: 2, collectorAccountId });
+    assert.equal(hbarFee.hbarAmount.toString(), new Hbar(2).toString());
+    assert.equal(hbarFee.denominatingTokenId, null);
+  });
+
+  it('exempts the platform and the publisher, or only the platform when the publisher is unknown', async () => {
+    const keys = await getFeeExemptKeys(platform, publisher.operatorAccountId.toString());
+    assert.deepEqual(keys.map(String), [platform.operatorPublicKey.toString(), publisher.operatorPublicKey.toString()]);
+
+    const platformOnly = await getFeeExemptKeys(platform, '0.0.999999');
+    assert.deepEqual(platformOnly.map(String), [platform.operatorPublicKey.toString()]);
+  });
+
+  it('opens paid topics to everyone and keeps free topics to the platform', async () => {
+    const publisherId = publisher.operatorAccountId.toString();
+    const paid = await createPaperContentTopic(platform, { title: 'Paid', fee: 4, publisherId, tokenId, decimals: 2 });
+    const free = await createPaperContentTopic(platform, { title: 'Free', fee: 0, publisherId, tokenId, decimals: 2 });
+
+    assert.deepEqual(await getTopicFees(platform, paid), [{ amount: '400', tokenId, collectorAccountId: publisherId }]);
+    assert.deepEqual(await getTopicFees(platform, free), []);
+
+    assert.equal((await post(platform, free)).status, Status.Success);
+    await assert.rejects(() => post(reader, free), error => error.status === Status.InvalidSignature);
+  });
+
+  it('reprices a topic and closes it when the fee is removed', async () => {
+    const publisherId = publisher.operatorAccountId.toString();
+    const collectorAccountId = reader.operatorAccountId.toString();
+    const topicId = await createPaperContentTopic(platform, { title: 'Repriced', fee: 0, publisherId, tokenId, decimals: 2 });
+
+    await updatePaperTopicFee(platform, { topicId, fee: 1.25, publisherId, collectorAccountId, tokenId, decimals: 2 });
+    assert.deepEqual(await getTopicFees(platform, topicId), [{ amount: '125', tokenId, collectorAccountId }]);
+    assert.equal((await execute(platform, new TopicInfoQuery().setTopicId(topicId))).feeExemptKeys.length, 2);
+
+    await updatePaperTopicFee(platform, { topicId, fee: 0, publisherId });
+    assert.deepEqual(await getTopicFees(platform, topicId), []);
+    await assert.rejects(() => post(reader, topicId), error => error.status === Status.InvalidSignature);
+  });
+});
@@ -0,0 +1,136 @@
+process.env.HEDERA_NETWORK = 'fake';
+
+const { describe, it, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Timestamp, TopicCreateTransaction, TopicMessageQuery, TopicMessageSubmitTransaction } = require('@hashgraph/sdk');
+const { createClient, execute, subscribe } = require('../utils/network');
+const {
+  RESPONSE_TYPE,
+  retryDelay,
+  parseTimestamp,
+  createFileCheckpointStore,
+  createTopicListener
+} = require('../utils/topicListener');
+
+// Wait until a condition holds, failing after a few seconds
+const waitFor = async (condition, message) => {
+  const deadline = Date.now() + 5000;
+  while (!await condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${message}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('topic listener', () => {
+  let client;
+  let topicId;
+  let checkpointFile;
+  let listeners;
+
+  before(async () => {
+    client = await createClient();
+  });
+
+  // Each test listens on a new topic with its own checkpoint file
+  beforeEach(async () => {
+    const created = await execute(client, new TopicCreateTransaction());
+    topicId = (await created.getReceipt(client)).topicId.toString();
+    checkpointFile = path.join(os.tmpdir(), `listener-checkpoints-${process.pid}-${topicId}.json`);
+    listeners = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(listeners.map(listener => listener.stop()));
+    fs.rmSync(checkpointFile, { force: true });
+  });
+
+  const post = async (text) => {
+    const submitted = await execute(client, new TopicMessageSubmitTransaction().setTopicId(topicId).setMessage(text));
+    return (await submitted.getReceipt(client)).topicSequenceNumber.toNumber();
+  };
+
+  // Text of every message on the topic so far, read after the fake ledger's replay
+  const readTopic = () => new Promise((resolve, reject) => {
+    const texts = [];
+    const handle = subscribe(client, new TopicMessageQuery().setTopicId(topicId), (message, error) => reject(error), (message) => {
+      texts.push(Buffer.from(message.contents).toString('utf8'));
+    });
+    setImmediate(() => {
+      handle.unsubscribe();
+      resolve(texts);
+    });
+  });
+
+  const startListener = async (onMessage) => {
+    const checkpointStore = createFileCheckpointStore(checkpointFile);
+    const listener = createTopicListener({ client, topicId, checkpointStore, onMessage });
+    listeners.push(listener);
+    await listener.start();
+    return checkpointStore;
+  };
+
+  it('doubles the retry delay up to five minutes', () => {
+    assert.deepEqual([0, 1, 2, 3].map(retryDelay), [1000, 2000, 4000, 8000]);
+    assert.equal(retryDelay(20), 5 * 60 * 1000);
+  });
+
+  it('parses consensus timestamps written by Timestamp.toString', () => {
+    const timestamp = new Timestamp(1700000000, 5000);
+    assert.equal(parseTimestamp(timestamp.toString()).toString(), timestamp.toString());
+    assert.equal(parseTimestamp('1700000000.5').nanos.toNumber(), 500000000);
+  });
+
+  it('keeps checkpoints per topic in the file', async () => {
+    const store = createFileCheckpointStore(checkpointFile);
+
+    assert.equal(await store.load('0.0.1'), null);
+    await store.save('0.0.1', { sequenceNumber: 3, consensusTimestamp: '1.000000001' });
+    await store.save('0.0.2', { sequenceNumber: 1, consensusTimestamp: '2.0' });
+    assert.deepEqual(await createFileCheckpointStore(checkpointFile).load('0.0.1'), { sequenceNumber: 3, consensusTimestamp: '1.000000001' });
+  });
+
+  it('answers messages, skips its own answers and resumes after the checkpoint', async () => {
+    const seen = [];
+    const store = await startListener(async ({ text }) => {
+      seen.push(text);
+      return `Answer to ${text}`;
+    });
+
+    await post('first');
+    await waitFor(async () => ((await store.load(topicId)) || {}).sequenceNumber === 2, 'the answer to be checkpointed');
+    assert.deepEqual(seen, ['first']);
+
+    await Promise.all(listeners.map(listener => listener.stop()));
+    await post('second');
+    await startListener(async ({ text }) => {
+      seen.push(text);
+      return null;
+    });
+    await waitFor(async () => ((await store.load(topicId)) || {}).sequenceNumber === 3, 'the second message');
+    assert.deepEqual(seen, ['first', 'second']);
+
+    const messages = await readTopic();
+    assert.deepEqual(JSON.parse(messages[1]), { type: RESPONSE_TYPE, inReplyTo: 1, message: 'Answer to first' });
+    assert.equal(messages.length, 3);
+  });
+
+  it('retries a failed message from the checkpoint before moving on', async () => {
+    const attempts = [];
+    const store = await startListener(async ({ text }) => {
+      attempts.push({ text, checkpoint: ((await store.load(topicId)) || {}).sequenceNumber || 0 });
+      if (attempts.length === 1) throw new Error('Server unavailable');
+      return null;
+    });
+
+    const sequenceNumber = await post('question');
+    await waitFor(async () => ((await store.load(topicId)) || {}).sequenceNumber === sequenceNumber, 'the retried message');
+
+    assert.deepEqual(attempts, [
+      { text: 'question', checkpoint: 0 },
+      { text: 'question', checkpoint: 0 }
+    ]);
+  });
+});
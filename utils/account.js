@@ -1,4 +1,5 @@
 const { AccountCreateTransaction, PrivateKey, Hbar } = require('@hashgraph/sdk')
+const { execute } = require('./network')
 
 const createAccount = async (client) => {
     // Create a new ECDSA private key
@@ -10,7 +11,7 @@ const createAccount = async (client) => {
         .setInitialBalance(new Hbar(20))
         .setMaxAutomaticTokenAssociations(-1) // Set to a high number for unlimited associations
 
-    const accountCreateTxResponse = await accountCreateTx.execute(client)
+    const accountCreateTxResponse = await execute(client, accountCreateTx)
     const accountCreateReceipt = await accountCreateTxResponse.getReceipt(client)
     const newAccountId = accountCreateReceipt.accountId
 
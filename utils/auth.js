@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const { AccountId, AccountInfoQuery, PublicKey, Status } = require('@hashgraph/sdk');
+const AuthChallenge = require('../models/AuthChallenge');
+const AuthSession = require('../models/AuthSession');
+const { execute, signWithOperator } = require('./network');
+
+// How long a login challenge can be signed
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+// Default session lifetime, override with AUTH_SESSION_HOURS
+const DEFAULT_SESSION_HOURS = 24;
+// Length of the ED25519 and ECDSA signatures accounts sign with
+const SIGNATURE_BYTES = 64;
+
+// HTTP status routes answer with for each code of the errors raised here
+const AUTH_ERROR_STATUS = {
+  INVALID_ACCOUNT_ID: 400,
+  INVALID_CHALLENGE: 400,
+  INVALID_SIGNATURE: 400,
+  UNKNOWN_ACCOUNT: 401,
+  UNSUPPORTED_ACCOUNT_KEY: 401
+};
+
+/**
+ * Error for a sign-in or signature check that cannot go ahead, with a code from AUTH_ERROR_STATUS
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const authError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Parse an account ID written as shard.realm.num. EVM addresses, key aliases and IDs that only
+ * parse in part (the SDK reads "0.0.abc" as 0.0.0) are refused.
+ * @param {string} accountId - Account ID
+ * @returns {string} - The account ID
+ * @throws {Error} With code INVALID_ACCOUNT_ID
+ */
+const parseAccountId = (accountId) => {
+  if (typeof accountId === 'string') {
+    try {
+      const parsed = AccountId.fromString(accountId);
+      if (!parsed.evmAddress && !parsed.aliasKey && parsed.toString() === accountId) return accountId;
+    } catch (error) {
+      // Reported below
+    }
+  }
+  throw authError('INVALID_ACCOUNT_ID', `${accountId} is not a Hedera account ID (0.0.x)`);
+};
+
+/**
+ * Bytes a Hedera wallet signs for a message (wallets add this prefix to tell messages from transactions)
+ * @param {string} message - Message text
+ * @returns {Buffer}
+ */
+const walletMessageBytes = (message) => {
+  const bytes = Buffer.from(message, 'utf8');
+  return Buffer.concat([Buffer.from(`\x19Hedera Signed Message:\n${bytes.length}`, 'utf8'), bytes]);
+};
+
+/**
+ * Decode a signature sent as hex or base64
+ * @param {string} signature - Encoded signature
+ * @returns {Buffer}
+ * @throws {Error} With code INVALID_SIGNATURE when it is neither, or not SIGNATURE_BYTES long
+ */
+const decodeSignature = (signature) => {
+  let bytes = null;
+  if (typeof signature === 'string' && /^(0x)?[0-9a-f]+$/i.test(signature)) {
+    bytes = Buffer.from(signature.replace(/^0x/i, ''), 'hex');
+  } else if (typeof signature === 'string' && /^[A-Za-z0-9+/]+={0,2}$/.test(signature)) {
+    bytes = Buffer.from(signature, 'base64');
+  }
+
+  if (!bytes || bytes.length !== SIGNATURE_BYTES) {
+    throw authError('INVALID_SIGNATURE', `signature must be ${SIGNATURE_BYTES} bytes, hex or base64 encoded`);
+  }
+  return bytes;
+};
+
+/**
+ * Issue a one-time challenge for an account to sign
+ * @param {string} accountId - Hedera account ID (0.0.x)
+ * @returns {Promise<{accountId: string, nonce: string, message: string, expiresAt: Date}>}
+ */
+const createChallenge = async (accountId) => {
+  const account = parseAccountId(accountId);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000);
+  const message = [
+    'Sign in to the DeSci Platform',
+    `Account: ${account}`,
+    `Nonce: ${nonce}`,
+    `Expires: ${expiresAt.toISOString()}`
+  ].join('\n');
+
+  await AuthChallenge.create({ accountId: account, nonce, message, expiresAt });
+  return { accountId: account, nonce, message, expiresAt };
+};
+
+/**
+ * Whether a signature over a message was made by an account's current key.
+ * Accepts signatures over the raw message and over the wallet-prefixed message.
+ * @param {Object} client - Hedera client used to look up the account key
+ * @param {string} accountId - Account that claims to have signed
+ * @param {string} message - Signed message
+ * @param {string} signature - Hex or base64 signature
+ * @returns {Promise<boolean>}
+ * @throws {Error} With a code from AUTH_ERROR_STATUS when the account or signature cannot be checked
+ */
+const verifyAccountSignature = async (client, accountId, message, signature) => {
+  const bytes = decodeSignature(signature);
+
+  let info;
+  try {
+    info = await execute(client, new AccountInfoQuery().setAccountId(parseAccountId(accountId)));
+  } catch (error) {
+    const status = error.status ? error.status.toString() : null;
+    if (status === Status.InvalidAccountId.toString() || status === Status.AccountDeleted.toString()) {
+      throw authError('UNKNOWN_ACCOUNT', `Account ${accountId} does not exist`);
+    }
+    throw error;
+  }
+
+  // Key lists and threshold keys need several signatures, which a single signature cannot show
+  if (!(info.key instanceof PublicKey)) {
+    throw authError('UNSUPPORTED_ACCOUNT_KEY', 'Only accounts with a single key can sign');
+  }
+
+  return info.key.verify(Buffer.from(message, 'utf8'), bytes) ||
+    info.key.verify(walletMessageBytes(message), bytes);
+};
+
+/**
+ * Exchange a signed challenge for a session token
+ * @param {Object} client - Hedera client used to look up the account key
+ * @param {Object} options - Signed challenge
+ * @param {string} options.accountId - Account signing in
+ * @param {string} options.nonce - Nonce from createChallenge
+ * @param {string} options.signature - Signature over the challenge message
+ * @returns {Promise<{token: string, accountId: string, expiresAt: Date}|null>} - null when the challenge or signature is invalid
+ * @throws {Error} With a code from AUTH_ERROR_STATUS when the request is malformed or the account cannot sign
+ */
+const verifyChallenge = async (client, { accountId, nonce, signature }) => {
+  const account = parseAccountId(accountId);
+  if (typeof nonce !== 'string') {
+    throw authError('INVALID_CHALLENGE', 'nonce must be a string');
+  }
+  // Checked before the challenge is used up, so a badly encoded signature can be sent again
+  decodeSignature(signature);
+
+  const challenge = await AuthChallenge.consume(account, nonce);
+  if (!challenge) return null;
+
+  if (!await verifyAccountSignature(client, challenge.accountId, challenge.message, signature)) {
+    return null;
+  }
+
+  const hours = parseFloat(process.env.AUTH_SESSION_HOURS || DEFAULT_SESSION_HOURS);
+  return AuthSession.issue(challenge.accountId, hours);
+};
+
+/**
+ * Bearer token from an Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+const bearerToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Express middleware that admits requests with a valid session token and sets req.accountId
+ * to the verified account
+ */
+const requireAuth = async (req, res, next) => {
+  try {
+    const token = bearerToken(req);
+    const session = token ? await AuthSession.findByToken(token) : null;
+    if (!session) {
+      return res.status(401).json({ error: true, message: 'Sign in with a Hedera account to use this endpoint' });
+    }
+
+    req.accountId = session.accountId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign in to a platform server as a client's operator account
+ * @param {Object} apiClient - axios instance pointing at the server
+ * @param {Object} client - Hedera client whose operator signs the challenge
+ * @returns {Promise<{token: string, accountId: string, expiresAt: string}>}
+ */
+const signIn = async (apiClient, client) => {
+  const accountId = client.operatorAccountId.toString();
+  const { data: challenge } = await apiClient.post('/api/auth/challenge', { accountId });
+
+  const signature = signWithOperator(client, Buffer.from(challenge.message, 'utf8'));
+  const { data } = await apiClient.post('/api/auth/verify', {
+    accountId,
+    nonce: challenge.nonce,
+    signature: Buffer.from(signature).toString('hex')
+  });
+  return data;
+};
+
+module.exports = {
+  AUTH_ERROR_STATUS,
+  parseAccountId,
+  createChallenge,
+  verifyAccountSignature,
+  verifyChallenge,
+  bearerToken,
+  requireAuth,
+  signIn
+};
@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const path = require('path');
+
+// Reference formats that can be imported
+const FORMATS = ['bibtex', 'ris', 'csl-json'];
+
+// LaTeX accent commands and the combining mark each one adds
+const LATEX_ACCENTS = {
+  '\'': '\u0301',
+  '`': '\u0300',
+  '^': '\u0302',
+  '"': '\u0308',
+  '~': '\u0303',
+  '=': '\u0304',
+  '.': '\u0307',
+  'u': '\u0306',
+  'v': '\u030c',
+  'H': '\u030b',
+  'c': '\u0327',
+  'k': '\u0328'
+};
+
+// LaTeX commands for letters without a combining form
+const LATEX_LETTERS = {
+  ss: 'ß', ae: 'æ', AE: 'Æ', oe: 'œ', OE: 'Œ', aa: 'å', AA: 'Å', o: 'ø', O: 'Ø', l: 'ł', L: 'Ł', i: 'ı'
+};
+
+/**
+ * Turn the LaTeX found in BibTeX fields into plain text: accents, escaped characters and grouping braces
+ * @param {string} value - Field value
+ * @returns {string}
+ */
+const latexToText = (value) => value
+  .replace(/\\([`'^"~=.]|[uvHck](?![a-zA-Z]))\s*(?:\{\s*\\?([a-zA-Z])\s*\}|\\?([a-zA-Z]))/g,
+    (match, accent, braced, bare) => `${braced || bare}${LATEX_ACCENTS[accent]}`.normalize('NFC'))
+  .replace(/\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L|i)(?![a-zA-Z])\s*/g, (match, letter) => LATEX_LETTERS[letter])
+  .replace(/\\([&%$#_{}])/g, '$1')
+  .replace(/\\(?:emph|textit|textbf|textrm|textsc|mathrm)\s*/g, '')
+  .replace(/--/g, '–')
+  .replace(/~/g, ' ')
+  .replace(/[{}]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Show a "Family, Given" name as "Given Family"
+ * @param {string} name - Author name
+ * @returns {string}
+ */
+const displayName = (name) => {
+  const parts = name.split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 2) return `${parts[1]} ${parts[0]}`;
+  if (parts.length === 3) return `${parts[2]} ${parts[0]}, ${parts[1]}`; // Family, Jr., Given
+  return name.trim();
+};
+
+/**
+ * Read one name from a BibTeX author field. A name braced as a whole, e.g. {World Health Organization},
+ * is an organisation and is kept literal.
+ * @param {string} name - Name as written in the field
+ * @returns {{name: string, literal?: boolean}}
+ */
+const bibtexAuthor = (name) => {
+  // The opening brace of a wholly braced name is only closed by its last character
+  let depth = 0;
+  let closedAt = -1;
+  for (let i = 0; i < name.length && closedAt === -1; i++) {
+    if (name[i] === '{') depth++;
+    else if (name[i] === '}') depth--;
+    if (depth === 0) closedAt = i;
+  }
+  if (name.startsWith('{') && closedAt === name.length - 1) {
+    return { name: latexToText(name), literal: true };
+  }
+  return { name: displayName(latexToText(name)) };
+};
+
+/**
+ * Split a keyword field on commas or semicolons
+ * @param {string} value - Keyword field
+ * @returns {Array<string>}
+ */
+const splitKeywords = (value) => String(value || '')
+  .split(/[;,]/)
+  .map(keyword => keyword.trim())
+  .filter(Boolean);
+
+/**
+ * Split on a separator only where it is outside braces
+ * @param {string} value - Text to split
+ * @param {RegExp} separator - Separator, matched at each top-level position
+ * @returns {Array<string>}
+ */
+const splitTopLevel = (value, separator) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '{') depth++;
+    else if (value[i] === '}') depth--;
+    else if (depth === 0) {
+      const match = separator.exec(value.slice(i));
+      if (match && match.index === 0) {
+        parts.push(value.slice(start, i));
+        i += match[0].length - 1;
+        start = i + 1;
+      }
+    }
+  }
+  parts.push(value.slice(start));
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+/**
+ * Read one BibTeX value: a braced or quoted string, a number or a @string macro, joined with #
+ * @param {string} text - Entry body
+ * @param {number} start - Position of the value
+ * @param {Object} macros - @string definitions
+ * @returns {{value: string, end: number}}
+ */
+const readBibtexValue = (text, start, macros) => {
+  let i = start;
+  let value = '';
+
+  for (;;) {
+    while (/\s/.test(text[i])) i++;
+
+    if (text[i] === '{' || text[i] === '"') {
+      const open = text[i];
+      let depth = 0;
+      const from = i;
+      for (; i < text.length; i++) {
+        if (text[i] === '\\') { i++; continue; }
+        if (text[i] === '{') depth++;
+        else if (text[i] === '}') depth--;
+        if ((open === '{' && depth === 0) || (open === '"' && i > from && text[i] === '"' && depth === 0)) break;
+      }
+      if (i >= text.length) throw new Error('Unterminated field value');
+      value += text.slice(from + 1, i);
+      i++;
+    } else {
+      const match = /^[^\s,#}]+/.exec(text.slice(i));
+      if (!match) throw new Error('Missing field value');
+      const word = match[0];
+      value += /^\d+$/.test(word) ? word : (macros[word.toLowerCase()] ?? word);
+      i += word.length;
+    }
+
+    while (/\s/.test(text[i])) i++;
+    if (text[i] !== '#') break;
+    i++;
+  }
+
+  return { value, end: i };
+};
+
+/**
+ * Parse the fields of a BibTeX entry body ("key, field = value, ...")
+ * @param {string} body - Text between the entry's outer braces
+ * @param {Object} macros - @string definitions
+ * @returns {Object} - Field values by lowercase name
+ */
+const readBibtexFields = (body, macros) => {
+  const fields = {};
+  let i = 0;
+  while (i < body.length) {
+    const match = /^[\s,]*([A-Za-z][\w:.+-]*)\s*=\s*/.exec(body.slice(i));
+    if (!match) {
+      if (body.slice(i).trim().replace(/,/g, '') !== '') throw new Error(`Cannot read field near "${body.slice(i, i + 30).trim()}"`);
+      break;
+    }
+    const { value, end } = readBibtexValue(body, i + match[0].length, macros);
+    fields[match[1].toLowerCase()] = value;
+    i = end;
+  }
+  return fields;
+};
+
+/**
+ * Files named in a BibTeX file field, as written by JabRef and Zotero (":path/paper.pdf:PDF;...")
+ * @param {string} value - file field
+ * @returns {Array<string>}
+ */
+const bibtexFiles = (value) => String(value || '')
+  .split(';')
+  .map(part => {
+    const pieces = part.split(':');
+    return pieces.length >= 3 ? pieces.slice(1, -1).join(':') : part;
+  })
+  .map(file => file.replace(/\\:/g, ':').trim())
+  .filter(Boolean);
+
+/**
+ * Parse BibTeX. Entries that cannot be read are returned with an error instead of failing the file.
+ * @param {string} text - BibTeX source
+ * @returns {Array<Object>} - Raw entries
+ */
+const parseBibtex = (text) => {
+  const entries = [];
+  const macros = { jan: 'January', feb: 'February', mar: 'March', apr: 'April', may: 'May', jun: 'June',
+    jul: 'July', aug: 'August', sep: 'September', oct: 'October', nov: 'November', dec: 'December' };
+  const pattern = /@\s*([A-Za-z]+)\s*([{(])/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const type = match[1].toLowerCase();
+    const close = match[2] === '{' ? '}' : ')';
+
+    // Find the matching closing delimiter of the entry
+    let depth = 1;
+    let i = pattern.lastIndex;
+    for (; i < text.length; i++) {
+      if (text[i] === '\\') { i++; continue; }
+      if (text[i] === '{' || text[i] === match[2]) depth++;
+      else if (text[i] === '}' || text[i] === close) depth--;
+      if (depth === 0) break;
+    }
+    const body = text.slice(pattern.lastIndex, i);
+    pattern.lastIndex = i + 1;
+
+    if (type === 'comment' || type === 'preamble') continue;
+
+    if (type === 'string') {
+      try {
+        Object.entries(readBibtexFields(body, macros)).forEach(([name, value]) => { macros[name] = value; });
+      } catch (error) {
+        // A broken macro only affects the entries that use it
+      }
+      continue;
+    }
+
+    const comma = body.indexOf(',');
+    const key = (comma === -1 ? body : body.slice(0, comma)).trim();
+    try {
+      if (depth > 0) throw new Error('Entry is missing its closing brace');
+      const fields = comma === -1 ? {} : readBibtexFields(body.slice(comma + 1), macros);
+      entries.push({
+        key,
+        type,
+        title: fields.title ? latexToText(fields.title) : '',
+        authors: fields.author ? splitTopLevel(fields.author, /\s+and\s+/i).map(bibtexAuthor) : [],
+        abstract: fields.abstract ? latexToText(fields.abstract) : '',
+        keywords: splitKeywords(fields.keywords ? latexToText(fields.keywords) : ''),
+        year: fields.year ? latexToText(fields.year) : null,
+        doi: fields.doi ? latexToText(fields.doi) : null,
+        files: bibtexFiles(fields.file)
+      });
+    } catch (error) {
+      entries.push({ key, type, error: error.message });
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Parse RIS. Each record runs from TY to ER.
+ * @param {string} text - RIS source
+ * @returns {Array<Object>} - Raw entries
+ */
+const parseRis = (text) => {
+  const records = [];
+  let record = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = /^([A-Z][A-Z0-9])  - ?(.*)$/.exec(line);
+    if (!match) {
+      // Continuation lines extend the previous tag's value
+      if (record && record.last && line.trim()) record.last.push(`${record.last.pop()} ${line.trim()}`);
+      return;
+    }
+
+    const [, tag, value] = match;
+    if (tag === 'TY') {
+      record = { tags: {}, type: value.trim(), last: null };
+      return;
+    }
+    if (!record) return;
+    if (tag === 'ER') {
+      records.push(record);
+      record = null;
+      return;
+    }
+
+    record.tags[tag] = record.tags[tag] || [];
+    record.tags[tag].push(value.trim());
+    record.last = record.tags[tag];
+  });
+
+  if (record) records.push({ ...record, unterminated: true });
+
+  return records.map(({ tags, type, unterminated }) => {
+    const first = (...names) => names.map(name => tags[name] && tags[name][0]).find(Boolean) || '';
+    const all = (...names) => names.flatMap(name => tags[name] || []);
+    const entry = {
+      key: first('ID'),
+      type: type.toLowerCase(),
+      title: first('TI', 'T1', 'CT', 'BT'),
+      authors: all('AU', 'A1').map(name => ({ name: displayName(name) })),
+      abstract: first('AB', 'N2'),
+      keywords: all('KW').flatMap(splitKeywords),
+      year: (first('PY', 'Y1', 'DA').match(/\d{4}/) || [null])[0],
+      doi: first('DO') || null,
+      files: all('L1', 'L4').map(link => link.replace(/^file:\/\//, ''))
+    };
+    return unterminated ? { ...entry, error: 'Record is missing its ER line' } : entry;
+  });
+};
+
+/**
+ * Parse CSL-JSON, an array of items or a single item
+ * @param {string} text - CSL-JSON source
+ * @returns {Array<Object>} - Raw entries
+ */
+const parseCslJson = (text) => {
+  let items;
+  try {
+    items = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid CSL-JSON: ${error.message}`);
+  }
+
+  return (Array.isArray(items) ? items : [items]).map(item => {
+    if (!item || typeof item !== 'object') {
+      return { key: '', error: 'Item is not an object' };
+    }
+
+    const issued = item.issued && item.issued['date-parts'] && item.issued['date-parts'][0];
+    return {
+      key: item.id != null ? String(item.id) : '',
+      type: item.type || '',
+      title: item.title || '',
+      authors: (Array.isArray(item.author) ? item.author : [])
+        .map(author => (author.literal
+          ? { name: String(author.literal), literal: true }
+          : { name: [author.given, author.family].filter(Boolean).join(' ') }))
+        .filter(author => author.name),
+      abstract: item.abstract || '',
+      keywords: splitKeywords(item.keyword),
+      year: issued && issued[0] ? String(issued[0]) : null,
+      doi: item.DOI || null,
+      files: []
+    };
+  });
+};
+
+/**
+ * Guess a reference file's format from its name, then from its content
+ * @param {string} filename - Original file name, may be empty
+ * @param {string} text - File content
+ * @returns {string|null} - One of FORMATS, or null when it cannot be told
+ */
+const detectFormat = (filename, text) => {
+  const ext = path.extname(filename || '').toLowerCase();
+  if (['.bib', '.bibtex'].includes(ext)) return 'bibtex';
+  if (['.ris', '.nbib'].includes(ext)) return 'ris';
+  if (ext === '.json' || ext === '.csl') return 'csl-json';
+
+  const start = text.trimStart();
+  if (start.startsWith('[') || start.startsWith('{')) return 'csl-json';
+  if (/^TY  - /m.test(text)) return 'ris';
+  if (/@\s*[A-Za-z]+\s*[{(]/.test(text)) return 'bibtex';
+  return null;
+};
+
+/**
+ * paperId for an imported reference: its citation key, else its DOI, else a hash of its title
+ * @param {Object} entry - Parsed entry
+ * @returns {string}
+ */
+const referencePaperId = (entry) => {
+  if (entry.key) return entry.key.replace(/[^A-Za-z0-9._-]+/g, '-');
+  if (entry.doi) return `doi-${entry.doi.toLowerCase().replace(/[^a-z0-9._-]+/g, '-')}`;
+  return `ref-${crypto.createHash('sha256').update(entry.title || '').digest('hex').slice(0, 12)}`;
+};
+
+/**
+ * Parse a reference library into paper metadata, one result per entry
+ * @param {string} text - Library content
+ * @param {string} format - One of FORMATS
+ * @returns {Array<{index: number, paperId: string, title: string, authors: Array<{name: string, literal?: boolean}>, abstract: string,
+ *   keywords: Array<string>, year: string|null, doi: string|null, files: Array<string>, errors: Array<string>}>}
+ */
+const parseReferences = (text, format) => {
+  const parsers = { bibtex: parseBibtex, ris: parseRis, 'csl-json': parseCslJson };
+  if (!parsers[format]) throw new Error(`format must be one of ${FORMATS.join(', ')}`);
+
+  return parsers[format](text).map((entry, index) => {
+    const errors = [];
+    if (entry.error) errors.push(entry.error);
+    else {
+      if (!entry.title) errors.push('title is missing');
+      if (entry.authors.length === 0) errors.push('author is missing');
+      if (!entry.abstract) errors.push('abstract is missing');
+    }
+
+    return {
+      index,
+      paperId: referencePaperId(entry),
+      title: entry.title || '',
+      authors: entry.authors || [],
+      abstract: entry.abstract || '',
+      keywords: entry.keywords || [],
+      year: entry.year || null,
+      doi: entry.doi || null,
+      files: entry.files || [],
+      errors
+    };
+  });
+};
+
+module.exports = {
+  FORMATS,
+  latexToText,
+  parseBibtex,
+  parseRis,
+  parseCslJson,
+  detectFormat,
+  parseReferences
+};
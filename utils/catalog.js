@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const PaperDocument = require('../models/PaperDocument');
+
+// Page size when none is requested, and the largest page a client can ask for
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Values returned per facet, most frequent first
+const FACET_LIMIT = 20;
+
+// Sort keys clients can ask for and the field each one orders by
+const SORT_FIELDS = {
+  publishDate: 'publishDate',
+  accessCount: 'accessCount',
+  fee: 'fee',
+  relevance: 'score'
+};
+
+// Fields returned for each paper in a listing
+const LISTING_FIELDS = {
+  paperId: 1,
+  title: 1,
+  authors: 1,
+  abstract: 1,
+  keywords: 1,
+  publisherId: 1,
+  fee: 1,
+  publishDate: 1,
+  accessCount: 1,
+  reviewSummary: 1
+};
+
+/**
+ * Values of a query parameter that may be repeated. Values are not split on commas,
+ * since author names often contain them.
+ * @param {string|Array<string>} value - Raw query value
+ * @returns {Array<string>}
+ */
+const listParam = (value) => (Array.isArray(value) ? value : [value])
+  .filter(item => item != null)
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+/**
+ * Case-insensitive exact match for a string value
+ * @param {string} value - Value to match
+ * @returns {RegExp}
+ */
+const exactMatch = (value) => new RegExp(`^${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+/**
+ * Encode the position after a paper as an opaque cursor
+ * @param {string} sort - Sort key the cursor belongs to
+ * @param {*} value - The paper's value for the sort field
+ * @param {ObjectId} id - The paper's _id, which breaks ties
+ * @returns {string}
+ */
+const encodeCursor = (sort, value, id) => Buffer.from(JSON.stringify({
+  s: sort,
+  v: value instanceof Date ? value.toISOString() : value,
+  id: id.toString()
+})).toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Sort key of the current request
+ * @returns {{value: *, id: ObjectId}|null} - null when the cursor is malformed or from another sort
+ */
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (s !== sort || !mongoose.isValidObjectId(id)) return null;
+    return {
+      value: sort === 'publishDate' && v != null ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Turn GET /api/papers query parameters into a catalog query
+ * @param {Object} query - Express req.query
+ * @returns {{error: string}|{q: string, filter: Object, sort: string, order: number, limit: number, cursor: Object|null, facets: boolean}}
+ */
+const parseCatalogQuery = (query) => {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+
+  const sort = query.sort || (q ? 'relevance' : 'publishDate');
+  if (!SORT_FIELDS[sort]) {
+    return { error: `sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}` };
+  }
+  if (sort === 'relevance' && !q) {
+    return { error: 'sort=relevance needs a search query in q' };
+  }
+
+  const order = query.order || 'desc';
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc' };
+  }
+
+  const limit = query.limit != null ? parseInt(query.limit, 10) : DEFAULT_PAGE_SIZE;
+  if (!(limit >= 1 && limit <= MAX_PAGE_SIZE)) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const filter = { ...PaperDocument.listedFilter() };
+  if (q) filter.$text = { $search: q };
+
+  // Several values of one facet match papers with any of them, different facets must all match
+  const authors = listParam(query.author);
+  if (authors.length > 0) filter['authors.name'] = { $in: authors.map(exactMatch) };
+  const keywords = listParam(query.keyword);
+  if (keywords.length > 0) filter.keywords = { $in: keywords.map(exactMatch) };
+  const publishers = listParam(query.publisher);
+  if (publishers.length > 0) filter.publisherId = { $in: publishers };
+
+  for (const [param, operator] of [['minFee', '$gte'], ['maxFee', '$lte']]) {
+    if (query[param] == null) continue;
+    const fee = parseFloat(query[param]);
+    if (isNaN(fee)) return { error: `${param} must be a number` };
+    filter.fee = { ...filter.fee, [operator]: fee };
+  }
+
+  for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (query[param] == null) continue;
+    const date = new Date(query[param]);
+    if (isNaN(date.getTime())) return { error: `${param} must be a date, e.g. 2024-01-31` };
+    filter.publishDate = { ...filter.publishDate, [operator]: date };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) return { error: 'cursor is invalid or belongs to a different sort' };
+  }
+
+  return {
+    q,
+    filter,
+    sort,
+    order: order === 'asc' ? 1 : -1,
+    limit,
+    cursor,
+    facets: query.facets !== 'false'
+  };
+};
+
+/**
+ * Condition selecting the papers after a cursor in the current sort order
+ * @param {string} field - Sort field
+ * @param {number} order - 1 ascending, -1 descending
+ * @param {{value: *, id: ObjectId}} cursor - Decoded cursor
+ * @returns {Object}
+ */
+const afterCursor = (field, order, { value, id }) => {
+  const beyond = order === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [beyond]: value } },
+      { [field]: value, _id: { [beyond]: id } }
+    ]
+  };
+};
+
+/**
+ * Most frequent values of an array field among the papers matching a filter
+ * @param {string} field - Array field, e.g. keywords
+ * @param {string} [value] - Path counted for each element, for arrays of subdocuments, e.g. authors.name
+ * @returns {Array<Object>} - $facet pipeline
+ */
+const facetPipeline = (field, value = field) => [
+  { $unwind: `$${field}` },
+  { $sortByCount: `$${value}` },
+  { $limit: FACET_LIMIT },
+  { $project: { _id: 0, value: '$_id', count: 1 } }
+];
+
+/**
+ * Run a catalog query: one page of papers, the cursor for the next page and facet counts
+ * over every matching paper
+ * @param {Object} options - Query from parseCatalogQuery
+ * @returns {Promise<{papers: Array<Object>, nextCursor: string|null, total: number, facets: Object|null}>}
+ */
+const queryCatalog = async ({ q, filter, sort, order, limit, cursor, facets }) => {
+  const field = SORT_FIELDS[sort];
+
+  // $text has to be in the first stage, so the text score is added before the cursor is applied
+  const pipeline = [{ $match: filter }];
+  if (q) pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  if (cursor) pipeline.push({ $match: afterCursor(field, order, cursor) });
+  pipeline.push(
+    { $sort: { [field]: order, _id: order } },
+    { $limit: limit + 1 },
+    { $project: { ...LISTING_FIELDS, ...(q ? { score: 1 } : {}) } }
+  );
+
+  const [rows, counts] = await Promise.all([
+    PaperDocument.aggregate(pipeline),
+    facets
+      ? PaperDocument.aggregate([
+        { $match: filter },
+        {
+          $facet: {
+            total: [{ $count: 'count' }],
+            keywords: facetPipeline('keywords'),
+            authors: facetPipeline('authors', 'authors.name')
+          }
+        }
+      ])
+      : PaperDocument.countDocuments(filter).then(total => [{ total: [{ count: total }] }])
+  ]);
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const [{ total: [totalCount] = [], keywords, authors }] = counts;
+
+  return {
+    papers: page,
+    nextCursor: rows.length > limit ? encodeCursor(sort, last[field], last._id) : null,
+    total: totalCount ? totalCount.count : 0,
+    facets: facets ? { keywords, authors } : null
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORT_FIELDS,
+  exactMatch,
+  parseCatalogQuery,
+  encodeCursor,
+  decodeCursor,
+  queryCatalog
+};
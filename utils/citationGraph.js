@@ -0,0 +1,359 @@
+const PaperDocument = require('../models/PaperDocument');
+const Entitlement = require('../models/Entitlement');
+const { exactMatch } = require('./catalog');
+const { authorNames } = require('./paperMetadata');
+
+// Deepest co-author network that can be requested, and the most authors returned in one
+const MAX_NETWORK_DEPTH = 2;
+const MAX_NETWORK_AUTHORS = 200;
+// Papers read per author when walking the co-author network
+const PAPERS_PER_AUTHOR = 100;
+// Candidates loaded for each kind of relation when recommending papers
+const CANDIDATES_PER_RELATION = 200;
+
+// Score each relation adds to a recommendation. Keyword overlap adds KEYWORD_WEIGHT times the
+// Jaccard similarity of the two keyword sets.
+const RELATION_WEIGHTS = {
+  cites: 3,
+  citedBy: 3,
+  sharedReference: 1,
+  coCited: 1,
+  sharedAuthor: 2
+};
+const KEYWORD_WEIGHT = 4;
+
+// Fields loaded for papers that appear in graph results
+const GRAPH_FIELDS = {
+  paperId: 1,
+  title: 1,
+  authors: 1,
+  keywords: 1,
+  references: 1,
+  fee: 1,
+  publishDate: 1,
+  reviewSummary: 1,
+  retraction: 1
+};
+
+/**
+ * Graph entry for a paper
+ * @param {Object} paper - PaperDocument
+ * @returns {Object}
+ */
+const toGraphPaper = (paper) => ({
+  paperId: paper.paperId,
+  title: paper.title,
+  authors: authorNames(paper.authors),
+  keywords: paper.keywords,
+  fee: paper.fee,
+  publishDate: paper.publishDate,
+  retracted: Boolean(paper.retraction && paper.retraction.retractedAt)
+});
+
+/**
+ * Author name in the form used to compare authors without an ORCID iD
+ * @param {string} name - Author name
+ * @returns {string}
+ */
+const normalizeName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Graph key of an author: their ORCID iD when known, else their name
+ * @param {{name: string, orcid?: string}} author - Author
+ * @returns {string}
+ */
+const authorKey = (author) => (author.orcid ? `orcid:${author.orcid}` : `name:${normalizeName(author.name)}`);
+
+/**
+ * Whether a paper's author is the given author. An ORCID iD identifies an author on its own;
+ * without one, names are compared.
+ * @param {{name: string, orcid?: string}} author - Author listed on a paper
+ * @param {{name: string, orcid?: string}} target - Author looked for
+ * @returns {boolean}
+ */
+const matchesAuthor = (author, target) => (target.orcid
+  ? author.orcid === target.orcid
+  : normalizeName(author.name) === normalizeName(target.name));
+
+/**
+ * Query for the papers of an author
+ * @param {{name: string, orcid?: string}} author - Author
+ * @returns {Object}
+ */
+const authorFilter = (author) => (author.orcid
+  ? { 'authors.orcid': author.orcid }
+  : { 'authors.name': exactMatch(author.name.trim()) });
+
+/**
+ * Papers a paper cites, including retracted ones so readers can see what the paper relied on.
+ * references that do not resolve to a paper are listed separately.
+ * @param {Object} paper - PaperDocument
+ * @returns {Promise<{papers: Array<Object>, missing: Array<string>}>}
+ */
+const getReferences = async (paper) => {
+  const referenceIds = Array.from(paper.references || []);
+  const found = referenceIds.length > 0
+    ? await PaperDocument.find({ paperId: { $in: referenceIds } }, GRAPH_FIELDS)
+    : [];
+  const byId = new Map(found.map(reference => [reference.paperId, reference]));
+
+  return {
+    papers: referenceIds.filter(paperId => byId.has(paperId)).map(paperId => toGraphPaper(byId.get(paperId))),
+    missing: referenceIds.filter(paperId => !byId.has(paperId))
+  };
+};
+
+/**
+ * Listed papers that cite a paper, newest first
+ * @param {string} paperId - Cited paper
+ * @returns {Promise<Array<Object>>}
+ */
+const getCitedBy = async (paperId) => {
+  const papers = await PaperDocument.find(
+    { references: paperId, ...PaperDocument.listedFilter() },
+    GRAPH_FIELDS
+  ).sort({ publishDate: -1 });
+  return papers.map(toGraphPaper);
+};
+
+/**
+ * Co-author network around an author, walked breadth first over listed papers. Nodes are authors,
+ * keyed by ORCID iD when known and by name otherwise; an edge joins two authors who share papers.
+ * @param {{name: string, orcid?: string}} author - Author at the centre
+ * @param {Object} [options] - Walk options
+ * @param {number} [options.depth] - 1 for direct co-authors, 2 to add their co-authors
+ * @param {number} [options.limit] - Most authors in the network
+ * @returns {Promise<{author: Object, depth: number, nodes: Array<Object>, edges: Array<Object>, truncated: boolean}>}
+ */
+const getCoauthorNetwork = async (author, { depth = 1, limit = 50 } = {}) => {
+  const root = { name: author.name || '', orcid: author.orcid || undefined };
+  const nodes = new Map([[authorKey(root), { key: authorKey(root), name: root.name, orcid: root.orcid || null, depth: 0, paperIds: new Set() }]]);
+  const papers = new Map();
+  let truncated = false;
+
+  let frontier = [root];
+  for (let level = 1; level <= depth && frontier.length > 0; level++) {
+    const next = [];
+    for (const current of frontier) {
+      const currentKey = authorKey(current);
+      const found = await PaperDocument.find(
+        { ...authorFilter(current), ...PaperDocument.listedFilter() },
+        { paperId: 1, authors: 1 }
+      ).limit(PAPERS_PER_AUTHOR);
+
+      for (const paper of found) {
+        // The author walked from keeps their own key, whatever form the paper lists them in
+        const keys = paper.authors.map(entry => (matchesAuthor(entry, current) ? currentKey : authorKey(entry)));
+        if (!keys.includes(currentKey)) continue;
+        papers.set(paper.paperId, keys);
+        // Authors looked up by ORCID iD take the name their papers list
+        if (!nodes.get(currentKey).name) {
+          nodes.get(currentKey).name = paper.authors[keys.indexOf(currentKey)].name;
+        }
+
+        paper.authors.forEach((entry, index) => {
+          const key = keys[index];
+          if (!nodes.has(key)) {
+            if (nodes.size >= limit) {
+              truncated = true;
+              return;
+            }
+            nodes.set(key, { key, name: entry.name, orcid: entry.orcid || null, depth: level, paperIds: new Set() });
+            next.push({ name: entry.name, orcid: entry.orcid || undefined });
+          }
+          nodes.get(key).paperIds.add(paper.paperId);
+        });
+      }
+    }
+    frontier = next;
+  }
+
+  // Every pair of authors in the network who appear on the same paper is joined by an edge
+  const edges = new Map();
+  for (const [paperId, keys] of papers) {
+    const present = [...new Set(keys)].filter(key => nodes.has(key)).sort();
+    for (let i = 0; i < present.length; i++) {
+      for (let j = i + 1; j < present.length; j++) {
+        const id = `${present[i]}|${present[j]}`;
+        if (!edges.has(id)) edges.set(id, { source: present[i], target: present[j], paperIds: [] });
+        edges.get(id).paperIds.push(paperId);
+      }
+    }
+  }
+
+  return {
+    author: { name: nodes.get(authorKey(root)).name, orcid: root.orcid || null, key: authorKey(root) },
+    depth,
+    nodes: [...nodes.values()].map(node => ({
+      key: node.key,
+      name: node.name,
+      orcid: node.orcid,
+      depth: node.depth,
+      paperCount: node.paperIds.size
+    })),
+    edges: [...edges.values()].map(edge => ({ ...edge, weight: edge.paperIds.length })),
+    truncated
+  };
+};
+
+/**
+ * Jaccard similarity of two keyword lists, ignoring case
+ * @param {Array<string>} first - Keywords
+ * @param {Array<string>} second - Keywords
+ * @returns {{score: number, shared: Array<string>}}
+ */
+const keywordOverlap = (first, second) => {
+  const a = new Set((first || []).map(keyword => keyword.toLowerCase()));
+  const b = new Set((second || []).map(keyword => keyword.toLowerCase()));
+  const shared = [...a].filter(keyword => b.has(keyword));
+  const union = new Set([...a, ...b]).size;
+  return { score: union > 0 ? shared.length / union : 0, shared };
+};
+
+/**
+ * Papers related to a paper, scored by proximity in the citation and co-author graphs plus keyword overlap.
+ * Citation relations count papers it cites, papers citing it, papers sharing its references and papers
+ * cited alongside it.
+ * @param {Object} paper - PaperDocument
+ * @param {Object} [options] - Recommendation options
+ * @param {number} [options.limit] - Most papers returned
+ * @returns {Promise<Array<Object>>} - Papers with their score and the reasons behind it, best first
+ */
+const recommendPapers = async (paper, { limit = 10 } = {}) => {
+  const listed = { ...PaperDocument.listedFilter(), paperId: { $ne: paper.paperId } };
+  const references = Array.from(paper.references || []);
+  const authors = Array.from(paper.authors || []);
+  const keywords = Array.from(paper.keywords || []);
+
+  const [cited, citing, coupled, coauthored, similar] = await Promise.all([
+    references.length > 0
+      ? PaperDocument.find({ ...listed, paperId: { $in: references.filter(id => id !== paper.paperId) } }, GRAPH_FIELDS)
+      : [],
+    PaperDocument.find({ ...listed, references: paper.paperId }, GRAPH_FIELDS).limit(CANDIDATES_PER_RELATION),
+    references.length > 0
+      ? PaperDocument.find({ ...listed, references: { $in: references } }, GRAPH_FIELDS).limit(CANDIDATES_PER_RELATION)
+      : [],
+    authors.length > 0
+      ? PaperDocument.find({ ...listed, $or: authors.map(authorFilter) }, GRAPH_FIELDS).limit(CANDIDATES_PER_RELATION)
+      : [],
+    keywords.length > 0
+      ? PaperDocument.find({ ...listed, keywords: { $in: keywords.map(exactMatch) } }, GRAPH_FIELDS).limit(CANDIDATES_PER_RELATION)
+      : []
+  ]);
+
+  // Papers cited by the same papers that cite this one
+  const coCitedCounts = new Map();
+  citing.forEach(citingPaper => citingPaper.references
+    .filter(id => id !== paper.paperId)
+    .forEach(id => coCitedCounts.set(id, (coCitedCounts.get(id) || 0) + 1)));
+  const coCited = coCitedCounts.size > 0
+    ? await PaperDocument.find({ ...listed, paperId: { $in: [...coCitedCounts.keys()] } }, GRAPH_FIELDS)
+    : [];
+
+  const candidates = new Map();
+  const candidate = (related) => {
+    if (!candidates.has(related.paperId)) {
+      candidates.set(related.paperId, { paper: related, score: 0, reasons: [] });
+    }
+    return candidates.get(related.paperId);
+  };
+
+  cited.forEach(related => {
+    const entry = candidate(related);
+    entry.score += RELATION_WEIGHTS.cites;
+    entry.reasons.push('cited by this paper');
+  });
+  citing.forEach(related => {
+    const entry = candidate(related);
+    entry.score += RELATION_WEIGHTS.citedBy;
+    entry.reasons.push('cites this paper');
+  });
+  coupled.forEach(related => {
+    const shared = related.references.filter(id => references.includes(id)).length;
+    const entry = candidate(related);
+    entry.score += RELATION_WEIGHTS.sharedReference * shared;
+    entry.reasons.push(`${shared} shared reference(s)`);
+  });
+  coCited.forEach(related => {
+    const count = coCitedCounts.get(related.paperId);
+    const entry = candidate(related);
+    entry.score += RELATION_WEIGHTS.coCited * count;
+    entry.reasons.push(`cited alongside this paper ${count} time(s)`);
+  });
+  coauthored.forEach(related => {
+    const shared = related.authors.filter(entry => authors.some(author => matchesAuthor(entry, author)));
+    if (shared.length === 0) return;
+    const entry = candidate(related);
+    entry.score += RELATION_WEIGHTS.sharedAuthor * shared.length;
+    entry.reasons.push(`shared author(s): ${authorNames(shared).join(', ')}`);
+  });
+
+  // Keyword overlap is scored for every candidate, not only those found through keywords
+  similar.forEach(candidate);
+  candidates.forEach(entry => {
+    const overlap = keywordOverlap(keywords, entry.paper.keywords);
+    if (overlap.shared.length === 0) return;
+    entry.score += KEYWORD_WEIGHT * overlap.score;
+    entry.reasons.push(`shared keyword(s): ${overlap.shared.join(', ')}`);
+  });
+
+  return [...candidates.values()]
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.paper.paperId.localeCompare(b.paper.paperId))
+    .slice(0, limit)
+    .map(entry => ({
+      ...toGraphPaper(entry.paper),
+      score: Math.round(entry.score * 1000) / 1000,
+      reasons: entry.reasons
+    }));
+};
+
+/**
+ * Listed papers most often bought by the readers of some papers
+ * @param {Array<string>} paperIds - Papers to start from
+ * @param {Object} [options] - Options
+ * @param {Array<string>} [options.excludePaperIds] - Papers never suggested, e.g. ones the reader owns
+ * @param {number} [options.limit] - Most papers returned
+ * @returns {Promise<Array<Object>>} - Papers with the number of readers who bought them, most first
+ */
+const getBoughtTogether = async (paperIds, { excludePaperIds = [], limit = 5 } = {}) => {
+  // Extra rows make up for retracted papers dropped below
+  const counts = await Entitlement.boughtTogether(paperIds, { excludePaperIds, limit: limit * 2 });
+  if (counts.length === 0) return [];
+
+  const papers = await PaperDocument.find(
+    { paperId: { $in: counts.map(count => count.paperId) }, ...PaperDocument.listedFilter() },
+    GRAPH_FIELDS
+  );
+  const byId = new Map(papers.map(paper => [paper.paperId, paper]));
+
+  return counts
+    .filter(count => byId.has(count.paperId))
+    .slice(0, limit)
+    .map(count => ({ ...toGraphPaper(byId.get(count.paperId)), readers: count.readers }));
+};
+
+/**
+ * One line for the chat assistant suggesting papers often bought together
+ * @param {Array<Object>} suggestions - From getBoughtTogether
+ * @returns {string|null} - null when there is nothing to suggest
+ */
+const describeBoughtTogether = (suggestions) => {
+  if (!suggestions || suggestions.length === 0) return null;
+  const titles = suggestions.map(paper => `"${paper.title}" (${paper.readers} reader${paper.readers === 1 ? '' : 's'})`);
+  return `Papers often bought together with these: ${titles.join(', ')}`;
+};
+
+module.exports = {
+  MAX_NETWORK_DEPTH,
+  MAX_NETWORK_AUTHORS,
+  RELATION_WEIGHTS,
+  KEYWORD_WEIGHT,
+  authorKey,
+  getReferences,
+  getCitedBy,
+  getCoauthorNetwork,
+  recommendPapers,
+  getBoughtTogether,
+  describeBoughtTogether
+};
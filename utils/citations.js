@@ -0,0 +1,215 @@
+const Entitlement = require('../models/Entitlement');
+const { describeReviewSummary } = require('./reviews');
+const { authorNames } = require('./paperMetadata');
+
+// Structured output requested from the model: each claim lists the source markers it relies on
+const CLAIMS_SCHEMA = {
+  name: 'cited_answer',
+  strict: true,
+  schema: {
+    type: 'object',
+    properties: {
+      claims: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            text: { type: 'string' },
+            citations: { type: 'array', items: { type: 'string' } }
+          },
+          required: ['text', 'citations'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['claims'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * Label each passage with a source marker (P1, P2, ...) and build the prompt context.
+ * Papers without passages contribute their abstract as unmarked background, which cannot be cited.
+ * @param {Array<Object>} papers - PaperDocuments relevant to the question
+ * @param {Array<Object>} passages - Passages retrieved from the reader's purchased papers
+ * @returns {{context: string, sources: Map<string, {passage: Object, paper: Object}>}}
+ */
+const buildCitationContext = (papers, passages) => {
+  const sources = new Map();
+
+  const context = papers.map(paper => {
+    const review = describeReviewSummary(paper);
+    const header = `--- Paper: "${paper.title}" by ${authorNames(paper.authors).join(', ') || 'Unknown'} ---` +
+      (review ? `\n${review}` : '');
+    const excerpts = passages.filter(passage => passage.paperId === paper.paperId);
+
+    if (excerpts.length === 0) {
+      return `${header}\nAbstract (background only, not citable): ${paper.abstract || 'Content not available'}`;
+    }
+
+    return [header, ...excerpts.map(passage => {
+      const marker = `P${sources.size + 1}`;
+      sources.set(marker, { passage, paper });
+      return `[${marker}]${passage.sectionTitle ? ` (${passage.sectionTitle})` : ''} ${passage.text}`;
+    })].join('\n\n');
+  }).join('\n\n');
+
+  return { context, sources };
+};
+
+/**
+ * Check each claim's markers against the retrieved passages and the reader's entitlements.
+ * A claim is rejected when it cites an unknown marker or a paper the reader has not purchased.
+ * @param {Array<{text: string, citations: string[]}>} claims - Claims from the model
+ * @param {Map<string, {passage: Object, paper: Object}>} sources - Markers from buildCitationContext
+ * @param {string} readerAccountId - Reader asking the question
+ * @returns {Promise<{accepted: Array<Object>, rejected: Array<{text: string, reason: string}>}>}
+ */
+const verifyClaims = async (claims, sources, readerAccountId) => {
+  const paperIds = [...new Set([...sources.values()].map(({ passage }) => passage.paperId))];
+  const ownedIds = readerAccountId ? await Entitlement.findOwnedPaperIds(readerAccountId, paperIds) : [];
+
+  const accepted = [];
+  const rejected = [];
+
+  claims.forEach(claim => {
+    const markers = [...new Set(claim.citations || [])];
+    const unknown = markers.filter(marker => !sources.has(marker));
+    const unowned = markers.filter(marker => sources.has(marker) && !ownedIds.includes(sources.get(marker).passage.paperId));
+
+    if (unknown.length > 0) {
+      rejected.push({ text: claim.text, reason: `Cites unknown source ${unknown.join(', ')}` });
+    } else if (unowned.length > 0) {
+      const titles = [...new Set(unowned.map(marker => sources.get(marker).paper.title))];
+      rejected.push({ text: claim.text, reason: `Cites a paper the reader has not purchased: ${titles.join(', ')}` });
+    } else {
+      accepted.push({ text: claim.text, markers });
+    }
+  });
+
+  return { accepted, rejected };
+};
+
+/**
+ * Reference a reader can use to audit a claim: the passage's position in the paper and its on-chain hash
+ * @param {number} marker - Number shown in the answer, e.g. 1 for [1]
+ * @param {{passage: Object, paper: Object}} source - Cited passage and its paper
+ * @returns {Object}
+ */
+const toCitation = (marker, { passage, paper }) => ({
+  marker,
+  paperId: passage.paperId,
+  title: paper.title,
+  section: passage.sectionTitle || null,
+  passageIndex: passage.passageIndex,
+  start: passage.start,
+  end: passage.end,
+  passageHash: passage.hash,
+  contentTopicId: passage.anchorTopicId || null,
+  sequenceNumber: passage.anchorSequenceNumber ?? null
+});
+
+/**
+ * Number the cited passages in order of first use and join the accepted claims into the answer text
+ * @param {Array<{text: string, markers: string[]}>} accepted - Verified claims
+ * @param {Map<string, {passage: Object, paper: Object}>} sources - Markers from buildCitationContext
+ * @returns {{answer: string, claims: Array<{text: string, citations: number[]}>, citations: Array<Object>}}
+ */
+const composeAnswer = (accepted, sources) => {
+  const numbers = new Map();
+  const citations = [];
+
+  const claims = accepted.map(claim => ({
+    text: claim.text,
+    citations: claim.markers.map(marker => {
+      if (!numbers.has(marker)) {
+        numbers.set(marker, numbers.size + 1);
+        citations.push(toCitation(numbers.size, sources.get(marker)));
+      }
+      return numbers.get(marker);
+    })
+  }));
+
+  const answer = claims
+    .map(claim => claim.text.trim() + claim.citations.map(number => ` [${number}]`).join(''))
+    .join(' ');
+
+  return { answer, claims, citations };
+};
+
+/**
+ * Claims from the model's structured reply, checked against CLAIMS_SCHEMA
+ * @param {string|null} content - Message content of the completion
+ * @returns {Array<{text: string, citations: string[]}>}
+ * @throws {Error} With code INVALID_MODEL_REPLY when the content is not the requested JSON
+ */
+const parseClaims = (content) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    parsed = null;
+  }
+
+  const valid = parsed && Array.isArray(parsed.claims) && parsed.claims.every(claim =>
+    claim && typeof claim.text === 'string' && (claim.citations == null || Array.isArray(claim.citations)));
+  if (!valid) {
+    throw Object.assign(new Error('The model did not return a cited answer in the requested format'), { code: 'INVALID_MODEL_REPLY' });
+  }
+  return parsed.claims;
+};
+
+/**
+ * Answer a question from purchased passages as verified claims with inline citation markers
+ * @param {Object} openai - OpenAI client
+ * @param {Object} options - Question and sources
+ * @param {string} options.question - Reader's question
+ * @param {Array<Object>} options.papers - PaperDocuments relevant to the question
+ * @param {Array<Object>} options.passages - Passages retrieved from the reader's purchased papers
+ * @param {string} options.readerAccountId - Reader whose entitlements the citations are checked against
+ * @param {Array<{role: string, content: string}>} [options.history] - Earlier turns of the conversation
+ * @param {string} [options.model='gpt-4o-mini'] - Chat model
+ * @returns {Promise<{answer: string, claims: Array<Object>, citations: Array<Object>, rejectedClaims: Array<Object>}>}
+ *   A refusal is returned as an answer without claims or citations.
+ * @throws {Error} With code INVALID_MODEL_REPLY when the model's reply cannot be read as claims
+ */
+const generateCitedAnswer = async (openai, { question, papers, passages, readerAccountId, history = [], model = 'gpt-4o-mini' }) => {
+  const { context, sources } = buildCitationContext(papers, passages);
+
+  const completion = await openai.chat.completions.create({
+    model,
+    response_format: { type: 'json_schema', json_schema: CLAIMS_SCHEMA },
+    messages: [
+      {
+        role: 'system',
+        content: `You are a research assistant for the DeSci (Decentralized Science) platform.
+          Answer as a list of short claims. Every claim drawn from the papers must cite the markers (e.g. "P2")
+          of the excerpts that support it. Only excerpts with a marker may be cited; abstracts are background only.
+          Claims that are not supported by an excerpt must have an empty citations list.
+          Here are the sources:\n\n${context}`
+      },
+      ...history
+        .filter(entry => entry.role === 'user' || entry.role === 'assistant')
+        .map(entry => ({ role: entry.role, content: entry.content })),
+      { role: 'user', content: question }
+    ]
+  });
+
+  const { message } = completion.choices[0];
+  if (message.refusal) {
+    return { answer: message.refusal, claims: [], citations: [], rejectedClaims: [] };
+  }
+
+  const claims = parseClaims(message.content);
+  const { accepted, rejected } = await verifyClaims(claims, sources, readerAccountId);
+
+  return { ...composeAnswer(accepted, sources), rejectedClaims: rejected };
+};
+
+module.exports = {
+  buildCitationContext,
+  verifyClaims,
+  composeAnswer,
+  parseClaims,
+  generateCitedAnswer
+};
@@ -0,0 +1,255 @@
+const { authorNames } = require('./paperMetadata');
+
+// Formats GET /api/papers/:id/cite can render, with the content type each one is served as
+const CITE_FORMATS = {
+  bibtex: 'application/x-bibtex; charset=utf-8',
+  ris: 'application/x-research-info-systems; charset=utf-8',
+  'csl-json': 'application/vnd.citationstyles.csl+json; charset=utf-8',
+  apa: 'text/plain; charset=utf-8',
+  mla: 'text/plain; charset=utf-8'
+};
+
+// Publisher named in citations
+const PUBLISHER = 'DeSci Platform';
+
+// LaTeX for characters BibTeX treats specially, others are escaped with a backslash
+const LATEX_ESCAPES = { '\\': '\\textbackslash{}', '~': '\\textasciitilde{}', '^': '\\textasciicircum{}' };
+
+// Month names as MLA abbreviates them
+const MLA_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+
+/**
+ * Split an author name into family and given names. "Family, Given" is read as written, otherwise the
+ * last word is the family name. Single-word and literal names have no given name.
+ * @param {string} name - Author name
+ * @param {boolean} [literal] - Name of an organisation, kept whole
+ * @returns {{family: string, given: string}}
+ */
+const splitName = (name, literal) => {
+  if (literal) return { family: name, given: '' };
+  const comma = name.indexOf(',');
+  if (comma !== -1) {
+    return { family: name.slice(0, comma).trim(), given: name.slice(comma + 1).trim() };
+  }
+  const words = name.trim().split(/\s+/);
+  return { family: words.pop(), given: words.join(' ') };
+};
+
+/**
+ * Initials of given names, e.g. "Jean-Paul Marie" becomes "J.-P. M."
+ * @param {string} given - Given names
+ * @returns {string}
+ */
+const initials = (given) => given
+  .split(/\s+/)
+  .filter(Boolean)
+  .map(part => part.split('-').map(piece => `${piece[0]}.`).join('-'))
+  .join(' ');
+
+/**
+ * Bibliographic details shared by every format
+ * @param {Object} paper - PaperDocument
+ * @param {string} url - Address of the paper on this platform
+ * @returns {{id: string, title: string, authors: Array<Object>, abstract: string, keywords: Array<string>,
+ *   date: Date|null, doi: string|null, license: string|null, url: string, topicId: string|null}}
+ */
+const citationData = (paper, url) => ({
+  id: paper.paperId,
+  title: paper.title,
+  authors: (paper.authors || []).map(author => {
+    const name = authorNames([author])[0];
+    return { name, ...splitName(name, author.literal), orcid: author.orcid || null };
+  }),
+  abstract: paper.abstract || '',
+  keywords: Array.from(paper.keywords || []),
+  date: paper.publishDate ? new Date(paper.publishDate) : null,
+  doi: paper.doi || null,
+  license: paper.license || null,
+  url,
+  topicId: paper.contentTopicId || null
+});
+
+/**
+ * Escape text for a BibTeX field
+ * @param {string} value - Plain text
+ * @returns {string}
+ */
+const escapeLatex = (value) => String(value)
+  .replace(/[\\&%$#_{}~^]/g, char => LATEX_ESCAPES[char] || `\\${char}`);
+
+/**
+ * CSL-JSON item for a paper
+ * @param {Object} paper - PaperDocument
+ * @param {string} url - Address of the paper on this platform
+ * @returns {Object}
+ */
+const toCslJson = (paper, url) => {
+  const data = citationData(paper, url);
+  return {
+    id: data.id,
+    type: 'article',
+    title: data.title,
+    author: data.authors.map(author => (author.given
+      ? { family: author.family, given: author.given, ...(author.orcid ? { ORCID: `https://orcid.org/${author.orcid}` } : {}) }
+      : { literal: author.name })),
+    abstract: data.abstract || undefined,
+    keyword: data.keywords.length > 0 ? data.keywords.join(', ') : undefined,
+    issued: data.date
+      ? { 'date-parts': [[data.date.getUTCFullYear(), data.date.getUTCMonth() + 1, data.date.getUTCDate()]] }
+      : undefined,
+    publisher: PUBLISHER,
+    DOI: data.doi || undefined,
+    URL: data.url,
+    license: data.license || undefined
+  };
+};
+
+/**
+ * BibTeX entry for a paper
+ * @param {Object} paper - PaperDocument
+ * @param {string} url - Address of the paper on this platform
+ * @returns {string}
+ */
+const toBibtex = (paper, url) => {
+  const data = citationData(paper, url);
+  // Single-word and literal names are braced so BibTeX does not read them as a family name with initials
+  const authors = data.authors
+    .map(author => (author.given
+      ? `${escapeLatex(author.family)}, ${escapeLatex(author.given)}`
+      : `{${escapeLatex(author.name)}}`))
+    .join(' and ');
+
+  const fields = [
+    ['title', escapeLatex(data.title)],
+    ['author', authors],
+    ['year', data.date && String(data.date.getUTCFullYear())],
+    ['month', data.date && String(data.date.getUTCMonth() + 1)],
+    ['publisher', PUBLISHER],
+    ['doi', data.doi],
+    ['url', data.url],
+    ['abstract', data.abstract],
+    ['keywords', data.keywords.join(', ')],
+    ['copyright', data.license],
+    ['note', data.topicId && `Hedera topic ${data.topicId}`]
+  ]
+    .filter(([, value]) => value)
+    .map(([name, value]) => `  ${name} = {${['title', 'author'].includes(name) ? value : escapeLatex(value)}}`);
+
+  return `@misc{${data.id.replace(/[^A-Za-z0-9._:-]+/g, '-')},\n${fields.join(',\n')}\n}\n`;
+};
+
+/**
+ * RIS record for a paper
+ * @param {Object} paper - PaperDocument
+ * @param {string} url - Address of the paper on this platform
+ * @returns {string}
+ */
+const toRis = (paper, url) => {
+  const data = citationData(paper, url);
+  const pad = (value) => String(value).padStart(2, '0');
+  const lines = [
+    ['TY', 'GEN'],
+    ['ID', data.id],
+    ['TI', data.title],
+    ...data.authors.map(author => ['AU', author.given ? `${author.family}, ${author.given}` : author.name]),
+    ['PY', data.date && String(data.date.getUTCFullYear())],
+    ['DA', data.date && `${data.date.getUTCFullYear()}/${pad(data.date.getUTCMonth() + 1)}/${pad(data.date.getUTCDate())}/`],
+    ['AB', data.abstract],
+    ...data.keywords.map(keyword => ['KW', keyword]),
+    ['PB', PUBLISHER],
+    ['DO', data.doi],
+    ['UR', data.url],
+    ['N1', data.license && `License: ${data.license}`],
+    ['ER', '']
+  ].filter(([tag, value]) => value || tag === 'ER');
+
+  return `${lines.map(([tag, value]) => `${tag}  - ${String(value).replace(/\r?\n/g, ' ')}`.trimEnd()).join('\r\n')}\r\n`;
+};
+
+/**
+ * DOI link when the paper has a DOI, else its address on this platform
+ * @param {Object} data - From citationData
+ * @returns {string}
+ */
+const citationLink = (data) => (data.doi ? `https://doi.org/${data.doi}` : data.url);
+
+/**
+ * APA (7th edition) reference for a paper
+ * @param {Object} paper - PaperDocument
+ * @param {string} url - Address of the paper on this platform
+ * @returns {string}
+ */
+const toApa = (paper, url) => {
+  const data = citationData(paper, url);
+  const names = data.authors.map(author => (author.given ? `${author.family}, ${initials(author.given)}` : author.name));
+
+  // APA lists up to 20 authors; beyond that the first 19, an ellipsis and the last one
+  let authors;
+  if (names.length > 20) {
+    authors = `${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`;
+  } else if (names.length > 1) {
+    authors = `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+  } else {
+    authors = names[0] || '';
+  }
+
+  const date = data.date
+    ? `${data.date.getUTCFullYear()}, ${data.date.toLocaleString('en-US', { month: 'long', timeZone: 'UTC' })} ${data.date.getUTCDate()}`
+    : 'n.d.';
+  const title = /[.?!]$/.test(data.title) ? data.title : `${data.title}.`;
+
+  return `${authors.endsWith('.') ? authors : `${authors}.`} (${date}). ${title} ${PUBLISHER}. ${citationLink(data)}`;
+};
+
+/**
+ * MLA (9th edition) works-cited entry for a paper
+ * @param {Object} paper - PaperDocument
+ * @param {string} url - Address of the paper on this platform
+ * @returns {string}
+ */
+const toMla = (paper, url) => {
+  const data = citationData(paper, url);
+  const [first, second] = data.authors;
+
+  // MLA names the first author inverted, spells out a second and shortens three or more to et al.
+  let authors = '';
+  if (first) {
+    authors = first.given ? `${first.family}, ${first.given}` : first.name;
+    if (data.authors.length === 2) authors += `, and ${second.name}`;
+    if (data.authors.length > 2) authors += ', et al';
+    authors = authors.endsWith('.') ? `${authors} ` : `${authors}. `;
+  }
+
+  const title = /[.?!]$/.test(data.title) ? data.title : `${data.title}.`;
+  const date = data.date
+    ? `, ${data.date.getUTCDate()} ${MLA_MONTHS[data.date.getUTCMonth()]} ${data.date.getUTCFullYear()}`
+    : '';
+
+  // MLA keeps DOI links whole but drops the scheme from plain URLs
+  const link = data.doi ? citationLink(data) : data.url.replace(/^https?:\/\//, '');
+
+  return `${authors}"${title}" ${PUBLISHER}${date}, ${link}.`;
+};
+
+/**
+ * Render a citation of a paper
+ * @param {Object} paper - PaperDocument
+ * @param {string} format - One of the CITE_FORMATS keys
+ * @param {string} url - Address of the paper on this platform
+ * @returns {string|Object} - Text, or an object for csl-json
+ */
+const formatCitation = (paper, format, url) => {
+  const formatters = { bibtex: toBibtex, ris: toRis, 'csl-json': toCslJson, apa: toApa, mla: toMla };
+  if (!formatters[format]) throw new Error(`format must be one of ${Object.keys(CITE_FORMATS).join(', ')}`);
+  return formatters[format](paper, url);
+};
+
+module.exports = {
+  CITE_FORMATS,
+  toCslJson,
+  toBibtex,
+  toRis,
+  toApa,
+  toMla,
+  formatCitation
+};
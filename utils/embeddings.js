@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const OpenAI = require('openai');
+
+// Words too common to carry meaning for the hash embedder
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'their', 'this', 'to', 'was', 'we', 'were', 'which', 'with'
+]);
+
+// Inputs per embeddings API request
+const OPENAI_BATCH_SIZE = 100;
+
+let activeProvider = null;
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} value - String to hash
+ * @returns {number}
+ */
+const fnv1a = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Scale a vector to unit length (zero vectors are returned unchanged)
+ * @param {number[]} vector - Vector to normalise
+ * @returns {number[]}
+ */
+const normalize = (vector) => {
+  const length = Math.sqrt(vector.reduce((total, value) => total + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+};
+
+/**
+ * Cosine similarity of two vectors of the same length
+ * @param {number[]} a - First vector
+ * @param {number[]} b - Second vector
+ * @returns {number} - Between -1 and 1, 0 when either vector is empty
+ */
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Local embedder that hashes words and their character trigrams into a fixed-size vector.
+ * It is deterministic and needs no network, so it suits tests and offline development,
+ * but it only captures shared vocabulary and word forms, not meaning.
+ * @param {Object} [options] - Embedder options
+ * @param {number} [options.dimensions=256] - Vector size
+ * @returns {{name: string, dimensions: number, embed: Function}}
+ */
+const createHashEmbedder = ({ dimensions = 256 } = {}) => {
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    const add = (feature, weight) => {
+      const hash = fnv1a(feature);
+      // The top bit picks the sign so unrelated features tend to cancel out
+      vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+    };
+
+    (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+      .filter(word => word.length > 1 && !STOPWORDS.has(word))
+      .forEach(word => {
+        add(`w:${word}`, 1);
+        const padded = `^${word}$`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          add(`t:${padded.slice(i, i + 3)}`, 0.5);
+        }
+      });
+
+    return normalize(vector);
+  };
+
+  return {
+    name: 'hash',
+    dimensions,
+    embed: async (texts) => texts.map(embedOne)
+  };
+};
+
+/**
+ * Embedder backed by the OpenAI embeddings API
+ * @param {Object} [options] - Embedder options
+ * @param {string} [options.apiKey] - API key, defaults to OPENAI_API_KEY
+ * @param {string} [options.model='text-embedding-3-small'] - Embedding model
+ * @param {number} [options.dimensions=1536] - Vector size returned by the model
+ * @returns {{name: string, dimensions: number, embed: Function}}
+ */
+const createOpenAIEmbedder = ({ apiKey = process.env.OPENAI_API_KEY, model = 'text-embedding-3-small', dimensions = 1536 } = {}) => {
+  const openai = new OpenAI({ apiKey });
+
+  return {
+    name: `openai:${model}`,
+    dimensions,
+    embed: async (texts) => {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += OPENAI_BATCH_SIZE) {
+        const response = await openai.embeddings.create({
+          model,
+          input: texts.slice(i, i + OPENAI_BATCH_SIZE),
+          dimensions
+        });
+        response.data
+          .sort((a, b) => a.index - b.index)
+          .forEach(item => vectors.push(item.embedding));
+      }
+      return vectors;
+    }
+  };
+};
+
+/**
+ * The embedding provider in use: EMBEDDING_PROVIDER=openai|hash, defaulting to OpenAI when a key is set
+ * @returns {{name: string, dimensions: number, embed: Function}}
+ */
+const getEmbeddingProvider = () => {
+  if (!activeProvider) {
+    const configured = (process.env.EMBEDDING_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'hash')).toLowerCase();
+
+    if (configured === 'openai') {
+      activeProvider = createOpenAIEmbedder({ model: process.env.EMBEDDING_MODEL || undefined });
+    } else if (configured === 'hash') {
+      activeProvider = createHashEmbedder();
+    } else {
+      throw new Error(`Unknown EMBEDDING_PROVIDER "${configured}". Use openai or hash.`);
+    }
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the embedding provider, e.g. with a custom model or a deterministic one in tests
+ * @param {{name: string, dimensions: number, embed: Function}} provider - Provider to use
+ */
+const setEmbeddingProvider = (provider) => {
+  activeProvider = provider;
+};
+
+/**
+ * Key identifying vectors from a provider, so vectors from different models are never compared
+ * @param {{name: string, dimensions: number}} provider - Embedding provider
+ * @returns {string}
+ */
+const providerKey = (provider) => `${provider.name}/${provider.dimensions}`;
+
+/**
+ * Hash of an embedding's source text, used to tell when it needs recomputing
+ * @param {string} text - Embedded text
+ * @returns {string}
+ */
+const hashText = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+module.exports = {
+  cosineSimilarity,
+  createHashEmbedder,
+  createOpenAIEmbedder,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  providerKey,
+  hashText
+};
@@ -0,0 +1,672 @@
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const mammoth = require('mammoth');
+// pdf-parse's index file runs a self-test when loaded this way, so load the parser directly
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const PaperText = require('../models/PaperText');
+
+// Bump when extractor output changes so cached text is rebuilt
+const EXTRACTION_VERSION = 1;
+
+// ZIP bundles: how deep nested archives are followed and how much they may expand to
+const MAX_ZIP_DEPTH = 2;
+const MAX_ZIP_BYTES = 100 * 1024 * 1024;
+
+// Registered extractors, most recently registered first
+const extractors = [];
+
+// Extractions in progress keyed by fileId, so concurrent readers share one parse
+const pending = new Map();
+
+/**
+ * Register a text extractor. Later registrations take precedence for the same mimetype or extension.
+ * @param {Object} extractor - Extractor definition
+ * @param {string} extractor.format - Short format name, e.g. 'pdf'
+ * @param {string[]} [extractor.mimetypes] - Mimetypes handled
+ * @param {string[]} [extractor.extensions] - File extensions handled, used when the mimetype is unknown
+ * @param {Function} extractor.extract - async (buffer, {filename, depth, budget}) => sections
+ */
+const registerExtractor = (extractor) => {
+  extractors.unshift({ mimetypes: [], extensions: [], ...extractor });
+};
+
+/**
+ * Find the extractor for a file, by mimetype first and then by extension
+ * @param {string} [mimetype] - File mimetype
+ * @param {string} [filename] - File name
+ * @returns {Object|null}
+ */
+const getExtractor = (mimetype, filename) => {
+  const type = (mimetype || '').split(';')[0].trim().toLowerCase();
+  const extension = path.extname(filename || '').toLowerCase();
+
+  return extractors.find(extractor => type && extractor.mimetypes.includes(type))
+    || extractors.find(extractor => extension && extractor.extensions.includes(extension))
+    || null;
+};
+
+/**
+ * Normalise extracted text: line endings, hyphenated line breaks and runs of blank lines
+ * @param {string} text - Raw text
+ * @returns {string}
+ */
+const cleanText = (text) => {
+  return text
+    .replace(/^\uFEFF/, '')
+    .replace(/\u0000/g, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/([a-z])-\n([a-z])/g, '$1$2')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * Split lines into sections wherever matchHeading recognises a heading
+ * @param {string[]} lines - Lines of text
+ * @param {Function} matchHeading - line => {title, level} or null
+ * @returns {Array<{title: string|null, level: number, text: string}>}
+ */
+const splitSections = (lines, matchHeading) => {
+  const sections = [];
+  let current = { title: null, level: 1, lines: [] };
+
+  const flush = () => {
+    const text = cleanText(current.lines.join('\n'));
+    if (current.title || text) {
+      sections.push({ title: current.title, level: current.level, text });
+    }
+  };
+
+  lines.forEach(line => {
+    const heading = matchHeading(line);
+    if (heading) {
+      flush();
+      current = { title: heading.title, level: heading.level, lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  });
+  flush();
+
+  return sections;
+};
+
+// Headings that appear in most papers, optionally numbered ("2.1 Methods")
+const KNOWN_HEADING = /^(?:(\d+(?:\.\d+)*)\.?\s+)?(abstract|introduction|background|related work|methods?|methodology|materials and methods|experiments?|results(?: and discussion)?|discussion|conclusions?|limitations|future work|acknowledge?ments|references|bibliography|appendix(?:\s+[a-z0-9].*)?)$/i;
+// Other numbered headings: short, capitalised, no digits and no trailing punctuation
+const NUMBERED_HEADING = /^(\d+(?:\.\d+){0,3})\.?\s+([A-Z][^.\d]{2,78}[^.,;:\s\d])$/;
+
+/**
+ * Recognise a section heading in plain text such as PDF output
+ * @param {string} line - Line of text
+ * @returns {{title: string, level: number}|null}
+ */
+const matchPlainHeading = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > 80) return null;
+
+  const known = trimmed.match(KNOWN_HEADING);
+  if (known) {
+    return { title: trimmed, level: known[1] ? known[1].split('.').length : 1 };
+  }
+
+  const numbered = trimmed.match(NUMBERED_HEADING);
+  if (numbered && numbered[2].split(/\s+/).length <= 8) {
+    return { title: trimmed, level: numbered[1].split('.').length };
+  }
+
+  return null;
+};
+
+/**
+ * Sections of plain text using heading heuristics
+ * @param {string} text - Text to split
+ * @returns {Array<Object>}
+ */
+const plainTextSections = (text) => splitSections(cleanText(text).split('\n'), matchPlainHeading);
+
+/**
+ * Decode the HTML entities mammoth emits and drop tags
+ * @param {string} html - HTML fragment
+ * @returns {string}
+ */
+const htmlToText = (html) => {
+  return html
+    .replace(/<\/(p|li|h[1-6]|tr|table)>|<br\s*\/?>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, '\t')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Read the contents of a brace group starting at an opening brace
+ * @param {string} source - LaTeX source
+ * @param {number} start - Index of the opening brace
+ * @returns {{content: string, end: number}} - end is the index after the closing brace
+ */
+const readBraced = (source, start) => {
+  let depth = 0;
+  for (let i = start; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === '{') {
+      depth++;
+    } else if (source[i] === '}' && --depth === 0) {
+      return { content: source.slice(start + 1, i), end: i + 1 };
+    }
+  }
+  return { content: source.slice(start + 1), end: source.length };
+};
+
+/**
+ * Turn LaTeX markup into readable text, keeping the arguments of formatting commands
+ * @param {string} source - LaTeX fragment
+ * @returns {string}
+ */
+const stripLatex = (source) => {
+  let text = source
+    .replace(/\\(?:begin|end)\{[^}]*\}(?:\[[^\]]*\])?/g, '')
+    .replace(/\\(?:label|includegraphics|bibliographystyle|usepackage|documentclass)\*?(?:\[[^\]]*\])?\{[^}]*\}/g, '')
+    .replace(/\\(?:cite[tp]?|citep?|ref|eqref|autoref|cref)\*?(?:\[[^\]]*\])?\{([^}]*)\}/g, '[$1]')
+    .replace(/\\\\/g, '\n')
+    .replace(/\\-/g, '')
+    .replace(/\\[,;:! ]/g, ' ')
+    .replace(/~/g, ' ');
+
+  // Unwrap \command[opt]{argument} from the innermost group outwards
+  const command = /\\[a-zA-Z]+\*?(?:\[[^\]]*\])?\{([^{}]*)\}/g;
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(command, '$1');
+  } while (text !== previous);
+
+  return text
+    .replace(/\\([%$&#_{}])/g, '$1')
+    .replace(/\\[a-zA-Z]+\*?/g, '')
+    .replace(/[{}]/g, '');
+};
+
+// Sectioning commands and their heading level
+const LATEX_LEVELS = {
+  part: 1,
+  chapter: 1,
+  section: 1,
+  subsection: 2,
+  subsubsection: 3,
+  paragraph: 4
+};
+
+// Marker placed on its own line where a LaTeX or DOCX heading was
+const HEADING_MARKER = '\u0001heading:';
+// Prefix for Markdown lines inside fenced code blocks
+const CODE_MARKER = '\u0002';
+
+/**
+ * Sections of a LaTeX document: title, abstract and \section-style headings
+ * @param {string} source - LaTeX source
+ * @returns {Array<Object>}
+ */
+const latexSections = (source) => {
+  // Drop comments, keeping escaped percent signs
+  let body = source.replace(/\r\n?/g, '\n').replace(/(^|[^\\])%.*$/gm, '$1');
+
+  const titleMatch = body.match(/\\title\s*(?:\[[^\]]*\])?\s*\{/);
+  const title = titleMatch ? stripLatex(readBraced(body, titleMatch.index + titleMatch[0].length - 1).content).trim() : null;
+
+  const begin = body.indexOf('\\begin{document}');
+  if (begin !== -1) {
+    const end = body.indexOf('\\end{document}');
+    body = body.slice(begin + '\\begin{document}'.length, end === -1 ? undefined : end);
+  }
+
+  body = body
+    .replace(/\\maketitle/g, '')
+    .replace(/\\begin\{abstract\}/g, `\n${HEADING_MARKER}1:Abstract\n`);
+
+  // Replace sectioning commands with markers, reading titles with balanced braces
+  const heading = /\\(part|chapter|section|subsection|subsubsection|paragraph)\*?\s*(?:\[[^\]]*\])?\s*\{/g;
+  let result = '';
+  let last = 0;
+  let match;
+  while ((match = heading.exec(body)) !== null) {
+    const { content, end } = readBraced(body, match.index + match[0].length - 1);
+    const headingTitle = stripLatex(content).replace(/\s+/g, ' ').trim();
+    result += `${body.slice(last, match.index)}\n${HEADING_MARKER}${LATEX_LEVELS[match[1]]}:${headingTitle}\n`;
+    last = end;
+    heading.lastIndex = end;
+  }
+  result += body.slice(last);
+
+  const sections = splitSections(stripLatex(result).split('\n'), line => {
+    if (!line.startsWith(HEADING_MARKER)) return null;
+    const [level, ...rest] = line.slice(HEADING_MARKER.length).split(':');
+    return { title: rest.join(':'), level: parseInt(level, 10) };
+  });
+
+  if (title) {
+    sections.unshift({ title, level: 0, text: '' });
+  }
+  return sections;
+};
+
+/**
+ * Sections of a Markdown document, split on ATX (#) and setext (===) headings outside code blocks
+ * @param {string} source - Markdown source
+ * @returns {Array<Object>}
+ */
+const markdownSections = (source) => {
+  const lines = cleanText(source)
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    .split('\n');
+
+  // Fold setext headings into ATX form so one matcher handles both
+  const normalised = [];
+  let inCode = false;
+  lines.forEach(line => {
+    if (/^(```|~~~)/.test(line)) {
+      inCode = !inCode;
+      normalised.push(line);
+      return;
+    }
+
+    const previous = normalised[normalised.length - 1];
+    if (!inCode && previous && previous.trim() && !previous.startsWith('#') && /^(=+|-+)\s*$/.test(line)) {
+      normalised[normalised.length - 1] = `${line.startsWith('=') ? '#' : '##'} ${previous.trim()}`;
+      return;
+    }
+    // Mark code lines so they are never taken for headings
+    normalised.push(inCode ? `${CODE_MARKER}${line}` : line);
+  });
+
+  const inline = (text) => text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/(\*\*|__|\*|_|`)(\S(?:.*?\S)?)\1/g, '$2');
+
+  return splitSections(normalised, line => {
+    const match = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    return match ? { title: inline(match[2]), level: match[1].length } : null;
+  }).map(section => ({
+    ...section,
+    text: inline(section.text.replace(/^(```|~~~).*$/gm, '').replace(new RegExp(`^${CODE_MARKER}`, 'gm'), ''))
+  }));
+};
+
+/**
+ * Decompress one ZIP entry, failing as soon as it expands past a limit. The sizes in ZIP headers are
+ * written by whoever made the archive, so they are never trusted.
+ * @param {Object} entry - AdmZip entry
+ * @param {number} maxBytes - Largest decompressed size allowed
+ * @returns {Buffer}
+ */
+const readZipEntry = (entry, maxBytes) => {
+  const tooLarge = () => Object.assign(new Error(`${entry.entryName} expands to more than ${maxBytes} bytes`), { code: 'ZIP_ENTRY_TOO_LARGE' });
+
+  const data = entry.getCompressedData();
+  if (entry.header.method === 0) {
+    if (data.length > maxBytes) throw tooLarge();
+    return data;
+  }
+  if (entry.header.method !== 8) {
+    throw new Error(`${entry.entryName} uses an unsupported compression method`);
+  }
+
+  try {
+    return zlib.inflateRawSync(data, { maxOutputLength: Math.max(maxBytes, 1) });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+    throw error;
+  }
+};
+
+/**
+ * Decode the entities XML text can contain
+ * @param {string} xml - Text content of an XML element
+ * @returns {string}
+ */
+const xmlText = (xml) => {
+  return xml
+    .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Value of an attribute in an XML start tag
+ * @param {string} tag - Start tag
+ * @param {string} name - Attribute name
+ * @returns {string|null}
+ */
+const xmlAttribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? xmlText(match[1]) : null;
+};
+
+/**
+ * Text of the <t> runs in an XML fragment, leaving out phonetic guides
+ * @param {string} xml - Shared string or inline string XML
+ * @returns {string}
+ */
+const runText = (xml) => {
+  const runs = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').match(/<t(?:\s[^>]*)?>[\s\S]*?<\/t>/g) || [];
+  return runs.map(run => xmlText(run.replace(/^<t[^>]*>|<\/t>$/g, ''))).join('');
+};
+
+/**
+ * Zero-based column of a cell reference such as "C7"
+ * @param {string} reference - Cell reference
+ * @returns {number}
+ */
+const columnIndex = (reference) => {
+  const letters = reference.match(/^[A-Z]+/);
+  if (!letters) return -1;
+  return letters[0].split('').reduce((column, letter) => column * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+/**
+ * One spreadsheet row as a CSV line
+ * @param {string[]} cells - Cell values by column
+ * @returns {string}
+ */
+const csvLine = (cells) => Array.from(cells, value => {
+  const text = value || '';
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',');
+
+/**
+ * Sections of an XLSX workbook, one per sheet as CSV text. The workbook is itself a ZIP archive, so its
+ * parts are decompressed through readZipEntry against the same budget as a ZIP bundle.
+ * @param {Buffer} buffer - Workbook content
+ * @param {Object} context - Extraction context
+ * @param {{remaining: number}} [context.budget] - Bytes the file may still expand to
+ * @returns {Array<Object>}
+ */
+const workbookSections = (buffer, { budget = { remaining: MAX_ZIP_BYTES } }) => {
+  const zip = new AdmZip(buffer);
+
+  const readPart = (name) => {
+    const entry = zip.getEntry(name);
+    if (!entry) return null;
+    const data = readZipEntry(entry, budget.remaining);
+    budget.remaining -= data.length;
+    return data.toString('utf8');
+  };
+
+  const workbook = readPart('xl/workbook.xml');
+  if (!workbook) {
+    throw new Error('Not an XLSX workbook: xl/workbook.xml is missing');
+  }
+
+  // Sheet part names by relationship ID, relative to xl/ unless absolute
+  const targets = new Map();
+  ((readPart('xl/_rels/workbook.xml.rels') || '').match(/<Relationship\s[^>]*>/g) || []).forEach(tag => {
+    const target = xmlAttribute(tag, 'Target');
+    if (target) {
+      targets.set(xmlAttribute(tag, 'Id'), target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target));
+    }
+  });
+
+  const sharedStrings = ((readPart('xl/sharedStrings.xml') || '').match(/<si>[\s\S]*?<\/si>/g) || []).map(runText);
+
+  const sheets = workbook.match(/<sheet\s[^>]*>/g) || [];
+  return sheets.map(tag => {
+    const part = targets.get(xmlAttribute(tag, 'r:id'));
+    const xml = part ? readPart(part) : null;
+    if (!xml) return null;
+
+    const rows = (xml.match(/<row\b[^>]*?(?:\/>|>[\s\S]*?<\/row>)/g) || []).map(row => {
+      const cells = [];
+      (row.match(/<c\b[^>]*?(?:\/>|>[\s\S]*?<\/c>)/g) || []).forEach(cell => {
+        const start = cell.match(/^<c\b[^>]*>/)[0];
+        const type = xmlAttribute(start, 't');
+        const value = cell.match(/<v>([\s\S]*?)<\/v>/);
+
+        let text;
+        if (type === 'inlineStr') text = runText(cell);
+        else if (!value) return;
+        else if (type === 's') text = sharedStrings[parseInt(value[1], 10)];
+        else if (type === 'b') text = value[1] === '1' ? 'TRUE' : 'FALSE';
+        else text = xmlText(value[1]);
+
+        const column = columnIndex(xmlAttribute(start, 'r') || '');
+        cells[column >= 0 ? column : cells.length] = text;
+      });
+      return csvLine(cells);
+    }).filter(line => line.replace(/,/g, ''));
+
+    return { title: xmlAttribute(tag, 'name'), level: 1, text: cleanText(rows.join('\n')) };
+  }).filter(section => section && section.text);
+};
+
+/**
+ * Sections of a ZIP bundle: one section per supported file, with that file's sections nested below it.
+ * Everything decompressed from a bundle, nested bundles included, counts against one MAX_ZIP_BYTES budget.
+ * @param {Buffer} buffer - ZIP content
+ * @param {Object} context - Extraction context
+ * @param {number} context.depth - Current archive nesting depth
+ * @param {{remaining: number}} [context.budget] - Bytes the outermost bundle may still expand to
+ * @returns {Promise<Array<Object>>}
+ */
+const zipSections = async (buffer, { depth, budget = { remaining: MAX_ZIP_BYTES } }) => {
+  if (depth >= MAX_ZIP_DEPTH) {
+    throw new Error('ZIP bundles are nested too deeply');
+  }
+
+  const entries = new AdmZip(buffer).getEntries()
+    .filter(entry => !entry.isDirectory)
+    .filter(entry => !entry.entryName.startsWith('__MACOSX/') && !path.basename(entry.entryName).startsWith('.'))
+    .sort((a, b) => a.entryName.localeCompare(b.entryName));
+
+  const sections = [];
+  for (const entry of entries) {
+    const extractor = getExtractor(null, entry.entryName);
+    if (!extractor) continue;
+
+    try {
+      const data = readZipEntry(entry, budget.remaining);
+      budget.remaining -= data.length;
+
+      const inner = await extractor.extract(data, { filename: entry.entryName, depth: depth + 1, budget });
+      sections.push({ title: entry.entryName, level: 1, text: '' });
+      inner.forEach(section => sections.push({ ...section, level: section.level + 1 }));
+    } catch (error) {
+      // Running out of budget, here or in a nested bundle, fails the whole bundle
+      if (error.code === 'ZIP_ENTRY_TOO_LARGE') {
+        throw Object.assign(new Error(`ZIP bundle expands to more than the ${MAX_ZIP_BYTES} bytes allowed`), { code: error.code });
+      }
+      console.warn(`Skipping ${entry.entryName} in ZIP bundle: ${error.message}`);
+    }
+  }
+
+  return sections;
+};
+
+registerExtractor({
+  format: 'text',
+  mimetypes: ['text/plain'],
+  extensions: ['.txt'],
+  extract: async (buffer) => plainTextSections(buffer.toString('utf8'))
+});
+
+registerExtractor({
+  format: 'pdf',
+  mimetypes: ['application/pdf'],
+  extensions: ['.pdf'],
+  extract: async (buffer) => {
+    const { text } = await pdfParse(buffer);
+    return plainTextSections(text);
+  }
+});
+
+registerExtractor({
+  format: 'docx',
+  mimetypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+  extensions: ['.docx'],
+  extract: async (buffer) => {
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+
+    // Documents without heading styles fall back to plain-text heuristics
+    if (!/<h[1-6][\s>]/i.test(html)) {
+      return plainTextSections(htmlToText(html));
+    }
+
+    const lines = html
+      .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, title) => `\n${HEADING_MARKER}${level}:${htmlToText(title).trim()}\n`)
+      .split('\n')
+      .map(htmlToText);
+
+    return splitSections(lines.join('\n').split('\n'), line => {
+      if (!line.startsWith(HEADING_MARKER)) return null;
+      const [level, ...rest] = line.slice(HEADING_MARKER.length).split(':');
+      return { title: rest.join(':'), level: parseInt(level, 10) };
+    });
+  }
+});
+
+registerExtractor({
+  format: 'latex',
+  mimetypes: ['application/x-tex', 'application/x-latex', 'text/x-tex', 'text/x-latex'],
+  extensions: ['.tex', '.latex'],
+  extract: async (buffer) => latexSections(buffer.toString('utf8'))
+});
+
+registerExtractor({
+  format: 'markdown',
+  mimetypes: ['text/markdown', 'text/x-markdown'],
+  extensions: ['.md', '.markdown'],
+  extract: async (buffer) => markdownSections(buffer.toString('utf8'))
+});
+
+registerExtractor({
+  format: 'csv',
+  mimetypes: ['text/csv', 'application/csv'],
+  extensions: ['.csv'],
+  extract: async (buffer, { filename }) => [{
+    title: filename ? path.basename(filename) : null,
+    level: 1,
+    text: cleanText(buffer.toString('utf8'))
+  }]
+});
+
+registerExtractor({
+  format: 'xlsx',
+  mimetypes: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+  extensions: ['.xlsx'],
+  extract: async (buffer, context) => workbookSections(buffer, context)
+});
+
+registerExtractor({
+  format: 'zip',
+  mimetypes: ['application/zip', 'application/x-zip-compressed'],
+  extensions: ['.zip'],
+  extract: zipSections
+});
+
+/**
+ * Join sections into one text with their headings
+ * @param {Array<Object>} sections - Extracted sections
+ * @returns {string}
+ */
+const joinSections = (sections) => sections
+  .map(section => [section.title, section.text].filter(Boolean).join('\n'))
+  .join('\n\n');
+
+/**
+ * Character offset of each section's text within the joined text
+ * @param {Array<Object>} sections - Extracted sections
+ * @returns {number[]}
+ */
+const sectionOffsets = (sections) => {
+  let offset = 0;
+  return sections.map((section, index) => {
+    if (index > 0) offset += 2;
+    const start = offset + (section.title && section.text ? section.title.length + 1 : 0);
+    offset += [section.title, section.text].filter(Boolean).join('\n').length;
+    return start;
+  });
+};
+
+/**
+ * Extract clean text and section structure from a file
+ * @param {Buffer} buffer - File content
+ * @param {Object} [options] - File details
+ * @param {string} [options.mimetype] - File mimetype
+ * @param {string} [options.filename] - File name, used when the mimetype is missing or generic
+ * @returns {Promise<{format: string, text: string, sections: Array<{title: string|null, level: number, text: string}>}>}
+ */
+const extractText = async (buffer, { mimetype, filename } = {}) => {
+  const extractor = getExtractor(mimetype, filename);
+  if (!extractor) {
+    throw new Error(`No text extractor for ${mimetype || filename || 'unknown file type'}`);
+  }
+
+  const sections = await extractor.extract(buffer, { filename, depth: 0 });
+  return { format: extractor.format, text: joinSections(sections), sections };
+};
+
+/**
+ * Get a paper's extracted text, parsing its file only the first time
+ * @param {Object} paper - PaperDocument with fileId, mimetype and originalname
+ * @param {Function} loadContent - async () => Buffer with the file content, called on a cache miss
+ * @returns {Promise<{format: string, text: string, sections: Array<Object>}>}
+ */
+const extractPaperText = async (paper, loadContent) => {
+  const key = paper.fileId.toString();
+
+  const cached = await PaperText.findOne({ fileId: paper.fileId, version: EXTRACTION_VERSION });
+  if (cached) {
+    return { format: cached.format, text: cached.text, sections: cached.sections };
+  }
+
+  if (!pending.has(key)) {
+    const extraction = (async () => {
+      const result = await extractText(await loadContent(), {
+        mimetype: paper.mimetype,
+        filename: paper.originalname || paper.filename
+      });
+
+      await PaperText.findOneAndUpdate(
+        { fileId: paper.fileId },
+        {
+          paperId: paper.paperId,
+          mimetype: paper.mimetype,
+          format: result.format,
+          version: EXTRACTION_VERSION,
+          sections: result.sections
+        },
+        { upsert: true }
+      );
+
+      return result;
+    })().finally(() => pending.delete(key));
+
+    pending.set(key, extraction);
+  }
+
+  return pending.get(key);
+};
+
+module.exports = {
+  EXTRACTION_VERSION,
+  registerExtractor,
+  getExtractor,
+  readZipEntry,
+  extractText,
+  extractPaperText,
+  sectionOffsets
+};
@@ -0,0 +1,616 @@
+const crypto = require('crypto');
+const {
+  AccountBalanceQuery,
+  AccountCreateTransaction,
+  AccountId,
+  AccountInfoQuery,
+  Hbar,
+  KeyList,
+  Long,
+  PrivateKey,
+  PublicKey,
+  Query,
+  ReceiptStatusError,
+  Status,
+  Timestamp,
+  TokenAssociateTransaction,
+  TokenBurnTransaction,
+  TokenCreateTransaction,
+  TokenMintTransaction,
+  TokenId,
+  TopicCreateTransaction,
+  TopicDeleteTransaction,
+  TopicId,
+  TopicInfoQuery,
+  TopicMessageSubmitTransaction,
+  TopicUpdateTransaction,
+  TransactionId,
+  TransactionReceipt,
+  TransactionRecordQuery,
+  TransferTransaction
+} = require('@hashgraph/sdk');
+
+// Tinybars given to the operator account of a new ledger (1,000,000 HBAR)
+const OPERATOR_BALANCE = 100000000000000;
+
+/**
+ * Error raised for queries against entities the fake ledger does not know
+ */
+const statusError = (status, message) => {
+  const error = new Error(message || `Fake ledger query failed with status ${status}`);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Normalise a key for comparisons; private keys stand in for their public key
+ */
+const toPublicKey = (key) => {
+  if (!key) return null;
+  if (key instanceof PrivateKey) return key.publicKey;
+  return key;
+};
+
+/**
+ * Check whether a key structure is satisfied by the given signer public key
+ * @param {Key|null} key - PublicKey, PrivateKey or KeyList
+ * @param {PublicKey} signer - Public key that signed the transaction
+ * @returns {boolean}
+ */
+const keySatisfiedBy = (key, signer) => {
+  if (!key) return true;
+  if (key instanceof KeyList) {
+    const keys = key.toArray();
+    const matches = keys.filter(inner => keySatisfiedBy(inner, signer)).length;
+    const threshold = key.threshold == null ? keys.length : key.threshold;
+    return matches >= threshold;
+  }
+
+  const publicKey = toPublicKey(key);
+  return publicKey instanceof PublicKey && publicKey.toStringRaw() === signer.toStringRaw();
+};
+
+/**
+ * Create an in-process ledger that simulates the Hedera services used by the platform:
+ * topic create/update/submit/subscribe with HIP-991 custom fees, token create/associate/
+ * mint/burn/transfer,
+ * account create, and receipt/record lookups (including TransactionRecordQuery).
+ * Transaction fees are not charged.
+ * @returns {Object} - Ledger with createClient, execute and subscribe
+ */
+const createFakeLedger = () => {
+  const accounts = new Map();
+  const tokens = new Map();
+  const topics = new Map();
+  const records = new Map();
+  let nextEntityNum = 1001;
+  let lastConsensus = Timestamp.fromDate(new Date());
+
+  const nextEntityId = () => `0.0.${nextEntityNum++}`;
+
+  const nextConsensusTimestamp = () => {
+    const now = Timestamp.fromDate(new Date());
+    lastConsensus = now.compare(lastConsensus) > 0 ? now : lastConsensus.plusNanos(1);
+    return lastConsensus;
+  };
+
+  const getAccount = (accountId) => accounts.get(accountId.toString());
+
+  const addAccount = (accountId, key, tinybars = 0, maxAutoAssociations = 0) => {
+    const account = {
+      accountId: AccountId.fromString(accountId.toString()),
+      key: toPublicKey(key),
+      tinybars,
+      tokenBalances: new Map(),
+      maxAutoAssociations
+    };
+    accounts.set(account.accountId.toString(), account);
+    return account;
+  };
+
+  const isAssociated = (account, tokenId) => account.tokenBalances.has(tokenId);
+
+  // Associate automatically when the account still has free auto-association slots
+  const ensureAssociated = (account, tokenId) => {
+    if (isAssociated(account, tokenId)) return true;
+
+    const used = account.tokenBalances.size;
+    if (account.maxAutoAssociations === -1 || used < account.maxAutoAssociations) {
+      account.tokenBalances.set(tokenId, 0);
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Apply a set of balance changes atomically
+   * @param {Array<{tokenId: string|null, accountId: string, amount: number}>} changes - tokenId null means HBAR
+   * @param {Object} options - Validation options
+   * @param {PublicKey} options.signer - Key that signed the transaction
+   * @param {Status} [options.insufficientStatus] - Status to use for a negative balance
+   * @returns {Status} - SUCCESS or the failure status
+   */
+  const applyChanges = (changes, { signer, insufficientStatus }) => {
+    const totals = new Map();
+
+    for (const change of changes) {
+      const account = getAccount(change.accountId);
+      if (!account) return Status.InvalidAccountId;
+      if (change.tokenId && !tokens.has(change.tokenId)) return Status.InvalidTokenId;
+
+      // Debits need the account owner's signature
+      if (change.amount < 0 && !keySatisfiedBy(account.key, signer)) return Status.InvalidSignature;
+
+      const key = `${change.tokenId || 'hbar'}|${change.accountId}`;
+      totals.set(key, (totals.get(key) || 0) + change.amount);
+    }
+
+    // Validate everything before touching balances
+    for (const [key, amount] of totals) {
+      const [tokenId, accountId] = key.split('|');
+      const account = getAccount(accountId);
+
+      if (tokenId === 'hbar') {
+        if (account.tinybars + amount < 0) return insufficientStatus || Status.InsufficientAccountBalance;
+      } else {
+        if (!isAssociated(account, tokenId) && !ensureAssociated(account, tokenId)) {
+          return Status.TokenNotAssociatedToAccount;
+        }
+        if (account.tokenBalances.get(tokenId) + amount < 0) {
+          return insufficientStatus || Status.InsufficientTokenBalance;
+        }
+      }
+    }
+
+    for (const [key, amount] of totals) {
+      const [tokenId, accountId] = key.split('|');
+      const account = getAccount(accountId);
+
+      if (tokenId === 'hbar') {
+        account.tinybars += amount;
+      } else {
+        account.tokenBalances.set(tokenId, account.tokenBalances.get(tokenId) + amount);
+      }
+    }
+
+    return Status.Success;
+  };
+
+  const handleTopicCreate = (transaction, payer) => {
+    const topicId = nextEntityId();
+    topics.set(topicId, {
+      topicId: TopicId.fromString(topicId),
+      memo: transaction.getTopicMemo() || '',
+      adminKey: toPublicKey(transaction.getAdminKey()),
+      submitKey: toPublicKey(transaction.getSubmitKey()),
+      feeScheduleKey: toPublicKey(transaction.getFeeScheduleKey()),
+      feeExemptKeys: (transaction.getFeeExemptKeys() || []).map(toPublicKey),
+      customFees: transaction.getCustomFees() || [],
+      autoRenewAccountId: payer.accountId,
+      messages: [],
+      runningHash: Buffer.alloc(48),
+      subscribers: new Set()
+    });
+
+    return { status: Status.Success, topicId: TopicId.fromString(topicId) };
+  };
+
+  const handleTopicUpdate = (transaction, signer) => {
+    const topic = topics.get(transaction.topicId ? transaction.topicId.toString() : '');
+    if (!topic) return { status: Status.InvalidTopicId };
+
+    const updatesFees = transaction.getCustomFees() != null || transaction.getFeeExemptKeys() != null;
+    const updatesTopic = transaction.topicMemo != null || transaction.submitKey != null || transaction.adminKey != null;
+
+    if (updatesFees && !keySatisfiedBy(topic.feeScheduleKey || topic.adminKey, signer)) {
+      return { status: Status.InvalidSignature };
+    }
+    if (updatesTopic && (!topic.adminKey || !keySatisfiedBy(topic.adminKey, signer))) {
+      return { status: Status.InvalidSignature };
+    }
+
+    if (transaction.topicMemo != null) topic.memo = transaction.topicMemo;
+    if (transaction.adminKey != null) topic.adminKey = toPublicKey(transaction.adminKey);
+    if (transaction.submitKey != null) topic.submitKey = toPublicKey(transaction.submitKey);
+    if (transaction.getFeeScheduleKey() != null) topic.feeScheduleKey = toPublicKey(transaction.getFeeScheduleKey());
+    if (transaction.getFeeExemptKeys() != null) topic.feeExemptKeys = transaction.getFeeExemptKeys().map(toPublicKey);
+    if (transaction.getCustomFees() != null) topic.customFees = transaction.getCustomFees();
+
+    return { status: Status.Success };
+  };
+
+  const handleTopicDelete = (transaction, signer) => {
+    const topicId = transaction.topicId ? transaction.topicId.toString() : '';
+    const topic = topics.get(topicId);
+    if (!topic) return { status: Status.InvalidTopicId };
+    if (!topic.adminKey) return { status: Status.Unauthorized };
+    if (!keySatisfiedBy(topic.adminKey, signer)) return { status: Status.InvalidSignature };
+
+    topics.delete(topicId);
+    return { status: Status.Success };
+  };
+
+  const handleTopicMessageSubmit = (transaction, payer, signer, transactionId) => {
+    const topic = topics.get(transaction.topicId ? transaction.topicId.toString() : '');
+    if (!topic) return { status: Status.InvalidTopicId };
+    if (!keySatisfiedBy(topic.submitKey, signer)) return { status: Status.InvalidSignature };
+
+    // HIP-991: charge the topic's custom fees unless the payer is exempt or the collector
+    const exempt = topic.feeExemptKeys.some(key => keySatisfiedBy(key, signer));
+    const feeChanges = [];
+    if (!exempt) {
+      topic.customFees.forEach(fee => {
+        const collectorId = fee.feeCollectorAccountId.toString();
+        if (collectorId === payer.accountId.toString()) return;
+
+        const tokenId = fee.denominatingTokenId ? fee.denominatingTokenId.toString() : null;
+        const amount = Long.fromValue(fee.amount).toNumber();
+        feeChanges.push({ tokenId, accountId: payer.accountId.toString(), amount: -amount });
+        feeChanges.push({ tokenId, accountId: collectorId, amount });
+      });
+    }
+
+    if (feeChanges.length > 0) {
+      const status = applyChanges(feeChanges, {
+        signer,
+        insufficientStatus: Status.InsufficientPayerBalanceForCustomFee
+      });
+      if (status !== Status.Success) return { status };
+    }
+
+    const contents = Buffer.from(transaction.getMessage() || []);
+    const consensusTimestamp = nextConsensusTimestamp();
+    topic.runningHash = crypto.createHash('sha384')
+      .update(Buffer.concat([topic.runningHash, contents]))
+      .digest();
+
+    const message = {
+      consensusTimestamp,
+      contents: new Uint8Array(contents),
+      runningHash: new Uint8Array(topic.runningHash),
+      sequenceNumber: Long.fromNumber(topic.messages.length + 1),
+      initialTransactionId: transactionId,
+      chunks: []
+    };
+    topic.messages.push(message);
+
+    // Deliver asynchronously, as the mirror node would
+    topic.subscribers.forEach(subscriber => setImmediate(() => subscriber(message)));
+
+    return {
+      status: Status.Success,
+      consensusTimestamp,
+      topicSequenceNumber: message.sequenceNumber,
+      topicRunningHash: message.runningHash,
+      transfers: feeChanges
+    };
+  };
+
+  const handleTokenCreate = (transaction, payer, signer) => {
+    const treasuryId = (transaction.treasuryAccountId || payer.accountId).toString();
+    const treasury = getAccount(treasuryId);
+    if (!treasury) return { status: Status.InvalidTreasuryAccountForToken };
+    if (!keySatisfiedBy(treasury.key, signer)) return { status: Status.InvalidSignature };
+
+    const tokenId = nextEntityId();
+    const initialSupply = Long.fromValue(transaction.initialSupply || 0).toNumber();
+    tokens.set(tokenId, {
+      tokenId: TokenId.fromString(tokenId),
+      name: transaction.tokenName,
+      symbol: transaction.tokenSymbol,
+      decimals: Long.fromValue(transaction.decimals || 0).toNumber(),
+      treasuryAccountId: treasury.accountId,
+      totalSupply: initialSupply,
+      adminKey: toPublicKey(transaction.adminKey),
+      supplyKey: toPublicKey(transaction.supplyKey),
+      freezeKey: toPublicKey(transaction.freezeKey),
+      wipeKey: toPublicKey(transaction.wipeKey)
+    });
+    treasury.tokenBalances.set(tokenId, initialSupply);
+
+    return {
+      status: Status.Success,
+      tokenId: TokenId.fromString(tokenId),
+      totalSupply: Long.fromNumber(initialSupply)
+    };
+  };
+
+  const handleTokenAssociate = (transaction, signer) => {
+    const account = getAccount(transaction.accountId || '');
+    if (!account) return { status: Status.InvalidAccountId };
+    if (!keySatisfiedBy(account.key, signer)) return { status: Status.InvalidSignature };
+
+    const tokenIds = (transaction.tokenIds || []).map(tokenId => tokenId.toString());
+    if (tokenIds.some(tokenId => !tokens.has(tokenId))) return { status: Status.InvalidTokenId };
+    if (tokenIds.some(tokenId => isAssociated(account, tokenId))) {
+      return { status: Status.TokenAlreadyAssociatedToAccount };
+    }
+
+    tokenIds.forEach(tokenId => account.tokenBalances.set(tokenId, 0));
+    return { status: Status.Success };
+  };
+
+  // Mint (direction 1) or burn (direction -1) against the token treasury
+  const handleSupplyChange = (transaction, signer, direction) => {
+    const token = tokens.get(transaction.tokenId ? transaction.tokenId.toString() : '');
+    if (!token) return { status: Status.InvalidTokenId };
+    if (!token.supplyKey) return { status: Status.TokenHasNoSupplyKey };
+    if (!keySatisfiedBy(token.supplyKey, signer)) return { status: Status.InvalidSignature };
+
+    const amount = Long.fromValue(transaction.amount || 0).toNumber();
+    if (amount <= 0) {
+      return { status: direction > 0 ? Status.InvalidTokenMintAmount : Status.InvalidTokenBurnAmount };
+    }
+
+    const treasury = getAccount(token.treasuryAccountId);
+    const tokenId = token.tokenId.toString();
+    if (direction < 0 && treasury.tokenBalances.get(tokenId) < amount) {
+      return { status: Status.InvalidTokenBurnAmount };
+    }
+
+    treasury.tokenBalances.set(tokenId, treasury.tokenBalances.get(tokenId) + direction * amount);
+    token.totalSupply += direction * amount;
+
+    return { status: Status.Success, totalSupply: Long.fromNumber(token.totalSupply) };
+  };
+
+  const handleTransfer = (transaction, signer) => {
+    const changes = [];
+
+    for (const [accountId, amount] of transaction.hbarTransfers) {
+      changes.push({ tokenId: null, accountId: accountId.toString(), amount: amount.toTinybars().toNumber() });
+    }
+    for (const [tokenId, transfers] of transaction.tokenTransfers) {
+      let sum = 0;
+      for (const [accountId, amount] of transfers) {
+        const value = Long.fromValue(amount).toNumber();
+        sum += value;
+        changes.push({ tokenId: tokenId.toString(), accountId: accountId.toString(), amount: value });
+      }
+      if (sum !== 0) return { status: Status.TransfersNotZeroSumForToken };
+    }
+
+    const hbarSum = changes.filter(change => !change.tokenId).reduce((total, change) => total + change.amount, 0);
+    if (hbarSum !== 0) return { status: Status.InvalidAccountAmounts };
+
+    const status = applyChanges(changes, { signer });
+    return { status, transfers: status === Status.Success ? changes : [] };
+  };
+
+  const handleAccountCreate = (transaction, payer, signer) => {
+    const initialBalance = transaction.initialBalance
+      ? transaction.initialBalance.toTinybars().toNumber()
+      : 0;
+
+    if (payer.tinybars < initialBalance) return { status: Status.InsufficientPayerBalance };
+    if (!keySatisfiedBy(payer.key, signer)) return { status: Status.InvalidSignature };
+
+    const maxAutoAssociations = transaction.maxAutomaticTokenAssociations != null
+      ? Long.fromValue(transaction.maxAutomaticTokenAssociations).toNumber()
+      : 0;
+
+    const account = addAccount(nextEntityId(), transaction.key, initialBalance, maxAutoAssociations);
+    payer.tinybars -= initialBalance;
+
+    return { status: Status.Success, accountId: account.accountId };
+  };
+
+  const runTransaction = (transaction, payer, signer, transactionId) => {
+    if (transaction instanceof TopicCreateTransaction) return handleTopicCreate(transaction, payer);
+    if (transaction instanceof TopicUpdateTransaction) return handleTopicUpdate(transaction, signer);
+    if (transaction instanceof TopicDeleteTransaction) return handleTopicDelete(transaction, signer);
+    if (transaction instanceof TopicMessageSubmitTransaction) {
+      return handleTopicMessageSubmit(transaction, payer, signer, transactionId);
+    }
+    if (transaction instanceof TokenCreateTransaction) return handleTokenCreate(transaction, payer, signer);
+    if (transaction instanceof TokenAssociateTransaction) return handleTokenAssociate(transaction, signer);
+    if (transaction instanceof TokenMintTransaction) return handleSupplyChange(transaction, signer, 1);
+    if (transaction instanceof TokenBurnTransaction) return handleSupplyChange(transaction, signer, -1);
+    if (transaction instanceof TransferTransaction) return handleTransfer(transaction, signer);
+    if (transaction instanceof AccountCreateTransaction) return handleAccountCreate(transaction, payer, signer);
+
+    throw new Error(`Fake ledger does not support ${transaction.constructor.name}`);
+  };
+
+  const runQuery = (query) => {
+    if (query instanceof TopicInfoQuery) {
+      const topic = topics.get(query.topicId ? query.topicId.toString() : '');
+      if (!topic) throw statusError(Status.InvalidTopicId);
+
+      return {
+        topicId: topic.topicId,
+        topicMemo: topic.memo,
+        runningHash: new Uint8Array(topic.runningHash),
+        sequenceNumber: Long.fromNumber(topic.messages.length),
+        adminKey: topic.adminKey,
+        submitKey: topic.submitKey,
+        feeScheduleKey: topic.feeScheduleKey,
+        feeExemptKeys: topic.feeExemptKeys,
+        customFees: topic.customFees,
+        autoRenewAccountId: topic.autoRenewAccountId
+      };
+    }
+
+    if (query instanceof AccountInfoQuery) {
+      const account = getAccount(query.accountId || '');
+      if (!account) throw statusError(Status.InvalidAccountId);
+
+      return {
+        accountId: account.accountId,
+        key: account.key,
+        balance: Hbar.fromTinybars(account.tinybars),
+        maxAutomaticTokenAssociations: Long.fromNumber(account.maxAutoAssociations)
+      };
+    }
+
+    if (query instanceof AccountBalanceQuery) {
+      const account = getAccount(query.accountId || '');
+      if (!account) throw statusError(Status.InvalidAccountId);
+
+      const balances = new Map(account.tokenBalances);
+      return {
+        hbars: Hbar.fromTinybars(account.tinybars),
+        tokens: {
+          get: (tokenId) => {
+            const balance = balances.get(tokenId.toString());
+            return balance == null ? null : Long.fromNumber(balance);
+          },
+          size: balances.size
+        }
+      };
+    }
+
+    if (query instanceof TransactionRecordQuery) {
+      const record = query.transactionId ? records.get(query.transactionId.toString()) : null;
+      if (!record) throw statusError(Status.RecordNotFound);
+
+      return record;
+    }
+
+    throw new Error(`Fake ledger does not support ${query.constructor.name}`);
+  };
+
+  /**
+   * Execute a transaction or query on behalf of a fake client
+   * @param {Object} client - Client from createClient
+   * @param {Object} executable - SDK transaction or query
+   * @returns {Promise<Object>} - Transaction response ({transactionId, getReceipt, getRecord}) or query result
+   */
+  const execute = async (client, executable) => {
+    if (executable instanceof Query) {
+      return runQuery(executable);
+    }
+
+    const payer = getAccount(client.operatorAccountId);
+    if (!payer) throw statusError(Status.InvalidAccountId, `Unknown payer account ${client.operatorAccountId}`);
+
+    const transactionId = TransactionId.generate(payer.accountId);
+    const result = runTransaction(executable, payer, client.operatorPublicKey, transactionId);
+
+    const receipt = new TransactionReceipt({
+      status: result.status,
+      accountId: result.accountId || null,
+      topicId: result.topicId || null,
+      tokenId: result.tokenId || null,
+      topicSequenceNumber: result.topicSequenceNumber || null,
+      topicRunningHash: result.topicRunningHash || null,
+      totalSupply: result.totalSupply || null,
+      serials: [],
+      duplicates: [],
+      children: []
+    });
+
+    const record = {
+      transactionId,
+      consensusTimestamp: result.consensusTimestamp || nextConsensusTimestamp(),
+      receipt,
+      tokenTransfersList: (result.transfers || [])
+        .filter(change => change.tokenId)
+        .map(change => ({
+          tokenId: TokenId.fromString(change.tokenId),
+          accountId: AccountId.fromString(change.accountId),
+          amount: Long.fromNumber(change.amount)
+        }))
+    };
+    records.set(transactionId.toString(), record);
+
+    const checkStatus = () => {
+      if (receipt.status !== Status.Success) {
+        throw new ReceiptStatusError({ status: receipt.status, transactionId, transactionReceipt: receipt });
+      }
+    };
+
+    return {
+      transactionId,
+      getReceipt: async () => {
+        checkStatus();
+        return receipt;
+      },
+      getRecord: async () => {
+        checkStatus();
+        return record;
+      }
+    };
+  };
+
+  /**
+   * Subscribe to a topic the way TopicMessageQuery.subscribe does
+   * @param {TopicMessageQuery} query - Query with topic ID and optional start time and limit
+   * @param {Function} onError - (message, error) => void
+   * @param {Function} onMessage - (message) => void
+   * @returns {{unsubscribe: Function}}
+   */
+  const subscribe = (query, onError, onMessage) => {
+    const topic = topics.get(query.topicId ? query.topicId.toString() : '');
+    if (!topic) {
+      setImmediate(() => onError(null, statusError(Status.InvalidTopicId)));
+      return { unsubscribe: () => {} };
+    }
+
+    const startTime = query.startTime;
+    const limit = query.limit ? Long.fromValue(query.limit).toNumber() : 0;
+    let delivered = 0;
+    let active = true;
+
+    const deliver = (message) => {
+      if (!active) return;
+      if (startTime && message.consensusTimestamp.compare(startTime) < 0) return;
+      if (limit && delivered >= limit) return;
+
+      delivered++;
+      onMessage(message);
+    };
+
+    const existing = topic.messages.slice();
+    setImmediate(() => existing.forEach(deliver));
+    topic.subscribers.add(deliver);
+
+    return {
+      unsubscribe: () => {
+        active = false;
+        topic.subscribers.delete(deliver);
+      }
+    };
+  };
+
+  /**
+   * Create a client acting as the given account, creating a funded account if it is unknown
+   * @param {string|AccountId} [accountId] - Operator account
+   * @param {PrivateKey} [privateKey] - Operator key (generated when omitted)
+   * @returns {Object} - Client usable with the network layer
+   */
+  const createClient = (accountId, privateKey) => {
+    const key = privateKey || PrivateKey.generateECDSA();
+    let account = accountId ? getAccount(accountId) : null;
+
+    if (!account) {
+      account = addAccount(accountId || nextEntityId(), key.publicKey, OPERATOR_BALANCE, -1);
+    }
+
+    return {
+      isFakeLedger: true,
+      ledger,
+      operatorAccountId: account.accountId,
+      operatorPublicKey: key.publicKey,
+      operatorKey: key,
+      close: () => {}
+    };
+  };
+
+  const ledger = {
+    createClient,
+    execute,
+    subscribe,
+    getTransactionRecord: (transactionId) => records.get(transactionId.toString()) || null,
+    getTopicMessages: (topicId) => {
+      const topic = topics.get(topicId.toString());
+      return topic ? topic.messages.slice() : [];
+    }
+  };
+
+  return ledger;
+};
+
+module.exports = {
+  createFakeLedger
+};
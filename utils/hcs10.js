@@ -0,0 +1,296 @@
+const {
+  TopicCreateTransaction,
+  TopicMessageSubmitTransaction,
+  TopicInfoQuery
+} = require('@hashgraph/sdk');
+const { execute } = require('./network');
+
+// HCS-10 (OpenConvAI) protocol identifier and topic type enum
+const HCS10_PROTOCOL = 'hcs-10';
+const DEFAULT_TTL = 60;
+
+const TopicType = {
+  INBOUND: 0,
+  OUTBOUND: 1,
+  CONNECTION: 2,
+  REGISTRY: 3
+};
+
+/**
+ * Build the memo for an HCS-10 registry topic
+ * @param {number} [ttl] - Time-to-live in seconds for cached reads
+ * @param {string} [metadataTopicId] - Optional topic holding registry metadata
+ * @returns {string} - Topic memo, e.g. hcs-10:0:60:3
+ */
+const buildRegistryMemo = (ttl = DEFAULT_TTL, metadataTopicId) => {
+  const memo = `${HCS10_PROTOCOL}:0:${ttl}:${TopicType.REGISTRY}`;
+  return metadataTopicId ? `${memo}:${metadataTopicId}` : memo;
+};
+
+/**
+ * Build the memo for an agent's inbound topic
+ * @param {string} accountId - Agent account that owns the topic
+ * @param {number} [ttl] - Time-to-live in seconds
+ * @returns {string} - Topic memo, e.g. hcs-10:0:60:0:0.0.1234
+ */
+const buildInboundMemo = (accountId, ttl = DEFAULT_TTL) => {
+  return `${HCS10_PROTOCOL}:0:${ttl}:${TopicType.INBOUND}:${accountId}`;
+};
+
+/**
+ * Build the memo for an agent's outbound topic
+ * @param {number} [ttl] - Time-to-live in seconds
+ * @returns {string} - Topic memo, e.g. hcs-10:0:60:1
+ */
+const buildOutboundMemo = (ttl = DEFAULT_TTL) => {
+  return `${HCS10_PROTOCOL}:0:${ttl}:${TopicType.OUTBOUND}`;
+};
+
+/**
+ * Build the memo for a connection topic shared by two agents
+ * @param {string} inboundTopicId - Inbound topic the connection request arrived on
+ * @param {number|string} connectionId - Sequence number of the connection request
+ * @param {number} [ttl] - Time-to-live in seconds
+ * @returns {string} - Topic memo, e.g. hcs-10:1:60:2:0.0.1234:7
+ */
+const buildConnectionMemo = (inboundTopicId, connectionId, ttl = DEFAULT_TTL) => {
+  return `${HCS10_PROTOCOL}:1:${ttl}:${TopicType.CONNECTION}:${inboundTopicId}:${connectionId}`;
+};
+
+/**
+ * Parse an HCS-10 topic memo
+ * @param {string} memo - Topic memo
+ * @returns {Object|null} - Parsed memo fields or null if not an HCS-10 memo
+ */
+const parseMemo = (memo) => {
+  if (!memo || !memo.startsWith(`${HCS10_PROTOCOL}:`)) return null;
+
+  const [, indexed, ttl, type, ...rest] = memo.split(':');
+  return {
+    indexed: indexed === '0',
+    ttl: parseInt(ttl, 10),
+    type: parseInt(type, 10),
+    extra: rest
+  };
+};
+
+/**
+ * Format the operator_id used in HCS-10 messages
+ * @param {string} inboundTopicId - Agent inbound topic
+ * @param {string} accountId - Agent account
+ * @returns {string} - inboundTopicId@accountId
+ */
+const formatOperatorId = (inboundTopicId, accountId) => `${inboundTopicId}@${accountId}`;
+
+/**
+ * Split an HCS-10 operator_id into its parts
+ * @param {string} operatorId - inboundTopicId@accountId
+ * @returns {{inboundTopicId: string, accountId: string}|null}
+ */
+const parseOperatorId = (operatorId) => {
+  if (!operatorId || !operatorId.includes('@')) return null;
+
+  const [inboundTopicId, accountId] = operatorId.split('@');
+  return { inboundTopicId, accountId };
+};
+
+/**
+ * Decode an HCS-10 message from topic contents
+ * @param {Buffer|Uint8Array|string} contents - Raw message contents
+ * @returns {Object|null} - Message payload or null if not HCS-10 JSON
+ */
+const parseMessage = (contents) => {
+  try {
+    const payload = JSON.parse(Buffer.from(contents).toString('utf8'));
+    return payload && payload.p === HCS10_PROTOCOL ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Submit an HCS-10 operation to a topic
+ * @param {Object} client - Hedera client
+ * @param {string} topicId - Target topic
+ * @param {Object} payload - Operation fields (op, m, ...)
+ * @returns {Promise<{sequenceNumber: number, transactionId: string}>}
+ */
+const submitMessage = async (client, topicId, payload) => {
+  const message = JSON.stringify({ p: HCS10_PROTOCOL, ...payload });
+
+  const tx = await execute(client, new TopicMessageSubmitTransaction()
+    .setTopicId(topicId)
+    .setMessage(message));
+
+  const receipt = await tx.getReceipt(client);
+
+  return {
+    sequenceNumber: receipt.topicSequenceNumber.toNumber(),
+    transactionId: tx.transactionId.toString()
+  };
+};
+
+/**
+ * Create a topic and return its ID
+ * @param {Object} client - Hedera client
+ * @param {string} memo - Topic memo
+ * @param {Object} [keys] - Optional admin and submit keys
+ * @returns {Promise<string>} - Topic ID
+ */
+const createTopic = async (client, memo, { adminKey, submitKey } = {}) => {
+  const transaction = new TopicCreateTransaction().setTopicMemo(memo);
+
+  if (adminKey) transaction.setAdminKey(adminKey);
+  if (submitKey) transaction.setSubmitKey(submitKey);
+
+  const tx = await execute(client, transaction);
+  const receipt = await tx.getReceipt(client);
+  return receipt.topicId.toString();
+};
+
+/**
+ * Get an existing registry topic or create a new one
+ * @param {Object} client - Hedera client
+ * @param {string} [registryTopicId] - Existing registry topic to reuse
+ * @param {number} [ttl] - Time-to-live for a new registry
+ * @returns {Promise<string>} - Registry topic ID
+ */
+const getOrCreateRegistryTopic = async (client, registryTopicId, ttl = DEFAULT_TTL) => {
+  if (registryTopicId) {
+    try {
+      const info = await execute(client, new TopicInfoQuery()
+        .setTopicId(registryTopicId));
+
+      const memo = parseMemo(info.topicMemo);
+      if (!memo || memo.type !== TopicType.REGISTRY) {
+        console.warn(`Topic ${registryTopicId} is not an HCS-10 registry (memo: "${info.topicMemo}")`);
+      }
+      return registryTopicId;
+    } catch (error) {
+      console.warn(`Could not find HCS-10 registry topic ${registryTopicId}: ${error.message}`);
+    }
+  }
+
+  // Registries are open for submissions so any agent can register itself
+  console.log('Creating new HCS-10 registry topic...');
+  return createTopic(client, buildRegistryMemo(ttl), { adminKey: client.operatorPublicKey });
+};
+
+/**
+ * Create the inbound and outbound topics for an agent
+ * @param {Object} client - Hedera client (operator is the agent account)
+ * @param {Object} [options] - Topic options
+ * @param {number} [options.ttl] - Time-to-live in seconds
+ * @returns {Promise<{inboundTopicId: string, outboundTopicId: string}>}
+ */
+const createAgentTopics = async (client, { ttl = DEFAULT_TTL } = {}) => {
+  const accountId = client.operatorAccountId.toString();
+  const agentKey = client.operatorPublicKey;
+
+  // Only the agent may write to its outbound topic
+  const outboundTopicId = await createTopic(client, buildOutboundMemo(ttl), {
+    adminKey: agentKey,
+    submitKey: agentKey
+  });
+
+  // Inbound topic is public so other agents can send connection requests
+  const inboundTopicId = await createTopic(client, buildInboundMemo(accountId, ttl), {
+    adminKey: agentKey
+  });
+
+  return { inboundTopicId, outboundTopicId };
+};
+
+/**
+ * Publish a register operation for an agent to the registry
+ * @param {Object} client - Hedera client
+ * @param {string} registryTopicId - Registry topic
+ * @param {Object} agent - Agent details
+ * @param {string} agent.accountId - Agent account
+ * @param {string} agent.inboundTopicId - Agent inbound topic
+ * @param {string} [agent.memo] - Optional registration memo
+ * @returns {Promise<{sequenceNumber: number, transactionId: string}>} - sequenceNumber is the registration uid
+ */
+const registerAgent = async (client, registryTopicId, { accountId, inboundTopicId, memo }) => {
+  return submitMessage(client, registryTopicId, {
+    op: 'register',
+    account_id: accountId.toString(),
+    inbound_topic_id: inboundTopicId,
+    m: memo || 'Registering AI agent.'
+  });
+};
+
+/**
+ * Publish a delete operation removing a registration from the registry
+ * @param {Object} client - Hedera client
+ * @param {string} registryTopicId - Registry topic
+ * @param {number|string} uid - Sequence number of the register message
+ * @param {string} [memo] - Optional memo
+ * @returns {Promise<{sequenceNumber: number, transactionId: string}>}
+ */
+const deleteAgentRegistration = async (client, registryTopicId, uid, memo) => {
+  return submitMessage(client, registryTopicId, {
+    op: 'delete',
+    uid: uid.toString(),
+    m: memo || 'Removing agent from registry.'
+  });
+};
+
+/**
+ * Provision an agent's topics (unless already known) and register it
+ * @param {Object} client - Hedera client (operator is the agent account)
+ * @param {Object} [options] - Provisioning options
+ * @param {string} [options.registryTopicId] - Registry to use or reuse
+ * @param {string} [options.inboundTopicId] - Existing inbound topic
+ * @param {string} [options.outboundTopicId] - Existing outbound topic
+ * @param {string|number} [options.registrationUid] - Existing registration, skips registering again
+ * @param {string} [options.memo] - Registration memo
+ * @returns {Promise<Object>} - Agent topics and registration details
+ */
+const provisionAgent = async (client, options = {}) => {
+  const accountId = client.operatorAccountId.toString();
+  const registryTopicId = await getOrCreateRegistryTopic(client, options.registryTopicId);
+
+  let { inboundTopicId, outboundTopicId } = options;
+  if (!inboundTopicId || !outboundTopicId) {
+    ({ inboundTopicId, outboundTopicId } = await createAgentTopics(client));
+  }
+
+  let registrationUid = options.registrationUid;
+  if (!registrationUid) {
+    const registration = await registerAgent(client, registryTopicId, {
+      accountId,
+      inboundTopicId,
+      memo: options.memo
+    });
+    registrationUid = registration.sequenceNumber;
+  }
+
+  return {
+    accountId,
+    registryTopicId,
+    inboundTopicId,
+    outboundTopicId,
+    registrationUid: registrationUid.toString()
+  };
+};
+
+module.exports = {
+  HCS10_PROTOCOL,
+  TopicType,
+  buildRegistryMemo,
+  buildInboundMemo,
+  buildOutboundMemo,
+  buildConnectionMemo,
+  parseMemo,
+  formatOperatorId,
+  parseOperatorId,
+  parseMessage,
+  submitMessage,
+  createTopic,
+  getOrCreateRegistryTopic,
+  createAgentTopics,
+  registerAgent,
+  deleteAgentRegistration,
+  provisionAgent
+};
@@ -0,0 +1,344 @@
+const {
+  AccountInfoQuery,
+  KeyList,
+  TopicMessageQuery,
+  Timestamp
+} = require('@hashgraph/sdk');
+const AgentConnection = require('../models/AgentConnection');
+const { execute, subscribe: subscribeTopic } = require('./network');
+const { retryDelay, parseTimestamp } = require('./topicListener');
+const {
+  buildConnectionMemo,
+  createTopic,
+  formatOperatorId,
+  parseMessage,
+  parseOperatorId,
+  submitMessage
+} = require('./hcs10');
+
+/**
+ * Create a manager that runs the HCS-10 connection handshake for an agent
+ * @param {Object} options - Manager options
+ * @param {Object} options.client - Hedera client (operator is the agent account)
+ * @param {Object} options.agent - Agent topics from provisionAgent
+ * @param {string} options.agent.inboundTopicId - Agent inbound topic
+ * @param {string} options.agent.outboundTopicId - Agent outbound topic
+ * @param {Function} [options.onMessage] - async (connection, data) => reply text or null
+ * @param {Object} [options.checkpointStore] - Store with load(topicId) and save(topicId, checkpoint) for the
+ *   inbound topic, see createFileCheckpointStore. Without one, the inbound topic is read from the start on every boot.
+ * @returns {Object} - Manager with start, stop, sendMessage and closeConnection
+ */
+const createConnectionManager = ({ client, agent, onMessage, checkpointStore = null }) => {
+  const accountId = client.operatorAccountId.toString();
+  const operatorId = formatOperatorId(agent.inboundTopicId, accountId);
+
+  // Open subscriptions keyed by topic ID
+  const subscriptions = new Map();
+  // Per-topic promise chains so messages are handled in consensus order
+  const queues = new Map();
+  // Per-topic subscription counter, so messages queued by a dropped subscription are skipped
+  const generations = new Map();
+  // Failures in a row and pending resubscriptions per topic
+  const failures = new Map();
+  const retryTimers = new Map();
+  let stopped = false;
+
+  const unsubscribe = (topicId) => {
+    generations.set(topicId, (generations.get(topicId) || 0) + 1);
+    clearTimeout(retryTimers.get(topicId));
+    retryTimers.delete(topicId);
+
+    const handle = subscriptions.get(topicId);
+    if (handle) {
+      handle.unsubscribe();
+      subscriptions.delete(topicId);
+    }
+  };
+
+  /**
+   * Subscribe to a topic after its checkpoint. The handler moves the checkpoint once a message is handled;
+   * when it fails, the subscription is dropped and resumed from the checkpoint after a growing delay.
+   * @param {string} topicId - Topic to subscribe to
+   * @param {Function} handler - async (message) => void
+   * @param {Function} loadCheckpoint - async () => consensus timestamp of the last handled message, or null
+   */
+  const subscribe = async (topicId, handler, loadCheckpoint) => {
+    const resumeAfter = await loadCheckpoint();
+    if (stopped) return;
+
+    const query = new TopicMessageQuery()
+      .setTopicId(topicId)
+      .setStartTime(resumeAfter ? parseTimestamp(resumeAfter).plusNanos(1) : Timestamp.fromDate(new Date(0)));
+
+    unsubscribe(topicId);
+    const current = generations.get(topicId);
+
+    const handle = subscribeTopic(
+      client,
+      query,
+      (message, error) => console.error(`Subscription error on topic ${topicId}:`, error),
+      (message) => {
+        const previous = queues.get(topicId) || Promise.resolve();
+        queues.set(topicId, previous
+          .then(async () => {
+            if (generations.get(topicId) !== current) return;
+            await handler(message);
+            failures.delete(topicId);
+          })
+          .catch(error => {
+            if (generations.get(topicId) !== current) return;
+            unsubscribe(topicId);
+            const delay = scheduleRetry(topicId, handler, loadCheckpoint);
+            console.error(`HCS-10 handler error on topic ${topicId} at message #${message.sequenceNumber}, retrying in ${delay / 1000}s:`, error);
+          }));
+      }
+    );
+
+    subscriptions.set(topicId, handle);
+  };
+
+  /**
+   * Resubscribe to a topic from its checkpoint after a delay that doubles with each failure in a row
+   * @returns {number} - Delay in milliseconds
+   */
+  const scheduleRetry = (topicId, handler, loadCheckpoint) => {
+    const count = failures.get(topicId) || 0;
+    const delay = retryDelay(count);
+    failures.set(topicId, count + 1);
+    if (stopped) return delay;
+
+    retryTimers.set(topicId, setTimeout(() => {
+      retryTimers.delete(topicId);
+      subscribe(topicId, handler, loadCheckpoint).catch(error => {
+        console.error(`Could not resubscribe to topic ${topicId}:`, error);
+        scheduleRetry(topicId, handler, loadCheckpoint);
+      });
+    }, delay));
+    return delay;
+  };
+
+  // Connection topics resume after the last message saved on their AgentConnection
+  const subscribeConnection = (connectionTopicId) => subscribe(
+    connectionTopicId,
+    message => handleConnectionMessage(connectionTopicId, message),
+    async () => {
+      const connection = await AgentConnection.findOne({ connectionTopicId });
+      return connection ? connection.lastConsensusTimestamp : null;
+    }
+  );
+
+  /**
+   * Record that a connection was closed on the agent's outbound topic
+   */
+  const recordClosed = async (connection, reason) => {
+    await connection.markClosed(reason);
+    unsubscribe(connection.connectionTopicId);
+
+    await submitMessage(client, agent.outboundTopicId, {
+      op: 'connection_closed',
+      connection_topic_id: connection.connectionTopicId,
+      close_method: 'explicit',
+      operator_id: operatorId,
+      m: reason || 'Connection closed.'
+    });
+
+    console.log(`HCS-10 connection ${connection.connectionTopicId} closed`);
+  };
+
+  /**
+   * Handle a message on a connection topic
+   */
+  const handleConnectionMessage = async (connectionTopicId, message) => {
+    const connection = await AgentConnection.findOne({ connectionTopicId });
+    const sequenceNumber = message.sequenceNumber.toNumber();
+
+    if (!connection || connection.status !== 'open' || sequenceNumber <= connection.lastSequenceNumber) {
+      return;
+    }
+
+    const payload = parseMessage(message.contents);
+    if (payload && payload.operator_id !== operatorId) {
+      if (payload.op === 'close_connection') {
+        await recordClosed(connection, payload.reason || payload.m);
+      } else if (payload.op === 'message' && onMessage) {
+        const reply = await onMessage(connection, payload.data);
+        if (reply) {
+          await sendMessage(connectionTopicId, reply);
+        }
+      }
+    }
+
+    // Only move past the message once it is handled, so a failure retries it
+    connection.lastSequenceNumber = sequenceNumber;
+    connection.lastConsensusTimestamp = message.consensusTimestamp.toString();
+    await connection.save();
+  };
+
+  /**
+   * Accept a connection_request by creating a shared connection topic
+   */
+  const acceptConnection = async (payload, message) => {
+    const connectionRequestId = message.sequenceNumber.toNumber();
+    const requester = parseOperatorId(payload.operator_id);
+    if (!requester) {
+      console.warn(`Ignoring connection_request ${connectionRequestId} without a valid operator_id`);
+      return;
+    }
+
+    // Anyone can write any operator_id, so the request has to be paid for by the account it names
+    const payer = message.initialTransactionId && message.initialTransactionId.accountId;
+    if (!payer || payer.toString() !== requester.accountId) {
+      console.warn(`Ignoring connection_request ${connectionRequestId} from ${payer || 'an unknown payer'} on behalf of ${requester.accountId}`);
+      return;
+    }
+
+    // Claim the request before creating its topic, so it is accepted once even if handled twice
+    const connection = await AgentConnection.claimRequest({
+      agentAccountId: accountId,
+      inboundTopicId: agent.inboundTopicId,
+      requesterAccountId: requester.accountId,
+      requesterOperatorId: payload.operator_id,
+      connectionRequestId
+    });
+    if (!connection) return;
+
+    let connectionTopicId;
+    try {
+      // Either party may submit to the connection topic
+      const requesterInfo = await execute(client, new AccountInfoQuery()
+        .setAccountId(requester.accountId));
+
+      const submitKey = new KeyList([client.operatorPublicKey, requesterInfo.key], 1);
+
+      connectionTopicId = await createTopic(
+        client,
+        buildConnectionMemo(agent.inboundTopicId, connectionRequestId),
+        { adminKey: client.operatorPublicKey, submitKey }
+      );
+    } catch (error) {
+      // Release the claim so the retried request can be accepted
+      await connection.deleteOne();
+      throw error;
+    }
+
+    connection.connectionTopicId = connectionTopicId;
+    connection.sessionId = `hcs10-${connectionTopicId}`;
+    connection.status = 'open';
+    await connection.save();
+
+    const confirmation = await submitMessage(client, agent.inboundTopicId, {
+      op: 'connection_created',
+      connection_topic_id: connectionTopicId,
+      connected_account_id: requester.accountId,
+      operator_id: operatorId,
+      connection_id: connectionRequestId,
+      m: 'Connection established.'
+    });
+
+    await submitMessage(client, agent.outboundTopicId, {
+      op: 'connection_created',
+      connection_topic_id: connectionTopicId,
+      requestor_outbound_topic_id: payload.outbound_topic_id,
+      confirmed_request_id: confirmation.sequenceNumber,
+      connection_request_id: connectionRequestId,
+      operator_id: operatorId,
+      m: 'Connection established.'
+    });
+
+    console.log(`HCS-10 connection ${connectionTopicId} created for ${requester.accountId}`);
+
+    await subscribeConnection(connectionTopicId);
+    return connection;
+  };
+
+  /**
+   * Handle a message on the agent's inbound topic, then save it as the inbound checkpoint
+   */
+  const handleInboundMessage = async (message) => {
+    const payload = parseMessage(message.contents);
+    if (payload && payload.op === 'connection_request') {
+      await acceptConnection(payload, message);
+    }
+
+    if (checkpointStore) {
+      await checkpointStore.save(agent.inboundTopicId, {
+        sequenceNumber: message.sequenceNumber.toNumber(),
+        consensusTimestamp: message.consensusTimestamp.toString()
+      });
+    }
+  };
+
+  /**
+   * Send a message to the remote agent on a connection topic
+   * @param {string} connectionTopicId - Connection topic
+   * @param {string} data - Message content
+   */
+  const sendMessage = async (connectionTopicId, data) => {
+    return submitMessage(client, connectionTopicId, {
+      op: 'message',
+      operator_id: operatorId,
+      data,
+      m: ''
+    });
+  };
+
+  /**
+   * Close a connection from our side
+   * @param {string} connectionTopicId - Connection topic
+   * @param {string} [reason] - Reason sent to the remote agent
+   */
+  const closeConnection = async (connectionTopicId, reason = 'Conversation ended.') => {
+    const connection = await AgentConnection.findOne({ connectionTopicId, status: 'open' });
+    if (!connection) {
+      throw new Error(`No open connection on topic ${connectionTopicId}`);
+    }
+
+    await submitMessage(client, connectionTopicId, {
+      op: 'close_connection',
+      operator_id: operatorId,
+      reason,
+      m: reason
+    });
+
+    await recordClosed(connection, reason);
+  };
+
+  /**
+   * Listen for connection requests and resume open connections
+   */
+  const start = async () => {
+    stopped = false;
+    await subscribe(agent.inboundTopicId, handleInboundMessage, async () => {
+      const checkpoint = checkpointStore && await checkpointStore.load(agent.inboundTopicId);
+      return checkpoint ? checkpoint.consensusTimestamp : null;
+    });
+
+    const openConnections = await AgentConnection.find({
+      inboundTopicId: agent.inboundTopicId,
+      status: 'open'
+    });
+
+    await Promise.all(openConnections.map(connection => subscribeConnection(connection.connectionTopicId)));
+
+    console.log(`Listening for HCS-10 connection requests on ${agent.inboundTopicId} (${openConnections.length} open connections)`);
+  };
+
+  /**
+   * Stop all subscriptions and pending retries
+   */
+  const stop = () => {
+    stopped = true;
+    Array.from(new Set([...subscriptions.keys(), ...retryTimers.keys()])).forEach(unsubscribe);
+  };
+
+  return {
+    start,
+    stop,
+    sendMessage,
+    closeConnection
+  };
+};
+
+module.exports = {
+  createConnectionManager
+};
@@ -1,9 +1,17 @@
 const readline = require('readline')
 
-const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout
-})
+// Created on first use, so requiring this module does not hold stdin open
+let rl = null
+
+const getInterface = () => {
+    if (!rl) {
+        rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout
+        })
+    }
+    return rl
+}
 
 /**
  * Prompts the user for input and returns their response
@@ -12,7 +20,7 @@ const rl = readline.createInterface({
  */
 const getUserInput = (question) => {
     return new Promise((resolve) => {
-        rl.question(question, (answer) => {
+        getInterface().question(question, (answer) => {
             resolve(answer)
         })
     })
@@ -22,7 +30,8 @@ const getUserInput = (question) => {
  * Closes the readline interface
  */
 const closeReadline = () => {
-    rl.close()
+    if (rl) rl.close()
+    rl = null
 }
 
 module.exports = {
@@ -0,0 +1,202 @@
+const { Client, AccountId, PrivateKey } = require('@hashgraph/sdk');
+const { createFakeLedger } = require('./fakeLedger');
+
+// Networks selectable through HEDERA_NETWORK
+const NETWORKS = ['testnet', 'mainnet', 'previewnet', 'local', 'fake'];
+
+// One in-process ledger per process so every fake client sees the same state
+let fakeLedger = null;
+let operatorClient = null;
+// Operator keys of the clients created here, for signing data other than transactions
+const operatorKeys = new WeakMap();
+
+/**
+ * Get the configured network name
+ * @returns {string} - One of NETWORKS, defaults to testnet
+ */
+const getNetworkName = () => {
+  const network = (process.env.HEDERA_NETWORK || 'testnet').toLowerCase();
+  if (!NETWORKS.includes(network)) {
+    throw new Error(`Unknown HEDERA_NETWORK "${network}". Use one of: ${NETWORKS.join(', ')}`);
+  }
+  return network;
+};
+
+/**
+ * Get the shared in-process ledger, creating it on first use
+ * @returns {Object} - Fake ledger
+ */
+const getFakeLedger = () => {
+  if (!fakeLedger) fakeLedger = createFakeLedger();
+  return fakeLedger;
+};
+
+/**
+ * Whether a client talks to the in-process fake ledger
+ * @param {Object} client - Client from this module
+ * @returns {boolean}
+ */
+const isFakeClient = (client) => Boolean(client && client.isFakeLedger);
+
+/**
+ * Parse an operator key from .env. DER-encoded keys carry their type; raw hex keys cannot be told
+ * apart, so they are read as ECDSA like the platform always has, whether the account is given by ID or
+ * EVM address. ED25519 keys have to be given DER-encoded.
+ * @param {string} value - Key string, hex with an optional 0x prefix
+ * @returns {PrivateKey}
+ */
+const parsePrivateKey = (value) => {
+  const hex = value.trim().replace(/^0x/i, '');
+  // A raw key is 32 bytes, anything longer carries a DER prefix
+  return hex.length > 64 ? PrivateKey.fromStringDer(hex) : PrivateKey.fromStringECDSA(hex);
+};
+
+/**
+ * Create an SDK client without an operator for a real network
+ * @param {string} network - testnet, mainnet, previewnet or local
+ * @returns {Client}
+ */
+const createNetworkClient = (network) => {
+  switch (network) {
+    case 'mainnet':
+      return Client.forMainnet();
+    case 'previewnet':
+      return Client.forPreviewnet();
+    case 'local':
+      return Client.forLocalNode();
+    default:
+      return Client.forTestnet();
+  }
+};
+
+/**
+ * Create a client for an account on the configured network
+ * @param {Object} options - Client options
+ * @param {string} [options.network] - Network name, defaults to HEDERA_NETWORK
+ * @param {string|AccountId} [options.accountId] - Operator account ID
+ * @param {string} [options.evmAddress] - Operator EVM address, used when accountId is missing
+ * @param {string|PrivateKey} [options.privateKey] - Operator private key
+ * @returns {Promise<Object>} - Client usable with execute and subscribe
+ */
+const createClient = async ({ network = getNetworkName(), accountId, evmAddress, privateKey } = {}) => {
+  const key = typeof privateKey === 'string' ? parsePrivateKey(privateKey) : privateKey;
+
+  if (network === 'fake') {
+    const fakeClient = getFakeLedger().createClient(accountId, key);
+    operatorKeys.set(fakeClient, fakeClient.operatorKey);
+    return fakeClient;
+  }
+
+  if (!key) {
+    throw new Error("Set EVM Address and Private Key in .env");
+  }
+
+  const client = createNetworkClient(network);
+
+  if (accountId) {
+    client.setOperator(accountId, key);
+  } else if (evmAddress) {
+    // Resolve the account number for the EVM address through the mirror node
+    const resolvedId = await AccountId.fromEvmAddress(0, 0, evmAddress).populateAccountNum(client);
+    client.setOperator(resolvedId, key);
+  } else {
+    throw new Error("Set EVM Address and Private Key in .env");
+  }
+
+  operatorKeys.set(client, key);
+  return client;
+};
+
+/**
+ * Get the platform operator client from .env, cached per process
+ * @returns {Promise<Object>} - Operator client
+ */
+const getClient = async () => {
+  if (operatorClient) return operatorClient;
+
+  const network = getNetworkName();
+  if (network !== 'fake' && (!process.env.OPERATOR_KEY || (!process.env.OPERATOR_ID && !process.env.OPERATOR_ADDRESS))) {
+    throw new Error("Set EVM Address and Private Key in .env");
+  }
+
+  operatorClient = await createClient({
+    network,
+    accountId: process.env.OPERATOR_ID,
+    evmAddress: process.env.OPERATOR_ADDRESS,
+    privateKey: process.env.OPERATOR_KEY
+  });
+
+  console.log(`Initialized Hedera ${network} client with operator: ${operatorClient.operatorAccountId}`);
+  return operatorClient;
+};
+
+/**
+ * Create a client for another account on the same network as an existing client
+ * @param {Object} client - Existing client
+ * @param {string|AccountId} accountId - Account to operate as
+ * @param {PrivateKey} privateKey - Account key
+ * @returns {Promise<Object>}
+ */
+const clientForAccount = async (client, accountId, privateKey) => {
+  return createClient({
+    network: isFakeClient(client) ? 'fake' : getNetworkName(),
+    accountId,
+    privateKey
+  });
+};
+
+/**
+ * Sign arbitrary bytes with a client's operator key, e.g. a manifest published on a topic
+ * @param {Object} client - Client from this module
+ * @param {Uint8Array} bytes - Data to sign
+ * @returns {Uint8Array} - Signature
+ */
+const signWithOperator = (client, bytes) => {
+  const key = operatorKeys.get(client);
+  if (!key) {
+    throw new Error('Client was not created with a private key');
+  }
+  return key.sign(bytes);
+};
+
+/**
+ * Execute a transaction or query against the client's network
+ * @param {Object} client - Client from this module
+ * @param {Object} executable - SDK transaction or query
+ * @returns {Promise<Object>} - TransactionResponse for transactions, the query result for queries
+ */
+const execute = async (client, executable) => {
+  if (isFakeClient(client)) {
+    return client.ledger.execute(client, executable);
+  }
+  return executable.execute(client);
+};
+
+/**
+ * Subscribe to topic messages on the client's network
+ * @param {Object} client - Client from this module
+ * @param {TopicMessageQuery} query - Configured topic query
+ * @param {Function} onError - (message, error) => void
+ * @param {Function} onMessage - (message) => void
+ * @returns {{unsubscribe: Function}} - Subscription handle
+ */
+const subscribe = (client, query, onError, onMessage) => {
+  if (isFakeClient(client)) {
+    return client.ledger.subscribe(query, onError, onMessage);
+  }
+  return query.subscribe(client, onError, onMessage);
+};
+
+module.exports = {
+  NETWORKS,
+  getNetworkName,
+  getFakeLedger,
+  isFakeClient,
+  parsePrivateKey,
+  createClient,
+  getClient,
+  clientForAccount,
+  signWithOperator,
+  execute,
+  subscribe
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Bucket holding uploaded paper files
+ * @returns {GridFSBucket}
+ */
+const getPapersBucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+  bucketName: 'papers'
+});
+
+/**
+ * Read a paper file from the GridFS papers bucket
+ * @param {ObjectId} fileId - GridFS file ID
+ * @returns {Promise<Buffer>}
+ */
+const readPaperFile = (fileId) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    getPapersBucket().openDownloadStream(fileId)
+      .on('data', chunk => chunks.push(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)));
+  });
+};
+
+/**
+ * SHA-256 and size of a stored paper file, computed while streaming it from GridFS
+ * @param {ObjectId} fileId - GridFS file ID
+ * @returns {Promise<{sha256: string, size: number}>}
+ */
+const hashPaperFile = (fileId) => {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+
+    getPapersBucket().openDownloadStream(fileId)
+      .on('data', chunk => {
+        hash.update(chunk);
+        size += chunk.length;
+      })
+      .on('error', reject)
+      .on('end', () => resolve({ sha256: hash.digest('hex'), size }));
+  });
+};
+
+/**
+ * Store a paper file in GridFS the way uploads are stored
+ * @param {Buffer} buffer - File content
+ * @param {Object} options - File details
+ * @param {string} options.originalname - Name of the file as provided
+ * @param {string} options.mimetype - Content type
+ * @returns {Promise<{id: ObjectId, filename: string, originalname: string, mimetype: string, size: number}>} - Same fields as a multer upload
+ */
+const storePaperFile = (buffer, { originalname, mimetype }) => {
+  return new Promise((resolve, reject) => {
+    const filename = `${Date.now()}-${originalname}`;
+    const stream = getPapersBucket().openUploadStream(filename, {
+      metadata: { originalname, contentType: mimetype }
+    });
+
+    stream
+      .on('error', reject)
+      .on('finish', () => resolve({ id: stream.id, filename, originalname, mimetype, size: buffer.length }));
+    stream.end(buffer);
+  });
+};
+
+/**
+ * Delete a paper file and its chunks from GridFS, ignoring files that are already gone
+ * @param {ObjectId} fileId - GridFS file ID
+ * @returns {Promise<boolean>} - Whether a file was deleted
+ */
+const deletePaperFile = async (fileId) => {
+  try {
+    await getPapersBucket().delete(fileId);
+    return true;
+  } catch (error) {
+    if (/FileNotFound|file not found/i.test(error.message)) return false;
+    throw error;
+  }
+};
+
+module.exports = {
+  readPaperFile,
+  hashPaperFile,
+  storePaperFile,
+  deletePaperFile
+};
@@ -0,0 +1,267 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const PaperDocument = require('../models/PaperDocument');
+const PaperVersion = require('../models/PaperVersion');
+const { detectFormat, parseReferences } = require('./bibliography');
+const { getExtractor, readZipEntry } = require('./extraction');
+const { storePaperFile, deletePaperFile } = require('./paperFiles');
+const { createPaperContentTopic, deletePaperContentTopic } = require('./topicFees');
+const { publishPaperManifest } = require('./provenance');
+const { normalizeDoi, isValidDoi } = require('./paperMetadata');
+
+// Papers whose content topics are created at the same time
+const IMPORT_BATCH_SIZE = 10;
+// Largest library accepted in one import, kept small enough to finish within one request
+const MAX_IMPORT_ENTRIES = 50;
+// Largest attachment, the same limit as single uploads
+const MAX_ATTACHMENT_BYTES = 30 * 1024 * 1024;
+
+/**
+ * Index the files of a ZIP archive by lowercase path and by lowercase base name
+ * @param {Buffer} buffer - ZIP content
+ * @returns {Map<string, Object>} - AdmZip entries
+ */
+const readArchive = (buffer) => {
+  const files = new Map();
+  new AdmZip(buffer).getEntries()
+    .filter(entry => !entry.isDirectory && !path.basename(entry.entryName).startsWith('.'))
+    .forEach(entry => {
+      const name = entry.entryName.replace(/\\/g, '/').toLowerCase();
+      files.set(name, entry);
+      if (!files.has(path.basename(name))) files.set(path.basename(name), entry);
+    });
+  return files;
+};
+
+/**
+ * The archive file for a reference: a file it names, else one named after its paperId
+ * @param {Object} reference - Entry from parseReferences
+ * @param {Map<string, Object>} archive - Files from readArchive
+ * @returns {Object|null} - AdmZip entry
+ */
+const findAttachment = (reference, archive) => {
+  for (const file of reference.files) {
+    const name = file.replace(/\\/g, '/').toLowerCase();
+    const entry = archive.get(name) || archive.get(path.basename(name));
+    if (entry) return entry;
+  }
+
+  const prefix = `${reference.paperId.toLowerCase()}.`;
+  for (const [name, entry] of archive) {
+    if (name.startsWith(prefix) && !name.includes('/')) return entry;
+  }
+  return null;
+};
+
+/**
+ * Parse a reference library and check each entry for import: required fields, paperIds that are
+ * already taken and attachments the platform can store
+ * @param {Object} options - Library to check
+ * @param {string} options.text - Library content
+ * @param {string} [options.format] - bibtex, ris or csl-json, detected when omitted
+ * @param {string} [options.filename] - Library file name, used to detect the format
+ * @param {Buffer} [options.archive] - ZIP of attachments
+ * @returns {Promise<{format: string, references: Array<Object>}>} - References with errors and attachment
+ */
+const planImport = async ({ text, format, filename, archive }) => {
+  const resolvedFormat = format || detectFormat(filename, text);
+  if (!resolvedFormat) {
+    throw new Error('Could not tell the library format, pass format as bibtex, ris or csl-json');
+  }
+
+  const references = parseReferences(text, resolvedFormat);
+  if (references.length === 0) {
+    throw new Error('No references found');
+  }
+  if (references.length > MAX_IMPORT_ENTRIES) {
+    throw new Error(`At most ${MAX_IMPORT_ENTRIES} references can be imported at once, got ${references.length}`);
+  }
+
+  const files = archive ? readArchive(archive) : new Map();
+  const taken = new Set((await PaperDocument.find(
+    { paperId: { $in: references.map(reference => reference.paperId) } },
+    { paperId: 1 }
+  )).map(paper => paper.paperId));
+  const seen = new Set();
+
+  references.forEach(reference => {
+    if (taken.has(reference.paperId)) {
+      reference.errors.push(`paperId ${reference.paperId} already exists`);
+    } else if (seen.has(reference.paperId)) {
+      reference.errors.push(`paperId ${reference.paperId} appears more than once in the library`);
+    }
+    seen.add(reference.paperId);
+
+    const attachment = archive ? findAttachment(reference, files) : null;
+    reference.attachment = null;
+    if (attachment) {
+      const extractor = getExtractor(null, attachment.entryName);
+      if (!extractor || extractor.mimetypes.length === 0) {
+        reference.errors.push(`${attachment.entryName} is not a supported file type`);
+      } else {
+        // Decompress to measure the real size, the size in the archive header is not trusted
+        try {
+          readZipEntry(attachment, MAX_ATTACHMENT_BYTES);
+          reference.attachment = { entry: attachment, mimetype: extractor.mimetypes[0] };
+        } catch (error) {
+          reference.errors.push(error.message);
+        }
+      }
+    }
+  });
+
+  return { format: resolvedFormat, references };
+};
+
+/**
+ * Create the paper for one checked reference: stored attachment, content topic, version 1 and its manifest
+ * @param {Object} client - Platform client
+ * @param {Object} reference - Reference from planImport without errors
+ * @param {Object} options - Options from importPapers
+ * @returns {Promise<Object>} - PaperDocument
+ */
+const createImportedPaper = async (client, reference, { publisherId, fee, tokenId, decimals, mainTopicId }) => {
+  const file = reference.attachment
+    ? await storePaperFile(readZipEntry(reference.attachment.entry, MAX_ATTACHMENT_BYTES), {
+      originalname: path.basename(reference.attachment.entry.entryName),
+      mimetype: reference.attachment.mimetype
+    })
+    : null;
+
+  let contentTopicId;
+  let paper;
+  try {
+    contentTopicId = await createPaperContentTopic(client, {
+      title: reference.title,
+      fee,
+      publisherId,
+      collectorAccountId: publisherId,
+      tokenId,
+      decimals
+    });
+
+    paper = await PaperDocument.create({
+      paperId: reference.paperId,
+      title: reference.title,
+      authors: reference.authors,
+      abstract: reference.abstract,
+      keywords: reference.keywords,
+      doi: reference.doi && isValidDoi(normalizeDoi(reference.doi)) ? normalizeDoi(reference.doi) : undefined,
+      publisherId,
+      fee,
+      feeCollectorId: publisherId,
+      feeTokenId: tokenId,
+      contentTopicId,
+      ...(file ? {
+        fileId: file.id,
+        filename: file.filename,
+        originalname: file.originalname,
+        mimetype: file.mimetype,
+        size: file.size,
+        uploadDate: new Date()
+      } : {}),
+      currentVersion: 1
+    });
+  } catch (error) {
+    // Nothing refers to the topic or the file yet, so neither is left behind
+    await Promise.all([
+      contentTopicId ? deletePaperContentTopic(client, contentTopicId) : null,
+      file ? deletePaperFile(file.id) : null
+    ]).catch(cleanupError => {
+      console.error(`Error cleaning up after failed import of ${reference.paperId}:`, cleanupError.message);
+    });
+    throw error;
+  }
+
+  if (file) {
+    const revision = await PaperVersion.create({
+      paperId: paper.paperId,
+      version: 1,
+      fileId: file.id,
+      filename: file.filename,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      changelog: 'Imported',
+      publishedBy: publisherId
+    });
+    // The paper exists either way; the report lists the failure so the manifest can be published again
+    try {
+      await publishPaperManifest(client, paper, revision, mainTopicId);
+    } catch (error) {
+      console.error(`Error publishing manifest for paper ${paper.paperId}:`, error.message);
+      reference.manifestError = error.message;
+    }
+  }
+
+  return paper;
+};
+
+/**
+ * Import a reference library as papers published by one account. Entries are checked first;
+ * unless dryRun is set, valid ones are created in batches of IMPORT_BATCH_SIZE.
+ * @param {Object} client - Platform client
+ * @param {Object} options - Import options
+ * @param {string} options.text - Library content
+ * @param {string} [options.format] - bibtex, ris or csl-json, detected when omitted
+ * @param {string} [options.filename] - Library file name
+ * @param {Buffer} [options.archive] - ZIP of attachments
+ * @param {string} options.publisherId - Account the papers are published under
+ * @param {number} options.fee - Access fee for every imported paper
+ * @param {string} [options.tokenId] - Fee token
+ * @param {number} [options.decimals] - Fee token decimals
+ * @param {string} options.mainTopicId - Registry topic manifests are announced on
+ * @param {boolean} [options.dryRun] - Only check the entries
+ * @returns {Promise<{report: Object, papers: Array<Object>}>} - Per-entry report and the papers created
+ */
+const importPapers = async (client, options) => {
+  const { format, references } = await planImport(options);
+  const papers = [];
+
+  const valid = references.filter(reference => reference.errors.length === 0);
+  if (!options.dryRun) {
+    for (let i = 0; i < valid.length; i += IMPORT_BATCH_SIZE) {
+      await Promise.all(valid.slice(i, i + IMPORT_BATCH_SIZE).map(async (reference) => {
+        try {
+          const paper = await createImportedPaper(client, reference, options);
+          reference.contentTopicId = paper.contentTopicId;
+          papers.push(paper);
+        } catch (error) {
+          reference.errors.push(error.message);
+        }
+      }));
+    }
+  }
+
+  const entries = references.map(reference => ({
+    index: reference.index,
+    paperId: reference.paperId,
+    title: reference.title,
+    status: reference.errors.length > 0 ? 'error' : (options.dryRun ? 'valid' : 'created'),
+    errors: reference.errors,
+    doi: reference.doi,
+    file: reference.attachment ? reference.attachment.entry.entryName : null,
+    contentTopicId: reference.contentTopicId || null,
+    manifestError: reference.manifestError || null
+  }));
+
+  return {
+    report: {
+      dryRun: Boolean(options.dryRun),
+      format,
+      total: entries.length,
+      valid: entries.filter(entry => entry.status !== 'error').length,
+      created: entries.filter(entry => entry.status === 'created').length,
+      failed: entries.filter(entry => entry.status === 'error').length,
+      entries
+    },
+    papers
+  };
+};
+
+module.exports = {
+  IMPORT_BATCH_SIZE,
+  MAX_IMPORT_ENTRIES,
+  planImport,
+  importPapers
+};
@@ -0,0 +1,136 @@
+// Longest license text accepted, e.g. an SPDX identifier or a short license name
+const MAX_LICENSE_LENGTH = 100;
+
+/**
+ * Bare ORCID iD from an iD or an orcid.org URL
+ * @param {string} value - ORCID as entered
+ * @returns {string}
+ */
+const normalizeOrcid = (value) => String(value || '')
+  .trim()
+  .replace(/^https?:\/\/(www\.)?orcid\.org\//i, '')
+  .toUpperCase();
+
+/**
+ * Whether an ORCID iD is well formed and its check digit (ISO 7064 11,2) matches
+ * @param {string} orcid - Bare ORCID iD, e.g. 0000-0002-1825-0097
+ * @returns {boolean}
+ */
+const isValidOrcid = (orcid) => {
+  if (!/^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/.test(orcid)) return false;
+
+  const digits = orcid.replace(/-/g, '');
+  let total = 0;
+  for (const digit of digits.slice(0, 15)) {
+    total = (total + Number(digit)) * 2;
+  }
+  const check = (12 - (total % 11)) % 11;
+  return digits[15] === (check === 10 ? 'X' : String(check));
+};
+
+/**
+ * Bare DOI from a DOI, a "doi:" reference or a doi.org URL
+ * @param {string} value - DOI as entered
+ * @returns {string}
+ */
+const normalizeDoi = (value) => String(value || '')
+  .trim()
+  .replace(/^https?:\/\/(dx\.)?doi\.org\//i, '')
+  .replace(/^doi:\s*/i, '');
+
+/**
+ * Whether a DOI has the 10.<registrant>/<suffix> form
+ * @param {string} doi - Bare DOI
+ * @returns {boolean}
+ */
+const isValidDoi = (doi) => /^10\.\d{4,9}\/\S+$/.test(doi);
+
+/**
+ * Normalise authors from a request body. Accepts names, author objects or a JSON string of either
+ * (multipart uploads send fields as strings).
+ * @param {Array|string} value - Authors as sent by the client
+ * @returns {Array<{name: string, orcid?: string, affiliation?: string}>}
+ */
+const parseAuthors = (value) => {
+  let list = value;
+  if (typeof value === 'string' && value.trim().startsWith('[')) {
+    list = JSON.parse(value);
+  }
+
+  return (Array.isArray(list) ? list : [list])
+    .filter(author => author != null && author !== '')
+    .map(author => {
+      if (typeof author !== 'object') return { name: String(author).trim() };
+      return {
+        name: String(author.name || '').trim(),
+        orcid: author.orcid ? normalizeOrcid(author.orcid) : undefined,
+        affiliation: author.affiliation ? String(author.affiliation).trim() : undefined,
+        literal: author.literal ? true : undefined
+      };
+    });
+};
+
+/**
+ * Check a list of authors
+ * @param {Array<{name: string, orcid?: string, affiliation?: string}>} authors - Authors from parseAuthors
+ * @returns {string|null} - What is wrong with the authors, or null when they are valid
+ */
+const validateAuthors = (authors) => {
+  if (!Array.isArray(authors) || authors.length === 0) {
+    return 'authors must list at least one author';
+  }
+  for (const author of authors) {
+    if (!author.name) return 'Every author needs a name';
+    if (author.orcid && !isValidOrcid(author.orcid)) {
+      return `${author.orcid} is not a valid ORCID iD for ${author.name}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check the citation fields of a paper: DOI, license and references
+ * @param {Object} fields - Fields to check, each optional
+ * @param {string} [fields.doi] - Bare DOI
+ * @param {string} [fields.license] - License name or SPDX identifier
+ * @param {Array<string>} [fields.references] - paperIds the paper cites
+ * @param {string} [fields.paperId] - The paper itself, which cannot cite itself
+ * @returns {string|null} - What is wrong, or null when the fields are valid
+ */
+const validateCitationFields = ({ doi, license, references, paperId }) => {
+  if (doi && !isValidDoi(doi)) {
+    return `${doi} is not a valid DOI`;
+  }
+  if (license != null && (typeof license !== 'string' || license.length > MAX_LICENSE_LENGTH)) {
+    return `license must be a string of at most ${MAX_LICENSE_LENGTH} characters`;
+  }
+  if (references != null) {
+    if (!Array.isArray(references) || references.some(reference => typeof reference !== 'string' || !reference)) {
+      return 'references must be a list of paperIds';
+    }
+    if (paperId && references.includes(paperId)) {
+      return 'A paper cannot reference itself';
+    }
+  }
+  return null;
+};
+
+/**
+ * Author names of a paper. Also reads papers stored before authors were structured.
+ * @param {Array<Object|string>} authors - Paper authors
+ * @returns {Array<string>}
+ */
+const authorNames = (authors) => (authors || [])
+  .map(author => (typeof author === 'string' ? author : author && author.name))
+  .filter(Boolean);
+
+module.exports = {
+  normalizeOrcid,
+  isValidOrcid,
+  normalizeDoi,
+  isValidDoi,
+  parseAuthors,
+  validateAuthors,
+  validateCitationFields,
+  authorNames
+};
@@ -0,0 +1,305 @@
+const crypto = require('crypto');
+const Passage = require('../models/Passage');
+const { extractPaperText, sectionOffsets } = require('./extraction');
+const { submitJson } = require('./provenance');
+
+// Bump when chunking changes so passages are rebuilt
+const PASSAGE_VERSION = 2;
+
+// Passage hashes published per content topic message, keeps each message within one HCS chunk
+const ANCHOR_BATCH_SIZE = 8;
+// Claims on passages whose anchoring never finished (e.g. the server stopped) expire after this long
+const ANCHOR_CLAIM_TTL_MS = 10 * 60 * 1000;
+
+// Target passage size and the default amount of passage text sent to the LLM, in tokens
+const PASSAGE_TOKENS = 300;
+const DEFAULT_TOKEN_BUDGET = 3000;
+
+// How many candidate passages are ranked before the budget is applied
+const CANDIDATE_LIMIT = 200;
+
+/**
+ * Rough token count for English text (about four characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number}
+ */
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Break a paragraph that is too long for one passage into runs of whole sentences
+ * @param {string} text - Paragraph text
+ * @param {number} maxTokens - Maximum tokens per piece
+ * @returns {string[]}
+ */
+const splitLongText = (text, maxTokens) => {
+  const maxChars = maxTokens * 4;
+  const sentences = text.match(/[^.!?]+(?:[.!?]+|$)\s*/g) || [text];
+  const pieces = [];
+  let current = '';
+
+  sentences.forEach(sentence => {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    // Sentences that are still too long are cut at the character limit
+    while (sentence.length > maxChars) {
+      pieces.push(sentence.slice(0, maxChars).trim());
+      sentence = sentence.slice(maxChars);
+    }
+    current += sentence;
+  });
+  if (current.trim()) pieces.push(current.trim());
+
+  return pieces;
+};
+
+/**
+ * SHA-256 of a passage's text, as published on the paper's content topic
+ * @param {string} text - Passage text
+ * @returns {string} - Hex digest
+ */
+const hashPassage = (text) => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+/**
+ * Split extracted sections into passages of roughly maxTokens, packing whole paragraphs where possible.
+ * Each passage is an exact slice of the extracted text, located by its start and end offsets.
+ * @param {Array<{title: string|null, text: string}>} sections - Sections from the extraction subsystem
+ * @param {number} [maxTokens] - Target passage size
+ * @returns {Array<{sectionTitle: string|null, sectionIndex: number, start: number, end: number, text: string, tokens: number, hash: string}>}
+ */
+const splitPassages = (sections, maxTokens = PASSAGE_TOKENS) => {
+  const passages = [];
+  const offsets = sectionOffsets(sections);
+
+  sections.forEach((section, sectionIndex) => {
+    const sectionText = section.text || '';
+    const pieces = sectionText
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.trim())
+      .filter(Boolean)
+      .flatMap(paragraph => estimateTokens(paragraph) > maxTokens ? splitLongText(paragraph, maxTokens) : [paragraph]);
+
+    // Locate each piece in the section so passages keep their position in the paper
+    let cursor = 0;
+    const located = pieces.map(piece => {
+      const start = sectionText.indexOf(piece, cursor);
+      cursor = start + piece.length;
+      return { start, end: cursor };
+    });
+
+    let current = [];
+    const flush = () => {
+      if (current.length === 0) return;
+      const start = current[0].start;
+      const end = current[current.length - 1].end;
+      const text = sectionText.slice(start, end);
+      passages.push({
+        sectionTitle: section.title,
+        sectionIndex,
+        start: offsets[sectionIndex] + start,
+        end: offsets[sectionIndex] + end,
+        text,
+        tokens: estimateTokens(text),
+        hash: hashPassage(text)
+      });
+      current = [];
+    };
+
+    located.forEach(piece => {
+      if (current.length > 0 && estimateTokens(sectionText.slice(current[0].start, piece.end)) > maxTokens) flush();
+      current.push(piece);
+    });
+    flush();
+  });
+
+  return passages;
+};
+
+/**
+ * Extract a paper's text and index its passages, doing each step only once per file
+ * @param {Object} paper - PaperDocument with paperId, fileId and mimetype
+ * @param {Function} loadContent - async () => Buffer with the file content, called on a cache miss
+ * @returns {Promise<number>} - Number of indexed passages
+ */
+const ingestPaper = async (paper, loadContent) => {
+  const indexed = await Passage.countDocuments({ fileId: paper.fileId, version: PASSAGE_VERSION });
+  if (indexed > 0) return indexed;
+
+  const extraction = await extractPaperText(paper, loadContent);
+  const passages = splitPassages(extraction.sections).map((passage, passageIndex) => ({
+    ...passage,
+    paperId: paper.paperId,
+    fileId: paper.fileId,
+    passageIndex,
+    version: PASSAGE_VERSION
+  }));
+
+  // Drop passages of an older file or chunking version of this paper
+  await Passage.deleteMany({
+    paperId: paper.paperId,
+    $or: [{ fileId: { $ne: paper.fileId } }, { version: { $ne: PASSAGE_VERSION } }]
+  });
+
+  try {
+    await Passage.insertMany(passages, { ordered: false });
+  } catch (error) {
+    // Another ingestion of the same file got there first
+    if (error.code !== 11000) throw error;
+  }
+
+  return passages.length;
+};
+
+/**
+ * Publish the hashes of a paper's passages on its content topic so citations can be audited on-chain.
+ * Passages without an anchor are claimed first, so concurrent calls never publish the same passage twice,
+ * then published in batches of ANCHOR_BATCH_SIZE per message.
+ * @param {Object} client - Platform client (fee exempt on content topics)
+ * @param {Object} paper - PaperDocument with paperId, fileId and contentTopicId
+ * @returns {Promise<number>} - Number of passages anchored
+ */
+const anchorPassages = async (client, paper) => {
+  const claimId = crypto.randomUUID();
+  const now = new Date();
+  await Passage.updateMany(
+    {
+      fileId: paper.fileId,
+      version: PASSAGE_VERSION,
+      anchorSequenceNumber: null,
+      $or: [{ anchorClaimedAt: null }, { anchorClaimedAt: { $lt: new Date(now.getTime() - ANCHOR_CLAIM_TTL_MS) } }]
+    },
+    { $set: { anchorClaimId: claimId, anchorClaimedAt: now } }
+  );
+  const passages = await Passage.find({ anchorClaimId: claimId }).sort({ passageIndex: 1 });
+
+  try {
+    for (let i = 0; i < passages.length; i += ANCHOR_BATCH_SIZE) {
+      const batch = passages.slice(i, i + ANCHOR_BATCH_SIZE);
+      const { sequenceNumber, consensusTimestamp } = await submitJson(client, paper.contentTopicId, {
+        type: 'passage_hashes',
+        paperId: paper.paperId,
+        fileId: paper.fileId.toString(),
+        algorithm: 'sha256',
+        passages: batch.map(passage => ({
+          index: passage.passageIndex,
+          start: passage.start,
+          end: passage.end,
+          hash: passage.hash
+        }))
+      });
+
+      await Passage.updateMany(
+        { _id: { $in: batch.map(passage => passage._id) } },
+        {
+          $set: {
+            anchorTopicId: paper.contentTopicId,
+            anchorSequenceNumber: sequenceNumber,
+            anchorConsensusTimestamp: consensusTimestamp
+          },
+          $unset: { anchorClaimId: 1, anchorClaimedAt: 1 }
+        }
+      );
+    }
+  } catch (error) {
+    // Release the passages still waiting so the next indexing run can publish them
+    await Passage.updateMany(
+      { anchorClaimId: claimId, anchorSequenceNumber: null },
+      { $unset: { anchorClaimId: 1, anchorClaimedAt: 1 } }
+    );
+    throw error;
+  }
+
+  return passages.length;
+};
+
+/**
+ * Find the hash a passage's anchoring message published for it
+ * @param {Object} message - TopicMessage carrying the passage hashes
+ * @param {Object} passage - Passage the message should cover
+ * @returns {string|null} - Published hash, or null when the message does not cover the passage
+ */
+const anchoredHash = (message, passage) => {
+  let body;
+  try {
+    body = JSON.parse(Buffer.from(message.contents).toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!body || body.type !== 'passage_hashes' || body.paperId !== passage.paperId ||
+    body.fileId !== passage.fileId.toString() || !Array.isArray(body.passages)) {
+    return null;
+  }
+  const entry = body.passages.find(anchored => anchored.index === passage.passageIndex);
+  return entry ? entry.hash : null;
+};
+
+/**
+ * Pick passages within a token budget, skipping any that no longer fit
+ * @param {Array<Object>} candidates - Passages in priority order
+ * @param {number} tokenBudget - Tokens available
+ * @returns {Array<Object>}
+ */
+const fillBudget = (candidates, tokenBudget) => {
+  const selected = [];
+  let remaining = tokenBudget;
+
+  candidates.forEach(passage => {
+    if (passage.tokens <= remaining) {
+      selected.push(passage);
+      remaining -= passage.tokens;
+    }
+  });
+
+  return selected;
+};
+
+/**
+ * Select the passages most relevant to a question across the given papers, within a token budget
+ * @param {string} question - Reader's question
+ * @param {string[]} paperIds - Papers to search (the reader's purchased papers)
+ * @param {Object} [options] - Retrieval options
+ * @param {number} [options.tokenBudget] - Maximum tokens of passage text, defaults to RETRIEVAL_TOKEN_BUDGET or 3000
+ * @returns {Promise<Array<Object>>} - Passages in reading order per paper, each with a relevance score
+ */
+const retrievePassages = async (question, paperIds, { tokenBudget } = {}) => {
+  const budget = tokenBudget || parseInt(process.env.RETRIEVAL_TOKEN_BUDGET || DEFAULT_TOKEN_BUDGET, 10);
+  if (paperIds.length === 0) return [];
+
+  const scope = { paperId: { $in: paperIds }, version: PASSAGE_VERSION };
+  let candidates = [];
+
+  if (question && question.trim()) {
+    candidates = await Passage.find(
+      { ...scope, $text: { $search: question } },
+      { score: { $meta: 'textScore' } }
+    ).sort({ score: { $meta: 'textScore' } }).limit(CANDIDATE_LIMIT).lean();
+  }
+
+  // Nothing matched (e.g. "summarize these papers"): take each paper's opening passages in turn
+  if (candidates.length === 0) {
+    const opening = await Passage.find(scope).sort({ passageIndex: 1 }).limit(CANDIDATE_LIMIT).lean();
+    const byPaper = paperIds.map(paperId => opening.filter(passage => passage.paperId === paperId));
+    const rounds = Math.max(0, ...byPaper.map(passages => passages.length));
+
+    for (let i = 0; i < rounds; i++) {
+      byPaper.forEach(passages => {
+        if (passages[i]) candidates.push({ ...passages[i], score: 0 });
+      });
+    }
+  }
+
+  return fillBudget(candidates, budget)
+    .sort((a, b) => paperIds.indexOf(a.paperId) - paperIds.indexOf(b.paperId) || a.passageIndex - b.passageIndex);
+};
+
+module.exports = {
+  PASSAGE_VERSION,
+  estimateTokens,
+  hashPassage,
+  splitPassages,
+  ingestPaper,
+  anchorPassages,
+  anchoredHash,
+  retrievePassages
+};
@@ -0,0 +1,252 @@
+const {
+  AccountId,
+  Status,
+  TokenId,
+  TransactionId,
+  TransactionRecordQuery,
+  TransferTransaction
+} = require('@hashgraph/sdk');
+const { execute } = require('./network');
+const { TOTAL_BASIS_POINTS, splitUnits } = require('./royalties');
+
+/**
+ * Convert a whole-token amount into the token's smallest unit
+ * @param {number} amount - Amount in whole tokens
+ * @param {number} decimals - Token decimals
+ * @returns {number} - Amount in smallest units
+ */
+const toTokenUnits = (amount, decimals) => {
+  return Math.round(Number(amount) * Math.pow(10, decimals));
+};
+
+/**
+ * How a paper's fee is shared: by its royalty splits, or all to the publisher when it has none
+ * @param {{publisherId: string, fee: number, splits?: Array<{accountId: string, basisPoints: number}>}} paper - Quoted paper
+ * @param {number} decimals - Token decimals
+ * @returns {Array<{accountId: string, units: number}>} - Credits in smallest units, zero shares left out
+ */
+const paperCredits = (paper, decimals) => {
+  const units = toTokenUnits(paper.fee, decimals);
+  if (units <= 0) return [];
+
+  return splitUnits(units, paperSplits(paper)).filter(credit => credit.units > 0);
+};
+
+/**
+ * Royalty splits of a quoted paper, the publisher alone when it has none
+ * @param {{publisherId: string, splits?: Array}} paper - Quoted paper
+ * @returns {Array<{accountId: string, role: string, basisPoints: number}>}
+ */
+const paperSplits = (paper) => {
+  return paper.splits && paper.splits.length > 0
+    ? paper.splits
+    : [{ accountId: paper.publisherId, role: 'publisher', basisPoints: TOTAL_BASIS_POINTS }];
+};
+
+/**
+ * Each payee's share of every paper in a payment, for earnings statements
+ * @param {Array<Object>} papers - Quoted papers
+ * @param {number} decimals - Token decimals
+ * @returns {Array<{paperId: string, accountId: string, role: string, basisPoints: number, units: number}>}
+ */
+const royaltyShares = (papers, decimals) => {
+  return papers.flatMap(paper => {
+    const units = new Map(paperCredits(paper, decimals).map(credit => [credit.accountId, credit.units]));
+    return paperSplits(paper)
+      .filter(split => units.get(split.accountId) > 0)
+      .map(split => ({
+        paperId: paper.paperId,
+        accountId: split.accountId,
+        role: split.role,
+        basisPoints: split.basisPoints,
+        units: units.get(split.accountId)
+      }));
+  });
+};
+
+/**
+ * Total each account should be credited for a payment: every paper's payees and the platform treasury
+ * @param {Object} options - Same options as buildPaymentTransaction
+ * @returns {Map<string, number>} - Account ID to smallest units
+ */
+const expectedCredits = ({ treasuryId, papers, platformFee, decimals = 2 }) => {
+  const expected = new Map();
+  const credit = (accountId, units) => {
+    if (units > 0) expected.set(accountId.toString(), (expected.get(accountId.toString()) || 0) + units);
+  };
+
+  papers.forEach(paper => paperCredits(paper, decimals).forEach(share => credit(share.accountId, share.units)));
+  credit(treasuryId, toTokenUnits(platformFee || 0, decimals));
+
+  return expected;
+};
+
+/**
+ * Make sure the platform fee goes to a configured treasury other than the reader paying it
+ * @param {string} treasuryId - Platform treasury account
+ * @param {string} payerId - Reader account paying for access
+ */
+const checkTreasury = (treasuryId, payerId) => {
+  if (!treasuryId) {
+    throw new Error('No platform treasury configured, set PLATFORM_TREASURY_ID');
+  }
+  if (payerId && treasuryId.toString() === payerId.toString()) {
+    throw new Error(`Treasury ${treasuryId} cannot be the account paying for access`);
+  }
+};
+
+/**
+ * Build one atomic transfer that debits the reader and pays every paper's payees plus the platform treasury
+ * @param {Object} options - Payment details
+ * @param {string} options.tokenId - Token used for payment
+ * @param {string} options.payerId - Reader account paying for access
+ * @param {string} options.treasuryId - Platform treasury account
+ * @param {Array<{publisherId: string, fee: number, splits?: Array}>} options.papers - Papers being paid for
+ * @param {number} options.platformFee - Platform fee in whole tokens
+ * @param {number} [options.decimals=2] - Token decimals
+ * @returns {{transaction: TransferTransaction, totalUnits: number}} - Unsigned transfer and total debited
+ */
+const buildPaymentTransaction = ({ tokenId, payerId, treasuryId, papers, platformFee, decimals = 2 }) => {
+  checkTreasury(treasuryId, payerId);
+  const token = TokenId.fromString(tokenId.toString());
+  const transaction = new TransferTransaction();
+  let totalUnits = 0;
+
+  // Accounts paid for several papers get a single credit
+  expectedCredits({ treasuryId, papers, platformFee, decimals }).forEach((units, accountId) => {
+    transaction.addTokenTransfer(token, AccountId.fromString(accountId), units);
+    totalUnits += units;
+  });
+
+  if (totalUnits === 0) {
+    throw new Error('Nothing to pay: quote total is zero');
+  }
+
+  // Debit the reader for exactly what the publishers and treasury receive
+  transaction.addTokenTransfer(token, AccountId.fromString(payerId.toString()), -totalUnits);
+
+  return { transaction, totalUnits };
+};
+
+/**
+ * Execute a payment transfer and wait for consensus
+ * @param {Object} client - Hedera client (operator is the paying reader)
+ * @param {Object} options - Same options as buildPaymentTransaction, payerId defaults to the operator.
+ *   treasuryId is required and must differ from the payer.
+ * @returns {Promise<{success: boolean, transactionId: string|null, status: string, error?: string}>}
+ */
+const settlePayment = async (client, options) => {
+  let transactionId = null;
+
+  try {
+    const { transaction } = buildPaymentTransaction({
+      payerId: client.operatorAccountId,
+      ...options
+    });
+
+    const response = await execute(client, transaction);
+    transactionId = response.transactionId.toString();
+
+    // getReceipt throws a ReceiptStatusError for anything other than SUCCESS
+    const receipt = await response.getReceipt(client);
+
+    return {
+      success: receipt.status === Status.Success,
+      transactionId,
+      status: receipt.status.toString()
+    };
+  } catch (error) {
+    if (!transactionId && error.transactionId) {
+      transactionId = error.transactionId.toString();
+    }
+
+    return {
+      success: false,
+      transactionId,
+      status: error.status ? error.status.toString() : 'FAILED',
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Check an on-chain transfer against what a payment should have paid
+ * @param {Object} client - Hedera client used to fetch the transaction record
+ * @param {string} transactionId - Transaction the reader says paid the quote
+ * @param {Object} options - Same options as buildPaymentTransaction. payerId, when given, must be the account
+ *   that submitted and paid for the transaction
+ * @returns {Promise<{success: boolean, transactionId: string, status: string, payerId?: string, consensusTimestamp?: Date, error?: string}>}
+ */
+const verifyPayment = async (client, transactionId, { tokenId, payerId, treasuryId, papers, platformFee, decimals = 2 }) => {
+  const failure = (status, error) => ({ success: false, transactionId, status, error });
+
+  let txId;
+  try {
+    txId = TransactionId.fromString(transactionId);
+  } catch (error) {
+    return failure('INVALID_TRANSACTION_ID', `Invalid transaction ID ${transactionId}`);
+  }
+
+  let record;
+  try {
+    record = await execute(client, new TransactionRecordQuery().setTransactionId(txId));
+  } catch (error) {
+    return failure(error.status ? error.status.toString() : 'FAILED', error.message);
+  }
+
+  try {
+    checkTreasury(treasuryId, txId.accountId);
+  } catch (error) {
+    return failure('INVALID_TREASURY', error.message);
+  }
+
+  if (record.receipt.status !== Status.Success) {
+    return failure(record.receipt.status.toString(), 'Payment transaction did not succeed');
+  }
+
+  // Net token movement per account in this transaction
+  const token = tokenId.toString();
+  const received = new Map();
+  (record.tokenTransfersList || [])
+    .filter(transfer => transfer.tokenId.toString() === token)
+    .forEach(transfer => {
+      const accountId = transfer.accountId.toString();
+      received.set(accountId, (received.get(accountId) || 0) + transfer.amount.toNumber());
+    });
+
+  // What each payee and the treasury should have been credited
+  const expected = expectedCredits({ treasuryId, papers, platformFee, decimals });
+
+  for (const [accountId, units] of expected) {
+    if ((received.get(accountId) || 0) < units) {
+      return failure('INSUFFICIENT_PAYMENT', `Account ${accountId} received ${received.get(accountId) || 0} of ${units} units`);
+    }
+  }
+
+  // The debited account is the transaction's payer, so a transfer cannot be claimed by someone who only saw it
+  const payer = txId.accountId.toString();
+  if (payerId && payerId.toString() !== payer) {
+    return failure('PAYER_MISMATCH', `Transaction ${transactionId} was paid by ${payer}, not ${payerId}`);
+  }
+  const totalUnits = Array.from(expected.values()).reduce((total, units) => total + units, 0);
+  if ((received.get(payer) || 0) > -totalUnits) {
+    return failure('INSUFFICIENT_PAYMENT', `Payer ${payer} was not debited ${totalUnits} units`);
+  }
+
+  return {
+    success: true,
+    transactionId,
+    status: Status.Success.toString(),
+    payerId: payer,
+    consensusTimestamp: record.consensusTimestamp.toDate()
+  };
+};
+
+module.exports = {
+  toTokenUnits,
+  paperCredits,
+  royaltyShares,
+  buildPaymentTransaction,
+  settlePayment,
+  verifyPayment
+};
@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const {
+  PublicKey,
+  TopicMessageQuery,
+  TopicMessageSubmitTransaction
+} = require('@hashgraph/sdk');
+const { execute, subscribe, signWithOperator } = require('./network');
+const { canonicalize } = require('./quotes');
+const { hashPaperFile } = require('./paperFiles');
+const { parseTimestamp } = require('./topicListener');
+
+// Message types published for paper provenance
+const MANIFEST_TYPE = 'paper_manifest';
+const REGISTRY_TYPE = 'paper_registered';
+const UPDATE_TYPE = 'paper_updated';
+const RETRACTION_TYPE = 'paper_retracted';
+
+// How long to wait for the mirror node to return a consensus message
+const MIRROR_TIMEOUT_MS = 15000;
+
+// Verification re-hashes a stored file at most once per HASH_CACHE_TTL_MS, for up to HASH_CACHE_SIZE files
+const HASH_CACHE_TTL_MS = 10 * 60 * 1000;
+const HASH_CACHE_SIZE = 500;
+// Hash promises by file ID, shared by concurrent verifications
+const fileHashes = new Map();
+
+/**
+ * Manifest fields that describe one stored version of a paper
+ * @param {Object} paper - PaperDocument
+ * @param {Object} revision - PaperVersion whose file the manifest covers
+ * @param {{sha256: string, size: number}} file - Hash and size of the stored file
+ * @returns {Object}
+ */
+const buildManifest = (paper, revision, { sha256, size }) => ({
+  type: MANIFEST_TYPE,
+  version: 1,
+  paperId: paper.paperId,
+  paperVersion: revision.version,
+  fileId: revision.fileId.toString(),
+  algorithm: 'sha256',
+  sha256,
+  size,
+  mimetype: revision.mimetype,
+  publisherId: paper.publisherId,
+  // The changelog itself can be long, so only its hash goes on-chain
+  changelogSha256: revision.changelog
+    ? crypto.createHash('sha256').update(revision.changelog, 'utf8').digest('hex')
+    : null
+});
+
+/**
+ * Sign a manifest with the platform operator key over its canonical JSON
+ * @param {Object} client - Platform client
+ * @param {Object} manifest - Manifest from buildManifest
+ * @returns {Object} - Manifest with signerPublicKey and a hex signature
+ */
+const signManifest = (client, manifest) => {
+  const unsigned = { ...manifest, signerPublicKey: client.operatorPublicKey.toStringDer() };
+  const signature = signWithOperator(client, Buffer.from(canonicalize(unsigned)));
+  return { ...unsigned, signature: Buffer.from(signature).toString('hex') };
+};
+
+/**
+ * Check a signed manifest's signature against the key it names
+ * @param {Object} signed - Manifest from signManifest
+ * @returns {boolean}
+ */
+const verifyManifestSignature = (signed) => {
+  const { signature, ...unsigned } = signed;
+  if (!signature || !unsigned.signerPublicKey) return false;
+
+  try {
+    return PublicKey.fromString(unsigned.signerPublicKey)
+      .verify(Buffer.from(canonicalize(unsigned)), Buffer.from(signature, 'hex'));
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Submit a JSON message to a topic and return where it landed
+ * @param {Object} client - Hedera client
+ * @param {string} topicId - Topic to submit to
+ * @param {Object} body - Message body
+ * @returns {Promise<{sequenceNumber: number, consensusTimestamp: string}>}
+ */
+const submitJson = async (client, topicId, body) => {
+  const response = await execute(client, new TopicMessageSubmitTransaction()
+    .setTopicId(topicId)
+    .setMessage(JSON.stringify(body)));
+  const record = await response.getRecord(client);
+
+  return {
+    sequenceNumber: record.receipt.topicSequenceNumber.toNumber(),
+    consensusTimestamp: record.consensusTimestamp.toString()
+  };
+};
+
+/**
+ * SHA-256 over a paper's catalog metadata, so registry updates commit to the edited fields
+ * without putting long abstracts on-chain
+ * @param {Object} paper - PaperDocument
+ * @returns {string} - Hex digest
+ */
+const hashPaperMetadata = (paper) => {
+  const metadata = {
+    title: paper.title,
+    authors: Array.from(paper.authors || []).map(author => ({
+      name: author.name,
+      orcid: author.orcid || undefined,
+      affiliation: author.affiliation || undefined,
+      literal: author.literal || undefined
+    })),
+    abstract: paper.abstract,
+    keywords: Array.from(paper.keywords || []),
+    doi: paper.doi || undefined,
+    license: paper.license || undefined,
+    references: Array.from(paper.references || []),
+    fee: paper.fee,
+    feeCollectorId: paper.feeCollectorId || paper.publisherId,
+    royaltySplits: Array.from(paper.royaltySplits || []).map(split => ({
+      accountId: split.accountId,
+      role: split.role,
+      basisPoints: split.basisPoints
+    }))
+  };
+  return crypto.createHash('sha256').update(canonicalize(metadata), 'utf8').digest('hex');
+};
+
+/**
+ * Record a change to a paper's metadata on the registry topic
+ * @param {Object} client - Platform client (submit key of the registry)
+ * @param {string} registryTopicId - Main registry topic
+ * @param {Object} paper - PaperDocument with the change applied
+ * @param {Array<string>} fields - Names of the fields that changed
+ * @param {string} updatedBy - Account that made the change
+ * @returns {Promise<{sequenceNumber: number, consensusTimestamp: string}>}
+ */
+const publishPaperUpdate = (client, registryTopicId, paper, fields, updatedBy) => {
+  return submitJson(client, registryTopicId, {
+    type: UPDATE_TYPE,
+    paperId: paper.paperId,
+    fields,
+    metadataSha256: hashPaperMetadata(paper),
+    fee: paper.fee,
+    updatedBy
+  });
+};
+
+/**
+ * Record a paper's retraction on the registry topic. The message is the paper's tombstone:
+ * earlier manifests stay on the content topic, this one marks them withdrawn.
+ * @param {Object} client - Platform client (submit key of the registry)
+ * @param {string} registryTopicId - Main registry topic
+ * @param {Object} paper - PaperDocument being retracted
+ * @param {Object} retraction - Retraction details
+ * @param {string} retraction.reason - Why the paper was withdrawn
+ * @param {string} retraction.retractedBy - Account that retracted it
+ * @param {boolean} retraction.purged - Whether the stored files are deleted
+ * @returns {Promise<{sequenceNumber: number, consensusTimestamp: string}>}
+ */
+const publishPaperRetraction = (client, registryTopicId, paper, { reason, retractedBy, purged }) => {
+  return submitJson(client, registryTopicId, {
+    type: RETRACTION_TYPE,
+    paperId: paper.paperId,
+    paperVersion: paper.currentVersion || 1,
+    contentTopicId: paper.contentTopicId,
+    reason: reason || null,
+    retractedBy,
+    purged
+  });
+};
+
+/**
+ * Hash a version's stored file and announce it with a signed manifest on the paper's content topic,
+ * then point the registry at the manifest
+ * @param {Object} client - Platform client (fee exempt on content topics, submit key of the registry)
+ * @param {Object} paper - PaperDocument with a contentTopicId
+ * @param {Object} revision - PaperVersion being published
+ * @param {string} registryTopicId - Main registry topic
+ * @returns {Promise<Object>} - Provenance saved on the version, and on the paper when it is current
+ */
+const publishPaperManifest = async (client, paper, revision, registryTopicId) => {
+  const manifest = signManifest(client, buildManifest(paper, revision, await hashPaperFile(revision.fileId)));
+  const published = await submitJson(client, paper.contentTopicId, manifest);
+
+  const registered = await submitJson(client, registryTopicId, {
+    type: REGISTRY_TYPE,
+    paperId: paper.paperId,
+    paperVersion: revision.version,
+    publisherId: paper.publisherId,
+    contentTopicId: paper.contentTopicId,
+    manifestSequenceNumber: published.sequenceNumber,
+    sha256: manifest.sha256
+  });
+
+  revision.provenance = {
+    sha256: manifest.sha256,
+    size: manifest.size,
+    signerPublicKey: manifest.signerPublicKey,
+    manifestTopicId: paper.contentTopicId,
+    manifestSequenceNumber: published.sequenceNumber,
+    manifestConsensusTimestamp: published.consensusTimestamp,
+    registryTopicId,
+    registrySequenceNumber: registered.sequenceNumber
+  };
+  await revision.save();
+
+  if ((paper.currentVersion || 1) === revision.version) {
+    paper.provenance = revision.provenance;
+    await paper.save();
+  }
+
+  return revision.provenance;
+};
+
+/**
+ * Read one message back from the network by its consensus timestamp
+ * @param {Object} client - Hedera client
+ * @param {string} topicId - Topic the message was sent to
+ * @param {string} consensusTimestamp - Timestamp as seconds.nanos
+ * @returns {Promise<Object>} - TopicMessage
+ */
+const fetchTopicMessage = (client, topicId, consensusTimestamp) => {
+  return new Promise((resolve, reject) => {
+    let handle = null;
+    const timer = setTimeout(() => {
+      if (handle) handle.unsubscribe();
+      reject(new Error(`Timed out reading message ${consensusTimestamp} from topic ${topicId}`));
+    }, MIRROR_TIMEOUT_MS);
+
+    const finish = (callback) => {
+      clearTimeout(timer);
+      if (handle) handle.unsubscribe();
+      callback();
+    };
+
+    handle = subscribe(
+      client,
+      new TopicMessageQuery()
+        .setTopicId(topicId)
+        .setStartTime(parseTimestamp(consensusTimestamp))
+        .setLimit(1),
+      (message, error) => finish(() => reject(error)),
+      (message) => finish(() => resolve(message))
+    );
+  });
+};
+
+/**
+ * Hash of a stored file for verification. Files are never rewritten under the same ID, so the hash
+ * is reused for a while instead of streaming the whole file on every request.
+ * @param {ObjectId} fileId - GridFS file ID
+ * @returns {Promise<{sha256: string, size: number}>}
+ */
+const hashStoredFile = (fileId) => {
+  const key = String(fileId);
+  const cached = fileHashes.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.hash;
+
+  const entry = { hash: hashPaperFile(fileId), expiresAt: Date.now() + HASH_CACHE_TTL_MS };
+  entry.hash.catch(() => {
+    if (fileHashes.get(key) === entry) fileHashes.delete(key);
+  });
+
+  fileHashes.delete(key);
+  fileHashes.set(key, entry);
+  // Maps keep insertion order, so the first key is the oldest entry
+  if (fileHashes.size > HASH_CACHE_SIZE) {
+    fileHashes.delete(fileHashes.keys().next().value);
+  }
+  return entry.hash;
+};
+
+/**
+ * Re-hash a version's stored file and compare it with the signed manifest on the consensus record
+ * @param {Object} client - Platform client, whose key must have signed the manifest
+ * @param {Object} paper - PaperDocument
+ * @param {{version: number, fileId: ObjectId, provenance: Object}} revision - Version to verify
+ * @returns {Promise<Object>} - Verdict with each check and both hashes
+ */
+const verifyPaperProvenance = async (client, paper, revision) => {
+  const { manifestTopicId, manifestSequenceNumber, manifestConsensusTimestamp } = revision.provenance;
+
+  const [stored, message] = await Promise.all([
+    hashStoredFile(revision.fileId),
+    fetchTopicMessage(client, manifestTopicId, manifestConsensusTimestamp)
+  ]);
+
+  let manifest = null;
+  try {
+    manifest = JSON.parse(Buffer.from(message.contents).toString('utf8'));
+  } catch (error) {
+    // Leave manifest empty, every check below then fails
+  }
+
+  const checks = {
+    sequenceNumber: message.sequenceNumber.toNumber() === manifestSequenceNumber,
+    manifest: Boolean(manifest) && manifest.type === MANIFEST_TYPE && manifest.paperId === paper.paperId &&
+      (manifest.paperVersion || 1) === revision.version,
+    signature: Boolean(manifest) && verifyManifestSignature(manifest),
+    signer: Boolean(manifest) && manifest.signerPublicKey === client.operatorPublicKey.toStringDer(),
+    hash: Boolean(manifest) && manifest.sha256 === stored.sha256,
+    size: Boolean(manifest) && manifest.size === stored.size
+  };
+
+  return {
+    version: revision.version,
+    verified: Object.values(checks).every(Boolean),
+    checks,
+    storedHash: stored.sha256,
+    consensusHash: manifest ? manifest.sha256 : null,
+    manifest,
+    topicId: manifestTopicId,
+    sequenceNumber: manifestSequenceNumber,
+    consensusTimestamp: manifestConsensusTimestamp
+  };
+};
+
+module.exports = {
+  MANIFEST_TYPE,
+  REGISTRY_TYPE,
+  UPDATE_TYPE,
+  RETRACTION_TYPE,
+  buildManifest,
+  signManifest,
+  verifyManifestSignature,
+  submitJson,
+  publishPaperManifest,
+  hashPaperMetadata,
+  publishPaperUpdate,
+  publishPaperRetraction,
+  fetchTopicMessage,
+  verifyPaperProvenance
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+// How long a signed quote can be paid, override with QUOTE_TTL_SECONDS
+const DEFAULT_QUOTE_TTL_SECONDS = 15 * 60;
+
+let ephemeralSecret = null;
+
+/**
+ * Secret used to sign quotes. Without QUOTE_SIGNING_SECRET a per-process secret is used,
+ * so quotes stop verifying when the server restarts.
+ * @returns {string}
+ */
+const getSigningSecret = () => {
+  if (process.env.QUOTE_SIGNING_SECRET) {
+    return process.env.QUOTE_SIGNING_SECRET;
+  }
+
+  if (!ephemeralSecret) {
+    console.warn('QUOTE_SIGNING_SECRET is not set; quotes will not survive a server restart');
+    ephemeralSecret = crypto.randomBytes(32).toString('hex');
+  }
+  return ephemeralSecret;
+};
+
+/**
+ * Serialize a value as JSON with object keys sorted, so signatures do not depend on key order
+ * @param {*} value - Value to serialize
+ * @returns {string}
+ */
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * HMAC-SHA256 over every quote field except the signature
+ * @param {Object} quote - Quote to sign
+ * @returns {string} - Hex signature
+ */
+const computeSignature = (quote) => {
+  const { signature, ...fields } = quote;
+  return crypto.createHmac('sha256', getSigningSecret()).update(canonicalize(fields)).digest('hex');
+};
+
+/**
+ * Build and sign a time-limited quote for a chat session's related papers
+ * @param {Object} options - Quote details
+ * @param {string} options.sessionId - Chat session being quoted
+ * @param {string} options.readerAccountId - Reader who gets access once the quote is paid
+ * @param {Object} options.quote - Totals from Chat.calculateQuote (papersCost, platformFee, totalCost)
+ * @param {Array<{paperId: string, title: string, fee: number, publisherId: string, version?: number, splits?: Array}>} options.papers - Quoted papers
+ * @param {string} options.tokenId - Token the quote must be paid in
+ * @param {number} [options.decimals=2] - Token decimals
+ * @param {string} options.treasuryId - Account receiving the platform fee
+ * @param {number} [options.ttlSeconds] - Validity window in seconds
+ * @returns {Object} - Signed quote
+ */
+const createSignedQuote = ({ sessionId, readerAccountId, quote, papers, tokenId, decimals = 2, treasuryId, ttlSeconds }) => {
+  const ttl = ttlSeconds || parseInt(process.env.QUOTE_TTL_SECONDS || DEFAULT_QUOTE_TTL_SECONDS, 10);
+  const issuedAt = new Date();
+
+  const signed = {
+    quoteId: crypto.randomUUID(),
+    sessionId,
+    readerAccountId: readerAccountId.toString(),
+    papers: papers.map(paper => ({
+      paperId: paper.paperId,
+      title: paper.title,
+      fee: paper.fee,
+      publisherId: paper.publisherId,
+      // Only set when the quote buys a single version
+      version: paper.version,
+      // Royalty splits the fee is paid out by, the publisher alone when unset
+      splits: paper.splits
+    })),
+    papersCost: quote.papersCost,
+    platformFee: quote.platformFee,
+    totalCost: quote.totalCost,
+    tokenId: tokenId.toString(),
+    decimals,
+    treasuryId: treasuryId.toString(),
+    issuedAt: issuedAt.toISOString(),
+    expiresAt: new Date(issuedAt.getTime() + ttl * 1000).toISOString()
+  };
+
+  signed.signature = computeSignature(signed);
+  return signed;
+};
+
+/**
+ * Check that a quote was issued by this platform and has not been altered
+ * @param {Object} quote - Quote returned by createSignedQuote
+ * @returns {boolean}
+ */
+const verifyQuoteSignature = (quote) => {
+  if (!quote || typeof quote.signature !== 'string') return false;
+
+  const expected = Buffer.from(computeSignature(quote), 'hex');
+  const actual = Buffer.from(quote.signature, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+/**
+ * Whether a moment falls outside a quote's validity window
+ * @param {Object} quote - Signed quote
+ * @param {Date} [at] - Moment to check, defaults to now
+ * @returns {boolean}
+ */
+const isQuoteExpired = (quote, at = new Date()) => {
+  return at < new Date(quote.issuedAt) || at > new Date(quote.expiresAt);
+};
+
+module.exports = {
+  canonicalize,
+  createSignedQuote,
+  verifyQuoteSignature,
+  isQuoteExpired
+};
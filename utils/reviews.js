@@ -0,0 +1,179 @@
+const { TopicCreateTransaction } = require('@hashgraph/sdk');
+const { execute } = require('./network');
+const { canonicalize } = require('./quotes');
+const { submitJson } = require('./provenance');
+const PaperDocument = require('../models/PaperDocument');
+
+// Message types published on a paper's review topic
+const INVITATION_TYPE = 'review_invited';
+const DECLINE_TYPE = 'review_declined';
+const REVIEW_TYPE = 'paper_review';
+
+// Criteria every review scores from MIN_SCORE to MAX_SCORE
+const SCORE_CRITERIA = ['soundness', 'novelty', 'clarity', 'overall'];
+const MIN_SCORE = 1;
+const MAX_SCORE = 5;
+const RECOMMENDATIONS = ['accept', 'minor_revision', 'major_revision', 'reject'];
+
+// Comments go on-chain in full and the SDK splits a message into at most 20 chunks of 1024 bytes,
+// leaving room for JSON escaping
+const MAX_COMMENT_BYTES = 8000;
+
+/**
+ * Check the fields of a review
+ * @param {Object} review - Review fields from a request body
+ * @param {Object} review.scores - Score per criterion
+ * @param {string} review.recommendation - One of RECOMMENDATIONS
+ * @param {string} review.comments - Review text
+ * @returns {string|null} - What is wrong with the review, or null when it is valid
+ */
+const validateReview = ({ scores, recommendation, comments }) => {
+  if (!scores || typeof scores !== 'object') {
+    return `scores must give ${SCORE_CRITERIA.join(', ')}`;
+  }
+  for (const criterion of SCORE_CRITERIA) {
+    const score = scores[criterion];
+    if (!Number.isInteger(score) || score < MIN_SCORE || score > MAX_SCORE) {
+      return `scores.${criterion} must be an integer from ${MIN_SCORE} to ${MAX_SCORE}`;
+    }
+  }
+  const extra = Object.keys(scores).filter(criterion => !SCORE_CRITERIA.includes(criterion));
+  if (extra.length > 0) {
+    return `Unknown score criteria: ${extra.join(', ')}`;
+  }
+
+  if (!RECOMMENDATIONS.includes(recommendation)) {
+    return `recommendation must be one of ${RECOMMENDATIONS.join(', ')}`;
+  }
+
+  if (typeof comments !== 'string' || comments.trim() === '') {
+    return 'comments are required';
+  }
+  if (Buffer.byteLength(comments, 'utf8') > MAX_COMMENT_BYTES) {
+    return `comments must be at most ${MAX_COMMENT_BYTES} bytes`;
+  }
+
+  return null;
+};
+
+/**
+ * The review body a reviewer signs, as canonical JSON. It names the paper version
+ * so a signature cannot be reused for a later version.
+ * @param {Object} paper - PaperDocument under review
+ * @param {string} reviewerAccountId - Reviewing account
+ * @param {Object} review - Valid review fields (scores, recommendation, comments)
+ * @returns {string}
+ */
+const reviewStatement = (paper, reviewerAccountId, { scores, recommendation, comments }) => canonicalize({
+  type: REVIEW_TYPE,
+  paperId: paper.paperId,
+  paperVersion: paper.currentVersion || 1,
+  reviewerAccountId,
+  scores: Object.fromEntries(SCORE_CRITERIA.map(criterion => [criterion, scores[criterion]])),
+  recommendation,
+  comments
+});
+
+/**
+ * The paper's review topic, created on first use. Only the platform submits to it,
+ * reviews carry the reviewer's own signature.
+ * @param {Object} client - Platform client
+ * @param {Object} paper - PaperDocument
+ * @returns {Promise<string>} - Topic ID
+ */
+const ensureReviewTopic = async (client, paper) => {
+  if (paper.reviewTopicId) return paper.reviewTopicId;
+
+  const response = await execute(client, new TopicCreateTransaction()
+    .setAdminKey(client.operatorPublicKey)
+    .setSubmitKey(client.operatorPublicKey)
+    .setTopicMemo(`DeSci Paper Reviews: ${paper.title}`));
+  const { topicId } = await response.getReceipt(client);
+
+  // Another invitation may have created a topic first, in which case that one is kept
+  const updated = await PaperDocument.findOneAndUpdate(
+    { paperId: paper.paperId, reviewTopicId: null },
+    { $set: { reviewTopicId: topicId.toString() } },
+    { new: true }
+  );
+  paper.reviewTopicId = updated
+    ? updated.reviewTopicId
+    : (await PaperDocument.findOne({ paperId: paper.paperId }, { reviewTopicId: 1 })).reviewTopicId;
+  return paper.reviewTopicId;
+};
+
+/**
+ * Record a review invitation on the paper's review topic
+ * @param {Object} client - Platform client
+ * @param {Object} paper - PaperDocument with a review topic
+ * @param {Object} review - Review in the invited state
+ * @returns {Promise<{sequenceNumber: number, consensusTimestamp: string}>}
+ */
+const publishInvitation = (client, paper, review) => submitJson(client, paper.reviewTopicId, {
+  type: INVITATION_TYPE,
+  paperId: paper.paperId,
+  reviewerAccountId: review.reviewerAccountId,
+  invitedBy: review.invitedBy
+});
+
+/**
+ * Record that a reviewer declined an invitation
+ * @param {Object} client - Platform client
+ * @param {Object} paper - PaperDocument with a review topic
+ * @param {Object} review - Declined review
+ * @returns {Promise<{sequenceNumber: number, consensusTimestamp: string}>}
+ */
+const publishDecline = (client, paper, review) => submitJson(client, paper.reviewTopicId, {
+  type: DECLINE_TYPE,
+  paperId: paper.paperId,
+  reviewerAccountId: review.reviewerAccountId
+});
+
+/**
+ * Publish a signed review on the paper's review topic: the signed statement plus the signature
+ * @param {Object} client - Platform client
+ * @param {Object} paper - PaperDocument with a review topic
+ * @param {string} statement - Statement from reviewStatement
+ * @param {string} signature - Reviewer's signature over the statement
+ * @returns {Promise<{sequenceNumber: number, consensusTimestamp: string}>}
+ */
+const publishReview = (client, paper, statement, signature) => submitJson(client, paper.reviewTopicId, {
+  ...JSON.parse(statement),
+  signature
+});
+
+/**
+ * One line describing a paper's peer review status, for prompts and listings
+ * @param {Object} paper - PaperDocument
+ * @returns {string|null} - null when the paper has no reviewers
+ */
+const describeReviewSummary = (paper) => {
+  const summary = paper.reviewSummary;
+  if (!summary || !summary.status || summary.status === 'not_reviewed') return null;
+
+  if (summary.status === 'in_review') {
+    return `Peer review: in progress, ${summary.invited} reviewer(s) invited, no reviews submitted yet`;
+  }
+
+  const recommendations = Object.entries(summary.recommendations || {})
+    .map(([recommendation, count]) => `${recommendation.replace('_', ' ')} x${count}`)
+    .join(', ');
+  const overall = summary.averageScores && summary.averageScores.overall;
+  return `Peer review: ${summary.submitted} review(s), average overall score ${overall}/${MAX_SCORE}` +
+    (recommendations ? ` (${recommendations})` : '');
+};
+
+module.exports = {
+  INVITATION_TYPE,
+  DECLINE_TYPE,
+  REVIEW_TYPE,
+  SCORE_CRITERIA,
+  RECOMMENDATIONS,
+  validateReview,
+  reviewStatement,
+  ensureReviewTopic,
+  publishInvitation,
+  publishDecline,
+  publishReview,
+  describeReviewSummary
+};
@@ -0,0 +1,110 @@
+const { AccountId } = require('@hashgraph/sdk');
+
+// A split's share of a paper's fee is given in basis points, 10000 is the whole fee
+const TOTAL_BASIS_POINTS = 10000;
+
+// Roles a payee can have on a paper
+const ROLES = ['publisher', 'author', 'reviewer', 'other'];
+
+/**
+ * Check a royalty split definition
+ * @param {Array<{accountId: string, role: string, basisPoints: number}>} splits - Payees of a paper
+ * @returns {string|null} - What is wrong with the splits, or null when they are valid
+ */
+const validateSplits = (splits) => {
+  if (!Array.isArray(splits) || splits.length === 0) {
+    return 'royaltySplits must be a non-empty array';
+  }
+
+  const accounts = new Set();
+  for (const split of splits) {
+    try {
+      AccountId.fromString(String(split.accountId));
+    } catch (error) {
+      return `Invalid accountId ${split.accountId}`;
+    }
+    if (accounts.has(String(split.accountId))) {
+      return `Account ${split.accountId} appears more than once`;
+    }
+    accounts.add(String(split.accountId));
+
+    if (!Number.isInteger(split.basisPoints) || split.basisPoints <= 0) {
+      return `basisPoints for ${split.accountId} must be a positive integer`;
+    }
+    if (split.role && !ROLES.includes(split.role)) {
+      return `role must be one of ${ROLES.join(', ')}`;
+    }
+  }
+
+  const total = splits.reduce((sum, split) => sum + split.basisPoints, 0);
+  if (total !== TOTAL_BASIS_POINTS) {
+    return `basisPoints must add up to ${TOTAL_BASIS_POINTS}, got ${total}`;
+  }
+
+  return null;
+};
+
+/**
+ * Normalise splits from a request body, which may send them as a JSON string (e.g. multipart uploads)
+ * @param {Array|string} value - Splits as sent by the client
+ * @returns {Array<{accountId: string, role: string, basisPoints: number}>}
+ */
+const parseSplits = (value) => {
+  const splits = typeof value === 'string' ? JSON.parse(value) : value;
+  return (Array.isArray(splits) ? splits : []).map(split => ({
+    accountId: String(split.accountId),
+    role: split.role || 'author',
+    basisPoints: Number(split.basisPoints)
+  }));
+};
+
+/**
+ * Who is paid for a paper: its royalty splits, or the publisher alone when none are defined
+ * @param {Object} paper - PaperDocument
+ * @returns {Array<{accountId: string, role: string, basisPoints: number}>}
+ */
+const paperPayees = (paper) => {
+  if (paper.royaltySplits && paper.royaltySplits.length > 0) {
+    return paper.royaltySplits.map(split => ({
+      accountId: split.accountId,
+      role: split.role,
+      basisPoints: split.basisPoints
+    }));
+  }
+  return [{ accountId: paper.publisherId, role: 'publisher', basisPoints: TOTAL_BASIS_POINTS }];
+};
+
+/**
+ * Divide a fee between payees by basis points. Units lost to rounding go to the payees
+ * with the largest remainders, so the shares always add up to the fee.
+ * @param {number} units - Fee in the token's smallest unit
+ * @param {Array<{accountId: string, basisPoints: number}>} splits - Payees
+ * @returns {Array<{accountId: string, units: number}>}
+ */
+const splitUnits = (units, splits) => {
+  const shares = splits.map((split, index) => {
+    const exact = units * split.basisPoints / TOTAL_BASIS_POINTS;
+    return { index, accountId: split.accountId, units: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let leftover = units - shares.reduce((sum, share) => sum + share.units, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(share => {
+      if (leftover > 0) {
+        share.units++;
+        leftover--;
+      }
+    });
+
+  return shares.map(({ accountId, units: shareUnits }) => ({ accountId, units: shareUnits }));
+};
+
+module.exports = {
+  TOTAL_BASIS_POINTS,
+  ROLES,
+  validateSplits,
+  parseSplits,
+  paperPayees,
+  splitUnits
+};
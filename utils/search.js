@@ -0,0 +1,197 @@
+const PaperDocument = require('../models/PaperDocument');
+const PaperEmbedding = require('../models/PaperEmbedding');
+const { cosineSimilarity, getEmbeddingProvider, providerKey, hashText } = require('./embeddings');
+
+// Candidates taken from each ranking before they are combined
+const CANDIDATE_LIMIT = 50;
+// Papers embedded per batch when catching up on papers without a vector
+const BACKFILL_BATCH = 100;
+// How often the background backfill looks for papers without a vector
+const BACKFILL_INTERVAL_MS = 5 * 60 * 1000;
+// Vector matches weaker than this are treated as unrelated
+const MIN_SIMILARITY = 0.2;
+// Share of the hybrid score given to the text index, the rest goes to vector similarity
+const DEFAULT_TEXT_WEIGHT = 0.5;
+
+/**
+ * Text a paper is embedded from
+ * @param {Object} paper - PaperDocument
+ * @returns {string}
+ */
+const embeddingText = (paper) => [
+  paper.title,
+  paper.abstract,
+  (paper.keywords || []).join(', ')
+].filter(Boolean).join('\n');
+
+/**
+ * Store embeddings for papers whose vector is missing or out of date
+ * @param {Array<Object>} papers - PaperDocuments
+ * @returns {Promise<number>} - Number of papers embedded
+ */
+const indexPaperEmbeddings = async (papers) => {
+  const provider = getEmbeddingProvider();
+  const key = providerKey(provider);
+
+  const existing = await PaperEmbedding.find(
+    { provider: key, paperId: { $in: papers.map(paper => paper.paperId) } },
+    { paperId: 1, textHash: 1 }
+  );
+  const hashes = new Map(existing.map(embedding => [embedding.paperId, embedding.textHash]));
+
+  const stale = papers
+    .map(paper => ({ paper, text: embeddingText(paper) }))
+    .filter(({ paper, text }) => hashes.get(paper.paperId) !== hashText(text));
+  if (stale.length === 0) return 0;
+
+  const vectors = await provider.embed(stale.map(({ text }) => text));
+
+  await PaperEmbedding.bulkWrite(stale.map(({ paper, text }, i) => ({
+    updateOne: {
+      filter: { provider: key, paperId: paper.paperId },
+      update: { $set: { vector: vectors[i], textHash: hashText(text) } },
+      upsert: true
+    }
+  })));
+
+  return stale.length;
+};
+
+/**
+ * Embed one paper, e.g. right after upload
+ * @param {Object} paper - PaperDocument
+ * @returns {Promise<number>}
+ */
+const indexPaperEmbedding = (paper) => indexPaperEmbeddings([paper]);
+
+/**
+ * Embed a batch of papers that have no vector for the current provider yet
+ * @returns {Promise<number>} - Number of papers embedded
+ */
+const backfillEmbeddings = async () => {
+  const embedded = await PaperEmbedding.distinct('paperId', { provider: providerKey(getEmbeddingProvider()) });
+  const missing = await PaperDocument.find({ ...PaperDocument.listedFilter(), paperId: { $nin: embedded } })
+    .limit(BACKFILL_BATCH);
+  return missing.length > 0 ? indexPaperEmbeddings(missing) : 0;
+};
+
+/**
+ * Embed papers without a vector in the background: every missing paper now, then new gaps (e.g. after
+ * switching provider or a failed upload embedding) every BACKFILL_INTERVAL_MS
+ * @param {number} [intervalMs] - Time between runs
+ * @returns {Function} - Stops the backfill
+ */
+const startEmbeddingBackfill = (intervalMs = BACKFILL_INTERVAL_MS) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      let total = 0;
+      for (let embedded = await backfillEmbeddings(); embedded > 0; embedded = await backfillEmbeddings()) {
+        total += embedded;
+      }
+      if (total > 0) console.log(`Embedded ${total} papers that had no vector`);
+    } catch (error) {
+      console.error('Embedding backfill failed:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  // Never keep the process alive just for the backfill
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+/**
+ * Papers ranked by vector similarity to a query
+ * @param {string} query - Search text
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array<{paperId: string, similarity: number}>>}
+ */
+const vectorSearch = async (query, limit) => {
+  const provider = getEmbeddingProvider();
+  const [queryVector] = await provider.embed([query]);
+
+  // Brute-force scan: the catalog is small enough to compare against every vector
+  const embeddings = await PaperEmbedding.find({ provider: providerKey(provider) }, { paperId: 1, vector: 1 }).lean();
+
+  return embeddings
+    .map(embedding => ({ paperId: embedding.paperId, similarity: cosineSimilarity(queryVector, embedding.vector) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+};
+
+/**
+ * Search papers by combining the Mongo text score with embedding similarity
+ * @param {string} query - Search text
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit=5] - Maximum results
+ * @param {number} [options.textWeight] - Weight of the text score between 0 and 1, defaults to SEARCH_TEXT_WEIGHT or 0.5
+ * @returns {Promise<Array<Object>>} - PaperDocuments, best first, each with a hybridScore
+ */
+const hybridSearch = async (query, { limit = 5, textWeight } = {}) => {
+  if (!query || query.trim() === '') {
+    return PaperDocument.searchPapers(query, limit);
+  }
+
+  const weight = textWeight != null
+    ? textWeight
+    : parseFloat(process.env.SEARCH_TEXT_WEIGHT || DEFAULT_TEXT_WEIGHT);
+
+  const [textResults, vectorResults] = await Promise.all([
+    PaperDocument.searchPapers(query, CANDIDATE_LIMIT),
+    vectorSearch(query, CANDIDATE_LIMIT).catch(error => {
+      // Fall back to text-only ranking when the embedding provider is unavailable
+      console.error('Vector search failed:', error.message);
+      return [];
+    })
+  ]);
+
+  // Text scores are unbounded, so scale them by the best match
+  const maxTextScore = Math.max(0, ...textResults.map(paper => paper.get('score') || 0));
+  const scores = new Map();
+  const score = (paperId) => scores.get(paperId) || { text: 0, vector: 0 };
+
+  textResults.forEach(paper => {
+    scores.set(paper.paperId, { ...score(paper.paperId), text: maxTextScore ? (paper.get('score') || 0) / maxTextScore : 0 });
+  });
+  vectorResults.forEach(({ paperId, similarity }) => {
+    scores.set(paperId, { ...score(paperId), vector: similarity >= MIN_SIMILARITY ? similarity : 0 });
+  });
+
+  const ranked = Array.from(scores.entries())
+    .map(([paperId, { text, vector }]) => ({ paperId, hybridScore: weight * text + (1 - weight) * vector }))
+    .filter(result => result.hybridScore > 0)
+    .sort((a, b) => b.hybridScore - a.hybridScore)
+    .slice(0, limit);
+
+  // Load papers that only matched by vector, skipping any retracted since they were embedded
+  const loaded = new Map(textResults.map(paper => [paper.paperId, paper]));
+  const missingIds = ranked.map(result => result.paperId).filter(paperId => !loaded.has(paperId));
+  if (missingIds.length > 0) {
+    (await PaperDocument.find({ ...PaperDocument.listedFilter(), paperId: { $in: missingIds } }))
+      .forEach(paper => loaded.set(paper.paperId, paper));
+  }
+
+  return ranked
+    .filter(result => loaded.has(result.paperId))
+    .map(result => {
+      const paper = loaded.get(result.paperId);
+      paper.hybridScore = result.hybridScore;
+      return paper;
+    });
+};
+
+module.exports = {
+  indexPaperEmbedding,
+  indexPaperEmbeddings,
+  backfillEmbeddings,
+  startEmbeddingBackfill,
+  vectorSearch,
+  hybridSearch
+};
@@ -1,4 +1,123 @@
-const { TokenCreateTransaction, TokenType } = require('@hashgraph/sdk');
+const {
+  AccountBalanceQuery,
+  Status,
+  TokenAssociateTransaction,
+  TokenBurnTransaction,
+  TokenCreateTransaction,
+  TokenMintTransaction,
+  TokenSupplyType,
+  TokenType,
+  TransferTransaction
+} = require('@hashgraph/sdk');
+const { execute, clientForAccount } = require('./network');
+
+/**
+ * Wait for a transaction receipt and make sure it succeeded
+ * @param {Object} client - Hedera client
+ * @param {Object} response - Transaction response
+ * @param {string} action - Description used in the error message
+ * @returns {Promise<Object>} - Transaction receipt
+ */
+const getSuccessfulReceipt = async (client, response, action) => {
+  const receipt = await response.getReceipt(client);
+  if (receipt.status !== Status.Success) {
+    throw new Error(`${action} failed with status ${receipt.status}`);
+  }
+  return receipt;
+};
+
+/**
+ * Client that signs as the given account, or the original client for the operator
+ * @param {Object} client - Hedera client
+ * @param {string} accountId - Account that has to sign
+ * @param {PrivateKey} [privateKey] - Key of the account, required unless it is the operator
+ * @returns {Promise<Object>}
+ */
+const signingClient = async (client, accountId, privateKey) => {
+  if (accountId.toString() === client.operatorAccountId.toString()) {
+    return client;
+  }
+  if (!privateKey) {
+    throw new Error(`A private key for ${accountId} is required to sign this transaction`);
+  }
+  return clientForAccount(client, accountId, privateKey);
+};
+
+/**
+ * Create a fungible token
+ * @param {Object} client - Hedera client
+ * @param {Object} options - Token options
+ * @param {string} options.name - Token name
+ * @param {string} options.symbol - Token symbol
+ * @param {number} [options.decimals=0] - Token decimals
+ * @param {number} [options.initialSupply=0] - Initial supply in smallest units
+ * @param {string} [options.treasuryId] - Treasury account, defaults to the operator
+ * @param {Key} [options.adminKey] - Admin key, defaults to the operator key
+ * @param {Key} [options.supplyKey] - Supply key for mint/burn, defaults to the operator key
+ * @param {Key} [options.freezeKey] - Optional freeze key
+ * @param {Key} [options.wipeKey] - Optional wipe key
+ * @param {number} [options.maxSupply] - Optional finite max supply
+ * @param {string} [options.memo] - Optional token memo
+ * @returns {Promise<string>} - Token ID
+ */
+const createFungibleToken = async (client, options) => {
+  const {
+    name,
+    symbol,
+    decimals = 0,
+    initialSupply = 0,
+    treasuryId = client.operatorAccountId,
+    adminKey = client.operatorPublicKey,
+    supplyKey = client.operatorPublicKey,
+    freezeKey,
+    wipeKey,
+    maxSupply,
+    memo
+  } = options;
+
+  const transaction = new TokenCreateTransaction()
+    .setTokenName(name)
+    .setTokenSymbol(symbol)
+    .setTokenType(TokenType.FungibleCommon)
+    .setDecimals(decimals)
+    .setInitialSupply(initialSupply)
+    .setTreasuryAccountId(treasuryId)
+    .setMaxTransactionFee(100);
+
+  if (adminKey) transaction.setAdminKey(adminKey);
+  if (supplyKey) transaction.setSupplyKey(supplyKey);
+  if (freezeKey) transaction.setFreezeKey(freezeKey);
+  if (wipeKey) transaction.setWipeKey(wipeKey);
+  if (memo) transaction.setTokenMemo(memo);
+  if (maxSupply) {
+    transaction.setSupplyType(TokenSupplyType.Finite).setMaxSupply(maxSupply);
+  }
+
+  const response = await execute(client, transaction);
+  const receipt = await getSuccessfulReceipt(client, response, `Creating token ${symbol}`);
+  return receipt.tokenId.toString();
+};
+
+/**
+ * Create a mock USDC-style stablecoin for testing fees and payments
+ * @param {Object} client - Hedera client
+ * @param {Object} [options] - Overrides for createFungibleToken (name, symbol, decimals, keys, ...)
+ * @returns {Promise<string>} - Token ID
+ */
+const createMockUSDC = async (client, options = {}) => {
+  try {
+    return await createFungibleToken(client, {
+      name: 'Mock USDC',
+      symbol: 'USDC',
+      decimals: 0,
+      initialSupply: 1000000,
+      ...options
+    });
+  } catch (error) {
+    console.error(`Error creating mock USDC: ${error.message}`);
+    throw error;
+  }
+};
 
 /**
  * Initialize a platform token for the DeSci platform
@@ -11,32 +130,112 @@ const { TokenCreateTransaction, TokenType } = require('@hashgraph/sdk');
 const initializePlatformToken = async (client, name, symbol, initialSupply) => {
   try {
     console.log(`Creating platform token: ${name} (${symbol})`);
-    
-    // Create token transaction
-    const transaction = new TokenCreateTransaction()
-      .setTokenName(name)
-      .setTokenSymbol(symbol)
-      .setDecimals(2)
-      .setInitialSupply(initialSupply)
-      .setTreasuryAccountId(client.operatorAccountId)
-      .setAdminKey(client.operatorPublicKey)
-      .setSupplyKey(client.operatorPublicKey)
-      .setFreezeKey(client.operatorPublicKey)
-      .setWipeKey(client.operatorPublicKey)
-      .setMaxTransactionFee(100);
-      
-    // Submit transaction and get receipt
-    const submitTx = await transaction.execute(client);
-    const receipt = await submitTx.getReceipt(client);
-    
-    // Return token ID
-    return receipt.tokenId.toString();
+
+    return await createFungibleToken(client, {
+      name,
+      symbol,
+      decimals: 2,
+      initialSupply,
+      freezeKey: client.operatorPublicKey,
+      wipeKey: client.operatorPublicKey
+    });
   } catch (error) {
     console.error(`Error creating platform token: ${error.message}`);
     throw error;
   }
 };
 
+/**
+ * Associate an account with one or more tokens
+ * @param {Object} client - Hedera client
+ * @param {string} accountId - Account to associate
+ * @param {string|string[]} tokenIds - Token or tokens to associate
+ * @param {PrivateKey} [accountKey] - Account key, required unless the account is the operator
+ * @returns {Promise<void>}
+ */
+const associateToken = async (client, accountId, tokenIds, accountKey) => {
+  const signer = await signingClient(client, accountId, accountKey);
+
+  const response = await execute(signer, new TokenAssociateTransaction()
+    .setAccountId(accountId)
+    .setTokenIds(Array.isArray(tokenIds) ? tokenIds : [tokenIds]));
+
+  await getSuccessfulReceipt(signer, response, `Associating ${accountId} with ${tokenIds}`);
+};
+
+/**
+ * Mint new units into the token treasury
+ * @param {Object} client - Hedera client (operator holds the supply key)
+ * @param {string} tokenId - Token to mint
+ * @param {number} amount - Amount in smallest units
+ * @returns {Promise<number>} - New total supply
+ */
+const mintTokens = async (client, tokenId, amount) => {
+  const response = await execute(client, new TokenMintTransaction()
+    .setTokenId(tokenId)
+    .setAmount(amount));
+
+  const receipt = await getSuccessfulReceipt(client, response, `Minting ${amount} of ${tokenId}`);
+  return receipt.totalSupply.toNumber();
+};
+
+/**
+ * Burn units from the token treasury
+ * @param {Object} client - Hedera client (operator holds the supply key)
+ * @param {string} tokenId - Token to burn
+ * @param {number} amount - Amount in smallest units
+ * @returns {Promise<number>} - New total supply
+ */
+const burnTokens = async (client, tokenId, amount) => {
+  const response = await execute(client, new TokenBurnTransaction()
+    .setTokenId(tokenId)
+    .setAmount(amount));
+
+  const receipt = await getSuccessfulReceipt(client, response, `Burning ${amount} of ${tokenId}`);
+  return receipt.totalSupply.toNumber();
+};
+
+/**
+ * Transfer tokens between two accounts
+ * @param {Object} client - Hedera client
+ * @param {string} tokenId - Token to transfer
+ * @param {string} fromId - Sending account
+ * @param {string} toId - Receiving account
+ * @param {number} amount - Amount in smallest units
+ * @param {PrivateKey} [fromKey] - Sender key, required unless the sender is the operator
+ * @returns {Promise<string>} - Transaction ID
+ */
+const transferTokens = async (client, tokenId, fromId, toId, amount, fromKey) => {
+  const signer = await signingClient(client, fromId, fromKey);
+
+  const response = await execute(signer, new TransferTransaction()
+    .addTokenTransfer(tokenId, fromId, -amount)
+    .addTokenTransfer(tokenId, toId, amount));
+
+  await getSuccessfulReceipt(signer, response, `Transferring ${amount} of ${tokenId} to ${toId}`);
+  return response.transactionId.toString();
+};
+
+/**
+ * Get an account's balance of a token
+ * @param {Object} client - Hedera client
+ * @param {string} accountId - Account to query
+ * @param {string} tokenId - Token to look up
+ * @returns {Promise<number>} - Balance in smallest units (0 when not associated)
+ */
+const getTokenBalance = async (client, accountId, tokenId) => {
+  const balance = await execute(client, new AccountBalanceQuery().setAccountId(accountId));
+  const amount = balance.tokens ? balance.tokens.get(tokenId) : null;
+  return amount ? amount.toNumber() : 0;
+};
+
 module.exports = {
-  initializePlatformToken
+  createFungibleToken,
+  createMockUSDC,
+  initializePlatformToken,
+  associateToken,
+  mintTokens,
+  burnTokens,
+  transferTokens,
+  getTokenBalance
 };
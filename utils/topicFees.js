@@ -0,0 +1,165 @@
+const {
+  AccountInfoQuery,
+  CustomFixedFee,
+  Hbar,
+  KeyList,
+  TopicCreateTransaction,
+  TopicDeleteTransaction,
+  TopicInfoQuery,
+  TopicUpdateTransaction
+} = require('@hashgraph/sdk');
+const { execute } = require('./network');
+const { toTokenUnits } = require('./payments');
+
+/**
+ * Build the HIP-991 fixed fee charged for each message on a paper's content topic
+ * @param {Object} options - Fee options
+ * @param {number} options.fee - Fee in whole tokens (or HBAR when no token is given)
+ * @param {string} options.collectorAccountId - Account receiving the fee
+ * @param {string} [options.tokenId] - Denominating token, HBAR when omitted
+ * @param {number} [options.decimals=2] - Token decimals
+ * @returns {CustomFixedFee}
+ */
+const buildPaperFee = ({ fee, collectorAccountId, tokenId, decimals = 2 }) => {
+  const customFee = new CustomFixedFee().setFeeCollectorAccountId(collectorAccountId);
+
+  if (tokenId) {
+    customFee.setDenominatingTokenId(tokenId).setAmount(toTokenUnits(fee, decimals));
+  } else {
+    customFee.setHbarAmount(new Hbar(fee));
+  }
+
+  return customFee;
+};
+
+/**
+ * Look up the public key of an account, or null if it cannot be resolved
+ * @param {Object} client - Hedera client
+ * @param {string} accountId - Account to look up
+ * @returns {Promise<Key|null>}
+ */
+const getAccountKey = async (client, accountId) => {
+  try {
+    const info = await execute(client, new AccountInfoQuery().setAccountId(accountId));
+    return info.key;
+  } catch (error) {
+    console.warn(`Could not resolve key for account ${accountId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Keys that may submit to a paper topic without paying: the publisher and the platform
+ * @param {Object} client - Hedera client (operator is the platform)
+ * @param {string} publisherId - Publisher account
+ * @returns {Promise<Key[]>}
+ */
+const getFeeExemptKeys = async (client, publisherId) => {
+  const keys = [client.operatorPublicKey];
+  const publisherKey = await getAccountKey(client, publisherId);
+  if (publisherKey) keys.push(publisherKey);
+  return keys;
+};
+
+/**
+ * Create a paper content topic that charges its access fee through HIP-991 custom fees.
+ * The fee is charged for posting to the topic only; it does not grant an entitlement to the paper,
+ * which readers buy through a signed quote.
+ * @param {Object} client - Hedera client (operator is the platform)
+ * @param {Object} options - Topic options
+ * @param {string} options.title - Paper title for the memo
+ * @param {number} options.fee - Access fee in whole tokens
+ * @param {string} options.publisherId - Publisher account, fee exempt
+ * @param {string} [options.collectorAccountId] - Fee collector, defaults to the publisher
+ * @param {string} [options.tokenId] - Denominating token, HBAR when omitted
+ * @param {number} [options.decimals] - Token decimals
+ * @returns {Promise<string>} - Topic ID
+ */
+const createPaperContentTopic = async (client, { title, fee, publisherId, collectorAccountId, tokenId, decimals }) => {
+  // The fee schedule key can only be set at creation, so free topics get one too for later repricing
+  const transaction = new TopicCreateTransaction()
+    .setAdminKey(client.operatorPublicKey)
+    .setFeeScheduleKey(client.operatorPublicKey)
+    .setTopicMemo(`DeSci Paper Content: ${title}`);
+
+  if (fee > 0) {
+    // Readers pay by submitting to the topic, so it stays open
+    transaction
+      .setFeeExemptKeys(await getFeeExemptKeys(client, publisherId))
+      .setCustomFees([buildPaperFee({
+        fee,
+        collectorAccountId: collectorAccountId || publisherId,
+        tokenId,
+        decimals
+      })]);
+  } else {
+    transaction.setSubmitKey(client.operatorPublicKey);
+  }
+
+  const response = await execute(client, transaction);
+  const receipt = await response.getReceipt(client);
+  return receipt.topicId.toString();
+};
+
+/**
+ * Replace the custom fee on an existing paper content topic
+ * @param {Object} client - Hedera client holding the fee schedule key
+ * @param {Object} options - Fee options
+ * @param {string} options.topicId - Content topic
+ * @param {number} options.fee - New fee in whole tokens, 0 removes the fee
+ * @param {string} options.publisherId - Publisher account, fee exempt
+ * @param {string} [options.collectorAccountId] - Fee collector, defaults to the publisher
+ * @param {string} [options.tokenId] - Denominating token, HBAR when omitted
+ * @param {number} [options.decimals] - Token decimals
+ * @returns {Promise<void>}
+ */
+const updatePaperTopicFee = async (client, { topicId, fee, publisherId, collectorAccountId, tokenId, decimals }) => {
+  const customFees = fee > 0
+    ? [buildPaperFee({ fee, collectorAccountId: collectorAccountId || publisherId, tokenId, decimals })]
+    : [];
+
+  // Paid topics are open to readers, free ones only accept platform submissions
+  const response = await execute(client, new TopicUpdateTransaction()
+    .setTopicId(topicId)
+    .setSubmitKey(fee > 0 ? new KeyList() : client.operatorPublicKey)
+    .setFeeExemptKeys(await getFeeExemptKeys(client, publisherId))
+    .setCustomFees(customFees));
+
+  await response.getReceipt(client);
+};
+
+/**
+ * Delete a paper content topic, for topics whose paper could not be saved
+ * @param {Object} client - Hedera client holding the topic's admin key
+ * @param {string} topicId - Content topic
+ * @returns {Promise<void>}
+ */
+const deletePaperContentTopic = async (client, topicId) => {
+  const response = await execute(client, new TopicDeleteTransaction().setTopicId(topicId));
+  await response.getReceipt(client);
+};
+
+/**
+ * Read the custom fees currently configured on a topic
+ * @param {Object} client - Hedera client
+ * @param {string} topicId - Topic to query
+ * @returns {Promise<Array<{amount: string, tokenId: string|null, collectorAccountId: string}>>}
+ */
+const getTopicFees = async (client, topicId) => {
+  const info = await execute(client, new TopicInfoQuery().setTopicId(topicId));
+
+  return (info.customFees || []).map(fee => ({
+    amount: fee.amount.toString(),
+    tokenId: fee.denominatingTokenId ? fee.denominatingTokenId.toString() : null,
+    collectorAccountId: fee.feeCollectorAccountId.toString()
+  }));
+};
+
+module.exports = {
+  buildPaperFee,
+  getFeeExemptKeys,
+  createPaperContentTopic,
+  updatePaperTopicFee,
+  deletePaperContentTopic,
+  getTopicFees
+};
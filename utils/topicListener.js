@@ -0,0 +1,201 @@
+const fs = require('fs');
+const {
+  Timestamp,
+  TopicMessageQuery,
+  TopicMessageSubmitTransaction
+} = require('@hashgraph/sdk');
+const { execute, subscribe } = require('./network');
+
+// Message type used for answers so the listener never replies to itself
+const RESPONSE_TYPE = 'agent_response';
+// Wait before resubscribing after a failed message, doubled on each failure in a row up to the maximum
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Delay before retrying a message that failed the given number of times in a row
+ * @param {number} failures - Failures so far
+ * @returns {number} - Milliseconds to wait
+ */
+const retryDelay = (failures) => Math.min(RETRY_BASE_DELAY_MS * 2 ** failures, RETRY_MAX_DELAY_MS);
+
+/**
+ * Parse a consensus timestamp string (seconds.nanos) back into a Timestamp
+ * @param {string} value - Timestamp as produced by Timestamp.toString()
+ * @returns {Timestamp}
+ */
+const parseTimestamp = (value) => {
+  const [seconds, nanos = '0'] = value.split('.');
+  return new Timestamp(parseInt(seconds, 10), parseInt(nanos.padEnd(9, '0'), 10));
+};
+
+/**
+ * Checkpoint store backed by a JSON file, keyed by topic ID
+ * @param {string} filePath - File to persist checkpoints in
+ * @returns {{load: Function, save: Function}}
+ */
+const createFileCheckpointStore = (filePath) => {
+  const readAll = () => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  };
+
+  return {
+    load: async (topicId) => readAll()[topicId] || null,
+    save: async (topicId, checkpoint) => {
+      const checkpoints = readAll();
+      checkpoints[topicId] = checkpoint;
+      fs.writeFileSync(filePath, JSON.stringify(checkpoints, null, 2));
+    }
+  };
+};
+
+/**
+ * Create a listener that feeds topic messages to a handler and posts its answers back. When handling a
+ * message fails, the listener resubscribes from its checkpoint after a growing delay and tries it again.
+ * @param {Object} options - Listener options
+ * @param {Object} options.client - Hedera client used to subscribe and reply
+ * @param {string} options.topicId - Topic to listen on
+ * @param {Object} options.checkpointStore - Store with load(topicId) and save(topicId, checkpoint)
+ * @param {Function} options.onMessage - async ({text, sequenceNumber, consensusTimestamp}) => reply text or null
+ * @returns {{start: Function, stop: Function}}
+ */
+const createTopicListener = ({ client, topicId, checkpointStore, onMessage }) => {
+  let handle = null;
+  let checkpoint = null;
+  let queue = Promise.resolve();
+  // Bumped on every (re)subscription so messages queued by an older subscription are dropped
+  let generation = 0;
+  let failures = 0;
+  let retryTimer = null;
+  let stopped = false;
+
+  const reply = async (sequenceNumber, text) => {
+    const tx = await execute(client, new TopicMessageSubmitTransaction()
+      .setTopicId(topicId)
+      .setMessage(JSON.stringify({ type: RESPONSE_TYPE, inReplyTo: sequenceNumber, message: text })));
+
+    await tx.getReceipt(client);
+  };
+
+  const processMessage = async (message) => {
+    const sequenceNumber = message.sequenceNumber.toNumber();
+
+    // Messages at or before the checkpoint were handled before a restart
+    if (checkpoint && sequenceNumber <= checkpoint.sequenceNumber) return;
+
+    const text = Buffer.from(message.contents).toString('utf8');
+    let isResponse = false;
+    try {
+      isResponse = JSON.parse(text).type === RESPONSE_TYPE;
+    } catch (error) {
+      // Plain text message
+    }
+
+    if (!isResponse && text.trim() !== '') {
+      console.log(`Message #${sequenceNumber} on ${topicId}: ${text}`);
+      const answer = await onMessage({
+        text,
+        sequenceNumber,
+        consensusTimestamp: message.consensusTimestamp.toString()
+      });
+
+      if (answer) {
+        await reply(sequenceNumber, answer);
+        console.log(`Posted answer to message #${sequenceNumber}`);
+      }
+    }
+
+    checkpoint = {
+      sequenceNumber,
+      consensusTimestamp: message.consensusTimestamp.toString()
+    };
+    await checkpointStore.save(topicId, checkpoint);
+    failures = 0;
+  };
+
+  const unsubscribe = () => {
+    if (handle) {
+      handle.unsubscribe();
+      handle = null;
+    }
+  };
+
+  /**
+   * Subscribe from just after the current checkpoint
+   */
+  const subscribeFromCheckpoint = () => {
+    const current = ++generation;
+    const startTime = checkpoint
+      ? parseTimestamp(checkpoint.consensusTimestamp).plusNanos(1)
+      : Timestamp.fromDate(new Date(0));
+
+    const query = new TopicMessageQuery()
+      .setTopicId(topicId)
+      .setStartTime(startTime);
+
+    handle = subscribe(
+      client,
+      query,
+      (message, error) => console.error(`Subscription error on topic ${topicId}:`, error),
+      (message) => {
+        queue = queue.then(() => {
+          if (current === generation) return processMessage(message);
+        }).catch(error => {
+          // Drop the rest of this subscription before the checkpoint moves past the message,
+          // then resubscribe from the checkpoint so it is retried
+          if (current !== generation) return;
+          generation++;
+          unsubscribe();
+
+          const delay = retryDelay(failures);
+          failures++;
+          console.error(`Error processing message #${message.sequenceNumber} on ${topicId}, retrying in ${delay / 1000}s:`, error);
+          if (!stopped) {
+            retryTimer = setTimeout(() => {
+              retryTimer = null;
+              if (!stopped) subscribeFromCheckpoint();
+            }, delay);
+          }
+        });
+      }
+    );
+  };
+
+  /**
+   * Subscribe from just after the saved checkpoint
+   */
+  const start = async () => {
+    checkpoint = await checkpointStore.load(topicId);
+    stopped = false;
+    subscribeFromCheckpoint();
+
+    console.log(`Listening on topic ${topicId}${checkpoint ? ` from sequence #${checkpoint.sequenceNumber + 1}` : ''}`);
+  };
+
+  /**
+   * Stop the subscription once queued messages are processed
+   */
+  const stop = async () => {
+    stopped = true;
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    unsubscribe();
+    await queue;
+  };
+
+  return { start, stop };
+};
+
+module.exports = {
+  RESPONSE_TYPE,
+  retryDelay,
+  parseTimestamp,
+  createFileCheckpointStore,
+  createTopicListener
+};